@@ -0,0 +1,166 @@
+import type { PointCloudAttribute, PointCloudCrs } from '../sources/PointCloudSource';
+
+/**
+ * The values of a single attribute for all points of a {@link PointSet}.
+ */
+export type PointSetAttribute = {
+    /**
+     * The attribute descriptor, as provided by the source.
+     */
+    attribute: PointCloudAttribute;
+    /**
+     * The values, with `attribute.dimension` components per point.
+     */
+    values: Float32Array;
+};
+
+/**
+ * A set of points extracted from a point cloud source, in world space coordinates.
+ */
+export type PointSet = {
+    /**
+     * The number of points.
+     */
+    count: number;
+    /**
+     * The interleaved XYZ world space positions. Positions are stored as 64-bit floats to
+     * preserve the precision of georeferenced coordinates.
+     */
+    positions: Float64Array;
+    /**
+     * The attributes of the points.
+     */
+    attributes: PointSetAttribute[];
+    /**
+     * The coordinate system of the points, if known.
+     */
+    crs?: PointCloudCrs;
+};
+
+/**
+ * Returns the attribute with the specified name, or `undefined` if not found.
+ *
+ * @param points - The point set.
+ * @param name - The name of the attribute.
+ */
+export function getPointSetAttribute(
+    points: PointSet,
+    name: string,
+): PointSetAttribute | undefined {
+    return points.attributes.find(a => a.attribute.name === name);
+}
+
+/**
+ * Reorders the points of the point set in place, so that the Nth point of the result is the
+ * point at index `order[N]` of the input.
+ *
+ * @param points - The point set.
+ * @param order - The new order of the points.
+ */
+export function reorderPointSet(points: PointSet, order: ArrayLike<number>): void {
+    points.positions = reorder(points.positions, order, 3);
+
+    for (const attr of points.attributes) {
+        attr.values = reorder(attr.values, order, attr.attribute.dimension);
+    }
+}
+
+function reorder<T extends Float32Array | Float64Array>(
+    input: T,
+    order: ArrayLike<number>,
+    dimension: number,
+): T {
+    const output = new (input.constructor as new (length: number) => T)(input.length);
+
+    for (let i = 0; i < order.length; i++) {
+        const src = order[i] * dimension;
+        const dst = i * dimension;
+        for (let k = 0; k < dimension; k++) {
+            output[dst + k] = input[src + k];
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Accumulates chunks of points to build a {@link PointSet}.
+ */
+export class PointSetBuilder {
+    private readonly _attributes: PointCloudAttribute[];
+    private readonly _positionChunks: Float64Array[] = [];
+    private readonly _attributeChunks: Float32Array[][];
+    private _count = 0;
+
+    /**
+     * @param attributes - The attributes of the points.
+     */
+    constructor(attributes: PointCloudAttribute[]) {
+        this._attributes = attributes;
+        this._attributeChunks = attributes.map(() => []);
+    }
+
+    /**
+     * The number of points added so far.
+     */
+    get count() {
+        return this._count;
+    }
+
+    /**
+     * Adds a chunk of points.
+     *
+     * @param count - The number of points in the chunk.
+     * @param positions - The interleaved XYZ positions.
+     * @param attributes - The values of each attribute, in the same order as the attributes
+     * passed to the constructor.
+     */
+    add(count: number, positions: Float64Array, attributes: Float32Array[]): void {
+        if (count === 0) {
+            return;
+        }
+
+        this._positionChunks.push(positions.subarray(0, count * 3));
+        for (let i = 0; i < this._attributes.length; i++) {
+            const dimension = this._attributes[i].dimension;
+            this._attributeChunks[i].push(attributes[i].subarray(0, count * dimension));
+        }
+        this._count += count;
+    }
+
+    /**
+     * Builds the point set from all the chunks.
+     *
+     * @param crs - The optional coordinate system of the points.
+     */
+    build(crs?: PointCloudCrs): PointSet {
+        return {
+            count: this._count,
+            positions: concat(Float64Array, this._positionChunks),
+            attributes: this._attributes.map((attribute, i) => ({
+                attribute,
+                values: concat(Float32Array, this._attributeChunks[i]),
+            })),
+            crs,
+        };
+    }
+}
+
+function concat<T extends Float32Array | Float64Array>(
+    ctor: new (length: number) => T,
+    chunks: T[],
+): T {
+    let length = 0;
+    for (const chunk of chunks) {
+        length += chunk.length;
+    }
+
+    const result = new ctor(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    return result;
+}
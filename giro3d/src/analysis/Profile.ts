@@ -0,0 +1,366 @@
+import type { Box3 } from 'three';
+import { Quaternion, Vector2, Vector3 } from 'three';
+import type { ClippingMode } from '../renderer/ClippingVolume';
+import { ClippingBox, isBoxClipped } from '../renderer/ClippingVolume';
+import type { PointCloudSource } from '../sources/PointCloudSource';
+import type { PointSet } from './PointSet';
+import { reorderPointSet } from './PointSet';
+import queryPoints from './queryPoints';
+
+const Z_AXIS = new Vector3(0, 0, 1);
+
+/**
+ * A polyline, either as an array of vertices, or as an object with a `points` property,
+ * such as a {@link entities.Shape | Shape} created with
+ * {@link interactions.DrawTool.createLineString | DrawTool.createLineString()}.
+ */
+export type Polyline = Readonly<Vector3[]> | { readonly points: Readonly<Vector3[]> };
+
+/**
+ * Options for {@link extractProfile}.
+ */
+export type ProfileOptions = {
+    /**
+     * The point cloud source to extract points from.
+     */
+    source: PointCloudSource;
+    /**
+     * The polyline of the profile. Only the horizontal (XY) components of the vertices are used.
+     */
+    polyline: Polyline;
+    /**
+     * The total width of the corridor around the polyline, in CRS units.
+     */
+    width: number;
+    /**
+     * The maximum depth of the nodes to load. Lower values give faster but sparser profiles.
+     * @defaultValue `Infinity` (full resolution)
+     */
+    maxDepth?: number;
+    /**
+     * The names of the attributes to extract.
+     * @defaultValue all attributes supported by the source
+     */
+    attributes?: string[];
+    /**
+     * An optional abort signal to cancel the extraction.
+     */
+    signal?: AbortSignal;
+    /**
+     * An optional callback called with the normalized progress of the extraction.
+     */
+    onProgress?: (progress: number) => void;
+};
+
+/**
+ * The points of a profile, sorted by distance along the polyline.
+ *
+ * Since a profile is a {@link PointSet}, it can be exported to LAS with
+ * {@link formats.writeLAS | writeLAS()}.
+ */
+export type Profile = PointSet & {
+    /**
+     * The distance of each point along the polyline, i.e the X axis of the profile.
+     */
+    distances: Float64Array;
+    /**
+     * The signed horizontal distance of each point to the polyline. Positive values are on the
+     * left side of the polyline.
+     */
+    offsets: Float32Array;
+    /**
+     * The elevation of each point, i.e the Y axis of the profile.
+     */
+    elevations: Float64Array;
+    /**
+     * The horizontal length of the polyline.
+     */
+    length: number;
+    /**
+     * The width of the corridor.
+     */
+    width: number;
+    /**
+     * The vertices of the polyline.
+     */
+    polyline: Vector3[];
+};
+
+type Segment = {
+    start: Vector2;
+    /** The normalized direction of the segment. */
+    direction: Vector2;
+    length: number;
+    /** The distance along the polyline of the start of the segment. */
+    distance: number;
+};
+
+function getVertices(polyline: Polyline): Vector3[] {
+    const points = 'points' in polyline ? polyline.points : polyline;
+    return points.map(p => p.clone());
+}
+
+function getSegments(vertices: Vector3[]): Segment[] {
+    const segments: Segment[] = [];
+    let distance = 0;
+
+    for (let i = 0; i < vertices.length - 1; i++) {
+        const start = new Vector2(vertices[i].x, vertices[i].y);
+        const end = new Vector2(vertices[i + 1].x, vertices[i + 1].y);
+        const length = start.distanceTo(end);
+
+        if (length === 0) {
+            continue;
+        }
+
+        segments.push({
+            start,
+            direction: end.sub(start).divideScalar(length),
+            length,
+            distance,
+        });
+
+        distance += length;
+    }
+
+    return segments;
+}
+
+/**
+ * Projects the point on the corridor. The point belongs to the segment for which it is inside
+ * the segment rectangle and the closest to the segment axis.
+ *
+ * @returns `false` if the point is outside the corridor.
+ */
+function project(
+    x: number,
+    y: number,
+    segments: Segment[],
+    halfWidth: number,
+    target: { distance: number; offset: number },
+): boolean {
+    let found = false;
+    let bestOffset = Infinity;
+
+    for (const s of segments) {
+        const dx = x - s.start.x;
+        const dy = y - s.start.y;
+        const along = dx * s.direction.x + dy * s.direction.y;
+        if (along < 0 || along > s.length) {
+            continue;
+        }
+        // Cross product: positive on the left side of the segment
+        const offset = s.direction.x * dy - s.direction.y * dx;
+        if (Math.abs(offset) <= halfWidth && Math.abs(offset) < Math.abs(bestOffset)) {
+            bestOffset = offset;
+            target.distance = s.distance + along;
+            target.offset = offset;
+            found = true;
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Returns the clipping volumes that match the corridor of a profile: one oriented box per
+ * segment of the polyline. Assign them to {@link entities.PointCloud.clippingVolumes} to only
+ * display (or highlight) the points of the corridor.
+ *
+ * ```js
+ * const volumes = getCorridorVolumes(shape, 10, { minZ: 0, maxZ: 500 });
+ * pointCloud.clippingVolumes = volumes;
+ * ```
+ *
+ * @param polyline - The polyline.
+ * @param width - The total width of the corridor.
+ * @param options - The options.
+ */
+export function getCorridorVolumes(
+    polyline: Polyline,
+    width: number,
+    options: {
+        /** The lowest elevation of the corridor. */
+        minZ: number;
+        /** The highest elevation of the corridor. */
+        maxZ: number;
+        /** @defaultValue `'inside'` */
+        mode?: ClippingMode;
+    },
+): ClippingBox[] {
+    const segments = getSegments(getVertices(polyline));
+    const { minZ, maxZ } = options;
+    const mode = options.mode ?? 'inside';
+
+    return segments.map(s => {
+        const center = new Vector3(
+            s.start.x + (s.direction.x * s.length) / 2,
+            s.start.y + (s.direction.y * s.length) / 2,
+            (minZ + maxZ) / 2,
+        );
+        const size = new Vector3(s.length, width, Math.max(maxZ - minZ, 0));
+        const rotation = new Quaternion().setFromAxisAngle(
+            Z_AXIS,
+            Math.atan2(s.direction.y, s.direction.x),
+        );
+
+        return new ClippingBox({ center, size, rotation, mode });
+    });
+}
+
+/**
+ * Extracts the elevation profile of the points located in a corridor around a polyline.
+ *
+ * Only the nodes of the hierarchy that intersect the corridor are loaded, up to the
+ * specified depth.
+ *
+ * ```js
+ * const shape = await drawTool.createLineString();
+ *
+ * const profile = await extractProfile({ source, polyline: shape, width: 5, maxDepth: 8 });
+ *
+ * for (let i = 0; i < profile.count; i++) {
+ *     plot(profile.distances[i], profile.elevations[i]);
+ * }
+ * ```
+ *
+ * @param options - The options.
+ * @returns The profile.
+ */
+export async function extractProfile(options: ProfileOptions): Promise<Profile> {
+    const { source, width } = options;
+
+    const polyline = getVertices(options.polyline);
+    const segments = getSegments(polyline);
+
+    if (segments.length === 0) {
+        throw new Error('the polyline must have at least two distinct vertices');
+    }
+
+    await source.initialize();
+    const root = await source.getHierarchy();
+
+    // The corridor spans the entire height of the point cloud
+    const corridor = getCorridorVolumes(polyline, width, {
+        minZ: root.volume.min.z - 1,
+        maxZ: root.volume.max.z + 1,
+    });
+
+    const halfWidth = width / 2;
+    const projection = { distance: 0, offset: 0 };
+
+    const points = await queryPoints({
+        source,
+        maxDepth: options.maxDepth,
+        attributes: options.attributes,
+        signal: options.signal,
+        onProgress: options.onProgress,
+        intersectsVolume: (volume: Box3) => !isBoxClipped(volume, corridor),
+        filter: (x, y) => project(x, y, segments, halfWidth, projection),
+    });
+
+    const distances = new Float64Array(points.count);
+    const offsets = new Float32Array(points.count);
+
+    for (let i = 0; i < points.count; i++) {
+        const x = points.positions[i * 3 + 0];
+        const y = points.positions[i * 3 + 1];
+        project(x, y, segments, halfWidth, projection);
+        distances[i] = projection.distance;
+        offsets[i] = projection.offset;
+    }
+
+    // Sort points by distance along the polyline
+    const order = new Uint32Array(points.count);
+    for (let i = 0; i < order.length; i++) {
+        order[i] = i;
+    }
+    order.sort((a, b) => distances[a] - distances[b]);
+
+    reorderPointSet(points, order);
+
+    const sortedDistances = new Float64Array(points.count);
+    const sortedOffsets = new Float32Array(points.count);
+    const elevations = new Float64Array(points.count);
+
+    for (let i = 0; i < order.length; i++) {
+        sortedDistances[i] = distances[order[i]];
+        sortedOffsets[i] = offsets[order[i]];
+        elevations[i] = points.positions[i * 3 + 2];
+    }
+
+    const last = segments[segments.length - 1];
+
+    return {
+        ...points,
+        distances: sortedDistances,
+        offsets: sortedOffsets,
+        elevations,
+        length: last.distance + last.length,
+        width,
+        polyline,
+    };
+}
+
+/**
+ * Options for {@link profileToCSV}.
+ */
+export type ProfileCSVOptions = {
+    /**
+     * The column separator.
+     * @defaultValue `','`
+     */
+    separator?: string;
+    /**
+     * The number of decimals of distances and coordinates.
+     * @defaultValue 3
+     */
+    precision?: number;
+};
+
+/**
+ * Exports the profile as CSV, with one line per point. The columns are the distance along the
+ * polyline, the elevation, the offset to the polyline, the XYZ coordinates, then one column per
+ * attribute (colors are split into 3 columns).
+ *
+ * @param profile - The profile to export.
+ * @param options - The options.
+ * @returns The CSV content.
+ */
+export function profileToCSV(profile: Profile, options: ProfileCSVOptions = {}): string {
+    const separator = options.separator ?? ',';
+    const precision = options.precision ?? 3;
+
+    const header = ['distance', 'elevation', 'offset', 'x', 'y', 'z'];
+    for (const { attribute } of profile.attributes) {
+        if (attribute.dimension === 3) {
+            header.push(`${attribute.name}_r`, `${attribute.name}_g`, `${attribute.name}_b`);
+        } else {
+            header.push(attribute.name);
+        }
+    }
+
+    const lines: string[] = [header.join(separator)];
+    const { positions } = profile;
+
+    for (let i = 0; i < profile.count; i++) {
+        const row: Array<string | number> = [
+            profile.distances[i].toFixed(precision),
+            profile.elevations[i].toFixed(precision),
+            profile.offsets[i].toFixed(precision),
+            positions[i * 3 + 0].toFixed(precision),
+            positions[i * 3 + 1].toFixed(precision),
+            positions[i * 3 + 2].toFixed(precision),
+        ];
+
+        for (const { attribute, values } of profile.attributes) {
+            for (let k = 0; k < attribute.dimension; k++) {
+                row.push(values[i * attribute.dimension + k]);
+            }
+        }
+
+        lines.push(row.join(separator));
+    }
+
+    return lines.join('\n');
+}
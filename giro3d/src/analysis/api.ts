@@ -0,0 +1,70 @@
+import type {
+    ComputeVolumeOptions,
+    VolumeBase,
+    VolumeResult,
+    VolumeSurface,
+} from './computeVolume';
+import computeVolume from './computeVolume';
+import type {
+    ChangeAttributesOptions,
+    ChangeDetectionMethod,
+    ChangeEpoch,
+    ChangeHistogram,
+    ChangeStatistics,
+    DetectChangesOptions,
+} from './detectChanges';
+import detectChanges, { ChangeClass, ChangeDetection } from './detectChanges';
+import type { ExportPointsOptions, PointExportFormat } from './exportPoints';
+import exportPoints from './exportPoints';
+import type { Polyline, Profile, ProfileCSVOptions, ProfileOptions } from './Profile';
+import { extractProfile, getCorridorVolumes, profileToCSV } from './Profile';
+import type { PointSet, PointSetAttribute } from './PointSet';
+import { getPointSetAttribute, PointSetBuilder, reorderPointSet } from './PointSet';
+import type { PointStreamInfo, QueryPointsOptions } from './queryPoints';
+import queryPoints, { streamPoints } from './queryPoints';
+import type { Raster, RasterizationMethod, RasterizePointsOptions } from './rasterizePoints';
+import rasterizePoints from './rasterizePoints';
+
+/**
+ * Analysis tools that operate on point cloud data, such as profile extraction, export,
+ * rasterization, volume computation and change detection.
+ */
+export {
+    ChangeAttributesOptions,
+    ChangeClass,
+    ChangeDetection,
+    ChangeDetectionMethod,
+    ChangeEpoch,
+    ChangeHistogram,
+    ChangeStatistics,
+    computeVolume,
+    ComputeVolumeOptions,
+    detectChanges,
+    DetectChangesOptions,
+    exportPoints,
+    ExportPointsOptions,
+    extractProfile,
+    getCorridorVolumes,
+    getPointSetAttribute,
+    PointExportFormat,
+    PointSet,
+    PointSetAttribute,
+    PointSetBuilder,
+    PointStreamInfo,
+    Polyline,
+    Profile,
+    ProfileCSVOptions,
+    ProfileOptions,
+    profileToCSV,
+    queryPoints,
+    QueryPointsOptions,
+    Raster,
+    RasterizationMethod,
+    rasterizePoints,
+    RasterizePointsOptions,
+    reorderPointSet,
+    streamPoints,
+    VolumeBase,
+    VolumeResult,
+    VolumeSurface,
+};
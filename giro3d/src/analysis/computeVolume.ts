@@ -0,0 +1,533 @@
+import { Vector3 } from 'three';
+import Coordinates from '../core/geographic/Coordinates';
+import Extent from '../core/geographic/Extent';
+import type Map from '../entities/Map';
+import { isMap } from '../entities/Map';
+import type PointCloud from '../entities/PointCloud';
+import { isPointCloud } from '../entities/PointCloud';
+import { isShape } from '../entities/Shape';
+import type { Polyline } from './Profile';
+import type { Raster, RasterizationMethod } from './rasterizePoints';
+import rasterizePoints, { isNodata } from './rasterizePoints';
+
+/**
+ * A surface from which elevations are sampled by {@link computeVolume}:
+ * - a {@link entities.PointCloud | PointCloud}, rasterized at the cell size of the computation,
+ * - a {@link entities.Map | Map}, sampled with {@link entities.Map.getElevation | getElevation()}
+ * (this requires {@link entities.TerrainOptions.enableCPUTerrain | CPU terrain}),
+ * - a {@link Raster}, such as a grid produced by {@link rasterizePoints}.
+ */
+export type VolumeSurface = PointCloud | Map | Raster;
+
+/**
+ * The base from which the volumes are measured:
+ * - `'elevation'`: a horizontal plane at a fixed elevation,
+ * - `'plane'`: the plane that best fits the vertices of the polygon (least squares), e.g the toe
+ * of a stockpile,
+ * - `'surface'`: another surface, e.g a previous survey of the same area.
+ */
+export type VolumeBase =
+    | { type: 'elevation'; elevation: number }
+    | { type: 'plane' }
+    | { type: 'surface'; surface: VolumeSurface };
+
+/**
+ * Options for {@link computeVolume}.
+ */
+export type ComputeVolumeOptions = {
+    /**
+     * The closed polygon that delimits the area to measure, in the coordinate system of the
+     * surfaces, e.g a closed {@link entities.Shape | Shape}. The polygon does not have to repeat
+     * its first vertex.
+     */
+    polygon: Polyline;
+    /**
+     * The measured surface.
+     */
+    surface: VolumeSurface;
+    /**
+     * The base from which the volumes are measured.
+     */
+    base: VolumeBase;
+    /**
+     * The size of the cells of the computation grid, in CRS units.
+     */
+    cellSize: number;
+    /**
+     * The method used to rasterize point clouds.
+     * @defaultValue `'tin'`
+     */
+    method?: RasterizationMethod;
+    /**
+     * If specified, only the points with those classifications are used when rasterizing point
+     * clouds.
+     * @defaultValue all points are used
+     */
+    classifications?: number[];
+    /**
+     * The maximum size, in cells, of the holes to fill when rasterizing point clouds. See
+     * {@link RasterizePointsOptions.fillHoles}.
+     * @defaultValue 0 (no hole filling)
+     */
+    fillHoles?: number;
+    /**
+     * The value of empty cells in the difference grid, rounded to the nearest 32-bit float. It
+     * can be `NaN`.
+     * @defaultValue -9999
+     */
+    nodata?: number;
+    /**
+     * An optional abort signal to cancel the computation.
+     */
+    signal?: AbortSignal;
+    /**
+     * An optional callback called with the normalized progress of the computation.
+     */
+    onProgress?: (progress: number) => void;
+};
+
+/**
+ * The result of {@link computeVolume}. Volumes are in cubic CRS units, and areas in square CRS
+ * units.
+ */
+export type VolumeResult = {
+    /**
+     * The volume of the surface above the base, i.e the volume to remove to reach the base.
+     */
+    cut: number;
+    /**
+     * The volume of the surface below the base, i.e the volume to add to reach the base.
+     */
+    fill: number;
+    /**
+     * The net volume (`cut - fill`).
+     */
+    net: number;
+    /**
+     * The horizontal area of the cells of the polygon where both the surface and the base are
+     * defined.
+     */
+    area: number;
+    /**
+     * The area of the surface itself, taking its slope into account, over the same cells.
+     */
+    surfaceArea: number;
+    /**
+     * The ratio of the cells of the polygon where both the surface and the base are defined.
+     * A low coverage indicates that the volumes are underestimated.
+     */
+    coverage: number;
+    /**
+     * The height of the surface above the base (negative below), for each cell. The cells outside
+     * the polygon, or where the surface or base are not defined, are empty.
+     */
+    differences: Raster;
+};
+
+const DEFAULT_NODATA = -9999;
+
+/**
+ * A grid of cells, whose rows start from the top-left (north-west) corner.
+ *
+ * @internal
+ */
+export type Grid = {
+    extent: Extent;
+    width: number;
+    height: number;
+    cellSize: number;
+};
+
+/**
+ * Returns the vertices of the polygon, without the closing vertex.
+ */
+function getPolygonVertices(polygon: Polyline): Vector3[] {
+    if (isShape(polygon) && !polygon.isClosed) {
+        throw new Error('the shape must be a closed polygon');
+    }
+
+    const points = 'points' in polygon ? polygon.points : polygon;
+    const vertices = points.map(p => p.clone());
+
+    if (vertices.length > 1 && vertices[0].equals(vertices[vertices.length - 1])) {
+        vertices.pop();
+    }
+
+    if (vertices.length < 3) {
+        throw new Error('the polygon must have at least 3 vertices');
+    }
+
+    return vertices;
+}
+
+/**
+ * Returns the cells whose center is inside the polygon (even-odd rule).
+ *
+ * @internal
+ */
+export function getPolygonMask(vertices: Vector3[], grid: Grid): Uint8Array {
+    const { extent, width, height, cellSize } = grid;
+    const mask = new Uint8Array(width * height);
+
+    for (let j = 0; j < height; j++) {
+        const y = extent.north - (j + 0.5) * cellSize;
+
+        // The abscissae where the polygon crosses the row
+        const crossings: number[] = [];
+        for (let k = 0; k < vertices.length; k++) {
+            const a = vertices[k];
+            const b = vertices[(k + 1) % vertices.length];
+            if (a.y > y !== b.y > y) {
+                crossings.push(a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x));
+            }
+        }
+        crossings.sort((a, b) => a - b);
+
+        for (let c = 0; c + 1 < crossings.length; c += 2) {
+            const minI = Math.max(Math.ceil((crossings[c] - extent.west) / cellSize - 0.5), 0);
+            const maxI = Math.min(
+                Math.floor((crossings[c + 1] - extent.west) / cellSize - 0.5),
+                width - 1,
+            );
+            for (let i = minI; i <= maxI; i++) {
+                mask[j * width + i] = 1;
+            }
+        }
+    }
+
+    return mask;
+}
+
+/**
+ * Returns the plane `z = a * x + b * y + c` that best fits the vertices, in the least squares
+ * sense, as a function of the coordinates.
+ *
+ * @internal
+ */
+export function fitPlane(vertices: Vector3[]): (x: number, y: number) => number {
+    // Coordinates are relative to the centroid to preserve precision
+    const centroid = new Vector3();
+    vertices.forEach(v => centroid.add(v));
+    centroid.divideScalar(vertices.length);
+
+    let xx = 0;
+    let xy = 0;
+    let yy = 0;
+    let xz = 0;
+    let yz = 0;
+
+    for (const v of vertices) {
+        const x = v.x - centroid.x;
+        const y = v.y - centroid.y;
+        const z = v.z - centroid.z;
+        xx += x * x;
+        xy += x * y;
+        yy += y * y;
+        xz += x * z;
+        yz += y * z;
+    }
+
+    // The normal equations, since the sums of the relative coordinates are zero
+    const determinant = xx * yy - xy * xy;
+
+    if (!(determinant > 1e-12 * xx * yy)) {
+        throw new Error('the polygon vertices are collinear');
+    }
+
+    const a = (xz * yy - yz * xy) / determinant;
+    const b = (yz * xx - xz * xy) / determinant;
+
+    return (x, y) => centroid.z + a * (x - centroid.x) + b * (y - centroid.y);
+}
+
+function sampleMap(map: Map, grid: Grid): Float32Array {
+    const { extent, width, height, cellSize } = grid;
+    const values = new Float32Array(width * height).fill(NaN);
+    const coordinates = new Coordinates(extent.crs, 0, 0);
+
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            coordinates.set(
+                extent.crs,
+                extent.west + (i + 0.5) * cellSize,
+                extent.north - (j + 0.5) * cellSize,
+            );
+
+            const { samples } = map.getElevation({ coordinates });
+
+            if (samples.length > 0) {
+                // The sample with the best resolution
+                samples.sort((a, b) => a.resolution - b.resolution);
+                values[j * width + i] = samples[0].elevation;
+            }
+        }
+    }
+
+    return values;
+}
+
+function sampleRaster(raster: Raster, grid: Grid): Float32Array {
+    const { extent, width, height, cellSize } = grid;
+    const values = new Float32Array(width * height).fill(NaN);
+    // The raster may have been built with a nodata value that is not a 32-bit float
+    const nodata = Math.fround(raster.nodata);
+
+    for (let j = 0; j < height; j++) {
+        const y = extent.north - (j + 0.5) * cellSize;
+        const rj = Math.floor((raster.extent.north - y) / raster.cellSize);
+        if (rj < 0 || rj >= raster.height) {
+            continue;
+        }
+
+        for (let i = 0; i < width; i++) {
+            const x = extent.west + (i + 0.5) * cellSize;
+            const ri = Math.floor((x - raster.extent.west) / raster.cellSize);
+            if (ri < 0 || ri >= raster.width) {
+                continue;
+            }
+
+            const value = raster.values[rj * raster.width + ri];
+            if (!isNodata(value, nodata)) {
+                values[j * width + i] = value;
+            }
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Samples the surface at the center of each cell of the grid. Undefined values are `NaN`.
+ */
+async function sampleSurface(
+    surface: VolumeSurface,
+    grid: Grid,
+    options: ComputeVolumeOptions,
+    onProgress?: (progress: number) => void,
+): Promise<Float32Array> {
+    if (isPointCloud(surface)) {
+        // The grid is an exact multiple of the cell size, so both grids are aligned
+        const raster = await rasterizePoints({
+            source: surface.source,
+            extent: grid.extent,
+            cellSize: grid.cellSize,
+            method: options.method ?? 'tin',
+            classifications: options.classifications,
+            fillHoles: options.fillHoles,
+            signal: options.signal,
+            onProgress,
+        });
+
+        return sampleRaster(raster, grid);
+    }
+
+    if (isMap(surface)) {
+        const values = sampleMap(surface, grid);
+        onProgress?.(1);
+        return values;
+    }
+
+    if (surface != null && 'values' in surface) {
+        const values = sampleRaster(surface, grid);
+        onProgress?.(1);
+        return values;
+    }
+
+    throw new Error('unsupported surface');
+}
+
+function getCrs(surface: VolumeSurface): string {
+    if (isPointCloud(surface)) {
+        return surface.instance.referenceCrs;
+    }
+    return surface.extent.crs;
+}
+
+/**
+ * Returns the area of the surface over the cell, from the slope of the surface, estimated with
+ * the neighbouring cells.
+ */
+function getCellSurfaceArea(
+    values: Float32Array,
+    width: number,
+    height: number,
+    i: number,
+    j: number,
+    cellSize: number,
+): number {
+    const value = (x: number, y: number) =>
+        x >= 0 && x < width && y >= 0 && y < height ? values[y * width + x] : NaN;
+
+    const slope = (before: number, center: number, after: number) => {
+        if (!Number.isNaN(before) && !Number.isNaN(after)) {
+            return (after - before) / (2 * cellSize);
+        }
+        if (!Number.isNaN(after)) {
+            return (after - center) / cellSize;
+        }
+        if (!Number.isNaN(before)) {
+            return (center - before) / cellSize;
+        }
+        return 0;
+    };
+
+    const z = value(i, j);
+    const dx = slope(value(i - 1, j), z, value(i + 1, j));
+    const dy = slope(value(i, j - 1), z, value(i, j + 1));
+
+    return cellSize * cellSize * Math.sqrt(1 + dx * dx + dy * dy);
+}
+
+/**
+ * Computes the volumes between a surface and a base inside a polygon, such as the volume of a
+ * stockpile, or the cut and fill volumes between two surveys.
+ *
+ * The polygon is divided into a grid of square cells, and both the surface and the base are
+ * sampled at the center of each cell inside the polygon. Cells where the surface or the base is
+ * not defined are ignored.
+ *
+ * ```js
+ * // The polygon drawn by the user, e.g with DrawTool.createPolygon()
+ * const shape = await drawTool.createPolygon();
+ *
+ * const result = await computeVolume({
+ *     polygon: shape,
+ *     surface: pointCloud,
+ *     base: { type: 'plane' },
+ *     cellSize: 0.5,
+ * });
+ *
+ * console.log(`stockpile volume: ${result.cut} m³`);
+ *
+ * // Display the volumes in the polygon
+ * shape.surfaceLabelFormatter = volumeFormatter(result);
+ * ```
+ *
+ * @param options - The options.
+ * @returns The volumes.
+ * @throws {@link Error} If the polygon is not closed, or if it has less than 3 vertices, or if
+ * the base is a plane and the vertices are collinear.
+ */
+export default async function computeVolume(options: ComputeVolumeOptions): Promise<VolumeResult> {
+    const { surface, base, cellSize } = options;
+    // The nodata value is compared with the differences, that are 32-bit floats
+    const nodata = Math.fround(options.nodata ?? DEFAULT_NODATA);
+
+    if (!(cellSize > 0)) {
+        throw new Error('the cell size must be a strictly positive number');
+    }
+
+    const vertices = getPolygonVertices(options.polygon);
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const v of vertices) {
+        minX = Math.min(minX, v.x);
+        minY = Math.min(minY, v.y);
+        maxX = Math.max(maxX, v.x);
+        maxY = Math.max(maxY, v.y);
+    }
+
+    const width = Math.max(1, Math.ceil((maxX - minX) / cellSize));
+    const height = Math.max(1, Math.ceil((maxY - minY) / cellSize));
+    const extent = new Extent(
+        getCrs(surface),
+        minX,
+        minX + width * cellSize,
+        maxY - height * cellSize,
+        maxY,
+    );
+    const grid: Grid = { extent, width, height, cellSize };
+
+    const mask = getPolygonMask(vertices, grid);
+
+    // When both surfaces are sampled, each one accounts for half of the progress
+    const stages = base.type === 'surface' ? 2 : 1;
+    const progress = (stage: number) => (p: number) => options.onProgress?.((stage + p) / stages);
+
+    const surfaceValues = await sampleSurface(surface, grid, options, progress(0));
+
+    let baseValues: Float32Array;
+    switch (base.type) {
+        case 'elevation':
+            baseValues = new Float32Array(width * height).fill(base.elevation);
+            break;
+        case 'plane': {
+            const plane = fitPlane(vertices);
+            baseValues = new Float32Array(width * height);
+            for (let j = 0; j < height; j++) {
+                for (let i = 0; i < width; i++) {
+                    const x = extent.west + (i + 0.5) * cellSize;
+                    const y = extent.north - (j + 0.5) * cellSize;
+                    baseValues[j * width + i] = plane(x, y);
+                }
+            }
+            break;
+        }
+        case 'surface':
+            baseValues = await sampleSurface(base.surface, grid, options, progress(1));
+            break;
+        default:
+            throw new Error('unsupported base type');
+    }
+
+    const cellArea = cellSize * cellSize;
+    const differences = new Float32Array(width * height).fill(nodata);
+
+    let cut = 0;
+    let fill = 0;
+    let cells = 0;
+    let polygonCells = 0;
+    let surfaceArea = 0;
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            const index = j * width + i;
+            if (mask[index] === 0) {
+                continue;
+            }
+
+            polygonCells++;
+
+            const difference = surfaceValues[index] - baseValues[index];
+            if (Number.isNaN(difference)) {
+                continue;
+            }
+
+            if (difference > 0) {
+                cut += difference * cellArea;
+            } else {
+                fill -= difference * cellArea;
+            }
+
+            cells++;
+            surfaceArea += getCellSurfaceArea(surfaceValues, width, height, i, j, cellSize);
+            differences[index] = difference;
+            min = Math.min(min, difference);
+            max = Math.max(max, difference);
+        }
+    }
+
+    return {
+        cut,
+        fill,
+        net: cut - fill,
+        area: cells * cellArea,
+        surfaceArea,
+        coverage: polygonCells > 0 ? cells / polygonCells : 0,
+        differences: {
+            extent,
+            width,
+            height,
+            cellSize,
+            values: differences,
+            nodata,
+            min: Number.isFinite(min) ? min : nodata,
+            max: Number.isFinite(max) ? max : nodata,
+        },
+    };
+}
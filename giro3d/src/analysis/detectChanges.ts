@@ -0,0 +1,759 @@
+import { MathUtils } from 'three';
+import { GlobalCache } from '../core/Cache';
+import type PointCloud from '../entities/PointCloud';
+import { isPointCloud } from '../entities/PointCloud';
+import type { PointCloudNode, PointCloudSource } from '../sources/PointCloudSource';
+import PointGrid from '../utils/PointGrid';
+import PromiseUtils from '../utils/PromiseUtils';
+import { nonNull } from '../utils/tsutils';
+import { streamPoints } from './queryPoints';
+
+/**
+ * The method used to compute the distance between the two point clouds:
+ * - `'c2c'`: the cloud-to-cloud distance, i.e the distance from each point to the nearest point
+ * of the other cloud. The distance is always positive.
+ * - `'m3c2'`: a simplified version of the Multiscale Model to Model Cloud Comparison (M3C2)
+ * algorithm. The distance is measured along the normal of the surface, between the mean
+ * positions of both clouds in a cylinder around the normal. The distance is signed: it is
+ * positive where the compared surface is above (or in front of) the reference surface.
+ */
+export type ChangeDetectionMethod = 'c2c' | 'm3c2';
+
+/**
+ * The epoch of a point cloud in a {@link ChangeDetection}.
+ */
+export type ChangeEpoch = 'reference' | 'compared';
+
+/**
+ * The classification of the changes, as stored in the class attribute added by
+ * {@link ChangeDetection.addAttributes}.
+ */
+export enum ChangeClass {
+    /** The distance to the other epoch is below the threshold. */
+    Unchanged = 0,
+    /**
+     * The point belongs to a surface that only exists in the compared epoch or, with method
+     * `'m3c2'`, the compared surface is above the reference surface.
+     */
+    Appeared = 1,
+    /**
+     * The point belongs to a surface that only exists in the reference epoch or, with method
+     * `'m3c2'`, the compared surface is below the reference surface.
+     */
+    Disappeared = 2,
+}
+
+/**
+ * Options for {@link detectChanges}.
+ */
+export type DetectChangesOptions = {
+    /**
+     * The point cloud of the earlier epoch.
+     */
+    reference: PointCloud | PointCloudSource;
+    /**
+     * The point cloud of the later epoch.
+     */
+    compared: PointCloud | PointCloudSource;
+    /**
+     * The distance computation method.
+     * @defaultValue `'c2c'`
+     */
+    method?: ChangeDetectionMethod;
+    /**
+     * The distance below which a point is considered unchanged, in CRS units. This is typically
+     * the level of detection of the survey (registration error and noise).
+     */
+    threshold: number;
+    /**
+     * The maximum distance at which corresponding points are searched, in CRS units. Points
+     * without any counterpart within this distance have no distance and are classified as
+     * appeared (compared epoch) or disappeared (reference epoch).
+     * @defaultValue `10 * threshold`
+     */
+    maxDistance?: number;
+    /**
+     * The radius of the neighbourhood used to compute the normals, for method `'m3c2'`.
+     * @defaultValue `maxDistance / 2`
+     */
+    normalRadius?: number;
+    /**
+     * The radius of the cylinder in which the points are averaged, for method `'m3c2'`.
+     * @defaultValue `normalRadius / 2`
+     */
+    projectionRadius?: number;
+    /**
+     * The maximum depth of the nodes to load. The points of the deeper nodes are ignored, which
+     * speeds up the computation on large point clouds.
+     * @defaultValue `Infinity` (full resolution)
+     */
+    maxDepth?: number;
+    /**
+     * The number of bins of the histograms.
+     * @defaultValue 32
+     */
+    bins?: number;
+    /**
+     * An optional abort signal to cancel the computation.
+     */
+    signal?: AbortSignal;
+    /**
+     * An optional callback called with the normalized progress of the computation.
+     */
+    onProgress?: (progress: number) => void;
+};
+
+/**
+ * The distribution of the distances, in bins of equal size.
+ */
+export type ChangeHistogram = {
+    /** The lower bound of the first bin. */
+    min: number;
+    /** The upper bound of the last bin. */
+    max: number;
+    /** The size of each bin. */
+    binSize: number;
+    /** The number of points in each bin. */
+    counts: number[];
+};
+
+/**
+ * The statistics of the distances of the points of one epoch to the other epoch.
+ */
+export type ChangeStatistics = {
+    /** The number of points of the epoch. */
+    count: number;
+    /** The number of points that have a counterpart in the other epoch, i.e a distance. */
+    matched: number;
+    /** The lowest distance, or `NaN` if no point has a distance. */
+    min: number;
+    /** The highest distance, or `NaN` if no point has a distance. */
+    max: number;
+    /** The mean distance, or `NaN` if no point has a distance. */
+    mean: number;
+    /** The standard deviation of the distances, or `NaN` if no point has a distance. */
+    standardDeviation: number;
+    /** The histogram of the distances. */
+    histogram: ChangeHistogram;
+    /** The number of {@link ChangeClass.Unchanged | unchanged} points. */
+    unchanged: number;
+    /** The number of {@link ChangeClass.Appeared | appeared} points. */
+    appeared: number;
+    /** The number of {@link ChangeClass.Disappeared | disappeared} points. */
+    disappeared: number;
+};
+
+/**
+ * Options for {@link ChangeDetection.addAttributes}.
+ */
+export type ChangeAttributesOptions = {
+    /**
+     * The epoch of the point cloud.
+     * @defaultValue the epoch whose source is the source of the point cloud
+     */
+    epoch?: ChangeEpoch;
+    /**
+     * The name of the distance attribute.
+     * @defaultValue `'Change distance'`
+     */
+    distanceAttribute?: string;
+    /**
+     * The name of the class attribute.
+     * @defaultValue `'Change class'`
+     */
+    classAttribute?: string;
+};
+
+const DEFAULT_BINS = 32;
+/** The number of distances computed between two yields to the event loop. */
+const DISTANCE_BATCH_SIZE = 10000;
+const MIN_NORMAL_NEIGHBOURS = 3;
+
+function getSource(cloud: PointCloud | PointCloudSource): PointCloudSource {
+    return isPointCloud(cloud) ? cloud.source : cloud;
+}
+
+async function loadPositions(
+    source: PointCloudSource,
+    maxDepth: number | undefined,
+    signal: AbortSignal | undefined,
+    onProgress: (progress: number) => void,
+): Promise<Float64Array> {
+    const chunks: Float64Array[] = [];
+    let length = 0;
+
+    await streamPoints({ source, maxDepth, attributes: [], signal, onProgress }, points => {
+        const chunk = points.positions.subarray(0, points.count * 3);
+        chunks.push(chunk);
+        length += chunk.length;
+    });
+
+    const positions = new Float64Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        positions.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    return positions;
+}
+
+/**
+ * Computes the normal of the points of the grid around the position, as the eigenvector of the
+ * smallest eigenvalue of their covariance matrix, oriented upwards.
+ *
+ * @internal
+ */
+export function computeNormal(
+    grid: PointGrid,
+    x: number,
+    y: number,
+    z: number,
+    radius: number,
+    target: Float64Array,
+): Float64Array {
+    const positions = grid.positions;
+
+    // The covariance is computed relative to the position, to preserve precision
+    let n = 0;
+    let sx = 0;
+    let sy = 0;
+    let sz = 0;
+    let sxx = 0;
+    let sxy = 0;
+    let sxz = 0;
+    let syy = 0;
+    let syz = 0;
+    let szz = 0;
+
+    grid.forEachInRadius(x, y, z, radius, index => {
+        const dx = positions[index * 3 + 0] - x;
+        const dy = positions[index * 3 + 1] - y;
+        const dz = positions[index * 3 + 2] - z;
+        n++;
+        sx += dx;
+        sy += dy;
+        sz += dz;
+        sxx += dx * dx;
+        sxy += dx * dy;
+        sxz += dx * dz;
+        syy += dy * dy;
+        syz += dy * dz;
+        szz += dz * dz;
+    });
+
+    target[0] = 0;
+    target[1] = 0;
+    target[2] = 1;
+
+    if (n < MIN_NORMAL_NEIGHBOURS) {
+        return target;
+    }
+
+    const a00 = sxx / n - (sx / n) ** 2;
+    const a01 = sxy / n - (sx / n) * (sy / n);
+    const a02 = sxz / n - (sx / n) * (sz / n);
+    const a11 = syy / n - (sy / n) ** 2;
+    const a12 = syz / n - (sy / n) * (sz / n);
+    const a22 = szz / n - (sz / n) ** 2;
+
+    // The smallest eigenvalue of the symmetric matrix, with the trigonometric solution of the
+    // characteristic equation.
+    const q = (a00 + a11 + a22) / 3;
+    const p1 = a01 * a01 + a02 * a02 + a12 * a12;
+    const p2 = (a00 - q) ** 2 + (a11 - q) ** 2 + (a22 - q) ** 2 + 2 * p1;
+    const p = Math.sqrt(p2 / 6);
+
+    if (p === 0) {
+        // Isotropic neighbourhood: there is no preferred direction
+        return target;
+    }
+
+    const b00 = (a00 - q) / p;
+    const b11 = (a11 - q) / p;
+    const b22 = (a22 - q) / p;
+    const b01 = a01 / p;
+    const b02 = a02 / p;
+    const b12 = a12 / p;
+    const r =
+        (b00 * (b11 * b22 - b12 * b12) -
+            b01 * (b01 * b22 - b12 * b02) +
+            b02 * (b01 * b12 - b11 * b02)) /
+        2;
+    const phi = Math.acos(Math.min(Math.max(r, -1), 1)) / 3;
+    const smallest = q + 2 * p * Math.cos(phi + (2 * Math.PI) / 3);
+
+    // The eigenvector is orthogonal to the rows of (A - λI): the largest cross product of rows
+    const rows = [
+        [a00 - smallest, a01, a02],
+        [a01, a11 - smallest, a12],
+        [a02, a12, a22 - smallest],
+    ];
+
+    let best = 0;
+    for (const [u, v] of [
+        [0, 1],
+        [0, 2],
+        [1, 2],
+    ]) {
+        const [ux, uy, uz] = rows[u];
+        const [vx, vy, vz] = rows[v];
+        const cx = uy * vz - uz * vy;
+        const cy = uz * vx - ux * vz;
+        const cz = ux * vy - uy * vx;
+        const length = Math.sqrt(cx * cx + cy * cy + cz * cz);
+        if (length > best) {
+            best = length;
+            const sign = cz < 0 ? -1 : 1;
+            target[0] = (sign * cx) / length;
+            target[1] = (sign * cy) / length;
+            target[2] = (sign * cz) / length;
+        }
+    }
+
+    return target;
+}
+
+function computeStatistics(
+    distances: Float32Array,
+    bins: number,
+    classify: (distance: number) => ChangeClass,
+): ChangeStatistics {
+    let matched = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    let sumSquares = 0;
+    const classes = [0, 0, 0];
+
+    for (let i = 0; i < distances.length; i++) {
+        const distance = distances[i];
+        classes[classify(distance)]++;
+        if (!Number.isNaN(distance)) {
+            matched++;
+            min = Math.min(min, distance);
+            max = Math.max(max, distance);
+            sum += distance;
+            sumSquares += distance * distance;
+        }
+    }
+
+    const counts = new Array<number>(bins).fill(0);
+    const binSize = matched > 0 ? (max - min) / bins : 0;
+
+    for (let i = 0; i < distances.length; i++) {
+        const distance = distances[i];
+        if (!Number.isNaN(distance)) {
+            const bin = binSize > 0 ? Math.floor((distance - min) / binSize) : 0;
+            counts[Math.min(bin, bins - 1)]++;
+        }
+    }
+
+    const mean = matched > 0 ? sum / matched : NaN;
+    const variance = matched > 0 ? Math.max(0, sumSquares / matched - mean * mean) : NaN;
+
+    return {
+        count: distances.length,
+        matched,
+        min: matched > 0 ? min : NaN,
+        max: matched > 0 ? max : NaN,
+        mean,
+        standardDeviation: Math.sqrt(variance),
+        histogram: {
+            min: matched > 0 ? min : NaN,
+            max: matched > 0 ? max : NaN,
+            binSize,
+            counts,
+        },
+        unchanged: classes[ChangeClass.Unchanged],
+        appeared: classes[ChangeClass.Appeared],
+        disappeared: classes[ChangeClass.Disappeared],
+    };
+}
+
+/**
+ * The result of {@link detectChanges}. It contains the statistics of the distances of both
+ * epochs, and can compute the distance of any point, e.g to display the changes on a
+ * {@link entities.PointCloud | PointCloud} with {@link addAttributes}.
+ */
+export class ChangeDetection {
+    /** The distance computation method. */
+    readonly method: ChangeDetectionMethod;
+    /** The distance below which a point is considered unchanged. */
+    readonly threshold: number;
+    /** The maximum distance at which corresponding points are searched. */
+    readonly maxDistance: number;
+
+    private _statistics: Record<ChangeEpoch, ChangeStatistics> | null = null;
+    private readonly _sources: Record<ChangeEpoch, PointCloudSource>;
+    private readonly _grids: Record<ChangeEpoch, PointGrid>;
+    private readonly _normalRadius: number;
+    private readonly _projectionRadius: number;
+    private readonly _normal = new Float64Array(3);
+
+    /**
+     * @internal
+     */
+    constructor(params: {
+        method: ChangeDetectionMethod;
+        threshold: number;
+        maxDistance: number;
+        normalRadius: number;
+        projectionRadius: number;
+        sources: Record<ChangeEpoch, PointCloudSource>;
+        grids: Record<ChangeEpoch, PointGrid>;
+    }) {
+        this.method = params.method;
+        this.threshold = params.threshold;
+        this.maxDistance = params.maxDistance;
+        this._normalRadius = params.normalRadius;
+        this._projectionRadius = params.projectionRadius;
+        this._sources = params.sources;
+        this._grids = params.grids;
+    }
+
+    /** The statistics of the distances of the points of the reference epoch. */
+    get reference(): ChangeStatistics {
+        return nonNull(this._statistics, 'statistics are not computed').reference;
+    }
+
+    /** The statistics of the distances of the points of the compared epoch. */
+    get compared(): ChangeStatistics {
+        return nonNull(this._statistics, 'statistics are not computed').compared;
+    }
+
+    /**
+     * Computes the distances of all the points of both epochs, and their statistics. The
+     * distances are computed by batches, yielding to the event loop between batches.
+     *
+     * @internal
+     */
+    async computeStatistics(
+        bins: number,
+        signal: AbortSignal | undefined,
+        onProgress: (progress: number) => void,
+    ): Promise<void> {
+        const total = this._grids.reference.count + this._grids.compared.count;
+        let done = 0;
+
+        const computeEpochStatistics = async (epoch: ChangeEpoch) => {
+            const { positions, count } = this._grids[epoch];
+
+            const distances = await this.computeDistances(positions, count, epoch, signal, n => {
+                done += n;
+                onProgress(done / total);
+            });
+
+            return computeStatistics(distances, bins, d => this.classify(d, epoch));
+        };
+
+        const reference = await computeEpochStatistics('reference');
+        const compared = await computeEpochStatistics('compared');
+
+        this._statistics = { reference, compared };
+    }
+
+    /**
+     * Computes the distances of the points of the specified epoch to the other epoch, by batches,
+     * yielding to the event loop between batches so that large sets of points do not block it.
+     *
+     * @param onBatch - Called after each batch, with the number of points of the batch.
+     */
+    private async computeDistances(
+        positions: Float64Array,
+        count: number,
+        epoch: ChangeEpoch,
+        signal?: AbortSignal,
+        onBatch?: (count: number) => void,
+    ): Promise<Float32Array> {
+        const distances = new Float32Array(count);
+
+        for (let start = 0; start < count; start += DISTANCE_BATCH_SIZE) {
+            signal?.throwIfAborted();
+
+            const end = Math.min(count, start + DISTANCE_BATCH_SIZE);
+            const batch = positions.subarray(start * 3, end * 3);
+            distances.set(this.getDistances(batch, end - start, epoch), start);
+
+            onBatch?.(end - start);
+
+            await PromiseUtils.delay(0);
+        }
+
+        return distances;
+    }
+
+    /**
+     * Computes the distance of a point of the specified epoch to the other epoch.
+     *
+     * @param x - The X coordinate of the point, in the coordinate system of the sources.
+     * @param y - The Y coordinate of the point.
+     * @param z - The Z coordinate of the point.
+     * @param epoch - The epoch of the point.
+     * @returns The distance, or `NaN` if the point has no counterpart in the other epoch.
+     */
+    getDistance(x: number, y: number, z: number, epoch: ChangeEpoch): number {
+        const other = this._grids[epoch === 'reference' ? 'compared' : 'reference'];
+
+        if (this.method === 'c2c') {
+            return other.getNearestDistance(x, y, z, this.maxDistance);
+        }
+
+        const own = this._grids[epoch];
+        const [nx, ny, nz] = computeNormal(own, x, y, z, this._normalRadius, this._normal);
+
+        const radius = this._projectionRadius;
+        const searchRadius = Math.sqrt(radius * radius + this.maxDistance * this.maxDistance);
+
+        // The mean position along the normal of the points in the cylinder
+        const project = (grid: PointGrid): number => {
+            const positions = grid.positions;
+            let sum = 0;
+            let count = 0;
+
+            grid.forEachInRadius(x, y, z, searchRadius, (index, distanceSquared) => {
+                const t =
+                    (positions[index * 3 + 0] - x) * nx +
+                    (positions[index * 3 + 1] - y) * ny +
+                    (positions[index * 3 + 2] - z) * nz;
+                if (Math.abs(t) <= this.maxDistance && distanceSquared - t * t <= radius * radius) {
+                    sum += t;
+                    count++;
+                }
+            });
+
+            // The point itself is on its own surface, even if it is not indexed
+            return count > 0 ? sum / count : grid === own ? 0 : NaN;
+        };
+
+        return project(this._grids.compared) - project(this._grids.reference);
+    }
+
+    /**
+     * Computes the distances of the points of the specified epoch to the other epoch.
+     *
+     * @param positions - The positions, as XYZ triplets, in the coordinate system of the sources.
+     * @param count - The number of points.
+     * @param epoch - The epoch of the points.
+     * @returns The distances, `NaN` for points without counterpart in the other epoch.
+     */
+    getDistances(positions: ArrayLike<number>, count: number, epoch: ChangeEpoch): Float32Array {
+        const distances = new Float32Array(count);
+
+        for (let i = 0; i < count; i++) {
+            distances[i] = this.getDistance(
+                positions[i * 3 + 0],
+                positions[i * 3 + 1],
+                positions[i * 3 + 2],
+                epoch,
+            );
+        }
+
+        return distances;
+    }
+
+    /**
+     * Classifies a distance computed for a point of the specified epoch.
+     *
+     * @param distance - The distance, as returned by {@link getDistance}.
+     * @param epoch - The epoch of the point.
+     * @returns The class of the point.
+     */
+    classify(distance: number, epoch: ChangeEpoch): ChangeClass {
+        const absent = epoch === 'compared' ? ChangeClass.Appeared : ChangeClass.Disappeared;
+
+        if (Number.isNaN(distance)) {
+            return absent;
+        }
+
+        if (this.method === 'c2c') {
+            return distance > this.threshold ? absent : ChangeClass.Unchanged;
+        }
+
+        if (distance > this.threshold) {
+            return ChangeClass.Appeared;
+        }
+        if (distance < -this.threshold) {
+            return ChangeClass.Disappeared;
+        }
+
+        return ChangeClass.Unchanged;
+    }
+
+    private getEpoch(pointCloud: PointCloud): ChangeEpoch {
+        if (pointCloud.source === this._sources.reference) {
+            return 'reference';
+        }
+        if (pointCloud.source === this._sources.compared) {
+            return 'compared';
+        }
+        throw new Error('the point cloud does not belong to any epoch');
+    }
+
+    /**
+     * Adds two {@link entities.PointCloud.addComputedAttribute | computed attributes} to the point
+     * cloud of one of the epochs:
+     * - a scalar attribute with the distance of each point to the other epoch (points without
+     * counterpart have no value),
+     * - a classification attribute with the {@link ChangeClass} of each point.
+     *
+     * ```js
+     * changes.addAttributes(pointCloud);
+     *
+     * // Display the distances with a color map
+     * pointCloud.setActiveAttribute('Change distance');
+     * pointCloud.colorMap = new ColorMap({ colors, min: -1, max: 1 });
+     *
+     * // Or display the classes
+     * pointCloud.classifications[ChangeClass.Appeared].color = new Color('green');
+     * pointCloud.classifications[ChangeClass.Disappeared].color = new Color('red');
+     * pointCloud.setActiveAttribute('Change class');
+     * ```
+     *
+     * @param pointCloud - The point cloud.
+     * @param options - The options.
+     * @throws {@link Error} If the epoch is not specified and the source of the point cloud is
+     * neither the reference nor the compared source.
+     */
+    addAttributes(pointCloud: PointCloud, options: ChangeAttributesOptions = {}) {
+        const epoch = options.epoch ?? this.getEpoch(pointCloud);
+        const statistics = this[epoch];
+
+        // Both attributes are computed from the same distances, that are cached so that they
+        // are computed once per node, whichever attributes are loaded.
+        const cachePrefix = MathUtils.generateUUID();
+        const getNodeDistances = (
+            node: PointCloudNode,
+            positions: Float64Array,
+            count: number,
+            signal?: AbortSignal,
+        ): Promise<Float32Array> => {
+            const cacheKey = `${cachePrefix}-${node.id}`;
+
+            const cached = GlobalCache.get(cacheKey);
+            if (cached != null) {
+                return cached as Promise<Float32Array>;
+            }
+
+            const distances = this.computeDistances(positions, count, epoch, signal);
+            GlobalCache.set(cacheKey, distances, { size: count * 4 });
+            // The distances of an aborted request must be computed again
+            distances.catch(() => GlobalCache.delete(cacheKey));
+            return distances;
+        };
+
+        pointCloud.addComputedAttribute(
+            {
+                name: options.distanceAttribute ?? 'Change distance',
+                dimension: 1,
+                interpretation: 'unknown',
+                type: 'float',
+                size: 4,
+                min: statistics.matched > 0 ? statistics.min : undefined,
+                max: statistics.matched > 0 ? statistics.max : undefined,
+            },
+            ({ node, count, positions, signal }) =>
+                getNodeDistances(node, positions, count, signal),
+        );
+
+        pointCloud.addComputedAttribute(
+            {
+                name: options.classAttribute ?? 'Change class',
+                dimension: 1,
+                interpretation: 'classification',
+                type: 'unsigned',
+                size: 1,
+            },
+            async ({ node, count, positions, signal }) => {
+                const distances = await getNodeDistances(node, positions, count, signal);
+                const classes = new Uint8Array(count);
+                for (let i = 0; i < count; i++) {
+                    classes[i] = this.classify(distances[i], epoch);
+                }
+                return classes;
+            },
+        );
+    }
+}
+
+/**
+ * Compares two epochs of a point cloud, e.g two surveys of the same site, and detects the
+ * changes between them.
+ *
+ * Both point clouds are loaded (down to `maxDepth`) and indexed, then the distance from each point
+ * of each epoch to the other epoch is computed, with the cloud-to-cloud or M3C2 method. The
+ * points are classified as {@link ChangeClass.Unchanged | unchanged},
+ * {@link ChangeClass.Appeared | appeared} or {@link ChangeClass.Disappeared | disappeared}, by
+ * comparing the distances to the threshold.
+ *
+ * Both sources must be in the same coordinate system.
+ *
+ * ```js
+ * const changes = await detectChanges({
+ *     reference: march,
+ *     compared: april,
+ *     method: 'm3c2',
+ *     threshold: 0.05,
+ *     maxDistance: 2,
+ * });
+ *
+ * const { appeared, disappeared, histogram } = changes.compared;
+ *
+ * changes.addAttributes(april);
+ * april.setActiveAttribute('Change distance');
+ * ```
+ *
+ * @param options - The options.
+ * @returns The detected changes.
+ */
+export default async function detectChanges(
+    options: DetectChangesOptions,
+): Promise<ChangeDetection> {
+    const { threshold, signal } = options;
+    const method = options.method ?? 'c2c';
+    const maxDistance = options.maxDistance ?? 10 * threshold;
+    const normalRadius = options.normalRadius ?? maxDistance / 2;
+    const projectionRadius = options.projectionRadius ?? normalRadius / 2;
+
+    if (!(threshold >= 0)) {
+        throw new Error('the threshold must be a positive number');
+    }
+    if (!(maxDistance > 0) || !(normalRadius > 0) || !(projectionRadius > 0)) {
+        throw new Error('the search distances must be strictly positive numbers');
+    }
+
+    const sources = {
+        reference: getSource(options.reference),
+        compared: getSource(options.compared),
+    };
+
+    // Loading each epoch takes 35% of the progress, and computing the distances 30%
+    const progress = (offset: number, range: number) => (p: number) =>
+        options.onProgress?.(offset + p * range);
+
+    const { maxDepth } = options;
+    const reference = await loadPositions(sources.reference, maxDepth, signal, progress(0, 0.35));
+    const compared = await loadPositions(sources.compared, maxDepth, signal, progress(0.35, 0.35));
+
+    const cellSize = method === 'c2c' ? maxDistance : Math.max(normalRadius, projectionRadius);
+
+    const result = new ChangeDetection({
+        method,
+        threshold,
+        maxDistance,
+        normalRadius,
+        projectionRadius,
+        sources,
+        grids: {
+            reference: new PointGrid(reference, cellSize),
+            compared: new PointGrid(compared, cellSize),
+        },
+    });
+
+    const bins = Math.max(1, Math.floor(options.bins ?? DEFAULT_BINS));
+    await result.computeStatistics(bins, signal, progress(0.7, 0.3));
+
+    options.onProgress?.(1);
+
+    return result;
+}
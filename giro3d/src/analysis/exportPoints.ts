@@ -0,0 +1,143 @@
+import { Box3, Vector3 } from 'three';
+import type PointCloud from '../entities/PointCloud';
+import { LASEncoder } from '../formats/LASWriter';
+import { PLYEncoder } from '../formats/PLYWriter';
+import type { ClippingVolume } from '../renderer/ClippingVolume';
+import { ClippingBox } from '../renderer/ClippingVolume';
+import type { PointCloudAttribute, PointCloudCrs } from '../sources/PointCloudSource';
+import { streamPoints } from './queryPoints';
+
+/**
+ * The supported export formats:
+ * - `'las'`: LAS 1.4 (point data record format 6 or 7)
+ * - `'ply'`: binary (little endian) PLY
+ * - `'ply-ascii'`: ASCII PLY
+ *
+ * Note: LAZ is not supported, as the bundled laz-perf library only provides decoders.
+ */
+export type PointExportFormat = 'las' | 'ply' | 'ply-ascii';
+
+/**
+ * Options for {@link exportPoints}.
+ */
+export type ExportPointsOptions = {
+    /**
+     * The point cloud to export. Points are exported in the coordinate system of its source,
+     * regardless of the transformation of the entity.
+     */
+    pointCloud: PointCloud;
+    /**
+     * The region to export, either as an axis-aligned box or a clipping volume (e.g a
+     * {@link renderer.ClippingPolygon | ClippingPolygon} created from a shape).
+     * The mode of the clipping volume is ignored: only points inside the volume are exported.
+     * If unspecified, the entire point cloud is exported.
+     */
+    region?: Box3 | ClippingVolume;
+    /**
+     * The maximum depth of the nodes to export. Lower values export a decimated version of the
+     * point cloud, as displayed at lower levels of detail.
+     * @defaultValue `Infinity` (full resolution)
+     */
+    maxDepth?: number;
+    /**
+     * The file format.
+     * @defaultValue `'las'`
+     */
+    format?: PointExportFormat;
+    /**
+     * The names of the attributes to export.
+     * @defaultValue all attributes supported by the source
+     */
+    attributes?: string[];
+    /**
+     * An optional abort signal to cancel the export.
+     */
+    signal?: AbortSignal;
+    /**
+     * An optional callback called with the normalized progress of the export, and the number
+     * of points exported so far.
+     */
+    onProgress?: (progress: number, pointCount: number) => void;
+};
+
+type Encoder = LASEncoder | PLYEncoder;
+
+function createEncoder(
+    format: PointExportFormat,
+    attributes: PointCloudAttribute[],
+    crs: PointCloudCrs | undefined,
+): Encoder {
+    switch (format) {
+        case 'las':
+            return new LASEncoder(attributes, crs);
+        case 'ply':
+            return new PLYEncoder(attributes, crs, { encoding: 'binary' });
+        case 'ply-ascii':
+            return new PLYEncoder(attributes, crs, { encoding: 'ascii' });
+        default:
+            throw new Error(`unsupported export format: ${format}`);
+    }
+}
+
+/**
+ * Exports the points of a point cloud to a file, optionally restricted to a region and to
+ * a maximum level of detail.
+ *
+ * Points are streamed node by node into the encoder, so that only the encoded data is kept
+ * in memory. All attributes are preserved when the format allows it (see
+ * {@link formats.LASEncoder | LASEncoder} and {@link formats.PLYEncoder | PLYEncoder}),
+ * as well as the coordinate system of the source.
+ *
+ * ```js
+ * const polygon = await drawTool.createPolygon();
+ *
+ * const blob = await exportPoints({
+ *     pointCloud,
+ *     region: ClippingPolygon.fromShape(polygon, { minZ: -1000, maxZ: 9000 }),
+ *     format: 'las',
+ *     onProgress: (progress, count) => console.log(`${count} points exported`),
+ * });
+ * ```
+ *
+ * @param options - The options.
+ * @returns The content of the file.
+ */
+export default async function exportPoints(options: ExportPointsOptions): Promise<Blob> {
+    const format = options.format ?? 'las';
+    const region: ClippingVolume | undefined =
+        options.region instanceof Box3 ? ClippingBox.fromBox3(options.region) : options.region;
+
+    const point = new Vector3();
+    const intersectsVolume = region != null ? (box: Box3) => region.intersectsBox(box) : undefined;
+    const filter =
+        region != null
+            ? (x: number, y: number, z: number) => region.containsPoint(point.set(x, y, z))
+            : undefined;
+
+    // The encoder is created with the first points, as we don't know the attributes before.
+    let encoder: Encoder | null = null;
+
+    const info = await streamPoints(
+        {
+            source: options.pointCloud.source,
+            maxDepth: options.maxDepth,
+            attributes: options.attributes,
+            signal: options.signal,
+            onProgress: p => options.onProgress?.(p, encoder?.count ?? 0),
+            intersectsVolume,
+            filter,
+        },
+        points => {
+            encoder ??= createEncoder(
+                format,
+                points.attributes.map(a => a.attribute),
+                points.crs,
+            );
+            encoder.add(points);
+        },
+    );
+
+    const result: Encoder = encoder ?? createEncoder(format, info.attributes, info.crs);
+
+    return new Blob(result.finish(), { type: 'application/octet-stream' });
+}
@@ -0,0 +1,261 @@
+import type { Box3 } from 'three';
+import type {
+    PointCloudAttribute,
+    PointCloudCrs,
+    PointCloudNode,
+    PointCloudNodeData,
+    PointCloudSource,
+} from '../sources/PointCloudSource';
+import type { PointSet } from './PointSet';
+import { PointSetBuilder } from './PointSet';
+
+/**
+ * The maximum number of nodes loaded in parallel.
+ */
+const MAX_CONCURRENT_NODES = 8;
+
+/**
+ * Options for {@link queryPoints} and {@link streamPoints}.
+ */
+export type QueryPointsOptions = {
+    /**
+     * The source to query.
+     */
+    source: PointCloudSource;
+    /**
+     * Returns `true` if the world space volume of a node may contain points of interest.
+     * Nodes for which this function returns `false` are not loaded, nor their descendants.
+     * If unspecified, all nodes are loaded.
+     */
+    intersectsVolume?: (volume: Box3) => boolean;
+    /**
+     * Returns `true` if the point at the specified world space coordinates must be kept.
+     * If unspecified, all points of the loaded nodes are kept.
+     */
+    filter?: (x: number, y: number, z: number) => boolean;
+    /**
+     * The maximum depth of the nodes to load. A depth of zero only loads the root node.
+     * @defaultValue `Infinity` (full resolution)
+     */
+    maxDepth?: number;
+    /**
+     * The names of the attributes to extract.
+     * @defaultValue all attributes supported by the source
+     */
+    attributes?: string[];
+    /**
+     * An optional abort signal to cancel the query.
+     */
+    signal?: AbortSignal;
+    /**
+     * An optional callback called with the normalized progress of the query, in the [0, 1] range.
+     */
+    onProgress?: (progress: number) => void;
+};
+
+function selectAttributes(
+    available: PointCloudAttribute[],
+    names: string[] | undefined,
+): PointCloudAttribute[] {
+    if (names == null) {
+        return available;
+    }
+
+    return names.map(name => {
+        const attribute = available.find(a => a.name === name);
+        if (attribute == null) {
+            throw new Error(`attribute '${name}' is not supported by the source`);
+        }
+        return attribute;
+    });
+}
+
+/**
+ * Loads the points of a single node and returns the points that pass the filter.
+ */
+async function processNode(
+    node: PointCloudNode,
+    attributes: PointCloudAttribute[],
+    crs: PointCloudCrs | undefined,
+    options: QueryPointsOptions,
+): Promise<PointSet | null> {
+    const { source, signal, filter } = options;
+
+    // The positions are only requested along with the first attribute. Sources apply their
+    // filters (if any) whether or not the positions are requested, so the buffers are aligned.
+    const requests: Promise<PointCloudNodeData>[] =
+        attributes.length > 0
+            ? attributes.map((attribute, index) =>
+                  source.getNodeData({ node, position: index === 0, attribute, signal }),
+              )
+            : [source.getNodeData({ node, position: true, signal })];
+
+    const results = await Promise.all(requests);
+
+    signal?.throwIfAborted();
+
+    const { position, origin, scale } = results[0];
+    if (position == null || position.count === 0) {
+        return null;
+    }
+
+    const inputCount = position.count;
+    const src = position.array;
+    const sx = scale?.x ?? 1;
+    const sy = scale?.y ?? 1;
+    const sz = scale?.z ?? 1;
+
+    const positions = new Float64Array(inputCount * 3);
+    const values = attributes.map(a => new Float32Array(inputCount * a.dimension));
+
+    let count = 0;
+
+    for (let i = 0; i < inputCount; i++) {
+        const x = origin.x + src[i * 3 + 0] * sx;
+        const y = origin.y + src[i * 3 + 1] * sy;
+        const z = origin.z + src[i * 3 + 2] * sz;
+
+        if (filter != null && !filter(x, y, z)) {
+            continue;
+        }
+
+        positions[count * 3 + 0] = x;
+        positions[count * 3 + 1] = y;
+        positions[count * 3 + 2] = z;
+
+        for (let a = 0; a < attributes.length; a++) {
+            const buffer = results[a].attribute;
+            const dimension = attributes[a].dimension;
+            if (buffer != null) {
+                for (let k = 0; k < dimension; k++) {
+                    values[a][count * dimension + k] = buffer.array[i * dimension + k];
+                }
+            }
+        }
+
+        count++;
+    }
+
+    if (count === 0) {
+        return null;
+    }
+
+    return {
+        count,
+        positions: positions.subarray(0, count * 3),
+        attributes: attributes.map((attribute, a) => ({
+            attribute,
+            values: values[a].subarray(0, count * attribute.dimension),
+        })),
+        crs,
+    };
+}
+
+/**
+ * Describes the points produced by {@link streamPoints}.
+ */
+export type PointStreamInfo = {
+    /**
+     * The attributes of the points, in the order of the point sets.
+     */
+    attributes: PointCloudAttribute[];
+    /**
+     * The coordinate system of the points, if known.
+     */
+    crs?: PointCloudCrs;
+};
+
+/**
+ * Extracts the points of a point cloud source node by node, without accumulating them.
+ * This is useful to process or encode datasets that are too large to fit in memory.
+ * See {@link queryPoints} for details about the traversal.
+ *
+ * @param options - The query options.
+ * @param onPoints - Called with the points of each node that contains matching points.
+ * @returns A description of the streamed points.
+ */
+export async function streamPoints(
+    options: QueryPointsOptions,
+    onPoints: (points: PointSet) => void,
+): Promise<PointStreamInfo> {
+    const { source, signal, onProgress, intersectsVolume } = options;
+    const maxDepth = options.maxDepth ?? Infinity;
+
+    await source.initialize();
+
+    const metadata = await source.getMetadata();
+    const attributes = selectAttributes(metadata.attributes, options.attributes);
+    const crs = metadata.crs;
+    const root = await source.getHierarchy();
+
+    signal?.throwIfAborted();
+
+    let level: PointCloudNode[] = [root];
+    let processed = 0;
+    let discovered = 1;
+
+    while (level.length > 0) {
+        const next: PointCloudNode[] = [];
+
+        for (let i = 0; i < level.length; i += MAX_CONCURRENT_NODES) {
+            const batch = level.slice(i, i + MAX_CONCURRENT_NODES);
+
+            await Promise.all(
+                batch.map(async node => {
+                    if (intersectsVolume != null && !intersectsVolume(node.volume)) {
+                        return;
+                    }
+
+                    if (node.hasData) {
+                        const points = await processNode(node, attributes, crs, options);
+                        if (points != null) {
+                            onPoints(points);
+                        }
+                    }
+
+                    // Children may only be known after the node data has been loaded.
+                    if (node.children != null && node.depth < maxDepth) {
+                        for (const child of node.children) {
+                            if (child != null) {
+                                next.push(child);
+                            }
+                        }
+                    }
+                }),
+            );
+
+            processed += batch.length;
+            onProgress?.(processed / (discovered + next.length));
+        }
+
+        discovered += next.length;
+        level = next;
+    }
+
+    onProgress?.(1);
+
+    return { attributes, crs };
+}
+
+/**
+ * Extracts the points of a point cloud source, optionally restricted to a region of interest
+ * and to a maximum level of detail.
+ *
+ * The hierarchy is traversed breadth-first, so that sources with lazily loaded hierarchies
+ * (e.g Potree 2.0) are supported: the children of a node are discovered once its data is loaded.
+ *
+ * @param options - The query options.
+ * @returns The extracted points, in world space coordinates.
+ */
+export default async function queryPoints(options: QueryPointsOptions): Promise<PointSet> {
+    const chunks: PointSet[] = [];
+
+    const { attributes, crs } = await streamPoints(options, points => chunks.push(points));
+
+    const builder = new PointSetBuilder(attributes);
+    for (const chunk of chunks) {
+        builder.add(chunk.count, chunk.positions, chunk.attributes.map(a => a.values));
+    }
+
+    return builder.build(crs);
+}
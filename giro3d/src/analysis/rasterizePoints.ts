@@ -0,0 +1,537 @@
+import Extent from '../core/geographic/Extent';
+import type { PointCloudSource } from '../sources/PointCloudSource';
+import triangulate from '../utils/Delaunay';
+import { streamPoints } from './queryPoints';
+
+/**
+ * The method used to compute the value of each cell of the grid from the points:
+ * - `'min'`: the lowest elevation of the points in the cell,
+ * - `'max'`: the highest elevation of the points in the cell,
+ * - `'mean'`: the mean elevation of the points in the cell,
+ * - `'idw'`: the mean elevation of the points within one cell size of the center of the cell,
+ * weighted by the inverse of their squared distance to the center,
+ * - `'tin'`: the elevation of a triangulated irregular network (TIN) built from the mean points
+ * of each cell, at the center of the cell.
+ */
+export type RasterizationMethod = 'min' | 'max' | 'mean' | 'idw' | 'tin';
+
+/**
+ * Options for {@link rasterizePoints}.
+ */
+export type RasterizePointsOptions = {
+    /**
+     * The source to rasterize. Points are rasterized in the coordinate system of the source.
+     */
+    source: PointCloudSource;
+    /**
+     * The area to rasterize, in the coordinate system of the source. The grid starts at the
+     * top-left corner of the extent, and is expanded to contain a whole number of cells.
+     */
+    extent: Extent;
+    /**
+     * The size of the cells, in CRS units.
+     */
+    cellSize: number;
+    /**
+     * The method to compute the value of the cells.
+     * @defaultValue `'max'`
+     */
+    method?: RasterizationMethod;
+    /**
+     * If specified, only the points with those classifications are rasterized, e.g `[2]` to
+     * produce a digital terrain model (DTM) from the ground points.
+     * @defaultValue all points are rasterized
+     */
+    classifications?: number[];
+    /**
+     * The maximum size, in cells, of the holes to fill. Empty cells that lie between non-empty
+     * cells (in any of the horizontal, vertical or diagonal directions) within this distance are
+     * interpolated from them. For method `'tin'`, triangles with an edge longer than
+     * `fillHoles + 3` cells are discarded instead.
+     * @defaultValue 0 (no hole filling)
+     */
+    fillHoles?: number;
+    /**
+     * The value of empty cells. As the values are 32-bit floats, it is rounded to the nearest
+     * 32-bit float, e.g `0.1` becomes `0.10000000149011612`. It can be `NaN`.
+     * @defaultValue -9999
+     */
+    nodata?: number;
+    /**
+     * The maximum depth of the nodes to load.
+     * @defaultValue the depth at which the point spacing is half the cell size
+     */
+    maxDepth?: number;
+    /**
+     * An optional abort signal to cancel the rasterization.
+     */
+    signal?: AbortSignal;
+    /**
+     * An optional callback called with the normalized progress of the rasterization.
+     */
+    onProgress?: (progress: number) => void;
+};
+
+/**
+ * A regular grid of elevations, as produced by {@link rasterizePoints}.
+ *
+ * It can be displayed in a map with a {@link sources.RasterSource | RasterSource}, or exported
+ * with {@link formats.writeGeoTIFF | writeGeoTIFF()}.
+ */
+export type Raster = {
+    /**
+     * The extent of the grid. Its CRS is the CRS of the rasterized points.
+     */
+    extent: Extent;
+    /**
+     * The number of columns.
+     */
+    width: number;
+    /**
+     * The number of rows.
+     */
+    height: number;
+    /**
+     * The size of the cells, in CRS units.
+     */
+    cellSize: number;
+    /**
+     * The values of the cells, row by row, starting from the top-left (north-west) corner.
+     */
+    values: Float32Array;
+    /**
+     * The value of empty cells.
+     */
+    nodata: number;
+    /**
+     * The lowest value of the non-empty cells, or `nodata` if all cells are empty.
+     */
+    min: number;
+    /**
+     * The highest value of the non-empty cells, or `nodata` if all cells are empty.
+     */
+    max: number;
+};
+
+const DEFAULT_NODATA = -9999;
+
+/**
+ * Returns `true` if the value of a cell is the nodata value. The nodata value must be a 32-bit
+ * float, like the values of the cells.
+ *
+ * @internal
+ */
+export function isNodata(value: number, nodata: number): boolean {
+    return Number.isNaN(nodata) ? Number.isNaN(value) : value === nodata;
+}
+
+/** The 8 directions explored to fill holes, as pairs of opposite directions. */
+const DIRECTIONS = [
+    [1, 0],
+    [-1, 0],
+    [0, 1],
+    [0, -1],
+    [1, 1],
+    [-1, -1],
+    [1, -1],
+    [-1, 1],
+];
+
+type Grid = {
+    west: number;
+    north: number;
+    width: number;
+    height: number;
+    cellSize: number;
+};
+
+/**
+ * Accumulates the points into the cells of the grid.
+ */
+interface Binning {
+    add(x: number, y: number, z: number): void;
+    finish(values: Float32Array, nodata: number): void;
+}
+
+function createExtremumBinning(grid: Grid, method: 'min' | 'max'): Binning {
+    const { west, north, width, height, cellSize } = grid;
+    const initial = method === 'min' ? Infinity : -Infinity;
+    const result = new Float32Array(width * height).fill(initial);
+    const compare = method === 'min' ? Math.min : Math.max;
+
+    return {
+        add(x, y, z) {
+            const i = Math.floor((x - west) / cellSize);
+            const j = Math.floor((north - y) / cellSize);
+            if (i >= 0 && i < width && j >= 0 && j < height) {
+                const index = j * width + i;
+                result[index] = compare(result[index], z);
+            }
+        },
+        finish(values, nodata) {
+            for (let k = 0; k < result.length; k++) {
+                values[k] = result[k] === initial ? nodata : result[k];
+            }
+        },
+    };
+}
+
+function createMeanBinning(grid: Grid): Binning & { sums: Float64Array; counts: Uint32Array } {
+    const { west, north, width, height, cellSize } = grid;
+    // The sums of X, Y and Z of each cell
+    const sums = new Float64Array(width * height * 3);
+    const counts = new Uint32Array(width * height);
+
+    return {
+        sums,
+        counts,
+        add(x, y, z) {
+            const i = Math.floor((x - west) / cellSize);
+            const j = Math.floor((north - y) / cellSize);
+            if (i >= 0 && i < width && j >= 0 && j < height) {
+                const index = j * width + i;
+                sums[index * 3 + 0] += x;
+                sums[index * 3 + 1] += y;
+                sums[index * 3 + 2] += z;
+                counts[index]++;
+            }
+        },
+        finish(values, nodata) {
+            for (let k = 0; k < counts.length; k++) {
+                values[k] = counts[k] > 0 ? sums[k * 3 + 2] / counts[k] : nodata;
+            }
+        },
+    };
+}
+
+function createIdwBinning(grid: Grid): Binning {
+    const { west, north, width, height, cellSize } = grid;
+    const sums = new Float64Array(width * height);
+    const weights = new Float64Array(width * height);
+    const radiusSquared = cellSize * cellSize;
+    // Avoids infinite weights for points at the center of a cell
+    const minDistanceSquared = radiusSquared * 1e-6;
+
+    return {
+        add(x, y, z) {
+            const ci = Math.floor((x - west) / cellSize);
+            const cj = Math.floor((north - y) / cellSize);
+
+            // The points contribute to the cells whose center is within one cell size
+            for (let j = Math.max(cj - 1, 0); j <= Math.min(cj + 1, height - 1); j++) {
+                const dy = north - (j + 0.5) * cellSize - y;
+                for (let i = Math.max(ci - 1, 0); i <= Math.min(ci + 1, width - 1); i++) {
+                    const dx = west + (i + 0.5) * cellSize - x;
+                    const distanceSquared = dx * dx + dy * dy;
+                    if (distanceSquared <= radiusSquared) {
+                        const weight = 1 / Math.max(distanceSquared, minDistanceSquared);
+                        const index = j * width + i;
+                        sums[index] += z * weight;
+                        weights[index] += weight;
+                    }
+                }
+            }
+        },
+        finish(values, nodata) {
+            for (let k = 0; k < weights.length; k++) {
+                values[k] = weights[k] > 0 ? sums[k] / weights[k] : nodata;
+            }
+        },
+    };
+}
+
+function createTinBinning(grid: Grid, maxEdgeLength: number): Binning {
+    const { west, north, width, height, cellSize } = grid;
+    // The border cells of the grid are interpolated from the points of the neighbouring cells
+    const mean = createMeanBinning({
+        west: west - cellSize,
+        north: north + cellSize,
+        width: width + 2,
+        height: height + 2,
+        cellSize,
+    });
+
+    return {
+        add: mean.add,
+        finish(values, nodata) {
+            const { sums, counts } = mean;
+
+            values.fill(nodata);
+
+            // The TIN is built from the mean point of each cell
+            const cells: number[] = [];
+            for (let k = 0; k < counts.length; k++) {
+                if (counts[k] > 0) {
+                    cells.push(k);
+                }
+            }
+
+            const xy = new Float64Array(cells.length * 2);
+            const z = new Float64Array(cells.length);
+            cells.forEach((cell, v) => {
+                const count = counts[cell];
+                xy[v * 2 + 0] = sums[cell * 3 + 0] / count;
+                xy[v * 2 + 1] = sums[cell * 3 + 1] / count;
+                z[v] = sums[cell * 3 + 2] / count;
+            });
+
+            const triangles = triangulate(xy);
+            const maxEdgeSquared = maxEdgeLength * maxEdgeLength;
+
+            const edgeSquared = (a: number, b: number) =>
+                (xy[a * 2] - xy[b * 2]) ** 2 + (xy[a * 2 + 1] - xy[b * 2 + 1]) ** 2;
+
+            for (let t = 0; t < triangles.length; t += 3) {
+                const a = triangles[t + 0];
+                const b = triangles[t + 1];
+                const c = triangles[t + 2];
+
+                if (
+                    edgeSquared(a, b) > maxEdgeSquared ||
+                    edgeSquared(b, c) > maxEdgeSquared ||
+                    edgeSquared(c, a) > maxEdgeSquared
+                ) {
+                    continue;
+                }
+
+                const ax = xy[a * 2];
+                const ay = xy[a * 2 + 1];
+                const bx = xy[b * 2];
+                const by = xy[b * 2 + 1];
+                const cx = xy[c * 2];
+                const cy = xy[c * 2 + 1];
+
+                const area = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+                if (area === 0) {
+                    continue;
+                }
+
+                // The cells whose center may be inside the triangle
+                const toI = (x: number) => (x - west) / cellSize - 0.5;
+                const toJ = (y: number) => (north - y) / cellSize - 0.5;
+                const minI = Math.max(Math.ceil(toI(Math.min(ax, bx, cx))), 0);
+                const maxI = Math.min(Math.floor(toI(Math.max(ax, bx, cx))), width - 1);
+                const minJ = Math.max(Math.ceil(toJ(Math.max(ay, by, cy))), 0);
+                const maxJ = Math.min(Math.floor(toJ(Math.min(ay, by, cy))), height - 1);
+
+                for (let j = minJ; j <= maxJ; j++) {
+                    const py = north - (j + 0.5) * cellSize;
+                    for (let i = minI; i <= maxI; i++) {
+                        const px = west + (i + 0.5) * cellSize;
+
+                        // Barycentric coordinates
+                        const wa = ((bx - px) * (cy - py) - (by - py) * (cx - px)) / area;
+                        const wb = ((cx - px) * (ay - py) - (cy - py) * (ax - px)) / area;
+                        const wc = 1 - wa - wb;
+
+                        if (wa >= 0 && wb >= 0 && wc >= 0) {
+                            values[j * width + i] = wa * z[a] + wb * z[b] + wc * z[c];
+                        }
+                    }
+                }
+            }
+        },
+    };
+}
+
+function createBinning(grid: Grid, method: RasterizationMethod, fillHoles: number): Binning {
+    switch (method) {
+        case 'min':
+        case 'max':
+            return createExtremumBinning(grid, method);
+        case 'mean':
+            return createMeanBinning(grid);
+        case 'idw':
+            return createIdwBinning(grid);
+        case 'tin':
+            return createTinBinning(grid, (fillHoles + 3) * grid.cellSize);
+        default:
+            throw new Error(`unsupported rasterization method: ${method}`);
+    }
+}
+
+/**
+ * Fills the empty cells that lie between non-empty cells within the specified distance, with
+ * the mean of those cells, weighted by the inverse of their distance.
+ */
+function fillGridHoles(
+    values: Float32Array,
+    width: number,
+    height: number,
+    nodata: number,
+    maxDistance: number,
+): void {
+    const source = values.slice();
+    const found = new Float64Array(DIRECTIONS.length);
+    const distances = new Float64Array(DIRECTIONS.length);
+
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            if (!isNodata(source[j * width + i], nodata)) {
+                continue;
+            }
+
+            for (let d = 0; d < DIRECTIONS.length; d++) {
+                const [di, dj] = DIRECTIONS[d];
+                distances[d] = 0;
+
+                for (let step = 1; step <= maxDistance; step++) {
+                    const x = i + di * step;
+                    const y = j + dj * step;
+                    if (x < 0 || x >= width || y < 0 || y >= height) {
+                        break;
+                    }
+                    const value = source[y * width + x];
+                    if (!isNodata(value, nodata)) {
+                        found[d] = value;
+                        distances[d] = step * Math.hypot(di, dj);
+                        break;
+                    }
+                }
+            }
+
+            let enclosed = false;
+            for (let d = 0; d < DIRECTIONS.length; d += 2) {
+                enclosed = enclosed || (distances[d] > 0 && distances[d + 1] > 0);
+            }
+
+            if (enclosed) {
+                let sum = 0;
+                let weights = 0;
+                for (let d = 0; d < DIRECTIONS.length; d++) {
+                    if (distances[d] > 0) {
+                        sum += found[d] / distances[d];
+                        weights += 1 / distances[d];
+                    }
+                }
+                values[j * width + i] = sum / weights;
+            }
+        }
+    }
+}
+
+/**
+ * Rasterizes the points of a point cloud source into a regular grid of elevations, such as a
+ * digital surface model (DSM) or a digital terrain model (DTM).
+ *
+ * The hierarchy of the source is traversed down to the level of detail that matches the cell
+ * size, and only the nodes that intersect the extent are loaded.
+ *
+ * ```js
+ * const dtm = await rasterizePoints({
+ *     source: pointCloud.source,
+ *     extent: Extent.fromBox3(instance.referenceCrs, pointCloud.getBoundingBox()),
+ *     cellSize: 1,
+ *     method: 'tin',
+ *     classifications: [2],
+ * });
+ *
+ * map.addLayer(new ElevationLayer({ source: new RasterSource({ raster: dtm }) }));
+ *
+ * const blob = new Blob([writeGeoTIFF(dtm)], { type: 'image/tiff' });
+ * ```
+ *
+ * @param options - The options.
+ * @returns The grid.
+ * @throws {@link Error} If classifications are specified, but the source has no
+ * classification attribute.
+ */
+export default async function rasterizePoints(options: RasterizePointsOptions): Promise<Raster> {
+    const { source, extent, cellSize, signal } = options;
+    const method = options.method ?? 'max';
+    // The nodata value is compared with the values of the cells, that are 32-bit floats
+    const nodata = Math.fround(options.nodata ?? DEFAULT_NODATA);
+    const fillHoles = Math.max(0, Math.floor(options.fillHoles ?? 0));
+
+    if (!(cellSize > 0)) {
+        throw new Error('the cell size must be a strictly positive number');
+    }
+
+    const width = Math.max(1, Math.ceil((extent.east - extent.west) / cellSize));
+    const height = Math.max(1, Math.ceil((extent.north - extent.south) / cellSize));
+    const west = extent.west;
+    const north = extent.north;
+    const east = west + width * cellSize;
+    const south = north - height * cellSize;
+
+    await source.initialize();
+
+    const metadata = await source.getMetadata();
+
+    let classification: string | undefined = undefined;
+    if (options.classifications != null) {
+        classification = metadata.attributes.find(a => a.interpretation === 'classification')
+            ?.name;
+        if (classification == null) {
+            throw new Error('the source has no classification attribute');
+        }
+    }
+
+    let maxDepth = options.maxDepth;
+    if (maxDepth == null) {
+        // The point spacing is halved at each level of the hierarchy
+        const root = await source.getHierarchy();
+        maxDepth = Math.max(0, Math.ceil(Math.log2((2 * root.geometricError) / cellSize)));
+    }
+
+    const binning = createBinning({ west, north, width, height, cellSize }, method, fillHoles);
+    const accepted = classification != null ? new Set(options.classifications) : null;
+
+    // IDW and TIN cells are influenced by the points of the neighbouring cells
+    const margin = method === 'idw' || method === 'tin' ? cellSize : 0;
+
+    await streamPoints(
+        {
+            source,
+            maxDepth,
+            attributes: classification != null ? [classification] : [],
+            signal,
+            onProgress: options.onProgress,
+            intersectsVolume: volume =>
+                volume.max.x >= west - margin &&
+                volume.min.x <= east + margin &&
+                volume.max.y >= south - margin &&
+                volume.min.y <= north + margin,
+        },
+        points => {
+            const { count, positions } = points;
+            // The classification is the only extracted attribute, if any
+            const classes = points.attributes.length > 0 ? points.attributes[0].values : null;
+
+            for (let i = 0; i < count; i++) {
+                if (accepted != null && classes != null && !accepted.has(classes[i])) {
+                    continue;
+                }
+                binning.add(positions[i * 3 + 0], positions[i * 3 + 1], positions[i * 3 + 2]);
+            }
+        },
+    );
+
+    const values = new Float32Array(width * height);
+    binning.finish(values, nodata);
+
+    if (fillHoles > 0 && method !== 'tin') {
+        fillGridHoles(values, width, height, nodata, fillHoles);
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let k = 0; k < values.length; k++) {
+        const value = values[k];
+        if (!isNodata(value, nodata)) {
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+    }
+
+    return {
+        extent: new Extent(extent.crs, west, east, south, north),
+        width,
+        height,
+        cellSize,
+        values,
+        nodata,
+        min: Number.isFinite(min) ? min : nodata,
+        max: Number.isFinite(max) ? max : nodata,
+    };
+}
@@ -1,3 +1,4 @@
+import type * as analysis from './analysis/api';
 import type * as core from './core/api';
 import type * as entities from './entities/api';
 import type * as formats from './formats/api';
@@ -10,6 +11,7 @@ import type * as utils from './utils/api';
 import type * as external from './external';
 
 export {
+    analysis,
     core,
     entities,
     // We re-export external library types so that they can be accessed in the documentation
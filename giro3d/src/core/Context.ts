@@ -26,6 +26,17 @@ interface Context {
         /** The maximum distance to the camera */
         max: number;
     };
+    /**
+     * The factor to apply to the screen space error of entities, to adapt their level of
+     * detail to the cost of rendering the frame. It is lower than 1 when the scene is rendered
+     * several times per frame, e.g once per eye in immersive mode.
+     */
+    readonly sseScale: number;
+    /**
+     * The factor to apply to the point budgets of entities, for the same reason as
+     * {@link sseScale}.
+     */
+    readonly pointBudgetScale: number;
 }
 
 export default Context;
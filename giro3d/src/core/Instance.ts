@@ -5,6 +5,8 @@ import {
     EventDispatcher,
     Group,
     Object3D,
+    Quaternion,
+    Ray,
     Scene,
     Vector2,
     Vector3,
@@ -18,6 +20,7 @@ import { isEntity } from '../entities/Entity';
 import Entity3D, { isEntity3D } from '../entities/Entity3D';
 import Map from '../entities/Map';
 import C3DEngine from '../renderer/c3DEngine';
+import { encodeImage, MIN_TILE_SIZE, renderTiles } from '../renderer/ImageCapture';
 import type RenderingOptions from '../renderer/RenderingOptions';
 import { GlobalRenderTargetPool } from '../renderer/RenderTargetPool';
 import View, { type CameraOptions } from '../renderer/View';
@@ -35,13 +38,29 @@ import { isPickableFeatures } from './picking/PickableFeatures';
 import pickObjectsAt from './picking/PickObjectsAt';
 import type PickOptions from './picking/PickOptions';
 import type PickResult from './picking/PickResult';
+import { resetPointBudget } from './PointBudget';
 import type Progress from './Progress';
+import type { SceneDocument } from './scene/SceneDocument';
+import serializeScene from './scene/serializeScene';
+import Selection, { type SelectionEvents } from './Selection';
+import {
+    captureViewpoint,
+    restoreViewpoint,
+    type CaptureViewpointOptions,
+    type RestoreViewpointOptions,
+    type Viewpoint,
+} from './Viewpoint';
+import ViewpointBookmarks from './ViewpointBookmarks';
+import ImmersiveMode from './xr/ImmersiveMode';
 
 const vectors = {
     pos: new Vector3(),
     size: new Vector3(),
     evtToCanvas: new Vector2(),
     pickVec2: new Vector2(),
+    rayTarget: new Vector3(),
+    cameraPosition: new Vector3(),
+    cameraQuaternion: new Quaternion(),
 };
 
 /** Frame event payload */
@@ -118,6 +137,10 @@ export interface InstanceEvents {
          */
         results?: PickResult<unknown>[];
     };
+    /**
+     * Fires when the selected or hovered objects of the {@link Instance.selection} change.
+     */
+    'selection-changed': SelectionEvents['selection-changed'];
 }
 
 /**
@@ -191,6 +214,82 @@ export interface PickObjectsAtOptions extends PickOptions {
     pickFeatures?: boolean;
 }
 
+/**
+ * The format of images captured with {@link Instance.captureImage}:
+ * - `'png'`, `'jpeg'` or `'webp'`: an encoded image, as a `Blob`,
+ * - `'imagedata'`: the pixels, as an `ImageData`,
+ * - `'depth'`: the depth buffer, as a {@link DepthImage}.
+ */
+export type CaptureImageFormat = 'png' | 'jpeg' | 'webp' | 'imagedata' | 'depth';
+
+/**
+ * Options for {@link Instance.captureImage}.
+ */
+export interface CaptureImageOptions {
+    /**
+     * The width of the image, in pixels.
+     * @defaultValue The width of the canvas.
+     */
+    width?: number;
+    /**
+     * The height of the image, in pixels.
+     * @defaultValue The height of the canvas.
+     */
+    height?: number;
+    /**
+     * The format of the image.
+     * @defaultValue `'png'`
+     */
+    format?: CaptureImageFormat;
+    /**
+     * The quality of lossy formats (`'jpeg'` and `'webp'`), between 0 and 1.
+     */
+    quality?: number;
+    /**
+     * The background color of the image. If `null`, the background is transparent.
+     * If `undefined`, the background color of the instance is used.
+     * Note: this has no effect if the scene has a background.
+     */
+    background?: ColorRepresentation | null;
+    /**
+     * If `true`, waits until the entities have loaded the data required at the resolution
+     * of the image (e.g the point cloud nodes, within the point budget).
+     * @defaultValue true
+     */
+    waitForLoading?: boolean;
+    /**
+     * The maximum size of the tiles that are rendered, in pixels.
+     * @defaultValue 2048
+     */
+    tileSize?: number;
+    /**
+     * The maximum duration of the capture, in milliseconds, including the loading of the data
+     * (see {@link waitForLoading}). When it is reached, the capture is rejected, e.g if some
+     * data can never be loaded.
+     * @defaultValue no timeout
+     */
+    timeout?: number;
+    /**
+     * The optional signal to cancel the capture.
+     */
+    signal?: AbortSignal;
+}
+
+/**
+ * A 32-bit floating point image of the depth buffer, captured with {@link Instance.captureImage}.
+ */
+export interface DepthImage {
+    /** The width of the image, in pixels. */
+    width: number;
+    /** The height of the image, in pixels. */
+    height: number;
+    /**
+     * The distance of each pixel to the camera plane, in scene units, row by row from the
+     * top-left corner. Empty pixels are `NaN`.
+     */
+    data: Float32Array;
+}
+
 function isObject3D(o: unknown): o is Object3D {
     return (o as Object3D).isObject3D;
 }
@@ -234,10 +333,15 @@ class Instance extends EventDispatcher<InstanceEvents> implements Progress {
     private readonly _entities: Set<Entity>;
     private readonly _resizeObserver?: ResizeObserver;
     private readonly _pickingClock: Clock;
+    private readonly _selection: Selection;
+    private readonly _bookmarks: ViewpointBookmarks;
+    private readonly _xr: ImmersiveMode;
     private readonly _onContextRestored: () => void;
     private readonly _onContextLost: () => void;
     private _resizeTimeout?: string | number | NodeJS.Timeout;
+    private _pointBudget: number | null = null;
     private _disposed = false;
+    private _capturing = false;
 
     /**
      * Constructs a Giro3D Instance
@@ -332,6 +436,18 @@ class Instance extends EventDispatcher<InstanceEvents> implements Progress {
 
         this._pickingClock = new Clock(false);
 
+        this._selection = new Selection(this);
+        this._selection.addEventListener('selection-changed', ({ selected, hovered }) => {
+            this.dispatchEvent({ type: 'selection-changed', selected, hovered });
+            this.notifyChange();
+        });
+
+        this._bookmarks = new ViewpointBookmarks();
+
+        this._xr = new ImmersiveMode(this);
+        // The size of the renderer follows the device during the session
+        this._xr.addEventListener('session-end', () => this._doUpdateRendererSize(this.viewport));
+
         this._onContextRestored = this.onContextRestored.bind(this);
         this._onContextLost = this.onContextLost.bind(this);
         this.domElement.addEventListener('webglcontextlost', this._onContextLost);
@@ -440,7 +556,63 @@ class Instance extends EventDispatcher<InstanceEvents> implements Progress {
         return this._view;
     }
 
+    /**
+     * Gets the selection, i.e the set of selected and hovered objects, that are highlighted
+     * with an outline.
+     */
+    get selection(): Selection {
+        return this._selection;
+    }
+
+    /**
+     * Gets the viewpoint bookmarks of this instance.
+     */
+    get bookmarks(): ViewpointBookmarks {
+        return this._bookmarks;
+    }
+
+    /**
+     * Gets the immersive mode, to display this instance in a WebXR device, such as a VR headset.
+     */
+    get xr(): ImmersiveMode {
+        return this._xr;
+    }
+
+    /**
+     * The maximum number of points displayed by all the {@link entities.PointCloud | point clouds}
+     * of this instance, or `null` to let each point cloud select its nodes independently.
+     *
+     * The nodes of all point clouds are ranked by their projected size on the screen and
+     * their distance to the center of the screen. They are then loaded and displayed in this
+     * order until the budget is reached, and the hidden nodes of lowest priority are unloaded
+     * first. This is useful for scenes with many point clouds, such as one per tile of a
+     * dataset.
+     *
+     * Note: like the budget of each {@link entities.PointCloud.pointBudget | point cloud}, that
+     * decimates the points of the selected nodes and can be combined with this one, the budget
+     * is lowered when the frame is more costly to render, e.g in immersive mode.
+     *
+     * @defaultValue null
+     */
+    get pointBudget(): number | null {
+        return this._pointBudget;
+    }
+
+    set pointBudget(v: number | null) {
+        if (this._pointBudget !== v) {
+            this._pointBudget = v;
+            if (v == null) {
+                resetPointBudget(this.getEntities());
+            }
+            this.notifyChange(this._view.camera);
+        }
+    }
+
     private _doUpdateRendererSize(div: HTMLDivElement): void {
+        // The renderer is resized at the end of the capture, or of the immersive session
+        if (this._capturing || this._xr.isPresenting) {
+            return;
+        }
         this._engine.onWindowResize(div.clientWidth, div.clientHeight);
         this.notifyChange(this._view.camera);
     }
@@ -479,6 +651,8 @@ class Instance extends EventDispatcher<InstanceEvents> implements Progress {
         this.domElement.removeEventListener('webglcontextrestored', this._onContextRestored);
 
         this._resizeObserver?.disconnect();
+        this._xr.dispose();
+        this._selection.dispose();
         for (const obj of this.getObjects()) {
             this.remove(obj);
         }
@@ -570,6 +744,7 @@ class Instance extends EventDispatcher<InstanceEvents> implements Progress {
 
         if (isEntity(object)) {
             if (isEntity3D(object)) {
+                this._selection.removeSubtree(object.object3d);
                 object.object3d.removeFromParent();
             }
 
@@ -577,6 +752,7 @@ class Instance extends EventDispatcher<InstanceEvents> implements Progress {
 
             this.dispatchEvent({ type: 'entity-removed' });
         } else if (isObject3D(object)) {
+            this._selection.removeSubtree(object);
             object.removeFromParent();
         }
 
@@ -717,7 +893,207 @@ class Instance extends EventDispatcher<InstanceEvents> implements Progress {
      * @internal
      */
     render() {
-        this._engine.render(this._scene, this._view.camera);
+        // The canvas is not rendered during captures, since the engine has the size of the image.
+        if (this._capturing) {
+            return;
+        }
+        // During immersive sessions, the scene is rendered once per eye, into the device.
+        if (this._xr.isPresenting) {
+            this._xr.render();
+            return;
+        }
+        this._engine.render(this._scene, this._view.camera, this._selection);
+    }
+
+    /**
+     * Captures an image of the scene, at any resolution.
+     *
+     * The image is rendered with the current rendering options (e.g EDL), in tiles that are
+     * rendered offscreen, then stitched together. Since entities select their level of detail
+     * from the size of the view, the capture waits until the data required at the resolution
+     * of the image is loaded (see {@link CaptureImageOptions.waitForLoading}).
+     *
+     * Note: the canvas is not updated during the capture.
+     *
+     * ```js
+     * const blob = await instance.captureImage({ width: 8000, height: 6000 });
+     *
+     * const depth = await instance.captureImage({ format: 'depth' });
+     * ```
+     * @param options - The options.
+     * @returns The image, depending on the format: a `Blob`, an `ImageData` or a
+     * {@link DepthImage}.
+     */
+    captureImage(
+        options?: CaptureImageOptions & { format?: 'png' | 'jpeg' | 'webp' },
+    ): Promise<Blob>;
+    captureImage(options: CaptureImageOptions & { format: 'imagedata' }): Promise<ImageData>;
+    captureImage(options: CaptureImageOptions & { format: 'depth' }): Promise<DepthImage>;
+    captureImage(options?: CaptureImageOptions): Promise<Blob | ImageData | DepthImage>;
+    async captureImage(options: CaptureImageOptions = {}): Promise<Blob | ImageData | DepthImage> {
+        if (this._capturing) {
+            throw new Error('an image capture is already in progress');
+        }
+
+        const engine = this._engine;
+        const renderer = engine.renderer;
+        const camera = this._view.camera;
+
+        const width = options.width ?? engine.width;
+        const height = options.height ?? engine.height;
+        const format = options.format ?? 'png';
+        const tileSize = options.tileSize ?? 2048;
+
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+            throw new Error(`invalid image size: ${width}x${height}`);
+        }
+        if (tileSize < MIN_TILE_SIZE) {
+            throw new Error(`the tile size must be at least ${MIN_TILE_SIZE} pixels`);
+        }
+
+        options.signal?.throwIfAborted();
+
+        // Both the signal of the options and the timeout cancel the capture
+        const controller = new AbortController();
+        const signal = controller.signal;
+        const onAbort = () => controller.abort(options.signal?.reason);
+        options.signal?.addEventListener('abort', onAbort);
+        let timeout: ReturnType<typeof setTimeout> | undefined;
+        if (options.timeout != null) {
+            const reason = new Error(`the capture timed out after ${options.timeout} ms`);
+            timeout = setTimeout(() => controller.abort(reason), options.timeout);
+        }
+
+        const { clearColor, clearAlpha } = engine;
+        const pixelRatio = renderer.getPixelRatio();
+
+        let pixels: Uint8ClampedArray | Float32Array;
+
+        this._capturing = true;
+
+        try {
+            // Entities select their level of detail from the size of the view,
+            // which is the size of the engine.
+            engine.width = width;
+            engine.height = height;
+
+            do {
+                await this.waitForNextUpdate(signal);
+            } while ((options.waitForLoading ?? true) && this.loading);
+
+            if (options.background !== undefined) {
+                engine.clearColor = options.background ?? 0;
+                engine.clearAlpha = options.background === null ? 0 : 1;
+            }
+
+            renderer.setPixelRatio(1);
+
+            pixels = renderTiles(engine, this._scene, camera, {
+                width,
+                height,
+                tileSize,
+                depth: format === 'depth',
+                selection: this._selection,
+            });
+        } finally {
+            clearTimeout(timeout);
+            options.signal?.removeEventListener('abort', onAbort);
+
+            this._capturing = false;
+
+            engine.clearColor = clearColor;
+            engine.clearAlpha = clearAlpha;
+            renderer.setPixelRatio(pixelRatio);
+            this._doUpdateRendererSize(this._viewport);
+        }
+
+        if (format === 'depth') {
+            return { width, height, data: pixels as Float32Array };
+        }
+
+        const image = new ImageData(pixels as Uint8ClampedArray, width, height);
+
+        if (format === 'imagedata') {
+            return image;
+        }
+
+        return encodeImage(image, `image/${format}`, options.quality);
+    }
+
+    /**
+     * Captures the current viewpoint: camera, controls target, active attribute and
+     * classifications of point clouds, and rendering options.
+     *
+     * See {@link Viewpoint} to serialize it, and {@link bookmarks} to store it.
+     *
+     * @param options - The options.
+     * @returns The viewpoint.
+     */
+    captureViewpoint(options?: CaptureViewpointOptions): Viewpoint {
+        return captureViewpoint(this, options);
+    }
+
+    /**
+     * Restores a viewpoint previously captured with {@link captureViewpoint}, optionally
+     * with an animated camera transition.
+     *
+     * ```js
+     * await instance.restoreViewpoint(viewpoint, { duration: 2 });
+     * ```
+     * @param viewpoint - The viewpoint.
+     * @param options - The options.
+     * @returns A promise that resolves when the camera has reached the viewpoint.
+     */
+    restoreViewpoint(viewpoint: Viewpoint, options?: RestoreViewpointOptions): Promise<void> {
+        return restoreViewpoint(this, viewpoint, options);
+    }
+
+    /**
+     * Returns the scene document of this instance: the entities with their sources and display
+     * properties, the rendering options and the camera. The document can be converted to JSON,
+     * then loaded with {@link core.scene.loadScene | loadScene}.
+     *
+     * Note: entities and layers that cannot be serialized (e.g custom entities, or sources
+     * created from a `Blob`) are ignored with a warning.
+     *
+     * ```js
+     * const json = JSON.stringify(instance);
+     *
+     * // Later
+     * await loadScene(instance, json);
+     * ```
+     * @returns The scene document.
+     */
+    toJSON(): SceneDocument {
+        return serializeScene(this);
+    }
+
+    /**
+     * Returns a promise that resolves at the end of the next update, or rejects with the reason
+     * of the signal if it is aborted before.
+     */
+    private waitForNextUpdate(signal?: AbortSignal): Promise<void> {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted === true) {
+                reject(signal.reason);
+                return;
+            }
+            const onUpdateEnd = () => {
+                cleanup();
+                resolve();
+            };
+            const onAbort = () => {
+                cleanup();
+                reject(signal?.reason);
+            };
+            const cleanup = () => {
+                this.removeEventListener('update-end', onUpdateEnd);
+                signal?.removeEventListener('abort', onAbort);
+            };
+            this.addEventListener('update-end', onUpdateEnd);
+            signal?.addEventListener('abort', onAbort);
+            this.notifyChange(this._view.camera, { needsRedraw: false });
+        });
     }
 
     /**
@@ -813,7 +1189,8 @@ class Instance extends EventDispatcher<InstanceEvents> implements Progress {
      * Return objects from some layers/objects3d under the mouse in this instance.
      *
      * @param mouseOrEvt - mouse position in window coordinates, i.e [0, 0] = top-left,
-     * or `MouseEvent` or `TouchEvent`
+     * or `MouseEvent` or `TouchEvent`, or a `Ray` in scene coordinates (e.g the ray of a XR
+     * controller, see {@link ImmersiveMode.getControllerRay}).
      * @param options - Options
      * @returns An array of objects. Each element contains at least an object
      * property which is the Object3D under the cursor. Then depending on the queried
@@ -825,12 +1202,17 @@ class Instance extends EventDispatcher<InstanceEvents> implements Progress {
      * instance.pickObjectsAt(mouseEvent)
      * instance.pickObjectsAt(mouseEvent, { radius: 1, where: [entity0, entity1] })
      * instance.pickObjectsAt(mouseEvent, { radius: 3, where: [entity0] })
+     * instance.pickObjectsAt(new Ray(origin, direction), { limit: 1, sortByDistance: true })
      * ```
      */
     pickObjectsAt(
-        mouseOrEvt: Vector2 | MouseEvent | TouchEvent,
+        mouseOrEvt: Vector2 | MouseEvent | TouchEvent | Ray,
         options: PickObjectsAtOptions = {},
     ): PickResult[] {
+        if (mouseOrEvt instanceof Ray) {
+            return this.pickObjectsAlongRay(mouseOrEvt, options);
+        }
+
         this.dispatchEvent({ type: 'picking-start' });
         this._pickingClock.start();
 
@@ -904,6 +1286,35 @@ class Instance extends EventDispatcher<InstanceEvents> implements Progress {
         return results;
     }
 
+    /**
+     * Picks along the ray, by orienting the camera along the ray and picking at the center of
+     * the view. This way, the picking methods of all entities are supported.
+     */
+    private pickObjectsAlongRay(ray: Ray, options: PickObjectsAtOptions): PickResult[] {
+        const camera = this._view.camera;
+        const position = vectors.cameraPosition.copy(camera.position);
+        const quaternion = vectors.cameraQuaternion.copy(camera.quaternion);
+
+        camera.position.copy(ray.origin);
+        camera.lookAt(vectors.rayTarget.addVectors(ray.origin, ray.direction));
+        camera.updateMatrix();
+        camera.updateMatrixWorld(true);
+
+        const center = new Vector2(
+            Math.floor(this._view.width / 2),
+            Math.floor(this._view.height / 2),
+        );
+
+        try {
+            return this.pickObjectsAt(center, options);
+        } finally {
+            camera.position.copy(position);
+            camera.quaternion.copy(quaternion);
+            camera.updateMatrix();
+            camera.updateMatrixWorld(true);
+        }
+    }
+
     /**
      * Moves the camera to look at an object.
      *
@@ -4,6 +4,8 @@ import type View from '../renderer/View';
 import { isBufferGeometry } from '../utils/predicates';
 import type Context from './Context';
 import type Instance from './Instance';
+import { updatePointBudget } from './PointBudget';
+import type { XRFrameLike, XRSessionLike } from './xr/WebXR';
 
 /** Rendering state */
 export enum RenderingState {
@@ -13,6 +15,25 @@ export enum RenderingState {
     RENDERING_SCHEDULED = 1,
 }
 
+/**
+ * Options of {@link MainLoop.startXRLoop}.
+ * @internal
+ */
+export interface XRLoopOptions {
+    /** Called on each animation frame of the session, before the update. */
+    onFrame: (time: number, frame: XRFrameLike) => void;
+    /** See {@link Context.sseScale}. */
+    sseScale: number;
+    /** See {@link Context.pointBudgetScale}. */
+    pointBudgetScale: number;
+}
+
+interface XRLoop {
+    session: XRSessionLike;
+    options: XRLoopOptions;
+    handle: number;
+}
+
 class ContextImpl implements Context {
     readonly view: View;
     readonly distance: {
@@ -20,9 +41,13 @@ class ContextImpl implements Context {
         min: number;
         max: number;
     };
+    readonly sseScale: number;
+    readonly pointBudgetScale: number;
 
-    constructor(view: View) {
+    constructor(view: View, xr: XRLoop | null) {
         this.view = view;
+        this.sseScale = xr?.options.sseScale ?? 1;
+        this.pointBudgetScale = xr?.options.pointBudgetScale ?? 1;
 
         this.distance = {
             plane: new Plane().setFromNormalAndCoplanarPoint(
@@ -59,6 +84,7 @@ class MainLoop {
     private readonly _changeSources: Set<unknown>;
     private readonly _clock = new Clock();
     private _frame = 0;
+    private _xr: XRLoop | null = null;
 
     /**
      * The number of frames processed.
@@ -108,7 +134,9 @@ class MainLoop {
         if (this._renderingState !== RenderingState.RENDERING_SCHEDULED) {
             this._renderingState = RenderingState.RENDERING_SCHEDULED;
 
-            if (immediate) {
+            if (this._xr != null) {
+                // The XR loop steps on every frame of the session
+            } else if (immediate) {
                 this.step(instance);
             } else {
                 requestAnimationFrame(() => {
@@ -118,6 +146,61 @@ class MainLoop {
         }
     }
 
+    /**
+     * Runs the loop on the animation frames of the XR session, instead of those of the window.
+     * Since the pose of the viewer changes continuously, the instance is updated and rendered on
+     * every frame, until {@link stopXRLoop} is called.
+     *
+     * @param instance - The instance.
+     * @param session - The XR session.
+     * @param options - The options.
+     * @internal
+     */
+    startXRLoop(instance: Instance, session: XRSessionLike, options: XRLoopOptions) {
+        if (this._xr != null) {
+            throw new Error('an XR loop is already running');
+        }
+
+        const xr: XRLoop = { session, options, handle: 0 };
+
+        const onAnimationFrame = (time: number, frame: XRFrameLike) => {
+            if (this._xr !== xr) {
+                return;
+            }
+            xr.handle = session.requestAnimationFrame(onAnimationFrame);
+
+            options.onFrame(time, frame);
+
+            // The camera follows the head of the viewer
+            this._changeSources.add(instance.view.camera);
+            this._needsRedraw = true;
+            this.step(instance);
+        };
+
+        this._xr = xr;
+        xr.handle = session.requestAnimationFrame(onAnimationFrame);
+    }
+
+    /**
+     * Stops the loop started by {@link startXRLoop}, and resumes the loop on the animation
+     * frames of the window.
+     *
+     * @param instance - The instance.
+     * @internal
+     */
+    stopXRLoop(instance: Instance) {
+        const xr = this._xr;
+        if (xr == null) {
+            return;
+        }
+
+        this._xr = null;
+        xr.session.cancelAnimationFrame(xr.handle);
+
+        this._renderingState = RenderingState.RENDERING_PAUSED;
+        this.scheduleUpdate(instance);
+    }
+
     private update(instance: Instance, updateSources: Set<unknown>, dt: number) {
         if (this.automaticCameraPlaneComputation) {
             // Reset near/far to default value to allow update function to test
@@ -133,7 +216,12 @@ class MainLoop {
         // on near/far values.
         instance.view.update();
 
-        const context = new ContextImpl(instance.view);
+        const context = new ContextImpl(instance.view, this._xr);
+
+        if (instance.pointBudget != null) {
+            // The point clouds whose selection changed are added to the update sources
+            updatePointBudget(context, instance.pointBudget, instance.getEntities(), updateSources);
+        }
 
         for (const entity of instance.getEntities()) {
             if (entity.shouldCheckForUpdate()) {
@@ -0,0 +1,213 @@
+import PriorityQueue from 'ol/structs/PriorityQueue';
+import { Box3, MathUtils, Sphere, Vector3 } from 'three';
+import type Entity from '../entities/Entity';
+import type PointCloud from '../entities/PointCloud';
+import { isPointCloud } from '../entities/PointCloud';
+import type { PointCloudNode } from '../sources/PointCloudSource';
+import { isOrthographicCamera, isPerspectiveCamera } from '../utils/predicates';
+import { nonNull } from '../utils/tsutils';
+import type Context from './Context';
+
+/**
+ * The maximum number of nodes that can be loading at the same time. Nodes that are not loaded
+ * yet are selected in priority order until this number is reached.
+ */
+const MAX_CONCURRENT_LOADS = 8;
+
+/**
+ * The number of points that can be kept in memory for hidden nodes, relative to the budget.
+ * Beyond that, the hidden nodes of lowest priority are unloaded first.
+ */
+const CACHE_FACTOR = 2;
+
+const tmpBox = new Box3();
+const tmpSphere = new Sphere();
+const tmpCameraPosition = new Vector3();
+const tmpNdc = new Vector3();
+
+type Candidate = {
+    key: string;
+    pointCloud: PointCloud;
+    node: PointCloudNode;
+    priority: number;
+};
+
+/**
+ * Returns the priority of the node: its projected radius on the screen, in pixels, weighted
+ * by the distance of its center to the center of the screen.
+ */
+function computePriority(context: Context, pointCloud: PointCloud, node: PointCloudNode): number {
+    const view = context.view;
+    const camera = view.camera;
+
+    tmpBox.copy(node.volume).applyMatrix4(pointCloud.object3d.matrixWorld);
+    const sphere = tmpBox.getBoundingSphere(tmpSphere);
+
+    camera.getWorldPosition(tmpCameraPosition);
+    const distance = sphere.center.distanceTo(tmpCameraPosition);
+
+    if (distance <= sphere.radius) {
+        // The camera is inside the node
+        return Infinity;
+    }
+
+    let screenRadius = 0;
+    if (isPerspectiveCamera(camera)) {
+        const slope = Math.tan(MathUtils.degToRad(camera.fov) * 0.5);
+        screenRadius = (sphere.radius * view.height) / (2 * slope * distance);
+    } else if (isOrthographicCamera(camera)) {
+        screenRadius = (sphere.radius * view.height * camera.zoom) / (camera.top - camera.bottom);
+    }
+
+    const ndc = tmpNdc.copy(sphere.center).project(camera);
+    const offset = Math.hypot(ndc.x, ndc.y);
+
+    return screenRadius / (1 + offset);
+}
+
+function selectionEquals(a: Set<PointCloudNode> | null, b: Set<PointCloudNode>): boolean {
+    if (a == null || a.size !== b.size) {
+        return false;
+    }
+    for (const node of b) {
+        if (!a.has(node)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Selects the nodes to display among all the point clouds, so that the total number of
+ * displayed points does not exceed the budget.
+ *
+ * Nodes are selected by decreasing priority (see {@link computePriority}), a node being a
+ * candidate only if its parent is selected and loaded. Point clouds whose selection changed
+ * are added to the update sources.
+ *
+ * @internal
+ */
+export function updatePointBudget(
+    context: Context,
+    budget: number,
+    entities: Entity[],
+    updateSources: Set<unknown>,
+): void {
+    const pointClouds = entities
+        .filter(isPointCloud)
+        .filter(pc => pc.ready && pc.visible && !pc.frozen && pc.rootNode != null);
+
+    const maxPoints = Math.max(1, Math.round(budget * context.pointBudgetScale));
+
+    const queue = new PriorityQueue<Candidate>(
+        // The queue dequeues the lowest values first
+        candidate => -candidate.priority,
+        candidate => candidate.key,
+    );
+
+    const enqueue = (pointCloud: PointCloud, node: PointCloudNode) => {
+        if (pointCloud.isNodeRequired(context, node)) {
+            queue.enqueue({
+                key: `${pointCloud.id}/${node.id}`,
+                pointCloud,
+                node,
+                priority: computePriority(context, pointCloud, node),
+            });
+        }
+    };
+
+    const selections = new Map<PointCloud, Set<PointCloudNode>>();
+
+    for (const pointCloud of pointClouds) {
+        selections.set(pointCloud, new Set());
+        enqueue(pointCloud, nonNull(pointCloud.rootNode));
+    }
+
+    let total = 0;
+    let loads = 0;
+
+    while (!queue.isEmpty()) {
+        const { pointCloud, node } = queue.dequeue();
+
+        if (pointCloud.hasNodeFailed(node)) {
+            // The node cannot be displayed, and must not take one of the loading slots
+            continue;
+        }
+
+        const pointCount = pointCloud.getNodePointCount(node);
+        if (total + pointCount > maxPoints) {
+            break;
+        }
+
+        if (!pointCloud.isNodeLoaded(node)) {
+            // The children of a node are not candidates until the node is loaded,
+            // since we don't know how many points will actually be displayed.
+            if (loads < MAX_CONCURRENT_LOADS) {
+                loads++;
+                total += pointCount;
+                selections.get(pointCloud)?.add(node);
+            }
+            continue;
+        }
+
+        total += pointCount;
+        selections.get(pointCloud)?.add(node);
+
+        node.children?.forEach(child => {
+            if (child != null) {
+                enqueue(pointCloud, child);
+            }
+        });
+    }
+
+    for (const [pointCloud, selection] of selections) {
+        if (!selectionEquals(pointCloud.nodeSelection, selection)) {
+            pointCloud.nodeSelection = selection;
+            updateSources.add(pointCloud);
+        }
+    }
+
+    // Unload the hidden nodes of lowest priority if they use too much memory
+    let loaded = total;
+    const hidden: Candidate[] = [];
+    for (const pointCloud of pointClouds) {
+        const selection = nonNull(selections.get(pointCloud));
+        for (const node of pointCloud.getHiddenNodes()) {
+            if (selection.has(node)) {
+                // The node is about to be displayed again
+                continue;
+            }
+            loaded += pointCloud.getNodePointCount(node);
+            hidden.push({
+                key: `${pointCloud.id}/${node.id}`,
+                pointCloud,
+                node,
+                priority: computePriority(context, pointCloud, node),
+            });
+        }
+    }
+
+    if (loaded > maxPoints * CACHE_FACTOR) {
+        hidden.sort((a, b) => a.priority - b.priority);
+
+        for (const { pointCloud, node } of hidden) {
+            if (loaded <= maxPoints * CACHE_FACTOR) {
+                break;
+            }
+            loaded -= pointCloud.getNodePointCount(node);
+            pointCloud.unloadNode(node);
+        }
+    }
+}
+
+/**
+ * Restores the default node selection of the point clouds, i.e the nodes required by the
+ * view.
+ *
+ * @internal
+ */
+export function resetPointBudget(entities: Entity[]): void {
+    for (const pointCloud of entities.filter(isPointCloud)) {
+        pointCloud.nodeSelection = null;
+    }
+}
@@ -6,6 +6,7 @@ import {
     type Material,
     type Object3DEventMap,
     type Vector2,
+    type WebGLRenderer,
 } from 'three';
 import MaterialUtils from '../renderer/MaterialUtils';
 import PointCloudMaterial from '../renderer/PointCloudMaterial';
@@ -29,8 +30,16 @@ export interface PointCloudOptions<M extends Material = Material> {
     extent?: Extent;
 }
 
+const ATTRIBUTE_FILTER_TYPE_DEFINES = [
+    'ATTRIBUTE_FILTER_0_TYPE',
+    'ATTRIBUTE_FILTER_1_TYPE',
+    'ATTRIBUTE_FILTER_2_TYPE',
+    'ATTRIBUTE_FILTER_3_TYPE',
+] as const;
+
 function setupMaterial(material: PointCloudMaterial, geometry: BufferGeometry) {
     material.enableClassification = geometry.hasAttribute('classification');
+    MaterialUtils.setDefine(material, 'NORMAL', geometry.hasAttribute('normal'));
 
     if (geometry.hasAttribute('intensity')) {
         const intensityType = MaterialUtils.getVertexAttributeType(
@@ -42,6 +51,15 @@ function setupMaterial(material: PointCloudMaterial, geometry: BufferGeometry) {
     } else {
         MaterialUtils.setDefine(material, 'INTENSITY', false);
     }
+
+    // Each attribute filter slot is enabled when the geometry provides its values.
+    ATTRIBUTE_FILTER_TYPE_DEFINES.forEach((define, i) => {
+        const name = `filterAttribute${i}`;
+        const type = geometry.hasAttribute(name)
+            ? MaterialUtils.getVertexAttributeType(geometry.getAttribute(name) as BufferAttribute)
+            : undefined;
+        MaterialUtils.setDefineValue(material, define, type);
+    });
 }
 
 /**
@@ -83,6 +101,14 @@ class PointCloud<M extends PointCloudMaterial = PointCloudMaterial>
     setupMaterial() {
         if (PointCloudMaterial.isPointCloudMaterial(this.material)) {
             setupMaterial(this.material, this.geometry);
+            // Note: point lights use the distance material, which is not supported.
+            this.customDepthMaterial = this.material.getShadowMaterial();
+        }
+    }
+
+    onBeforeShadow(renderer: WebGLRenderer) {
+        if (PointCloudMaterial.isPointCloudMaterial(this.material)) {
+            this.material.updateShadowMaterial(renderer, this);
         }
     }
 
@@ -0,0 +1,395 @@
+import type { Object3D } from 'three';
+import { Color, EventDispatcher, Vector2 } from 'three';
+import type Entity3D from '../entities/Entity3D';
+import { isEntity3D } from '../entities/Entity3D';
+import type Instance from './Instance';
+import type { PickObjectsAtOptions } from './Instance';
+import type PickResult from './picking/PickResult';
+
+/**
+ * An object that can be added to a {@link Selection}:
+ * - any [Object3D](https://threejs.org/docs/#api/en/core/Object3D),
+ * - an {@link entities.Entity3D | Entity3D} (its root object is selected),
+ * - a {@link PickResult} (the picked object is selected, e.g a map tile or a point cloud node).
+ */
+export type Selectable = Object3D | Entity3D | PickResult;
+
+/**
+ * Events of the {@link Selection}.
+ */
+export interface SelectionEvents {
+    /**
+     * Fires when the selected or hovered objects change.
+     */
+    'selection-changed': {
+        /** The selected objects. */
+        selected: Object3D[];
+        /** The hovered object, if any. */
+        hovered: Object3D | null;
+    };
+}
+
+/** The maximum distance, in pixels, between pointerdown and pointerup to be a click. */
+const CLICK_TOLERANCE = 4;
+
+const tmpVec2 = new Vector2();
+
+function isPickResult(obj: Selectable): obj is PickResult {
+    return 'object' in obj && 'distance' in obj && 'point' in obj;
+}
+
+function toObject3D(obj: Selectable): Object3D {
+    if (isEntity3D(obj)) {
+        return obj.object3d;
+    }
+    if (isPickResult(obj)) {
+        return obj.object;
+    }
+    return obj;
+}
+
+/**
+ * The set of selected objects of an {@link Instance}, as well as the hovered object.
+ *
+ * Selected and hovered objects are highlighted with an outline, whose colors can be configured.
+ * Note that the outline requires the post-processing render pipeline, which is automatically
+ * enabled when the selection is not empty.
+ *
+ * The selection can be modified programmatically, or interactively by enabling
+ * {@link interactive}: in this mode, hovering an object with the mouse highlights it, and
+ * clicking on an object selects it (use Shift or Ctrl to add or remove it from the selection).
+ * Picking uses {@link Instance.pickObjectsAt}, with the {@link pickOptions}.
+ *
+ * ```js
+ * const selection = instance.selection;
+ *
+ * selection.interactive = true;
+ * selection.selectedEdgeColor.set('yellow');
+ *
+ * instance.addEventListener('selection-changed', ({ selected }) => console.log(selected));
+ * ```
+ */
+export default class Selection extends EventDispatcher<SelectionEvents> {
+    private readonly _instance: Instance;
+    private readonly _selected: Set<Object3D> = new Set();
+    private _hovered: Object3D | null = null;
+    private _interactive = false;
+    private _pointerDown: Vector2 | null = null;
+    private _hoverEvent: PointerEvent | null = null;
+    private _hoverRequest: number | null = null;
+
+    /**
+     * The color of the outline of selected objects, where they are visible.
+     * Note: you must call {@link Instance.notifyChange} to take changes into account.
+     * @defaultValue white
+     */
+    readonly selectedEdgeColor = new Color(0xffffff);
+    /**
+     * The color of the outline of the hovered object, where it is visible.
+     * Note: you must call {@link Instance.notifyChange} to take changes into account.
+     * @defaultValue light blue
+     */
+    readonly hoveredEdgeColor = new Color(0x4fa6ff);
+    /**
+     * The color of the outline where objects are hidden by other objects.
+     * Note: you must call {@link Instance.notifyChange} to take changes into account.
+     */
+    readonly hiddenEdgeColor = new Color(0x22090a);
+    /**
+     * The strength of the outline.
+     * Note: you must call {@link Instance.notifyChange} to take changes into account.
+     * @defaultValue 10
+     */
+    edgeStrength = 10;
+    /**
+     * If `true`, the outline is also displayed where objects are hidden by other objects.
+     * Note: you must call {@link Instance.notifyChange} to take changes into account.
+     * @defaultValue true
+     */
+    xRay = true;
+    /**
+     * The options used to pick objects in {@link interactive} mode.
+     * @defaultValue `{ radius: 1 }`
+     */
+    pickOptions: PickObjectsAtOptions = { radius: 1 };
+
+    /**
+     * @param instance - The instance that owns this selection.
+     */
+    constructor(instance: Instance) {
+        super();
+        this._instance = instance;
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerLeave = this.onPointerLeave.bind(this);
+    }
+
+    /**
+     * Gets the selected objects.
+     */
+    get selected(): Object3D[] {
+        return [...this._selected];
+    }
+
+    /**
+     * Gets the hovered object, if any.
+     */
+    get hovered(): Object3D | null {
+        return this._hovered;
+    }
+
+    /**
+     * Returns `true` if no object is selected nor hovered.
+     */
+    get isEmpty(): boolean {
+        return this._selected.size === 0 && this._hovered == null;
+    }
+
+    /**
+     * Enables or disables the selection of objects with the mouse.
+     * @defaultValue false
+     */
+    get interactive(): boolean {
+        return this._interactive;
+    }
+
+    set interactive(v: boolean) {
+        if (this._interactive === v) {
+            return;
+        }
+        this._interactive = v;
+
+        const canvas = this._instance.domElement;
+
+        if (v) {
+            canvas.addEventListener('pointerdown', this.onPointerDown);
+            canvas.addEventListener('pointerup', this.onPointerUp);
+            canvas.addEventListener('pointermove', this.onPointerMove);
+            canvas.addEventListener('pointerleave', this.onPointerLeave);
+        } else {
+            canvas.removeEventListener('pointerdown', this.onPointerDown);
+            canvas.removeEventListener('pointerup', this.onPointerUp);
+            canvas.removeEventListener('pointermove', this.onPointerMove);
+            canvas.removeEventListener('pointerleave', this.onPointerLeave);
+            this.cancelHoverRequest();
+            this.setHovered(null);
+        }
+    }
+
+    /**
+     * Returns `true` if the object is selected.
+     */
+    has(obj: Selectable): boolean {
+        return this._selected.has(toObject3D(obj));
+    }
+
+    /**
+     * Replaces the selection with the specified objects.
+     */
+    set(objects: Selectable | Selectable[]) {
+        const list = Array.isArray(objects) ? objects : [objects];
+        const next = new Set(list.map(toObject3D));
+
+        if (next.size === this._selected.size && [...next].every(o => this._selected.has(o))) {
+            return;
+        }
+
+        this._selected.clear();
+        next.forEach(o => this._selected.add(o));
+        this.onChanged();
+    }
+
+    /**
+     * Adds the objects to the selection.
+     */
+    add(...objects: Selectable[]) {
+        const size = this._selected.size;
+        objects.forEach(o => this._selected.add(toObject3D(o)));
+
+        if (this._selected.size !== size) {
+            this.onChanged();
+        }
+    }
+
+    /**
+     * Removes the objects from the selection.
+     */
+    remove(...objects: Selectable[]) {
+        let changed = false;
+        objects.forEach(o => (changed = this._selected.delete(toObject3D(o)) || changed));
+
+        if (changed) {
+            this.onChanged();
+        }
+    }
+
+    /**
+     * Adds the object to the selection if it is not selected, or removes it otherwise.
+     */
+    toggle(obj: Selectable) {
+        if (this.has(obj)) {
+            this.remove(obj);
+        } else {
+            this.add(obj);
+        }
+    }
+
+    /**
+     * Removes all objects from the selection.
+     */
+    clear() {
+        if (this._selected.size > 0) {
+            this._selected.clear();
+            this.onChanged();
+        }
+    }
+
+    /**
+     * Removes the object and all its descendants from the selection and from the hovered state.
+     * Useful when the object is removed from the scene.
+     */
+    removeSubtree(root: Object3D) {
+        const isInSubtree = (obj: Object3D) => {
+            let current: Object3D | null = obj;
+            while (current != null) {
+                if (current === root) {
+                    return true;
+                }
+                current = current.parent;
+            }
+            return false;
+        };
+
+        let changed = false;
+        for (const obj of this.selected) {
+            if (isInSubtree(obj)) {
+                changed = this._selected.delete(obj) || changed;
+            }
+        }
+        if (this._hovered != null && isInSubtree(this._hovered)) {
+            this._hovered = null;
+            changed = true;
+        }
+
+        if (changed) {
+            this.onChanged();
+        }
+    }
+
+    /**
+     * Sets the hovered object.
+     *
+     * @param obj - The hovered object, or `null` to remove the hovered state.
+     */
+    setHovered(obj: Selectable | null) {
+        const object = obj != null ? toObject3D(obj) : null;
+
+        if (object !== this._hovered) {
+            this._hovered = object;
+            this.onChanged();
+        }
+    }
+
+    /**
+     * Picks the closest object at the specified location, using {@link pickOptions}.
+     *
+     * @param mouseOrEvt - The canvas coordinates, or the mouse event.
+     * @returns The picked object, if any.
+     */
+    pickAt(mouseOrEvt: Vector2 | MouseEvent): Object3D | null {
+        const results = this._instance.pickObjectsAt(mouseOrEvt, {
+            ...this.pickOptions,
+            sortByDistance: true,
+            limit: 1,
+        });
+
+        return results.length > 0 ? results[0].object : null;
+    }
+
+    private onChanged() {
+        this.dispatchEvent({
+            type: 'selection-changed',
+            selected: this.selected,
+            hovered: this._hovered,
+        });
+    }
+
+    private onPointerDown(event: PointerEvent) {
+        if (!event.isPrimary || event.button !== 0) {
+            return;
+        }
+
+        this._pointerDown = this._instance.eventToCanvasCoords(event, new Vector2());
+    }
+
+    private onPointerUp(event: PointerEvent) {
+        const down = this._pointerDown;
+        this._pointerDown = null;
+
+        if (!event.isPrimary || event.button !== 0 || down == null) {
+            return;
+        }
+
+        // Ignore drags, that are used by camera controls
+        const up = this._instance.eventToCanvasCoords(event, tmpVec2);
+        if (up.distanceTo(down) > CLICK_TOLERANCE) {
+            return;
+        }
+
+        const picked = this.pickAt(up);
+        const additive = event.shiftKey || event.ctrlKey || event.metaKey;
+
+        if (picked == null) {
+            if (!additive) {
+                this.clear();
+            }
+        } else if (additive) {
+            this.toggle(picked);
+        } else {
+            this.set(picked);
+        }
+    }
+
+    private onPointerMove(event: PointerEvent) {
+        if (!event.isPrimary) {
+            return;
+        }
+
+        // Picking is expensive, so we process at most one hover event per frame
+        this._hoverEvent = event;
+        if (this._hoverRequest == null) {
+            this._hoverRequest = requestAnimationFrame(() => {
+                this._hoverRequest = null;
+                const hoverEvent = this._hoverEvent;
+                this._hoverEvent = null;
+                if (hoverEvent != null && this._interactive) {
+                    this.setHovered(this.pickAt(hoverEvent));
+                }
+            });
+        }
+    }
+
+    private onPointerLeave() {
+        this.cancelHoverRequest();
+        this.setHovered(null);
+    }
+
+    private cancelHoverRequest() {
+        if (this._hoverRequest != null) {
+            cancelAnimationFrame(this._hoverRequest);
+            this._hoverRequest = null;
+        }
+        this._hoverEvent = null;
+    }
+
+    /**
+     * Disables interaction and removes all objects from the selection.
+     */
+    dispose() {
+        this.interactive = false;
+        this._selected.clear();
+        this._hovered = null;
+    }
+}
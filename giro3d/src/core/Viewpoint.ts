@@ -0,0 +1,498 @@
+import { Color, Quaternion, Vector3 } from 'three';
+import { isPointCloud } from '../entities/PointCloud';
+import type PointCloud from '../entities/PointCloud';
+import CameraAnimation, { type EasingFunction, type Easing } from '../renderer/CameraAnimation';
+import type RenderingOptions from '../renderer/RenderingOptions';
+import type { CameraProjection } from '../renderer/View';
+import { isOrthographicCamera, isPerspectiveCamera } from '../utils/predicates';
+import type Instance from './Instance';
+
+/**
+ * The current version of the {@link Viewpoint} format.
+ */
+export const VIEWPOINT_VERSION = 1;
+
+/** The number of decimals kept for positions. */
+const POSITION_DECIMALS = 3;
+/** The number of decimals kept for rotations and other values. */
+const DEFAULT_DECIMALS = 6;
+
+const tmp = {
+    direction: new Vector3(),
+    target: new Vector3(),
+    quaternion: new Quaternion(),
+};
+
+/**
+ * The transitions in progress, so that restoring a viewpoint cancels the previous transition.
+ */
+const transitions = new WeakMap<Instance, CameraAnimation>();
+
+/**
+ * The camera of a {@link Viewpoint}.
+ */
+export interface ViewpointCamera {
+    /** The projection of the camera. */
+    projection: CameraProjection;
+    /** The position of the camera, as `[x, y, z]`. */
+    position: [number, number, number];
+    /** The orientation of the camera, as a quaternion `[x, y, z, w]`. */
+    quaternion: [number, number, number, number];
+    /** The vertical field of view, in degrees. Only for perspective cameras. */
+    fov?: number;
+    /** The width of the visible area, in scene units. Only for orthographic cameras. */
+    width?: number;
+}
+
+/**
+ * The state of a point cloud in a {@link Viewpoint}.
+ */
+export interface PointCloudViewpoint {
+    /** The ID of the point cloud entity. */
+    id: string;
+    /** The name of the active attribute. */
+    attribute?: string;
+    /** The indices of the hidden classifications. */
+    hiddenClassifications?: number[];
+}
+
+/**
+ * A serializable snapshot of the state of the view: camera, controls, point clouds
+ * and rendering options.
+ *
+ * Viewpoints are plain objects that can be converted to JSON, or to a URL-safe string
+ * with {@link viewpointToURLString}.
+ */
+export interface Viewpoint {
+    /** The version of the format. See {@link VIEWPOINT_VERSION}. */
+    version: number;
+    /** The optional name of the viewpoint. */
+    name?: string;
+    /** The camera. */
+    camera: ViewpointCamera;
+    /** The target of the controls (e.g `MapControls.target`), as `[x, y, z]`. */
+    target?: [number, number, number];
+    /** The state of the point clouds. */
+    pointClouds?: PointCloudViewpoint[];
+    /**
+     * The rendering options (see {@link Instance.renderingOptions}). Colors are stored
+     * as hexadecimal strings, e.g `'#ff0000'`.
+     */
+    rendering?: Record<string, boolean | number | string>;
+}
+
+/**
+ * Options for {@link captureViewpoint}.
+ */
+export interface CaptureViewpointOptions {
+    /** The name of the viewpoint. */
+    name?: string;
+    /**
+     * Captures the active attribute and the classifications of point clouds.
+     * @defaultValue true
+     */
+    pointClouds?: boolean;
+    /**
+     * Captures the rendering options.
+     * @defaultValue true
+     */
+    renderingOptions?: boolean;
+}
+
+/**
+ * Options for {@link restoreViewpoint}.
+ */
+export interface RestoreViewpointOptions {
+    /**
+     * The duration of the camera transition, in seconds. If zero, the camera is moved instantly.
+     * @defaultValue 0
+     */
+    duration?: number;
+    /**
+     * The easing of the camera transition.
+     * @defaultValue 'easeInOut'
+     */
+    easing?: EasingFunction | keyof typeof Easing;
+}
+
+function round(value: number, decimals: number): number {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+function toArray(v: Vector3): [number, number, number] {
+    return [
+        round(v.x, POSITION_DECIMALS),
+        round(v.y, POSITION_DECIMALS),
+        round(v.z, POSITION_DECIMALS),
+    ];
+}
+
+function getControlsTarget(instance: Instance): Vector3 | undefined {
+    const controls = instance.view.controls as { target?: Vector3 } | null;
+    return controls?.target;
+}
+
+function getPointClouds(instance: Instance): PointCloud[] {
+    return instance.getEntities(isPointCloud) as PointCloud[];
+}
+
+/**
+ * Returns the serializable values of the rendering options.
+ *
+ * @internal
+ */
+export function captureRenderingOptions(
+    options: RenderingOptions,
+): NonNullable<Viewpoint['rendering']> {
+    const result: Record<string, boolean | number | string> = {};
+
+    for (const [key, value] of Object.entries(options)) {
+        if (typeof value === 'boolean') {
+            result[key] = value;
+        } else if (typeof value === 'number') {
+            result[key] = round(value, DEFAULT_DECIMALS);
+        } else if (value instanceof Color) {
+            result[key] = `#${value.getHexString()}`;
+        }
+        // Other values (e.g the point cloud stages) are not serializable.
+    }
+
+    return result;
+}
+
+/**
+ * Sets the rendering options from values returned by {@link captureRenderingOptions}.
+ *
+ * @internal
+ */
+export function restoreRenderingOptions(
+    options: RenderingOptions,
+    values: NonNullable<Viewpoint['rendering']>,
+) {
+    const target = options as unknown as Record<string, unknown>;
+
+    for (const [key, value] of Object.entries(values)) {
+        const current = target[key];
+
+        if (current instanceof Color) {
+            current.set(value as string);
+        } else if (typeof current === typeof value) {
+            target[key] = value;
+        }
+    }
+}
+
+function restorePointClouds(instance: Instance, states: PointCloudViewpoint[]) {
+    const pointClouds = getPointClouds(instance);
+
+    states.forEach((state, index) => {
+        // The IDs of entities may differ between sessions, e.g if they are generated.
+        const entity = pointClouds.find(p => p.id === state.id) ?? pointClouds[index];
+
+        if (!entity) {
+            return;
+        }
+
+        if (state.attribute != null && entity.ready) {
+            const attributes = entity.getSupportedAttributes();
+            if (attributes.some(a => a.name === state.attribute)) {
+                entity.setActiveAttribute(state.attribute);
+            }
+        }
+
+        const hidden = new Set(state.hiddenClassifications ?? []);
+        entity.classifications.forEach((c, i) => (c.visible = !hidden.has(i)));
+
+        instance.notifyChange(entity);
+    });
+}
+
+/**
+ * Moves the camera instantly to the viewpoint.
+ */
+function applyCamera(instance: Instance, viewpoint: Viewpoint) {
+    const view = instance.view;
+    const camera = view.camera;
+    const { position, quaternion, fov, width } = viewpoint.camera;
+
+    camera.position.fromArray(position);
+    camera.quaternion.fromArray(quaternion);
+
+    if (isPerspectiveCamera(camera) && fov != null) {
+        camera.fov = fov;
+    } else if (isOrthographicCamera(camera) && width != null) {
+        const aspect = view.height > 0 ? view.width / view.height : 1;
+        camera.zoom = 1;
+        camera.left = -width / 2;
+        camera.right = width / 2;
+        camera.top = width / aspect / 2;
+        camera.bottom = -width / aspect / 2;
+    }
+
+    camera.updateProjectionMatrix();
+    camera.updateMatrixWorld();
+
+    if (viewpoint.target) {
+        getControlsTarget(instance)?.fromArray(viewpoint.target);
+    }
+
+    instance.notifyChange(camera);
+}
+
+/**
+ * Captures the current viewpoint of the instance.
+ *
+ * ```js
+ * const viewpoint = captureViewpoint(instance, { name: 'Overview' });
+ *
+ * // Later
+ * await restoreViewpoint(instance, viewpoint, { duration: 2 });
+ * ```
+ * @param instance - The instance.
+ * @param options - The options.
+ * @returns The viewpoint.
+ */
+export function captureViewpoint(
+    instance: Instance,
+    options: CaptureViewpointOptions = {},
+): Viewpoint {
+    const view = instance.view;
+    const camera = view.camera;
+
+    const viewpointCamera: ViewpointCamera = {
+        projection: view.projection,
+        position: toArray(camera.position),
+        quaternion: camera.quaternion
+            .toArray()
+            .map(v => round(v, DEFAULT_DECIMALS)) as ViewpointCamera['quaternion'],
+    };
+
+    if (isPerspectiveCamera(camera)) {
+        viewpointCamera.fov = round(camera.fov, DEFAULT_DECIMALS);
+    } else if (isOrthographicCamera(camera)) {
+        viewpointCamera.width = round(
+            (camera.right - camera.left) / camera.zoom,
+            POSITION_DECIMALS,
+        );
+    }
+
+    const result: Viewpoint = {
+        version: VIEWPOINT_VERSION,
+        camera: viewpointCamera,
+    };
+
+    if (options.name != null) {
+        result.name = options.name;
+    }
+
+    const target = getControlsTarget(instance);
+    if (target) {
+        result.target = toArray(target);
+    }
+
+    if (options.pointClouds ?? true) {
+        result.pointClouds = getPointClouds(instance).map(entity => {
+            const state: PointCloudViewpoint = { id: entity.id };
+
+            if (entity.activeAttribute) {
+                state.attribute = entity.activeAttribute.name;
+            }
+
+            const hidden: number[] = [];
+            entity.classifications.forEach((c, i) => {
+                if (!c.visible) {
+                    hidden.push(i);
+                }
+            });
+
+            if (hidden.length > 0) {
+                state.hiddenClassifications = hidden;
+            }
+
+            return state;
+        });
+    }
+
+    if (options.renderingOptions ?? true) {
+        result.rendering = captureRenderingOptions(instance.renderingOptions);
+    }
+
+    return result;
+}
+
+/**
+ * Restores a viewpoint previously captured with {@link captureViewpoint}.
+ *
+ * The point clouds and rendering options are restored immediately, whereas the camera
+ * can be moved with an animated transition. Restoring another viewpoint during a transition
+ * cancels it.
+ *
+ * Note: point clouds are matched by ID, or by order if no point cloud has the same ID.
+ *
+ * @param instance - The instance.
+ * @param viewpoint - The viewpoint.
+ * @param options - The options.
+ * @returns A promise that resolves when the camera has reached the viewpoint.
+ */
+export async function restoreViewpoint(
+    instance: Instance,
+    viewpoint: Viewpoint,
+    options: RestoreViewpointOptions = {},
+): Promise<void> {
+    const { camera, target, pointClouds, rendering } = parseViewpoint(viewpoint);
+
+    transitions.get(instance)?.pause();
+    transitions.delete(instance);
+
+    if (rendering) {
+        restoreRenderingOptions(instance.renderingOptions, rendering);
+    }
+
+    if (pointClouds) {
+        restorePointClouds(instance, pointClouds);
+    }
+
+    const view = instance.view;
+    const destination = new Vector3().fromArray(camera.position);
+
+    // A point in front of the camera, if the viewpoint has no target
+    const destinationTarget = target
+        ? new Vector3().fromArray(target)
+        : new Vector3(0, 0, -1)
+              .applyQuaternion(tmp.quaternion.fromArray(camera.quaternion))
+              .add(destination);
+
+    if (view.projection !== camera.projection) {
+        const current = view.camera;
+        current.updateMatrixWorld();
+        // The framing does not matter, since the camera is moved afterwards.
+        const currentTarget =
+            getControlsTarget(instance) ??
+            tmp.target.copy(current.position).add(current.getWorldDirection(tmp.direction));
+        view.setProjection(camera.projection, { target: currentTarget });
+    }
+
+    const duration = options.duration ?? 0;
+
+    if (duration > 0) {
+        const current = view.camera;
+        const distance = destination.distanceTo(destinationTarget);
+        const currentTarget =
+            getControlsTarget(instance)?.clone() ??
+            current.getWorldDirection(new Vector3()).setLength(distance).add(current.position);
+
+        const fov = isPerspectiveCamera(current) ? current.fov : undefined;
+
+        const animation = new CameraAnimation(instance, {
+            interpolation: 'linear',
+            easing: options.easing ?? 'easeInOut',
+            keyframes: [
+                { time: 0, position: current.position.clone(), target: currentTarget, fov },
+                {
+                    time: duration,
+                    position: destination,
+                    target: destinationTarget,
+                    fov: fov != null ? camera.fov : undefined,
+                },
+            ],
+        });
+
+        transitions.set(instance, animation);
+
+        const completed = await new Promise<boolean>(resolve => {
+            animation.addEventListener('ended', () => resolve(true));
+            // The animation is also paused right before it ends
+            animation.addEventListener('pause', () => {
+                if (animation.currentTime < animation.duration) {
+                    resolve(false);
+                }
+            });
+            animation.play();
+        });
+
+        if (transitions.get(instance) === animation) {
+            transitions.delete(instance);
+        }
+
+        // The transition was cancelled
+        if (!completed) {
+            return;
+        }
+    }
+
+    applyCamera(instance, viewpoint);
+}
+
+/**
+ * Validates a viewpoint.
+ *
+ * @param value - The viewpoint, or its JSON representation.
+ * @returns The viewpoint.
+ * @throws {@link Error} If the value is not a valid viewpoint.
+ */
+export function parseViewpoint(value: string | unknown): Viewpoint {
+    const viewpoint = (typeof value === 'string' ? JSON.parse(value) : value) as Viewpoint;
+
+    if (viewpoint == null || typeof viewpoint !== 'object') {
+        throw new Error('invalid viewpoint: expected an object');
+    }
+    if (typeof viewpoint.version !== 'number') {
+        throw new Error('invalid viewpoint: missing version');
+    }
+    if (viewpoint.version > VIEWPOINT_VERSION) {
+        throw new Error(`unsupported viewpoint version: ${viewpoint.version}`);
+    }
+
+    const camera = viewpoint.camera;
+    const isNumbers = (a: unknown, length: number) =>
+        Array.isArray(a) && a.length === length && a.every(v => Number.isFinite(v));
+
+    if (
+        camera == null ||
+        (camera.projection !== 'perspective' && camera.projection !== 'orthographic') ||
+        !isNumbers(camera.position, 3) ||
+        !isNumbers(camera.quaternion, 4)
+    ) {
+        throw new Error('invalid viewpoint: invalid camera');
+    }
+    if (viewpoint.target != null && !isNumbers(viewpoint.target, 3)) {
+        throw new Error('invalid viewpoint: invalid target');
+    }
+
+    return viewpoint;
+}
+
+/**
+ * Converts the viewpoint to a compact, URL-safe string (base64url-encoded JSON), suitable
+ * for query parameters.
+ *
+ * ```js
+ * const url = new URL(document.URL);
+ * url.searchParams.set('viewpoint', viewpointToURLString(captureViewpoint(instance)));
+ * ```
+ * @param viewpoint - The viewpoint.
+ * @returns The encoded viewpoint.
+ */
+export function viewpointToURLString(viewpoint: Viewpoint): string {
+    const bytes = new TextEncoder().encode(JSON.stringify(viewpoint));
+
+    let binary = '';
+    bytes.forEach(b => (binary += String.fromCharCode(b)));
+
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a viewpoint encoded with {@link viewpointToURLString}.
+ *
+ * @param value - The encoded viewpoint.
+ * @returns The viewpoint.
+ * @throws {@link Error} If the value is not a valid viewpoint.
+ */
+export function viewpointFromURLString(value: string): Viewpoint {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+
+    return parseViewpoint(new TextDecoder().decode(bytes));
+}
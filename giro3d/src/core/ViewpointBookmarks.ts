@@ -0,0 +1,131 @@
+import { EventDispatcher } from 'three';
+import { parseViewpoint, type Viewpoint } from './Viewpoint';
+
+export interface ViewpointBookmarksEvents {
+    /**
+     * Raised when a bookmark is added, renamed or removed.
+     */
+    changed: unknown;
+}
+
+/**
+ * A list of named {@link Viewpoint}s.
+ *
+ * The list can be serialized with {@link toJSON}, e.g to store it in the local storage
+ * of the browser, and restored with {@link load}.
+ *
+ * ```js
+ * const bookmarks = instance.bookmarks;
+ *
+ * bookmarks.add(instance.captureViewpoint({ name: 'Overview' }));
+ *
+ * localStorage.setItem('bookmarks', JSON.stringify(bookmarks));
+ *
+ * // Later
+ * bookmarks.load(localStorage.getItem('bookmarks'));
+ * await instance.restoreViewpoint(bookmarks.bookmarks[0], { duration: 2 });
+ * ```
+ */
+class ViewpointBookmarks extends EventDispatcher<ViewpointBookmarksEvents> {
+    private _bookmarks: Viewpoint[] = [];
+
+    /**
+     * Gets the bookmarks, in insertion order.
+     */
+    get bookmarks(): Readonly<Viewpoint[]> {
+        return this._bookmarks;
+    }
+
+    /**
+     * Adds a bookmark. If the viewpoint has no name, a default name is given.
+     *
+     * @param viewpoint - The viewpoint.
+     * @returns The added viewpoint.
+     */
+    add(viewpoint: Viewpoint): Viewpoint {
+        if (this._bookmarks.includes(viewpoint)) {
+            return viewpoint;
+        }
+
+        if (viewpoint.name == null || viewpoint.name === '') {
+            viewpoint.name = `Viewpoint ${this._bookmarks.length + 1}`;
+        }
+
+        this._bookmarks.push(viewpoint);
+        this.dispatchEvent({ type: 'changed' });
+
+        return viewpoint;
+    }
+
+    /**
+     * Renames a bookmark.
+     *
+     * @param viewpoint - The bookmark.
+     * @param name - The new name.
+     */
+    rename(viewpoint: Viewpoint, name: string) {
+        if (!this._bookmarks.includes(viewpoint)) {
+            throw new Error('the viewpoint is not bookmarked');
+        }
+
+        if (viewpoint.name !== name) {
+            viewpoint.name = name;
+            this.dispatchEvent({ type: 'changed' });
+        }
+    }
+
+    /**
+     * Removes a bookmark.
+     *
+     * @param viewpoint - The bookmark.
+     * @returns `true` if the bookmark was removed, `false` if it was not found.
+     */
+    remove(viewpoint: Viewpoint): boolean {
+        const index = this._bookmarks.indexOf(viewpoint);
+
+        if (index === -1) {
+            return false;
+        }
+
+        this._bookmarks.splice(index, 1);
+        this.dispatchEvent({ type: 'changed' });
+
+        return true;
+    }
+
+    /**
+     * Removes all bookmarks.
+     */
+    clear() {
+        if (this._bookmarks.length > 0) {
+            this._bookmarks.length = 0;
+            this.dispatchEvent({ type: 'changed' });
+        }
+    }
+
+    /**
+     * Replaces the bookmarks with the specified viewpoints.
+     *
+     * @param value - The viewpoints, or their JSON representation.
+     * @throws {@link Error} If one of the viewpoints is invalid.
+     */
+    load(value: string | unknown[]) {
+        const array = typeof value === 'string' ? JSON.parse(value) : value;
+
+        if (!Array.isArray(array)) {
+            throw new Error('invalid bookmarks: expected an array');
+        }
+
+        this._bookmarks = array.map(v => parseViewpoint(v));
+        this.dispatchEvent({ type: 'changed' });
+    }
+
+    /**
+     * Returns the bookmarks as a serializable array.
+     */
+    toJSON(): Viewpoint[] {
+        return [...this._bookmarks];
+    }
+}
+
+export default ViewpointBookmarks;
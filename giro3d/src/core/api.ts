@@ -17,6 +17,9 @@ import type GraticuleOptions from './GraticuleOptions';
 import type HillshadingOptions from './HillshadingOptions';
 import type Instance from './Instance';
 import type {
+    CaptureImageFormat,
+    CaptureImageOptions,
+    DepthImage,
     EntityEventPayload,
     FrameEventPayload,
     InstanceEvents,
@@ -36,6 +39,9 @@ import type PointCloud from './PointCloud';
 import type { PointCloudEventMap, PointCloudOptions } from './PointCloud';
 import type Progress from './Progress';
 import type Rect from './Rect';
+import type * as scene from './scene/api';
+import type Selection from './Selection';
+import type { Selectable, SelectionEvents } from './Selection';
 import type TerrainOptions from './TerrainOptions';
 import {
     DEFAULT_ENABLE_CPU_TERRAIN,
@@ -43,10 +49,32 @@ import {
     DEFAULT_ENABLE_TERRAIN,
 } from './TerrainOptions';
 import type { Vector2Array, Vector3Array, Vector4Array, VectorArray } from './VectorArray';
+import type {
+    CaptureViewpointOptions,
+    PointCloudViewpoint,
+    RestoreViewpointOptions,
+    Viewpoint,
+    ViewpointCamera,
+} from './Viewpoint';
+import {
+    captureViewpoint,
+    parseViewpoint,
+    restoreViewpoint,
+    VIEWPOINT_VERSION,
+    viewpointFromURLString,
+    viewpointToURLString,
+} from './Viewpoint';
+import type ViewpointBookmarks from './ViewpointBookmarks';
+import type { ViewpointBookmarksEvents } from './ViewpointBookmarks';
+import type * as xr from './xr/api';
 
 export {
     aggregateElevationProviders,
     cache,
+    CaptureImageFormat,
+    CaptureImageOptions,
+    captureViewpoint,
+    CaptureViewpointOptions,
     ColorimetryOptions,
     ColorMap,
     ColorMapMode,
@@ -55,6 +83,7 @@ export {
     DEFAULT_ENABLE_CPU_TERRAIN,
     DEFAULT_ENABLE_STITCHING,
     DEFAULT_ENABLE_TERRAIN,
+    DepthImage,
     Disposable,
     ElevationProvider,
     ElevationRange,
@@ -78,17 +107,33 @@ export {
     OffsetScale,
     OperationCounter,
     OperationCounterEvents,
+    parseViewpoint,
     picking,
     PickObjectsAtOptions,
     PointCloud,
     PointCloudEventMap,
     PointCloudOptions,
+    PointCloudViewpoint,
     Progress,
     Rect,
+    restoreViewpoint,
+    RestoreViewpointOptions,
+    Selectable,
+    Selection,
+    SelectionEvents,
     RenderingState,
+    scene,
     TerrainOptions,
     Vector2Array,
     Vector3Array,
     Vector4Array,
     VectorArray,
+    Viewpoint,
+    VIEWPOINT_VERSION,
+    ViewpointBookmarks,
+    ViewpointBookmarksEvents,
+    ViewpointCamera,
+    viewpointFromURLString,
+    viewpointToURLString,
+    xr,
 };
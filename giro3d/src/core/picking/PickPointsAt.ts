@@ -35,7 +35,8 @@ interface PickPointsCandidate {
 }
 
 /**
- * Pick points from a PointCloud-like entity.
+ * Pick points from a PointCloud-like entity. Results are sorted by increasing distance
+ * (in pixels) to the picked coordinates, so that the first result is the closest point.
  *
  * @param instance - Instance to pick from
  * @param canvasCoords - Coordinates on the rendering canvas
@@ -88,10 +89,13 @@ function pickPointsAt(
 
     const candidates: PickPointsCandidate[] = [];
 
+    // Since the picking circle is traversed from the center outwards,
+    // candidates are sorted by increasing distance to the picked coordinates.
     traversePickingCircle(radius, (x, y, idx) => {
+        // Note that the rows of the buffer are bottom-up
         const coord = {
-            x: x + canvasCoords.x,
-            y: y + canvasCoords.y,
+            x: canvasCoords.x + x - radius,
+            y: canvasCoords.y - (y - radius),
             z: 0,
         };
 
@@ -107,14 +111,14 @@ function pickPointsAt(
         const RED = 0;
         const GREEN = 1;
         const pointIndex = Math.round(buffer[idx * 4 + RED]);
-        const objectId = Math.round(buffer[idx * 4 + GREEN]);
+        const pickingId = Math.round(buffer[idx * 4 + GREEN]);
 
-        if (objectId > objectId) {
-            console.warn(`weird: pickingId (${objectId}) > visibleId (${objectId})`);
+        if (pickingId >= objectId) {
+            console.warn(`weird: pickingId (${pickingId}) > visibleId (${objectId - 1})`);
         }
 
         const r: PickPointsCandidate = {
-            pickingId: objectId,
+            pickingId,
             index: pointIndex,
             coord,
         };
@@ -130,6 +134,8 @@ function pickPointsAt(
         return null;
     });
 
+    const objects = new Map<number, Points>();
+
     entity.object3d.traverse(o => {
         if (!('isPoints' in o) || o.isPoints !== true || !o.visible) {
             return;
@@ -144,39 +150,46 @@ function pickPointsAt(
             return;
         }
 
+        objects.set(mat.pickingId, pts);
+    });
+
+    for (const candidate of candidates) {
+        const pts = objects.get(candidate.pickingId);
+        if (pts == null) {
+            continue;
+        }
+
+        const index = candidate.index;
         const positions = pts.geometry.getAttribute('position');
 
-        for (let i = 0; i < candidates.length; i++) {
-            if (candidates[i].pickingId === mat.pickingId) {
-                const index = candidates[i].index;
-
-                const x = positions.getX(index);
-                const y = positions.getY(index);
-                const z = positions.getZ(index);
-
-                const position = new Vector3(x, y, z).applyMatrix4(o.matrixWorld);
-
-                const p: PointsPickResult = {
-                    isPointsPickResult: true,
-                    object: pts,
-                    index,
-                    entity,
-                    point: position,
-                    coord: candidates[i].coord,
-                    distance: instance.view.camera.position.distanceTo(position),
-                };
-                if (!filter || filter(p)) {
-                    target.push(p);
-
-                    if (target.length >= limit) {
-                        break;
-                    }
-                }
+        const x = positions.getX(index);
+        const y = positions.getY(index);
+        const z = positions.getZ(index);
+
+        const position = new Vector3(x, y, z).applyMatrix4(pts.matrixWorld);
+
+        const p: PointsPickResult = {
+            isPointsPickResult: true,
+            object: pts,
+            index,
+            entity,
+            point: position,
+            coord: candidate.coord,
+            distance: instance.view.camera.position.distanceTo(position),
+        };
+        if (!filter || filter(p)) {
+            target.push(p);
+
+            if (target.length >= limit) {
+                break;
             }
         }
-        // disable picking mode
-        mat.enablePicking(0);
-    });
+    }
+
+    // disable picking mode
+    for (const pts of objects.values()) {
+        (pts.material as PointCloudMaterial).enablePicking(0);
+    }
 
     return target;
 }
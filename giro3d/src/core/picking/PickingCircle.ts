@@ -28,7 +28,8 @@ function traversePickingCircle(radius: number, callback: PickingCircleCallback)
 
                 const realX = radius + x;
                 const realY = radius + y;
-                const idx = realY * (2 * radius) + realX;
+                // The buffer is a square of (2 * radius + 1) pixels
+                const idx = realY * (2 * radius + 1) + realX;
                 if (callback(realX, realY, idx) === false) {
                     return;
                 }
@@ -0,0 +1,249 @@
+import type ElevationRange from '../ElevationRange';
+import type NoDataOptions from '../layer/NoDataOptions';
+import type { Viewpoint } from '../Viewpoint';
+
+/**
+ * The current version of the {@link SceneDocument} format.
+ */
+export const SCENE_FORMAT_VERSION = 1;
+
+/**
+ * A value that can be represented in JSON.
+ */
+export type SerializableValue =
+    | boolean
+    | number
+    | string
+    | null
+    | SerializableValue[]
+    | { [key: string]: SerializableValue };
+
+/**
+ * The values of the properties of an object (e.g an entity), by property name.
+ * Colors are stored as hexadecimal strings, e.g `'#ff0000'`.
+ */
+export type SerializedProperties = Record<string, SerializableValue>;
+
+/**
+ * A serialized {@link core.geographic.Extent | Extent}.
+ */
+export interface SerializedExtent {
+    crs: string;
+    west: number;
+    east: number;
+    south: number;
+    north: number;
+}
+
+/**
+ * A serialized {@link core.ColorMap | ColorMap}.
+ */
+export interface SerializedColorMap {
+    /** The colors, as hexadecimal strings. */
+    colors: string[];
+    min: number;
+    max: number;
+    mode: number;
+    opacities?: number[];
+    active: boolean;
+}
+
+/**
+ * A serialized {@link core.layer.Interpretation | Interpretation}.
+ */
+export interface SerializedInterpretation {
+    mode: number;
+    negateValues?: boolean;
+    min?: number;
+    max?: number;
+}
+
+/**
+ * A serialized point cloud source.
+ */
+export type SerializedPointCloudSource =
+    | { type: 'PotreeSource'; url: string }
+    | { type: 'LASSource'; url: string; streaming?: boolean }
+    | { type: 'COPCSource'; url: string }
+    | { type: 'AggregatePointCloudSource'; sources: SerializedPointCloudSource[] };
+
+/**
+ * A serialized image source. Tiled image sources are serialized from their OpenLayers source:
+ * `TileWMS` sources as `WmsSource`, and `XYZ` sources as `TiledImageSource`.
+ */
+export type SerializedImageSource =
+    | { type: 'GeoTIFFSource'; url: string; crs: string; channels?: number[] }
+    | { type: 'WmsSource'; url: string; projection: string; params: SerializedProperties }
+    | { type: 'TiledImageSource'; urls: string[]; projection: string };
+
+/**
+ * A serialized color or elevation layer.
+ */
+export interface SerializedLayer {
+    type: 'ColorLayer' | 'ElevationLayer';
+    name?: string;
+    source: SerializedImageSource;
+    extent?: SerializedExtent;
+    interpretation?: SerializedInterpretation;
+    colorMap?: SerializedColorMap;
+    noDataOptions?: NoDataOptions;
+    /** The elevation range of elevation layers. */
+    minmax?: ElevationRange;
+    /**
+     * The values of the properties of the layer, e.g `visible` or `opacity`.
+     */
+    properties: SerializedProperties;
+}
+
+interface SerializedEntityBase {
+    name?: string;
+    /**
+     * The values of the properties of the entity, e.g `visible` or `opacity`.
+     */
+    properties: SerializedProperties;
+}
+
+/**
+ * A serialized classification of a point cloud.
+ */
+export interface SerializedClassification {
+    /** The index of the classification. */
+    index: number;
+    /** The color, as an hexadecimal string. */
+    color: string;
+    visible: boolean;
+}
+
+/**
+ * A serialized {@link entities.PointCloud | PointCloud}.
+ */
+export interface SerializedPointCloud extends SerializedEntityBase {
+    type: 'PointCloud';
+    source: SerializedPointCloudSource;
+    /** The name of the active attribute. */
+    attribute?: string;
+    colorMap?: SerializedColorMap;
+    /** The classifications that differ from the ASPRS defaults. */
+    classifications?: SerializedClassification[];
+}
+
+/**
+ * A serialized {@link entities.Map | Map}.
+ */
+export interface SerializedMap extends SerializedEntityBase {
+    type: 'Map';
+    extent: SerializedExtent;
+    maxSubdivisionLevel?: number;
+    segments: number;
+    /** The layers, from bottom to top. */
+    layers: SerializedLayer[];
+}
+
+/**
+ * A serialized {@link entities.Tiles3D | Tiles3D}.
+ */
+export interface SerializedTiles3D extends SerializedEntityBase {
+    type: 'Tiles3D';
+    url: string;
+}
+
+/**
+ * A serialized {@link entities.FeatureCollection | FeatureCollection}. The features are either
+ * loaded from an URL, or embedded as a GeoJSON feature collection.
+ */
+export interface SerializedFeatureCollection extends SerializedEntityBase {
+    type: 'FeatureCollection';
+    extent: SerializedExtent;
+    url?: string;
+    features?: SerializableValue;
+    dataProjection?: string;
+    minLevel?: number;
+    maxLevel?: number;
+    ignoreZ: boolean;
+    elevation?: number | number[];
+    extrusionOffset?: number | number[];
+    style?: SerializedProperties;
+}
+
+/**
+ * A serialized {@link entities.Shape | Shape}.
+ */
+export interface SerializedShape extends SerializedEntityBase {
+    type: 'Shape';
+    /** The points, as `[x, y, z]` arrays. */
+    points: [number, number, number][];
+}
+
+/**
+ * A serialized entity.
+ */
+export type SerializedEntity =
+    | SerializedPointCloud
+    | SerializedMap
+    | SerializedTiles3D
+    | SerializedFeatureCollection
+    | SerializedShape;
+
+/**
+ * A declarative description of a scene, that can be converted to JSON. It is produced by
+ * {@link core.Instance.toJSON | Instance.toJSON()}, and loaded with {@link loadScene}.
+ *
+ * Note: only the serializable configuration is captured. For example, style callbacks and
+ * custom materials are not part of the document.
+ */
+export interface SceneDocument {
+    /** The version of the format. See {@link SCENE_FORMAT_VERSION}. */
+    version: number;
+    /** The coordinate reference system of the instance. */
+    crs: string;
+    /** The entities, in the order they were added to the instance. */
+    entities: SerializedEntity[];
+    /** The rendering options. See {@link core.Instance.renderingOptions}. */
+    rendering?: Record<string, boolean | number | string>;
+    /** The camera. */
+    camera?: Viewpoint;
+}
+
+/**
+ * Migrations of older documents, indexed by the version they migrate from.
+ * Each migration returns a document of the next version.
+ */
+const migrations: Record<number, (document: SceneDocument) => SceneDocument> = {};
+
+/**
+ * Validates a scene document, and migrates it to the current version of the format.
+ *
+ * @param value - The document, or its JSON representation.
+ * @returns The document, in the current version of the format.
+ * @throws {@link Error} If the value is not a valid document.
+ */
+export function parseSceneDocument(value: string | unknown): SceneDocument {
+    let document = (typeof value === 'string' ? JSON.parse(value) : value) as SceneDocument;
+
+    if (document == null || typeof document !== 'object') {
+        throw new Error('invalid scene document: expected an object');
+    }
+    if (typeof document.version !== 'number') {
+        throw new Error('invalid scene document: missing version');
+    }
+    if (document.version > SCENE_FORMAT_VERSION) {
+        throw new Error(`unsupported scene format version: ${document.version}`);
+    }
+
+    while (document.version < SCENE_FORMAT_VERSION) {
+        const migrate = migrations[document.version];
+        if (migrate == null) {
+            throw new Error(`unsupported scene format version: ${document.version}`);
+        }
+        document = migrate(document);
+    }
+
+    if (typeof document.crs !== 'string') {
+        throw new Error('invalid scene document: missing crs');
+    }
+    if (!Array.isArray(document.entities)) {
+        throw new Error('invalid scene document: missing entities');
+    }
+
+    return document;
+}
@@ -0,0 +1,44 @@
+import type { LoadSceneOptions } from './loadScene';
+import loadScene from './loadScene';
+import type {
+    SceneDocument,
+    SerializableValue,
+    SerializedClassification,
+    SerializedColorMap,
+    SerializedEntity,
+    SerializedExtent,
+    SerializedFeatureCollection,
+    SerializedImageSource,
+    SerializedInterpretation,
+    SerializedLayer,
+    SerializedMap,
+    SerializedPointCloud,
+    SerializedPointCloudSource,
+    SerializedProperties,
+    SerializedShape,
+    SerializedTiles3D,
+} from './SceneDocument';
+import { parseSceneDocument, SCENE_FORMAT_VERSION } from './SceneDocument';
+
+export {
+    loadScene,
+    LoadSceneOptions,
+    parseSceneDocument,
+    SCENE_FORMAT_VERSION,
+    SceneDocument,
+    SerializableValue,
+    SerializedClassification,
+    SerializedColorMap,
+    SerializedEntity,
+    SerializedExtent,
+    SerializedFeatureCollection,
+    SerializedImageSource,
+    SerializedInterpretation,
+    SerializedLayer,
+    SerializedMap,
+    SerializedPointCloud,
+    SerializedPointCloudSource,
+    SerializedProperties,
+    SerializedShape,
+    SerializedTiles3D,
+};
@@ -0,0 +1,303 @@
+import GeoJSON from 'ol/format/GeoJSON';
+import TileWMS from 'ol/source/TileWMS';
+import VectorSource from 'ol/source/Vector';
+import XYZ from 'ol/source/XYZ';
+import { Color, Vector3 } from 'three';
+import type Entity from '../../entities/Entity';
+import FeatureCollection from '../../entities/FeatureCollection';
+import Map from '../../entities/Map';
+import PointCloud from '../../entities/PointCloud';
+import Shape from '../../entities/Shape';
+import Tiles3D from '../../entities/Tiles3D';
+import AggregatePointCloudSource from '../../sources/AggregatePointCloudSource';
+import COPCSource from '../../sources/COPCSource';
+import GeoTIFFSource from '../../sources/GeoTIFFSource';
+import type ImageSource from '../../sources/ImageSource';
+import LASSource from '../../sources/LASSource';
+import type { PointCloudSource } from '../../sources/PointCloudSource';
+import PotreeSource from '../../sources/PotreeSource';
+import TiledImageSource from '../../sources/TiledImageSource';
+import Tiles3DSource from '../../sources/Tiles3DSource';
+import ColorMap from '../ColorMap';
+import type { FeatureStyle } from '../FeatureTypes';
+import Extent from '../geographic/Extent';
+import type Instance from '../Instance';
+import ColorLayer from '../layer/ColorLayer';
+import ElevationLayer from '../layer/ElevationLayer';
+import Interpretation from '../layer/Interpretation';
+import type Layer from '../layer/Layer';
+import { restoreRenderingOptions, restoreViewpoint } from '../Viewpoint';
+import { PROPERTIES, writeProperties } from './properties';
+import {
+    parseSceneDocument,
+    type SerializedColorMap,
+    type SerializedEntity,
+    type SerializedExtent,
+    type SerializedFeatureCollection,
+    type SerializedImageSource,
+    type SerializedLayer,
+    type SerializedMap,
+    type SerializedPointCloud,
+    type SerializedPointCloudSource,
+} from './SceneDocument';
+
+/**
+ * Options for {@link loadScene}.
+ */
+export interface LoadSceneOptions {
+    /**
+     * Moves the camera to the camera of the document.
+     * @defaultValue true
+     */
+    restoreCamera?: boolean;
+    /**
+     * Restores the rendering options of the document.
+     * @defaultValue true
+     */
+    restoreRenderingOptions?: boolean;
+}
+
+function createExtent(extent: SerializedExtent): Extent {
+    return new Extent(extent.crs, extent.west, extent.east, extent.south, extent.north);
+}
+
+function createColorMap(colorMap: SerializedColorMap): ColorMap {
+    const result = new ColorMap({
+        colors: colorMap.colors.map(c => new Color(c)),
+        min: colorMap.min,
+        max: colorMap.max,
+        mode: colorMap.mode,
+        opacities: colorMap.opacities,
+    });
+    result.active = colorMap.active;
+
+    return result;
+}
+
+function createPointCloudSource(source: SerializedPointCloudSource): PointCloudSource {
+    switch (source.type) {
+        case 'PotreeSource':
+            return new PotreeSource({ url: source.url });
+        case 'LASSource':
+            return new LASSource({ url: source.url, streaming: source.streaming });
+        case 'COPCSource':
+            return new COPCSource({ url: source.url });
+        case 'AggregatePointCloudSource':
+            return new AggregatePointCloudSource({
+                sources: source.sources.map(createPointCloudSource),
+            });
+        default:
+            throw new Error(`unsupported point cloud source: ${(source as { type: string }).type}`);
+    }
+}
+
+function createImageSource(source: SerializedImageSource): ImageSource {
+    switch (source.type) {
+        case 'GeoTIFFSource':
+            return new GeoTIFFSource({
+                url: source.url,
+                crs: source.crs,
+                channels: source.channels as GeoTIFFSource['channels'] | undefined,
+            });
+        case 'WmsSource':
+            return new TiledImageSource({
+                source: new TileWMS({
+                    url: source.url,
+                    projection: source.projection,
+                    params: source.params,
+                }),
+            });
+        case 'TiledImageSource':
+            return new TiledImageSource({
+                source: new XYZ({ urls: source.urls, projection: source.projection }),
+            });
+        default:
+            throw new Error(`unsupported image source: ${(source as { type: string }).type}`);
+    }
+}
+
+function createLayer(layer: SerializedLayer): Layer {
+    const interpretation = layer.interpretation;
+
+    const options = {
+        name: layer.name,
+        source: createImageSource(layer.source),
+        extent: layer.extent ? createExtent(layer.extent) : undefined,
+        interpretation: interpretation
+            ? new Interpretation(interpretation.mode, {
+                  negateValues: interpretation.negateValues,
+                  min: interpretation.min,
+                  max: interpretation.max,
+              })
+            : undefined,
+        colorMap: layer.colorMap ? createColorMap(layer.colorMap) : undefined,
+        noDataOptions: layer.noDataOptions,
+    };
+
+    switch (layer.type) {
+        case 'ColorLayer': {
+            const result = new ColorLayer(options);
+            writeProperties(result, layer.properties, PROPERTIES.ColorLayer);
+            return result;
+        }
+        case 'ElevationLayer': {
+            const result = new ElevationLayer({ ...options, minmax: layer.minmax });
+            writeProperties(result, layer.properties, PROPERTIES.ElevationLayer);
+            return result;
+        }
+        default:
+            throw new Error(`unsupported layer: ${(layer as { type: string }).type}`);
+    }
+}
+
+async function loadPointCloud(instance: Instance, serialized: SerializedPointCloud) {
+    const entity = new PointCloud({ source: createPointCloudSource(serialized.source) });
+    entity.name = serialized.name;
+
+    // The attributes are known once the entity is initialized
+    await instance.add(entity);
+
+    writeProperties(entity, serialized.properties, PROPERTIES.PointCloud);
+
+    if (serialized.colorMap) {
+        entity.colorMap = createColorMap(serialized.colorMap);
+    }
+
+    serialized.classifications?.forEach(({ index, color, visible }) => {
+        const classification = entity.classifications[index];
+        if (classification) {
+            classification.color.set(color);
+            classification.visible = visible;
+        }
+    });
+
+    const attribute = serialized.attribute;
+    if (attribute != null && entity.getSupportedAttributes().some(a => a.name === attribute)) {
+        entity.setActiveAttribute(attribute);
+    }
+
+    return entity;
+}
+
+async function loadMap(instance: Instance, serialized: SerializedMap) {
+    const entity = new Map({
+        extent: createExtent(serialized.extent),
+        maxSubdivisionLevel: serialized.maxSubdivisionLevel,
+        segments: serialized.segments,
+    });
+    entity.name = serialized.name;
+    writeProperties(entity, serialized.properties, PROPERTIES.Map);
+
+    await instance.add(entity);
+
+    for (const layer of serialized.layers) {
+        await entity.addLayer(createLayer(layer));
+    }
+
+    return entity;
+}
+
+async function loadFeatureCollection(instance: Instance, serialized: SerializedFeatureCollection) {
+    const format = new GeoJSON();
+    const source = serialized.url
+        ? new VectorSource({ url: serialized.url, format })
+        : new VectorSource({
+              features: serialized.features ? format.readFeatures(serialized.features) : [],
+          });
+
+    const entity = new FeatureCollection({
+        source,
+        extent: createExtent(serialized.extent),
+        dataProjection: serialized.dataProjection,
+        minLevel: serialized.minLevel,
+        maxLevel: serialized.maxLevel,
+        ignoreZ: serialized.ignoreZ,
+        elevation: serialized.elevation,
+        extrusionOffset: serialized.extrusionOffset,
+        style: serialized.style as FeatureStyle | undefined,
+    });
+    entity.name = serialized.name;
+    writeProperties(entity, serialized.properties, PROPERTIES.FeatureCollection);
+
+    await instance.add(entity);
+
+    return entity;
+}
+
+async function loadEntity(instance: Instance, serialized: SerializedEntity): Promise<Entity> {
+    switch (serialized.type) {
+        case 'PointCloud':
+            return loadPointCloud(instance, serialized);
+        case 'Map':
+            return loadMap(instance, serialized);
+        case 'FeatureCollection':
+            return loadFeatureCollection(instance, serialized);
+        case 'Tiles3D': {
+            const entity = new Tiles3D(new Tiles3DSource(serialized.url));
+            entity.name = serialized.name;
+            writeProperties(entity, serialized.properties, PROPERTIES.Tiles3D);
+            await instance.add(entity);
+            return entity;
+        }
+        case 'Shape': {
+            const entity = new Shape();
+            entity.name = serialized.name;
+            entity.setPoints(serialized.points.map(p => new Vector3().fromArray(p)));
+            writeProperties(entity, serialized.properties, PROPERTIES.Shape);
+            await instance.add(entity);
+            return entity;
+        }
+        default:
+            throw new Error(`unsupported entity: ${(serialized as { type: string }).type}`);
+    }
+}
+
+/**
+ * Loads a scene document (see {@link core.Instance.toJSON | Instance.toJSON()}) into the
+ * instance: the entities are created and added to the instance, in the order of the document.
+ *
+ * ```js
+ * const json = JSON.stringify(instance);
+ *
+ * // Later, in another instance with the same CRS
+ * const entities = await loadScene(otherInstance, json);
+ * ```
+ * @param instance - The instance. It must have the same CRS as the document.
+ * @param document - The document, or its JSON representation. Older versions of the format
+ * are migrated automatically.
+ * @param options - The options.
+ * @returns The created entities.
+ * @throws {@link Error} If the document is invalid, or has a different CRS than the instance.
+ */
+export default async function loadScene(
+    instance: Instance,
+    document: string | unknown,
+    options: LoadSceneOptions = {},
+): Promise<Entity[]> {
+    const scene = parseSceneDocument(document);
+
+    if (scene.crs !== instance.referenceCrs) {
+        throw new Error(
+            `the CRS of the scene (${scene.crs}) does not match the CRS of the instance ` +
+                `(${instance.referenceCrs})`,
+        );
+    }
+
+    const entities: Entity[] = [];
+
+    for (const serialized of scene.entities) {
+        entities.push(await loadEntity(instance, serialized));
+    }
+
+    if (scene.rendering && (options.restoreRenderingOptions ?? true)) {
+        restoreRenderingOptions(instance.renderingOptions, scene.rendering);
+    }
+
+    if (scene.camera && (options.restoreCamera ?? true)) {
+        await restoreViewpoint(instance, scene.camera);
+    }
+
+    instance.notifyChange();
+
+    return entities;
+}
@@ -0,0 +1,157 @@
+import { Color } from 'three';
+import type { SerializableValue, SerializedProperties } from './SceneDocument';
+
+const ENTITY3D_PROPERTIES = ['visible', 'opacity', 'renderOrder', 'includeInEDL'];
+
+/**
+ * The serialized properties of each type of object. Properties are restored in this order.
+ * @internal
+ */
+export const PROPERTIES = {
+    PointCloud: [
+        ...ENTITY3D_PROPERTIES,
+        'subdivisionThreshold',
+        'pointBudget',
+        // Must be restored after the point budget, that resets the decimation
+        'decimation',
+        'pointSize',
+        'pointSizeMode',
+        'minPointSize',
+        'maxPointSize',
+        'pointShape',
+        'splatting',
+        'lighting',
+        'castShadow',
+        'receiveShadow',
+        'cleanupDelay',
+        'clippingHighlightColor',
+    ],
+    Map: [
+        ...ENTITY3D_PROPERTIES,
+        'subdivisionThreshold',
+        'terrain',
+        'hillshading',
+        'contourLines',
+        'graticule',
+        'colorimetry',
+        'backgroundColor',
+        'backgroundOpacity',
+        'discardNoData',
+        'elevationRange',
+        'side',
+        'depthTest',
+        'showTileOutlines',
+        'tileOutlineColor',
+        'wireframe',
+    ],
+    Tiles3D: [...ENTITY3D_PROPERTIES, 'sseThreshold', 'cleanupDelay'],
+    FeatureCollection: [...ENTITY3D_PROPERTIES, 'sseScale'],
+    Shape: [
+        ...ENTITY3D_PROPERTIES,
+        'color',
+        'showVertices',
+        'showFloorVertices',
+        'showLine',
+        'showFloorLine',
+        'showVerticalLines',
+        'showSurface',
+        'floorElevation',
+        'surfaceOpacity',
+        'labelOpacity',
+        'depthTest',
+        'vertexRadius',
+        'dashed',
+        'dashSize',
+        'lineWidth',
+        'borderWidth',
+        'fontSize',
+        'fontWeight',
+        'showVertexLabels',
+        'showSegmentLabels',
+        'showLineLabel',
+        'showSurfaceLabel',
+        'showVerticalLineLabels',
+    ],
+    ColorLayer: ['visible', 'opacity', 'blendingMode', 'elevationRange'],
+    ElevationLayer: ['visible'],
+};
+
+/**
+ * Converts the value to a JSON-compatible value. Colors are converted to hexadecimal strings.
+ *
+ * @returns The value, or `undefined` if the value cannot be serialized (e.g functions
+ * or class instances).
+ * @internal
+ */
+export function toSerializable(value: unknown): SerializableValue | undefined {
+    if (value === null) {
+        return null;
+    }
+
+    switch (typeof value) {
+        case 'boolean':
+        case 'string':
+            return value;
+        case 'number':
+            // JSON does not support Infinity and NaN
+            return Number.isFinite(value) ? value : undefined;
+        case 'object':
+            break;
+        default:
+            return undefined;
+    }
+
+    if (value instanceof Color) {
+        return `#${value.getHexString()}`;
+    }
+
+    if (Array.isArray(value)) {
+        const array = value.map(toSerializable);
+        return array.includes(undefined) ? undefined : (array as SerializableValue[]);
+    }
+
+    if (Object.getPrototypeOf(value) === Object.prototype) {
+        const result: SerializedProperties = {};
+        for (const [key, v] of Object.entries(value)) {
+            const serialized = toSerializable(v);
+            if (serialized !== undefined) {
+                result[key] = serialized;
+            }
+        }
+        return result;
+    }
+
+    return undefined;
+}
+
+/**
+ * Reads the serializable values of the specified properties.
+ * @internal
+ */
+export function readProperties(obj: object, keys: string[]): SerializedProperties {
+    const result: SerializedProperties = {};
+    const source = obj as Record<string, unknown>;
+
+    for (const key of keys) {
+        const value = toSerializable(source[key]);
+        if (value !== undefined) {
+            result[key] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Sets the specified properties from serialized values. Unknown properties are ignored.
+ * @internal
+ */
+export function writeProperties(obj: object, properties: SerializedProperties, keys: string[]) {
+    const target = obj as Record<string, unknown>;
+
+    for (const key of keys) {
+        if (key in properties) {
+            target[key] = properties[key];
+        }
+    }
+}
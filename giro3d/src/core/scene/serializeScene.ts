@@ -0,0 +1,311 @@
+import GeoJSON from 'ol/format/GeoJSON';
+import TileWMS from 'ol/source/TileWMS';
+import XYZ from 'ol/source/XYZ';
+import type Entity from '../../entities/Entity';
+import type FeatureCollection from '../../entities/FeatureCollection';
+import type Map from '../../entities/Map';
+import type PointCloud from '../../entities/PointCloud';
+import type Shape from '../../entities/Shape';
+import type Tiles3D from '../../entities/Tiles3D';
+import { ASPRS_CLASSIFICATIONS } from '../../renderer/PointCloudMaterial';
+import type AggregatePointCloudSource from '../../sources/AggregatePointCloudSource';
+import type COPCSource from '../../sources/COPCSource';
+import type GeoTIFFSource from '../../sources/GeoTIFFSource';
+import type ImageSource from '../../sources/ImageSource';
+import type LASSource from '../../sources/LASSource';
+import type { PointCloudSource } from '../../sources/PointCloudSource';
+import type PotreeSource from '../../sources/PotreeSource';
+import type TiledImageSource from '../../sources/TiledImageSource';
+import type ColorMap from '../ColorMap';
+import type Extent from '../geographic/Extent';
+import type Instance from '../Instance';
+import type ColorLayer from '../layer/ColorLayer';
+import type ElevationLayer from '../layer/ElevationLayer';
+import type Layer from '../layer/Layer';
+import { captureRenderingOptions, captureViewpoint } from '../Viewpoint';
+import { PROPERTIES, readProperties, toSerializable } from './properties';
+import {
+    SCENE_FORMAT_VERSION,
+    type SceneDocument,
+    type SerializedClassification,
+    type SerializedColorMap,
+    type SerializedEntity,
+    type SerializedExtent,
+    type SerializedFeatureCollection,
+    type SerializedImageSource,
+    type SerializedLayer,
+    type SerializedPointCloudSource,
+    type SerializedProperties,
+} from './SceneDocument';
+
+function serializeExtent(extent: Extent): SerializedExtent {
+    return {
+        crs: extent.crs,
+        west: extent.west,
+        east: extent.east,
+        south: extent.south,
+        north: extent.north,
+    };
+}
+
+function serializeColorMap(colorMap: ColorMap | null): SerializedColorMap | undefined {
+    if (colorMap == null) {
+        return undefined;
+    }
+
+    return {
+        colors: colorMap.colors.map(c => `#${c.getHexString()}`),
+        min: colorMap.min,
+        max: colorMap.max,
+        mode: colorMap.mode,
+        opacities: colorMap.opacity ?? undefined,
+        active: colorMap.active,
+    };
+}
+
+function serializePointCloudSource(source: PointCloudSource): SerializedPointCloudSource | null {
+    switch (source.type) {
+        case 'PotreeSource':
+            return { type: 'PotreeSource', url: (source as PotreeSource).url };
+        case 'LASSource': {
+            const las = source as LASSource;
+            // Sources created from a Blob or a custom getter cannot be serialized
+            return las.url != null
+                ? { type: 'LASSource', url: las.url, streaming: las.streaming }
+                : null;
+        }
+        case 'COPCSource': {
+            const url = (source as COPCSource).url;
+            return url != null ? { type: 'COPCSource', url } : null;
+        }
+        case 'AggregatePointCloudSource': {
+            const sources: SerializedPointCloudSource[] = [];
+            for (const s of (source as AggregatePointCloudSource).sources) {
+                const serialized = serializePointCloudSource(s);
+                if (serialized == null) {
+                    return null;
+                }
+                sources.push(serialized);
+            }
+            return { type: 'AggregatePointCloudSource', sources };
+        }
+        default:
+            return null;
+    }
+}
+
+function serializeImageSource(source: ImageSource): SerializedImageSource | null {
+    switch (source.type) {
+        case 'GeoTIFFSource': {
+            const geotiff = source as GeoTIFFSource;
+            return {
+                type: 'GeoTIFFSource',
+                url: geotiff.url,
+                crs: geotiff.crs,
+                channels: [...geotiff.channels],
+            };
+        }
+        case 'TiledImageSource': {
+            const tiled = (source as TiledImageSource).source;
+            const projection = tiled.getProjection()?.getCode();
+            const urls = tiled.getUrls();
+
+            if (projection == null || urls == null || urls.length === 0) {
+                return null;
+            }
+            if (tiled instanceof TileWMS) {
+                const params = toSerializable(tiled.getParams()) as SerializedProperties;
+                return { type: 'WmsSource', url: urls[0], projection, params };
+            }
+            if (tiled instanceof XYZ) {
+                return { type: 'TiledImageSource', urls, projection };
+            }
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+function serializeLayer(layer: Layer): SerializedLayer | null {
+    if (layer.type !== 'ColorLayer' && layer.type !== 'ElevationLayer') {
+        return null;
+    }
+
+    const source = serializeImageSource(layer.source);
+    if (source == null) {
+        return null;
+    }
+
+    const interpretation = layer.interpretation;
+
+    const result: SerializedLayer = {
+        type: layer.type,
+        name: layer.name,
+        source,
+        extent: layer.extent ? serializeExtent(layer.extent) : undefined,
+        interpretation: interpretation.isDefault()
+            ? undefined
+            : { mode: interpretation.mode, ...interpretation.options },
+        colorMap: serializeColorMap(layer.colorMap),
+        noDataOptions: { ...layer.noDataOptions },
+        properties: {},
+    };
+
+    if (layer.type === 'ColorLayer') {
+        result.properties = readProperties(layer as ColorLayer, PROPERTIES.ColorLayer);
+    } else {
+        const minmax = (layer as ElevationLayer).minmax;
+        if (minmax.isDefault !== true) {
+            result.minmax = { min: minmax.min, max: minmax.max };
+        }
+        result.properties = readProperties(layer, PROPERTIES.ElevationLayer);
+    }
+
+    return result;
+}
+
+function serializePointCloud(entity: PointCloud): SerializedEntity | null {
+    const source = serializePointCloudSource(entity.source);
+    if (source == null) {
+        return null;
+    }
+
+    const classifications: SerializedClassification[] = [];
+    entity.classifications.forEach((c, index) => {
+        const defaults = ASPRS_CLASSIFICATIONS[index];
+        if (!c.color.equals(defaults.color) || c.visible !== defaults.visible) {
+            const color = `#${c.color.getHexString()}`;
+            classifications.push({ index, color, visible: c.visible });
+        }
+    });
+
+    return {
+        type: 'PointCloud',
+        name: entity.name,
+        source,
+        attribute: entity.activeAttribute?.name,
+        colorMap: serializeColorMap(entity.colorMap),
+        classifications: classifications.length > 0 ? classifications : undefined,
+        properties: readProperties(entity, PROPERTIES.PointCloud),
+    };
+}
+
+function serializeMap(entity: Map): SerializedEntity {
+    const layers: SerializedLayer[] = [];
+
+    for (const layer of entity.getLayers()) {
+        const serialized = serializeLayer(layer);
+        if (serialized) {
+            layers.push(serialized);
+        } else {
+            console.warn(`layer ${layer.name ?? layer.id} cannot be serialized, ignoring it`);
+        }
+    }
+
+    return {
+        type: 'Map',
+        name: entity.name,
+        extent: serializeExtent(entity.extent),
+        maxSubdivisionLevel: entity.maxSubdivisionLevel,
+        segments: entity.segments,
+        layers,
+        properties: readProperties(entity, PROPERTIES.Map),
+    };
+}
+
+function serializeFeatureCollection(entity: FeatureCollection): SerializedEntity {
+    const source = entity.source;
+    const format = new GeoJSON();
+    const url = source.getUrl();
+
+    const result: SerializedFeatureCollection = {
+        type: 'FeatureCollection',
+        name: entity.name,
+        extent: serializeExtent(entity.extent),
+        dataProjection: entity.dataProjection ?? undefined,
+        minLevel: entity.minLevel,
+        maxLevel: Number.isFinite(entity.maxLevel) ? entity.maxLevel : undefined,
+        ignoreZ: entity.ignoreZ,
+        properties: readProperties(entity, PROPERTIES.FeatureCollection),
+    };
+
+    // Features loaded from a GeoJSON file are not embedded
+    if (typeof url === 'string' && source.getFormat() instanceof GeoJSON) {
+        result.url = url;
+    } else {
+        result.features = toSerializable(format.writeFeaturesObject(source.getFeatures()));
+    }
+
+    // Callbacks cannot be serialized
+    const { elevation, extrusionOffset, style } = entity;
+    if (typeof elevation !== 'function') {
+        result.elevation = elevation;
+    }
+    if (typeof extrusionOffset !== 'function') {
+        result.extrusionOffset = extrusionOffset;
+    }
+    if (style != null && typeof style !== 'function') {
+        result.style = toSerializable(style) as SerializedProperties;
+    }
+
+    return result;
+}
+
+function serializeEntity(entity: Entity): SerializedEntity | null {
+    switch (entity.type) {
+        case 'PointCloud':
+            return serializePointCloud(entity as PointCloud);
+        case 'Map':
+            return serializeMap(entity as Map);
+        case 'Tiles3D':
+            return {
+                type: 'Tiles3D',
+                name: entity.name,
+                url: (entity as Tiles3D).url,
+                properties: readProperties(entity, PROPERTIES.Tiles3D),
+            };
+        case 'FeatureCollection':
+            return serializeFeatureCollection(entity as FeatureCollection);
+        case 'Shape':
+            return {
+                type: 'Shape',
+                name: entity.name,
+                points: (entity as Shape).points.map(p => [p.x, p.y, p.z]),
+                properties: readProperties(entity, PROPERTIES.Shape),
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Returns the scene document of the instance: its entities, rendering options and camera.
+ *
+ * Entities and layers that cannot be serialized (e.g with sources created from a `Blob`, or
+ * custom entity types) are ignored with a warning.
+ *
+ * @param instance - The instance.
+ * @returns The document.
+ * @internal
+ */
+export default function serializeScene(instance: Instance): SceneDocument {
+    const entities: SerializedEntity[] = [];
+
+    for (const entity of instance.getEntities()) {
+        const serialized = serializeEntity(entity);
+        if (serialized) {
+            entities.push(serialized);
+        } else {
+            console.warn(`entity ${entity.name ?? entity.id} cannot be serialized, ignoring it`);
+        }
+    }
+
+    return {
+        version: SCENE_FORMAT_VERSION,
+        crs: instance.referenceCrs,
+        entities,
+        rendering: captureRenderingOptions(instance.renderingOptions),
+        camera: captureViewpoint(instance, { pointClouds: false, renderingOptions: false }),
+    };
+}
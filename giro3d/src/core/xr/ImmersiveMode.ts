@@ -0,0 +1,692 @@
+import {
+    BufferGeometry,
+    EventDispatcher,
+    Float32BufferAttribute,
+    Group,
+    Line,
+    LineBasicMaterial,
+    MathUtils,
+    Matrix4,
+    Object3D,
+    PerspectiveCamera,
+    Quaternion,
+    Ray,
+    Vector3,
+    Vector4,
+} from 'three';
+import StereoRenderer, { type StereoView } from '../../renderer/StereoRenderer';
+import type { ExternalControls } from '../../renderer/View';
+import { isPerspectiveCamera } from '../../utils/predicates';
+import type Instance from '../Instance';
+import type { PickObjectsAtOptions } from '../Instance';
+import type PickResult from '../picking/PickResult';
+import type {
+    XRFrameLike,
+    XRInputSourceEventLike,
+    XRInputSourceLike,
+    XRSessionLike,
+    XRSpaceLike,
+    XRWebGLLayerLike,
+} from './WebXR';
+
+const DEFAULT_SSE_SCALE = 0.5;
+const DEFAULT_POINT_BUDGET_SCALE = 0.5;
+
+/** The length of the rays displayed in front of the controllers, in meters. */
+const POINTER_LENGTH = 10;
+
+/** The XR reference spaces are Y-up, whereas the scene is Z-up. */
+const Y_UP_TO_Z_UP = new Quaternion().setFromAxisAngle(new Vector3(1, 0, 0), Math.PI / 2);
+const Z_AXIS = new Vector3(0, 0, 1);
+
+const tmpMatrix = new Matrix4();
+const tmpPose = new Matrix4();
+const tmpScale = new Vector3();
+const tmpVec3 = new Vector3();
+
+/**
+ * The type of XR reference space, see
+ * [XRReferenceSpace](https://developer.mozilla.org/en-US/docs/Web/API/XRReferenceSpace).
+ */
+export type XRReferenceSpaceType = 'local' | 'local-floor' | 'bounded-floor' | 'unbounded';
+
+/**
+ * Options of {@link ImmersiveMode.start}.
+ */
+export interface ImmersiveModeOptions {
+    /**
+     * The type of reference space. With floor-level spaces, the viewer stands on the teleport
+     * destinations at their actual height. Falls back to `'local'` if the type is not supported.
+     * @defaultValue 'local-floor'
+     */
+    referenceSpaceType?: XRReferenceSpaceType;
+    /**
+     * Enables teleport locomotion: selecting a point with a controller (e.g with its trigger)
+     * moves the viewer to this point.
+     * @defaultValue true
+     */
+    teleport?: boolean;
+    /**
+     * The options used to pick objects along the ray of the controllers.
+     * @defaultValue `{ limit: 1, sortByDistance: true }`
+     */
+    pickOptions?: PickObjectsAtOptions;
+    /**
+     * The factor to apply to the screen space error of entities during the session. Since the
+     * scene is rendered once per eye, at the resolution of the device, a lower level of detail
+     * keeps the frame rate acceptable. See {@link core.Context.sseScale | Context.sseScale}.
+     * @defaultValue 0.5
+     */
+    sseScale?: number;
+    /**
+     * The factor to apply to the point budgets of entities during the session, for the same
+     * reason. See {@link core.Context.pointBudgetScale | Context.pointBudgetScale}.
+     * @defaultValue 0.5
+     */
+    pointBudgetScale?: number;
+}
+
+export interface ImmersiveModeEvents {
+    /**
+     * Raised when the session has started.
+     */
+    'session-start': { session: XRSessionLike };
+    /**
+     * Raised when the session has ended, either by {@link ImmersiveMode.end} or by the device.
+     */
+    'session-end': { session: XRSessionLike };
+    /**
+     * Raised when the user selects something with a controller, e.g by pressing its trigger.
+     */
+    select: {
+        /** The controller. */
+        inputSource: XRInputSourceLike;
+        /** The ray of the controller, in scene coordinates. */
+        ray: Ray;
+        /** The objects picked along the ray. */
+        picked: PickResult[];
+    };
+    /**
+     * Raised when the viewer has teleported.
+     */
+    teleport: {
+        /** The destination, i.e the position of the feet of the viewer. */
+        position: Vector3;
+    };
+}
+
+/** The view of one eye. */
+interface EyeView extends StereoView {
+    /** The tangents of the half-angles of the frustum: left, right, top, bottom. */
+    tangents: Vector4;
+}
+
+/** The state of the instance before the session, restored afterwards. */
+interface SavedState {
+    controls: ExternalControls | null;
+    position: Vector3;
+    quaternion: Quaternion;
+    fov: number;
+}
+
+async function requestReferenceSpace(
+    session: XRSessionLike,
+    type: XRReferenceSpaceType,
+): Promise<XRSpaceLike> {
+    try {
+        return await session.requestReferenceSpace(type);
+    } catch (e) {
+        if (type === 'local') {
+            throw e;
+        }
+        console.warn(`reference space '${type}' is not supported, falling back to 'local'`);
+        return session.requestReferenceSpace('local');
+    }
+}
+
+function createPointer(): Line {
+    const geometry = new BufferGeometry();
+    geometry.setAttribute('position', new Float32BufferAttribute([0, 0, 0, 0, 0, -1], 3));
+
+    const line = new Line(geometry, new LineBasicMaterial({ color: 0xffffff }));
+    line.name = 'pointer';
+    line.frustumCulled = false;
+    line.matrixAutoUpdate = false;
+
+    return line;
+}
+
+/**
+ * Displays the instance in a WebXR device, such as a VR headset.
+ *
+ * During the session, the scene is rendered once per eye, with the same post-processing
+ * effects (e.g EDL) as on the canvas, and the camera of the instance follows the head of the
+ * viewer, so that entities select their level of detail from the point of view of the viewer.
+ * The scene is displayed at a 1:1 scale: one unit of the scene is one meter.
+ *
+ * The viewer starts at the position of the camera, and moves around by teleporting: selecting
+ * a point with a controller moves the viewer to this point (see
+ * {@link ImmersiveModeOptions.teleport}).
+ *
+ * Note: the immersive mode of an instance is accessible with
+ * {@link core.Instance.xr | Instance.xr}.
+ *
+ * ```js
+ * if (await ImmersiveMode.isSupported()) {
+ *     button.onclick = () => instance.xr.enter();
+ * }
+ *
+ * instance.xr.addEventListener('select', ({ picked }) => console.log(picked[0]?.point));
+ * ```
+ *
+ * The session can also be provided by the application with {@link start}. Since the session
+ * is only used through the {@link XRSessionLike} interface, this allows to render with a mocked
+ * session, e.g in headless tests.
+ */
+class ImmersiveMode extends EventDispatcher<ImmersiveModeEvents> {
+    private readonly _instance: Instance;
+    /** The pose of the reference space, in scene coordinates. */
+    private readonly _origin = new Object3D();
+    /** The position of the head, in the reference space. */
+    private readonly _head = new Vector3();
+    private readonly _views: EyeView[] = [];
+    private readonly _pointers = new Group();
+    private readonly _onSelect: (event: unknown) => void;
+    private readonly _onEnd: () => void;
+    private _stereoRenderer: StereoRenderer | null = null;
+    private _session: XRSessionLike | null = null;
+    private _referenceSpace: XRSpaceLike | null = null;
+    private _layer: XRWebGLLayerLike | null = null;
+    private _options: ImmersiveModeOptions = {};
+    private _saved: SavedState | null = null;
+    /** The frame to render, if any. */
+    private _frame: XRFrameLike | null = null;
+    private _aligned = false;
+
+    /**
+     * @param instance - The instance.
+     */
+    constructor(instance: Instance) {
+        super();
+
+        this._instance = instance;
+        this._pointers.name = 'xr-pointers';
+
+        this._onSelect = event => this.onSelect(event as XRInputSourceEventLike);
+        this._onEnd = () => this.onSessionEnd();
+    }
+
+    /**
+     * Returns `true` if the browser supports immersive VR sessions.
+     */
+    static async isSupported(): Promise<boolean> {
+        const xr = (navigator as { xr?: { isSessionSupported(mode: string): Promise<boolean> } })
+            .xr;
+
+        return (await xr?.isSessionSupported('immersive-vr')) ?? false;
+    }
+
+    /**
+     * Gets whether a session is running.
+     */
+    get isPresenting(): boolean {
+        return this._session != null;
+    }
+
+    /**
+     * Gets the running session, if any.
+     */
+    get session(): XRSessionLike | null {
+        return this._session;
+    }
+
+    /**
+     * Requests an immersive VR session from the browser, and starts it.
+     *
+     * Note: browsers only grant sessions in response to a user action, e.g a click on a button.
+     *
+     * @param options - The options.
+     * @throws {@link Error} If the browser does not support WebXR, or if a session is already
+     * running.
+     */
+    async enter(options: ImmersiveModeOptions = {}): Promise<void> {
+        const xr = (
+            navigator as {
+                xr?: {
+                    requestSession(mode: string, init: object): Promise<XRSessionLike>;
+                };
+            }
+        ).xr;
+
+        if (xr == null) {
+            throw new Error('WebXR is not supported by this browser');
+        }
+
+        const session = await xr.requestSession('immersive-vr', {
+            optionalFeatures: ['local-floor', 'bounded-floor'],
+        });
+
+        await this.start(session, options);
+    }
+
+    /**
+     * Starts displaying the instance in the session.
+     *
+     * @param session - The session, e.g returned by `navigator.xr.requestSession()`.
+     * @param options - The options.
+     * @throws {@link Error} If a session is already running, or if the camera of the instance
+     * is not a perspective camera.
+     */
+    async start(session: XRSessionLike, options: ImmersiveModeOptions = {}): Promise<void> {
+        if (this._session != null) {
+            throw new Error('an immersive session is already running');
+        }
+
+        const instance = this._instance;
+        const view = instance.view;
+        const camera = view.camera;
+
+        if (!isPerspectiveCamera(camera)) {
+            throw new Error('the immersive mode requires a perspective camera');
+        }
+
+        const layer = await this.getLayer(session);
+        const referenceSpace = await requestReferenceSpace(
+            session,
+            options.referenceSpaceType ?? 'local-floor',
+        );
+
+        this._session = session;
+        this._layer = layer;
+        this._referenceSpace = referenceSpace;
+        this._options = options;
+        this._aligned = false;
+        this._stereoRenderer = this._stereoRenderer ?? new StereoRenderer();
+
+        // The camera is driven by the head of the viewer
+        this._saved = {
+            controls: view.controls,
+            position: camera.position.clone(),
+            quaternion: camera.quaternion.clone(),
+            fov: camera.fov,
+        };
+        view.setControls(null);
+
+        session.addEventListener('select', this._onSelect);
+        session.addEventListener('end', this._onEnd);
+
+        instance.scene.add(this._pointers);
+
+        instance.mainLoop.startXRLoop(instance, session, {
+            onFrame: (_, frame) => this.onFrame(frame),
+            sseScale: options.sseScale ?? DEFAULT_SSE_SCALE,
+            pointBudgetScale: options.pointBudgetScale ?? DEFAULT_POINT_BUDGET_SCALE,
+        });
+
+        this.dispatchEvent({ type: 'session-start', session });
+    }
+
+    /**
+     * Ends the running session, if any, and restores the camera of the instance.
+     */
+    async end(): Promise<void> {
+        const session = this._session;
+        if (session == null) {
+            return;
+        }
+
+        await session.end();
+
+        // In case the session does not raise the 'end' event
+        this.onSessionEnd();
+    }
+
+    /**
+     * Moves the viewer to the specified position, keeping the direction they are facing.
+     *
+     * @param position - The destination, i.e the position of the feet of the viewer,
+     * in scene coordinates.
+     */
+    teleport(position: Vector3) {
+        const origin = this._origin;
+
+        // The head of the viewer is located above the destination
+        const offset = tmpVec3.set(this._head.x, 0, this._head.z);
+        offset.applyQuaternion(origin.quaternion);
+        origin.position.copy(position).sub(offset);
+        origin.updateMatrix();
+
+        this._instance.notifyChange(this._instance.view.camera);
+        this.dispatchEvent({ type: 'teleport', position: position.clone() });
+    }
+
+    /**
+     * Computes the ray of the input source, in scene coordinates.
+     *
+     * @param inputSource - The input source, e.g a controller.
+     * @param frame - The current frame.
+     * @param target - The ray to update.
+     * @returns The ray, or `null` if the input source is not tracked.
+     */
+    getControllerRay(inputSource: XRInputSourceLike, frame: XRFrameLike, target: Ray): Ray | null {
+        if (this._referenceSpace == null) {
+            return null;
+        }
+
+        const pose = frame.getPose(inputSource.targetRaySpace, this._referenceSpace);
+        if (pose == null) {
+            return null;
+        }
+
+        const matrix = this.toScene(pose.transform.matrix, tmpMatrix);
+        target.origin.setFromMatrixPosition(matrix);
+        target.direction.set(0, 0, -1).transformDirection(matrix);
+
+        return target;
+    }
+
+    /**
+     * Renders the current frame of the session.
+     * @internal
+     */
+    render() {
+        const frame = this._frame;
+        const layer = this._layer;
+
+        // Rendering is only possible during the animation frames of the session
+        if (frame == null || layer == null || this._stereoRenderer == null) {
+            return;
+        }
+        this._frame = null;
+
+        const instance = this._instance;
+        const { near, far } = instance.view.camera;
+
+        for (const { camera, tangents } of this._views) {
+            camera.near = near;
+            camera.far = far;
+            camera.projectionMatrix.makePerspective(
+                tangents.x * near,
+                tangents.y * near,
+                tangents.z * near,
+                tangents.w * near,
+                near,
+                far,
+            );
+            camera.projectionMatrixInverse.copy(camera.projectionMatrix).invert();
+        }
+
+        this._stereoRenderer.render(
+            instance.engine,
+            instance.scene,
+            this._views,
+            {
+                framebuffer: layer.framebuffer,
+                width: layer.framebufferWidth,
+                height: layer.framebufferHeight,
+            },
+            instance.selection,
+        );
+    }
+
+    /**
+     * Ends the running session, if any, and releases the resources.
+     */
+    dispose() {
+        this.end().catch(console.error);
+
+        this._stereoRenderer?.dispose();
+        this._stereoRenderer = null;
+
+        this._pointers.traverse(obj => {
+            if (obj instanceof Line) {
+                obj.geometry.dispose();
+                (obj.material as LineBasicMaterial).dispose();
+            }
+        });
+        this._pointers.clear();
+    }
+
+    private async getLayer(session: XRSessionLike): Promise<XRWebGLLayerLike> {
+        const existing = session.renderState.baseLayer;
+        if (existing != null) {
+            return existing;
+        }
+
+        const XRWebGLLayer = (
+            globalThis as {
+                XRWebGLLayer?: new (
+                    session: XRSessionLike,
+                    gl: WebGLRenderingContext,
+                ) => XRWebGLLayerLike;
+            }
+        ).XRWebGLLayer;
+
+        if (XRWebGLLayer == null) {
+            throw new Error('WebXR is not supported by this browser');
+        }
+
+        const gl = this._instance.renderer.getContext() as WebGLRenderingContext & {
+            makeXRCompatible?: () => Promise<void>;
+        };
+        await gl.makeXRCompatible?.();
+
+        const layer = new XRWebGLLayer(session, gl);
+        session.updateRenderState({ baseLayer: layer });
+
+        return layer;
+    }
+
+    /**
+     * Converts a pose of the reference space into a matrix in scene coordinates.
+     */
+    private toScene(pose: ArrayLike<number>, target: Matrix4): Matrix4 {
+        return target.multiplyMatrices(this._origin.matrix, tmpPose.fromArray(pose));
+    }
+
+    /**
+     * Places the reference space so that the head of the viewer is located at the position of
+     * the camera, facing the same direction.
+     */
+    private alignOrigin() {
+        const origin = this._origin;
+        const camera = this._instance.view.camera;
+
+        const forward = camera.getWorldDirection(tmpVec3);
+        const heading = Math.atan2(-forward.x, forward.y);
+
+        origin.quaternion.setFromAxisAngle(Z_AXIS, heading).multiply(Y_UP_TO_Z_UP);
+
+        const offset = tmpVec3.copy(this._head).applyQuaternion(origin.quaternion);
+        origin.position.copy(camera.position).sub(offset);
+        origin.updateMatrix();
+    }
+
+    private getView(index: number): EyeView {
+        let view = this._views[index];
+
+        if (view == null) {
+            const camera = new PerspectiveCamera();
+            camera.name = `xr-eye-${index}`;
+            view = { camera, viewport: new Vector4(), tangents: new Vector4() };
+            this._views[index] = view;
+        }
+
+        return view;
+    }
+
+    private onFrame(frame: XRFrameLike) {
+        this._frame = null;
+
+        if (this._referenceSpace == null || this._layer == null) {
+            return;
+        }
+
+        const pose = frame.getViewerPose(this._referenceSpace);
+
+        // Tracking is lost
+        if (pose == null) {
+            return;
+        }
+
+        const instance = this._instance;
+        const camera = instance.view.camera as PerspectiveCamera;
+
+        this._head.setFromMatrixPosition(tmpMatrix.fromArray(pose.transform.matrix));
+
+        if (!this._aligned) {
+            this.alignOrigin();
+            this._aligned = true;
+        }
+
+        this.toScene(pose.transform.matrix, tmpMatrix).decompose(
+            camera.position,
+            camera.quaternion,
+            tmpScale,
+        );
+
+        // The frustum of the camera encloses the frustums of all eyes
+        let maxTanX = 0;
+        let maxTanY = 0;
+        let height = 0;
+
+        const count = pose.views.length;
+        for (let i = 0; i < count; i++) {
+            const xrView = pose.views[i];
+            const view = this.getView(i);
+
+            this.toScene(xrView.transform.matrix, tmpMatrix).decompose(
+                view.camera.position,
+                view.camera.quaternion,
+                view.camera.scale,
+            );
+            view.camera.updateMatrixWorld(true);
+
+            const p = xrView.projectionMatrix;
+            const left = (p[8] - 1) / p[0];
+            const right = (p[8] + 1) / p[0];
+            const bottom = (p[9] - 1) / p[5];
+            const top = (p[9] + 1) / p[5];
+            view.tangents.set(left, right, top, bottom);
+
+            maxTanX = Math.max(maxTanX, -left, right);
+            maxTanY = Math.max(maxTanY, top, -bottom);
+
+            const viewport = this._layer.getViewport(xrView);
+            if (viewport != null) {
+                view.viewport.set(viewport.x, viewport.y, viewport.width, viewport.height);
+                height = Math.max(height, viewport.height);
+            } else {
+                view.viewport.set(0, 0, 0, 0);
+            }
+        }
+        this._views.length = count;
+
+        if (count === 0 || height === 0) {
+            return;
+        }
+
+        camera.fov = 2 * MathUtils.radToDeg(Math.atan(maxTanY));
+
+        // Entities compute their level of detail from the size of the view, and the aspect
+        // ratio of the camera is computed from it by the main loop.
+        const width = Math.round((height * maxTanX) / maxTanY);
+        const engine = instance.engine;
+        if (engine.width !== width || engine.height !== height) {
+            engine.setRenderingSize(width, height);
+        }
+
+        this.updatePointers(frame);
+
+        this._frame = frame;
+    }
+
+    private updatePointers(frame: XRFrameLike) {
+        const session = this._session;
+        if (session == null) {
+            return;
+        }
+
+        const inputSources = session.inputSources;
+        const pointers = this._pointers;
+
+        while (pointers.children.length < inputSources.length) {
+            pointers.add(createPointer());
+        }
+
+        pointers.children.forEach((pointer, i) => {
+            const inputSource = i < inputSources.length ? inputSources[i] : null;
+            const ray =
+                inputSource?.targetRayMode === 'tracked-pointer' && this._referenceSpace != null
+                    ? frame.getPose(inputSource.targetRaySpace, this._referenceSpace)
+                    : null;
+
+            pointer.visible = ray != null;
+
+            if (ray != null) {
+                this.toScene(ray.transform.matrix, pointer.matrix).scale(
+                    tmpScale.setScalar(POINTER_LENGTH),
+                );
+                pointer.updateMatrixWorld(true);
+            }
+        });
+    }
+
+    private onSelect(event: XRInputSourceEventLike) {
+        const { frame, inputSource } = event;
+
+        const ray = this.getControllerRay(inputSource, frame, new Ray());
+        if (ray == null) {
+            return;
+        }
+
+        const picked = this._instance.pickObjectsAt(ray, {
+            limit: 1,
+            sortByDistance: true,
+            ...this._options.pickOptions,
+        });
+
+        this.dispatchEvent({ type: 'select', inputSource, ray, picked });
+
+        const destination = picked[0]?.point;
+        if (destination != null && (this._options.teleport ?? true)) {
+            this.teleport(destination);
+        }
+    }
+
+    private onSessionEnd() {
+        const session = this._session;
+        if (session == null) {
+            return;
+        }
+
+        const instance = this._instance;
+
+        session.removeEventListener('select', this._onSelect);
+        session.removeEventListener('end', this._onEnd);
+
+        this._session = null;
+        this._referenceSpace = null;
+        this._layer = null;
+        this._frame = null;
+
+        instance.mainLoop.stopXRLoop(instance);
+        instance.scene.remove(this._pointers);
+
+        const saved = this._saved;
+        if (saved != null) {
+            const camera = instance.view.camera as PerspectiveCamera;
+            camera.position.copy(saved.position);
+            camera.quaternion.copy(saved.quaternion);
+            camera.fov = saved.fov;
+            camera.updateProjectionMatrix();
+            camera.updateMatrixWorld(true);
+            instance.view.setControls(saved.controls);
+            this._saved = null;
+        }
+
+        this.dispatchEvent({ type: 'session-end', session });
+    }
+}
+
+export default ImmersiveMode;
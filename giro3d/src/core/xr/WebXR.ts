@@ -0,0 +1,126 @@
+// The subset of the WebXR Device API (https://www.w3.org/TR/webxr/) used by Giro3D.
+// The objects of the browser implement those interfaces, but so can any other object: this
+// allows to drive the immersive mode with a mocked session, e.g in headless tests.
+
+/**
+ * A 4x4 column-major matrix, e.g a `Float32Array`.
+ */
+export type XRMatrix = ArrayLike<number>;
+
+/**
+ * A position and orientation, see
+ * [XRRigidTransform](https://developer.mozilla.org/en-US/docs/Web/API/XRRigidTransform).
+ */
+export interface XRRigidTransformLike {
+    /** The transform, as a matrix. */
+    readonly matrix: XRMatrix;
+}
+
+/**
+ * A coordinate system, see [XRSpace](https://developer.mozilla.org/en-US/docs/Web/API/XRSpace).
+ * It is opaque to Giro3D.
+ */
+export type XRSpaceLike = object;
+
+/**
+ * The view of one eye, see [XRView](https://developer.mozilla.org/en-US/docs/Web/API/XRView).
+ */
+export interface XRViewLike {
+    /** The eye, e.g `'left'` or `'right'`. */
+    readonly eye?: string;
+    /** The projection matrix. */
+    readonly projectionMatrix: XRMatrix;
+    /** The pose of the eye, in the reference space. */
+    readonly transform: XRRigidTransformLike;
+}
+
+/**
+ * The pose of a space, see [XRPose](https://developer.mozilla.org/en-US/docs/Web/API/XRPose).
+ */
+export interface XRPoseLike {
+    readonly transform: XRRigidTransformLike;
+}
+
+/**
+ * The pose of the viewer, see
+ * [XRViewerPose](https://developer.mozilla.org/en-US/docs/Web/API/XRViewerPose).
+ */
+export interface XRViewerPoseLike extends XRPoseLike {
+    /** The views to render, usually one per eye. */
+    readonly views: ArrayLike<XRViewLike>;
+}
+
+/**
+ * The state of the tracked objects at a given time, see
+ * [XRFrame](https://developer.mozilla.org/en-US/docs/Web/API/XRFrame).
+ */
+export interface XRFrameLike {
+    getViewerPose(referenceSpace: XRSpaceLike): XRViewerPoseLike | null | undefined;
+    getPose(space: XRSpaceLike, baseSpace: XRSpaceLike): XRPoseLike | null | undefined;
+}
+
+/**
+ * An input device, e.g a controller, see
+ * [XRInputSource](https://developer.mozilla.org/en-US/docs/Web/API/XRInputSource).
+ */
+export interface XRInputSourceLike {
+    /** The hand holding the device: `'left'`, `'right'` or `'none'`. */
+    readonly handedness?: string;
+    /** How the rays are cast, e.g `'tracked-pointer'` for controllers. */
+    readonly targetRayMode: string;
+    /** The space of the rays cast by the device, pointing towards its -Z axis. */
+    readonly targetRaySpace: XRSpaceLike;
+}
+
+/**
+ * The event fired when an input source performs an action, e.g when the trigger of a controller
+ * is pressed. See
+ * [XRInputSourceEvent](https://developer.mozilla.org/en-US/docs/Web/API/XRInputSourceEvent).
+ */
+export interface XRInputSourceEventLike {
+    readonly frame: XRFrameLike;
+    readonly inputSource: XRInputSourceLike;
+}
+
+/**
+ * A rectangle of the framebuffer, in pixels, from the bottom-left corner.
+ */
+export interface XRViewportLike {
+    readonly x: number;
+    readonly y: number;
+    readonly width: number;
+    readonly height: number;
+}
+
+/**
+ * The framebuffer that the device displays, see
+ * [XRWebGLLayer](https://developer.mozilla.org/en-US/docs/Web/API/XRWebGLLayer).
+ */
+export interface XRWebGLLayerLike {
+    /** The framebuffer. If `null`, the canvas is used. */
+    readonly framebuffer: WebGLFramebuffer | null;
+    readonly framebufferWidth: number;
+    readonly framebufferHeight: number;
+    /** Returns the area of the framebuffer where the view is rendered. */
+    getViewport(view: XRViewLike): XRViewportLike | null | undefined;
+}
+
+/**
+ * An immersive session, see
+ * [XRSession](https://developer.mozilla.org/en-US/docs/Web/API/XRSession).
+ *
+ * Note: if `renderState.baseLayer` is not set, an `XRWebGLLayer` is created when the
+ * session starts, which requires a browser that supports WebXR.
+ */
+export interface XRSessionLike {
+    readonly renderState: { readonly baseLayer?: XRWebGLLayerLike | null };
+    readonly inputSources: ArrayLike<XRInputSourceLike>;
+    requestReferenceSpace(type: string): Promise<XRSpaceLike>;
+    requestAnimationFrame(callback: (time: number, frame: XRFrameLike) => void): number;
+    cancelAnimationFrame(handle: number): void;
+    updateRenderState(state: { baseLayer?: XRWebGLLayerLike }): void;
+    /** Supports at least the `'select'` and `'end'` events. */
+    addEventListener(type: string, listener: (event: unknown) => void): void;
+    removeEventListener(type: string, listener: (event: unknown) => void): void;
+    end(): Promise<void>;
+}
@@ -0,0 +1,38 @@
+import ImmersiveMode, {
+    type ImmersiveModeEvents,
+    type ImmersiveModeOptions,
+    type XRReferenceSpaceType,
+} from './ImmersiveMode';
+import type {
+    XRFrameLike,
+    XRInputSourceEventLike,
+    XRInputSourceLike,
+    XRMatrix,
+    XRPoseLike,
+    XRRigidTransformLike,
+    XRSessionLike,
+    XRSpaceLike,
+    XRViewerPoseLike,
+    XRViewLike,
+    XRViewportLike,
+    XRWebGLLayerLike,
+} from './WebXR';
+
+export {
+    ImmersiveMode,
+    ImmersiveModeEvents,
+    ImmersiveModeOptions,
+    XRFrameLike,
+    XRInputSourceEventLike,
+    XRInputSourceLike,
+    XRMatrix,
+    XRPoseLike,
+    XRReferenceSpaceType,
+    XRRigidTransformLike,
+    XRSessionLike,
+    XRSpaceLike,
+    XRViewerPoseLike,
+    XRViewLike,
+    XRViewportLike,
+    XRWebGLLayerLike,
+};
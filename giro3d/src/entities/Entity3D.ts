@@ -63,6 +63,7 @@ class Entity3D<TEventMap extends Entity3DEventMap = Entity3DEventMap, TUserData
     }
     private _clippingPlanes: Plane[] | null;
     private _renderOrder: number;
+    private _includeInEDL = false;
 
     /**
      * Creates a Entity3D with the specified parameters.
@@ -146,6 +147,27 @@ class Entity3D<TEventMap extends Entity3DEventMap = Entity3DEventMap, TUserData
         }
     }
 
+    /**
+     * Includes the objects of this entity in the point cloud post-processing effects, such as
+     * EDL (Eye Dome Lighting), so that they are shaded consistently with point clouds. This is
+     * useful for meshes (e.g terrain or 3D tiles) displayed along with point clouds.
+     *
+     * Note: the objects of this entity will also receive the other enabled point cloud effects
+     * (see {@link renderer.RenderingOptions}). Point clouds are always included.
+     *
+     * @defaultValue false
+     */
+    get includeInEDL() {
+        return this._includeInEDL;
+    }
+
+    set includeInEDL(v: boolean) {
+        if (this._includeInEDL !== v) {
+            this._includeInEDL = v;
+            this.notifyChange(this);
+        }
+    }
+
     /**
      * Gets or sets the opacity of this entity.
      */
@@ -286,6 +286,41 @@ class FeatureCollection<UserData = EntityUserData> extends Entity3D<Entity3DEven
      */
     sseScale = 1;
 
+    /**
+     * The OpenLayers source providing features to this entity.
+     */
+    get source(): VectorSource {
+        return this._source;
+    }
+
+    /**
+     * The style of the features, as passed to the constructor.
+     */
+    get style(): FeatureStyle | FeatureStyleCallback | null {
+        return this._style;
+    }
+
+    /**
+     * The elevation of the features, as passed to the constructor.
+     */
+    get elevation(): FeatureElevationCallback | number | Array<number> | undefined {
+        return this._elevation;
+    }
+
+    /**
+     * The extrusion offset of the features, as passed to the constructor.
+     */
+    get extrusionOffset(): FeatureExtrusionOffsetCallback | number | Array<number> | undefined {
+        return this._extrusionOffset;
+    }
+
+    /**
+     * If `true`, the Z-coordinates of geometries are ignored.
+     */
+    get ignoreZ(): boolean {
+        return this._ignoreZ;
+    }
+
     /**
      * The number of materials managed by this entity.
      */
@@ -1,11 +1,23 @@
-import type { Box3, ColorRepresentation } from 'three';
+import type { ColorRepresentation, Object3D, TypedArray } from 'three';
 import {
+    Box3,
     Box3Helper,
+    BufferAttribute,
     BufferGeometry,
     Color,
+    Float32BufferAttribute,
     Group,
+    Int16BufferAttribute,
+    Int32BufferAttribute,
+    Int8BufferAttribute,
+    IntType,
     MathUtils,
+    Matrix4,
+    Quaternion,
     Sphere,
+    Uint16BufferAttribute,
+    Uint32BufferAttribute,
+    Uint8BufferAttribute,
     Vector2,
     Vector3,
     type Material,
@@ -13,21 +25,43 @@ import {
 import ColorMap from '../core/ColorMap';
 // TODO rename pointcloud object to PointCloudMesh
 import type Context from '../core/Context';
+import type ElevationProvider from '../core/ElevationProvider';
 import Extent from '../core/geographic/Extent';
+import type GetElevationOptions from '../core/GetElevationOptions';
+import type GetElevationResult from '../core/GetElevationResult';
 import type ColorLayer from '../core/layer/ColorLayer';
 import type HasLayers from '../core/layer/HasLayers';
 import type Layer from '../core/layer/Layer';
 import type { GetMemoryUsageContext } from '../core/MemoryUsage';
 import { getGeometryMemoryUsage } from '../core/MemoryUsage';
 import type PickOptions from '../core/picking/PickOptions';
+import type { PointsPickResult } from '../core/picking/PickPointsAt';
 import pickPointsAt from '../core/picking/PickPointsAt';
 import type PickResult from '../core/picking/PickResult';
 import PointCloudMesh from '../core/PointCloud';
-import type { Classification } from '../renderer/PointCloudMaterial';
-import PointCloudMaterial, { ASPRS_CLASSIFICATIONS, MODE } from '../renderer/PointCloudMaterial';
+import {
+    createClippingUniformData,
+    DEFAULT_CLIPPING_HIGHLIGHT_COLOR,
+    isBoxClipped,
+    type ClippingUniformData,
+    type ClippingVolume,
+} from '../renderer/ClippingVolume';
+import type {
+    AttributeFilterUniformData,
+    Classification,
+    PointShape,
+    PointSizeMode,
+} from '../renderer/PointCloudMaterial';
+import PointCloudMaterial, {
+    ASPRS_CLASSIFICATIONS,
+    createOpenRanges,
+    MAX_ATTRIBUTE_FILTERS,
+    MODE,
+} from '../renderer/PointCloudMaterial';
 import type View from '../renderer/View';
 import {
     traverseNode,
+    type GetNodeDataOptions,
     type PointCloudAttribute,
     type PointCloudMetadata,
     type PointCloudNode,
@@ -50,8 +84,14 @@ import Entity3D from './Entity3D';
 type NodeState = 'empty' | 'hidden' | 'loading' | 'displayed';
 
 const DEFAULT_CLEANUP_DELAY = 5000;
+const DEFAULT_SNAPPING_RADIUS = 10;
 const TEXTURE_SIZE = new Vector2(256, 256);
 const tmpVector3 = new Vector3();
+const tmpCenter = new Vector3();
+const tmpBox3 = new Box3();
+const tmpMatrix = new Matrix4();
+const tmpQuaternion = new Quaternion();
+const UNIT_SCALE = new Vector3(1, 1, 1);
 const DEFAULT_COLORMAP = new ColorMap({
     colors: [new Color('black'), new Color('white')],
     min: 0,
@@ -81,6 +121,11 @@ type NodeInfo = {
     shouldBeVisible: boolean;
     /** Should we reload the position buffer ? */
     positionDirty: boolean;
+    /** The last loading failed, e.g the data is missing or corrupted. */
+    failed: boolean;
+    /** The name of the attribute loaded in each filter slot of the mesh. */
+    filterAttributes: Array<string | null>;
+    filterController?: AbortController;
 };
 
 function createBoxHelper(box: Box3, color: ColorRepresentation) {
@@ -136,17 +181,127 @@ function emptyNodeInfo(node: PointCloudNode): NodeInfo {
         stateTimestamp: performance.now(),
         shouldBeVisible: false,
         positionDirty: true,
+        failed: false,
+        filterAttributes: new Array(MAX_ATTRIBUTE_FILTERS).fill(null),
     };
 }
 
 const cachedMaterials: PointCloudMaterial[] = [];
 
+function createEmptyFilterSlots(): Array<PointCloudAttribute | null> {
+    return new Array(MAX_ATTRIBUTE_FILTERS).fill(null);
+}
+
+/**
+ * A range filter on the values of a point cloud attribute.
+ * See {@link PointCloud.attributeFilters}.
+ */
+export type AttributeFilter = {
+    /**
+     * The name of the filtered attribute. Only scalar attributes are supported.
+     */
+    attribute: string;
+    /**
+     * The lowest accepted value (inclusive).
+     * @defaultValue no lower bound
+     */
+    min?: number;
+    /**
+     * The highest accepted value (inclusive).
+     * @defaultValue no upper bound
+     */
+    max?: number;
+    /**
+     * Toggles the filter.
+     * @defaultValue true
+     */
+    enabled?: boolean;
+};
+
+/**
+ * How multiple attribute filters are combined:
+ * - `'and'`: points must pass all filters,
+ * - `'or'`: points must pass at least one filter.
+ */
+export type AttributeFilterOperator = 'and' | 'or';
+
+/**
+ * The attribute values of a single point, by attribute name.
+ */
+export type PointAttributeValues = Record<string, number | number[]>;
+
 export class UnsupportedAttributeError extends Error {
     constructor(attribute: string) {
         super(`attribute '${attribute}' is not supported in this source`);
     }
 }
 
+/**
+ * Creates the buffer attribute of a computed attribute, whose type matches the type and size
+ * declared by the attribute, so that it can be bound to the shader attributes of the same type
+ * (e.g `attribute uint classification;`).
+ */
+function createComputedBufferAttribute(
+    values: TypedArray,
+    attribute: PointCloudAttribute,
+): BufferAttribute {
+    switch (attribute.type) {
+        case 'float':
+            return new Float32BufferAttribute(values, attribute.dimension);
+        case 'signed': {
+            let result: BufferAttribute;
+            switch (attribute.size) {
+                case 1:
+                    result = new Int8BufferAttribute(values, attribute.dimension);
+                    break;
+                case 2:
+                    result = new Int16BufferAttribute(values, attribute.dimension);
+                    break;
+                case 4:
+                    result = new Int32BufferAttribute(values, attribute.dimension);
+                    break;
+                default:
+                    throw new Error('invalid attribute size for signed values: ' + attribute.size);
+            }
+            result.gpuType = IntType;
+            return result;
+        }
+        case 'unsigned': {
+            let result: BufferAttribute;
+            switch (attribute.size) {
+                case 1:
+                    result = new Uint8BufferAttribute(values, attribute.dimension);
+                    break;
+                case 2:
+                    result = new Uint16BufferAttribute(values, attribute.dimension);
+                    break;
+                case 4:
+                    result = new Uint32BufferAttribute(values, attribute.dimension);
+                    break;
+                default:
+                    throw new Error(
+                        'invalid attribute size for unsigned values: ' + attribute.size,
+                    );
+            }
+            result.gpuType = IntType;
+            return result;
+        }
+        default:
+            throw new UnsupportedAttributeError(attribute.name);
+    }
+}
+
+/**
+ * Returns the index of the child octant that contains the specified point.
+ */
+function getOctant(point: Vector3, center: Vector3): number {
+    const x = point.x > center.x ? 1 : 0;
+    const y = point.y > center.y ? 2 : 0;
+    const z = point.z > center.z ? 4 : 0;
+
+    return x + y + z;
+}
+
 function computeScreenSpaceError(
     node: PointCloudNode,
     pointSize: number,
@@ -168,6 +323,58 @@ function computeScreenSpaceError(
     return Math.max(0.0, onScreenSpacing - pointRadius);
 }
 
+/**
+ * Computes the elevation at the specified horizontal location from the points within the
+ * search radius, weighted by the inverse of their horizontal distance to the location.
+ *
+ * @param x - The X coordinate of the location, in world space.
+ * @param y - The Y coordinate of the location, in world space.
+ * @param radius - The horizontal search radius.
+ * @param position - The point positions.
+ * @param matrix - The matrix to transform the positions into world space.
+ * @param classification - The point classifications, if the points are filtered.
+ * @param classifications - The accepted classifications. If `null`, all points are accepted.
+ * @returns The elevation, or `null` if no accepted point is within the radius.
+ */
+function interpolateElevation(
+    x: number,
+    y: number,
+    radius: number,
+    position: BufferAttribute,
+    matrix: Matrix4,
+    classification: BufferAttribute | null,
+    classifications: Set<number> | null,
+): number | null {
+    const radiusSquared = radius * radius;
+    let sum = 0;
+    let weights = 0;
+
+    for (let i = 0; i < position.count; i++) {
+        if (classifications != null && !classifications.has(nonNull(classification).getX(i))) {
+            continue;
+        }
+
+        const p = tmpVector3.fromBufferAttribute(position, i).applyMatrix4(matrix);
+        const dx = p.x - x;
+        const dy = p.y - y;
+        const distanceSquared = dx * dx + dy * dy;
+
+        if (distanceSquared > radiusSquared) {
+            continue;
+        }
+
+        if (distanceSquared === 0) {
+            return p.z;
+        }
+
+        const weight = 1 / Math.sqrt(distanceSquared);
+        sum += p.z * weight;
+        weights += weight;
+    }
+
+    return weights > 0 ? sum / weights : null;
+}
+
 type NodeWithInfo = PointCloudNode & { info: NodeInfo };
 
 /**
@@ -192,6 +399,50 @@ export type PointCloudOptions = {
     cleanupDelay?: number;
 };
 
+/**
+ * Computes the values of a {@link PointCloud.addComputedAttribute | computed attribute} for the
+ * points of a node.
+ *
+ * @returns The values, `dimension` per point, in the order of the points. The type of the array
+ * should match the `type` and `size` of the attribute (e.g a `Uint8Array` for an unsigned
+ * attribute of size 1), otherwise the values are converted.
+ */
+export type ComputedAttributeFunction = (params: {
+    /** The node that contains the points. */
+    node: PointCloudNode;
+    /** The number of points. */
+    count: number;
+    /** The positions of the points, in the coordinate system of the source, as XYZ triplets. */
+    positions: Float64Array;
+    /** The abort signal of the request. */
+    signal?: AbortSignal;
+}) => TypedArray | Promise<TypedArray>;
+
+/**
+ * Options for {@link PointCloud.getElevation}.
+ */
+export type PointCloudElevationOptions = GetElevationOptions & {
+    /**
+     * If specified, only the points with those classifications are sampled, e.g `[2]` to sample
+     * the ground only (ignoring vegetation and buildings).
+     * @defaultValue all points are sampled
+     */
+    classifications?: number[];
+};
+
+/**
+ * Options for {@link PointCloud.getElevationAsync}.
+ */
+export type PointCloudElevationAsyncOptions = PointCloudElevationOptions & {
+    /**
+     * The maximum depth of the nodes to load.
+     * @defaultValue the deepest nodes of the hierarchy
+     */
+    maxDepth?: number;
+    /** An optional abort signal to cancel the request. */
+    signal?: AbortSignal;
+};
+
 /**
  * Displays point clouds coming from a {@link PointCloudSource}.
  *
@@ -213,10 +464,17 @@ export type PointCloudOptions = {
  * pointCloud.setColorLayer(colorLayer);
  * pointCloud.setColoringMode('layer');
  * ```
+ *
+ * The point cloud is also an {@link ElevationProvider}: the elevation of the points can be sampled
+ * at any coordinate, e.g to clamp features to the ground of a scan.
+ *
+ * ```ts
+ * const { samples } = pointCloud.getElevation({ coordinates, classifications: [2] });
+ * ```
  */
 export default class PointCloud<TUserData extends EntityUserData = EntityUserData>
     extends Entity3D<Entity3DEventMap, TUserData>
-    implements HasLayers
+    implements HasLayers, ElevationProvider
 {
     /** Readonly flag to indicate that this object is a PointCloud instance. */
     readonly isPointCloud = true as const;
@@ -240,6 +498,14 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
     private _shaderMode: MODE = MODE.ELEVATION;
     private _activeAttribute: PointCloudAttribute | null = null;
     private _pointSize = 0;
+    private _pointSizeMode: PointSizeMode = 'fixed';
+    private _minPointSize = 2;
+    private _maxPointSize = 50;
+    private _pointShape: PointShape = 'circle';
+    private _splatting = false;
+    private _lighting = false;
+    private _castShadow = false;
+    private _receiveShadow = false;
     private _cleanupDelay = DEFAULT_CLEANUP_DELAY;
     private _showVolume = false;
     private _decimation = 1;
@@ -248,6 +514,20 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
     private _disposed = false;
     private _pointBudget: number | null = null;
     private _colorMap: ColorMap = DEFAULT_COLORMAP;
+    private _clippingVolumes: ClippingVolume[] = [];
+    private _clippingHighlightColor: Color = new Color(DEFAULT_CLIPPING_HIGHLIGHT_COLOR);
+    private _clippingData: ClippingUniformData | null = null;
+    private _attributeFilters: AttributeFilter[] = [];
+    private _attributeFilterOperator: AttributeFilterOperator = 'and';
+    private _attributeFilterData: AttributeFilterUniformData | null = null;
+    /** The attribute of each filter slot. */
+    private _filterSlots = createEmptyFilterSlots();
+    /** The nodes selected by the point budget of the instance, if any. */
+    private _nodeSelection: Set<PointCloudNode> | null = null;
+    private _computedAttributes = new Map<
+        string,
+        { attribute: PointCloudAttribute; compute: ComputedAttributeFunction }
+    >();
 
     // Available after initialization
     private _rootNode: PointCloudNode | null = null;
@@ -343,10 +623,14 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
             value.controller?.abort('aborted');
             value.controller = undefined;
 
+            value.filterController?.abort('aborted');
+            value.filterController = undefined;
+
             // If the node had a mesh, let's destroy it
             if (value.mesh) {
                 this.disposeMesh(value.mesh);
                 value.mesh = undefined;
+                value.filterAttributes.fill(null);
             }
 
             this.removeDataVolumeHelper(value);
@@ -457,16 +741,82 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
     }
 
     /**
-     * Returns the list of supported attributes in the source.
+     * Returns the list of supported attributes in the source, followed by the
+     * {@link addComputedAttribute | computed attributes}.
+     */
+    getSupportedAttributes(): PointCloudAttribute[] {
+        const attributes = nonNull(this._metadata?.attributes, 'the entity is not yet ready');
+
+        if (this._computedAttributes.size === 0) {
+            return attributes;
+        }
+
+        return [...attributes, ...[...this._computedAttributes.values()].map(c => c.attribute)];
+    }
+
+    /**
+     * Adds an attribute whose values are computed from the positions of the points, rather than
+     * read from the source, e.g the result of an analysis. The values are computed each time a
+     * node is loaded with this attribute.
+     *
+     * Once added, the attribute can be used like any attribute of the source, e.g with
+     * {@link setActiveAttribute} or in {@link attributeFilters}.
+     *
+     * ```js
+     * pointCloud.addComputedAttribute(
+     *     { name: 'Height', dimension: 1, interpretation: 'unknown', type: 'float', size: 4 },
+     *     ({ count, positions }) => {
+     *         const values = new Float32Array(count);
+     *         for (let i = 0; i < count; i++) {
+     *             values[i] = positions[i * 3 + 2] - baseElevation;
+     *         }
+     *         return values;
+     *     },
+     * );
+     *
+     * pointCloud.setActiveAttribute('Height');
+     * ```
+     *
+     * @param attribute - The attribute.
+     * @param compute - The function that computes the values of the attribute.
+     * @throws {@link Error} If an attribute with the same name already exists.
+     */
+    addComputedAttribute(attribute: PointCloudAttribute, compute: ComputedAttributeFunction) {
+        const exists =
+            this._computedAttributes.has(attribute.name) ||
+            this._metadata?.attributes.some(a => a.name === attribute.name) === true;
+
+        if (exists) {
+            throw new Error(`attribute '${attribute.name}' already exists`);
+        }
+
+        this._computedAttributes.set(attribute.name, { attribute, compute });
+    }
+
+    /**
+     * Removes a {@link addComputedAttribute | computed attribute}. If the attribute is active,
+     * the first attribute of the source becomes active.
+     *
+     * Note: the {@link attributeFilters} that use this attribute must be removed beforehand.
+     *
+     * @param name - The name of the attribute.
      */
-    getSupportedAttributes() {
-        return nonNull(this._metadata?.attributes, 'the entity is not yet ready');
+    removeComputedAttribute(name: string) {
+        if (!this._computedAttributes.delete(name)) {
+            return;
+        }
+
+        if (this._activeAttribute?.name === name && this._metadata != null) {
+            this.setActiveAttribute(this._metadata.attributes[0].name);
+        }
     }
 
     /**
-     * The point size, in pixels.
+     * The point size. In `'fixed'` {@link pointSizeMode}, the size is expressed in pixels. In
+     * `'attenuated'` and `'adaptive'` modes, the size is a factor of the point spacing.
      *
-     * Note: a value of zero triggers automatic size computation.
+     * Note: a value of zero triggers automatic size computation (in `'fixed'` mode), or a
+     * factor of 1 (in other modes).
      *
      * @defaultValue 0
      */
@@ -482,6 +832,165 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
         }
     }
 
+    /**
+     * Specifies how the point size is computed:
+     * - `'fixed'`: every point has the same size on screen, in pixels.
+     * - `'attenuated'`: the size is a factor of the point spacing of the root node, so that
+     * points shrink with the distance to the camera.
+     * - `'adaptive'`: the size is a factor of the point spacing of the deepest displayed node at
+     * the location of each point (i.e depends on the level of detail), so that sparse areas
+     * remain filled while dense areas keep their details.
+     *
+     * In `'attenuated'` and `'adaptive'` modes, the size on screen is clamped between
+     * {@link minPointSize} and {@link maxPointSize}.
+     *
+     * @defaultValue `'fixed'`
+     */
+    get pointSizeMode(): PointSizeMode {
+        return this._pointSizeMode;
+    }
+
+    set pointSizeMode(mode: PointSizeMode) {
+        if (this._pointSizeMode !== mode) {
+            this._pointSizeMode = mode;
+            this.traversePointCloudMaterials(m => (m.pointSizeMode = mode));
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * The minimum point size, in pixels, in `'attenuated'` and `'adaptive'` point size modes.
+     *
+     * @defaultValue 2
+     */
+    get minPointSize() {
+        return this._minPointSize;
+    }
+
+    set minPointSize(size: number) {
+        if (this._minPointSize !== size) {
+            this._minPointSize = size;
+            this.traversePointCloudMaterials(m => (m.minPointSize = size));
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * The maximum point size, in pixels, in `'attenuated'` and `'adaptive'` point size modes.
+     *
+     * @defaultValue 50
+     */
+    get maxPointSize() {
+        return this._maxPointSize;
+    }
+
+    set maxPointSize(size: number) {
+        if (this._maxPointSize !== size) {
+            this._maxPointSize = size;
+            this.traversePointCloudMaterials(m => (m.maxPointSize = size));
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * The shape of the points. The `'paraboloid'` shape writes the depth of each fragment so
+     * that overlapping points intersect correctly, which works well with EDL.
+     *
+     * @defaultValue `'circle'`
+     */
+    get pointShape(): PointShape {
+        return this._pointShape;
+    }
+
+    set pointShape(shape: PointShape) {
+        if (this._pointShape !== shape) {
+            this._pointShape = shape;
+            this.traversePointCloudMaterials(m => (m.pointShape = shape));
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Enables high-quality weighted splat rendering: rather than hiding each other, overlapping
+     * points close to the visible surface are blended together, weighted by their distance to
+     * the point centers. This produces smooth surfaces, at the cost of rendering the points
+     * several times.
+     *
+     * Note: splats are rendered opaque, regardless of the {@link opacity} of the entity.
+     *
+     * @defaultValue false
+     */
+    get splatting() {
+        return this._splatting;
+    }
+
+    set splatting(enable: boolean) {
+        if (this._splatting !== enable) {
+            this._splatting = enable;
+            this.traversePointCloudMaterials(m => (m.splatting = enable));
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Enables the lighting of the points by the lights of the scene, using a diffuse model.
+     *
+     * The normals of the points are used if the source provides them (e.g. Potree datasets with
+     * normal attributes). Otherwise, normals are reconstructed from the depth of the points on
+     * screen, which requires the post-processing render pipeline.
+     *
+     * @defaultValue false
+     */
+    get lighting() {
+        return this._lighting;
+    }
+
+    set lighting(enable: boolean) {
+        if (this._lighting !== enable) {
+            this._lighting = enable;
+            this.traversePointCloudMaterials(m => (m.lighting = enable));
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Enables the rendering of the points into the shadow maps of shadow-casting lights, so that
+     * the points cast shadows on other objects (and on themselves if {@link receiveShadow} is
+     * enabled). Shadows must be enabled on the renderer (`renderer.shadowMap.enabled`).
+     *
+     * Note: point lights are not supported, only directional and spot lights.
+     *
+     * @defaultValue false
+     */
+    get castShadow() {
+        return this._castShadow;
+    }
+
+    set castShadow(enable: boolean) {
+        if (this._castShadow !== enable) {
+            this._castShadow = enable;
+            this.traversePointCloudMeshes(m => (m.castShadow = enable));
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Enables the shadows cast by other objects on the points. Requires {@link lighting}.
+     *
+     * @defaultValue false
+     */
+    get receiveShadow() {
+        return this._receiveShadow;
+    }
+
+    set receiveShadow(enable: boolean) {
+        if (this._receiveShadow !== enable) {
+            this._receiveShadow = enable;
+            this.traversePointCloudMeshes(m => (m.receiveShadow = enable));
+            this.notifyChange();
+        }
+    }
+
     /**
      * Gets the active attribute.
      *
@@ -528,6 +1037,9 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
 
         // Let's reload the relevant nodes.
         this.forEachNodeInfo(info => {
+            // The data of failed nodes is loaded again with the new attribute
+            info.failed = false;
+
             switch (info.state) {
                 case 'displayed':
                 case 'loading':
@@ -567,7 +1079,7 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
             return;
         }
 
-        const attributes = nonNull(this._metadata?.attributes, 'the entity is not yet ready');
+        const attributes = this.getSupportedAttributes();
         const existing = attributes.find(att => att.name === attributeName);
 
         if (!existing) {
@@ -747,6 +1259,12 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
      * Gets or sets the point budget. A non-null point budget will automatically compute the
      * {@link decimation} property every frame, based on the number of currently displayed points.
      * A value of `null` removes the point budget and stop automatic decimation computation.
+     *
+     * Note: the budget is lowered when the frame is more costly to render, e.g in immersive mode
+     * (see {@link core.Context.pointBudgetScale | Context.pointBudgetScale}).
+     *
+     * Note: this budget only applies to this point cloud. To share a budget between several
+     * point clouds, use {@link core.Instance.pointBudget | Instance.pointBudget}.
      */
     get pointBudget() {
         return this._pointBudget;
@@ -762,68 +1280,314 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
         }
     }
 
-    getMemoryUsage(context: GetMemoryUsageContext): void {
-        this.traversePointCloudMeshes(m => getGeometryMemoryUsage(context, m.geometry));
+    /**
+     * Gets or sets the clipping volumes applied to this point cloud. Nodes that are entirely
+     * clipped are not loaded.
+     *
+     * Note: if a volume is modified after being set, call {@link updateClippingVolumes} to
+     * apply the changes.
+     *
+     * @defaultValue `[]`
+     */
+    get clippingVolumes(): Readonly<ClippingVolume[]> {
+        return this._clippingVolumes;
+    }
 
-        this.forEachLayer(layer => {
-            layer.getMemoryUsage(context);
-        });
+    set clippingVolumes(volumes: Readonly<ClippingVolume[]>) {
+        this._clippingVolumes = [...volumes];
+        this.updateClippingVolumes();
+    }
 
-        this.source.getMemoryUsage(context);
+    /**
+     * Gets or sets the color of points inside clipping volumes in `highlight` mode.
+     *
+     * @defaultValue `#ff3300`
+     */
+    get clippingHighlightColor(): Color {
+        return this._clippingHighlightColor;
     }
 
-    updateOpacity(): void {
-        // We don't want to change the opacity of volume helpers
-        this.traversePointCloudMaterials(m => {
-            m.opacity = this.opacity;
-            m.transparent = this.opacity < 1;
-        });
+    set clippingHighlightColor(color: ColorRepresentation) {
+        this._clippingHighlightColor = new Color(color);
+        this.updateClippingVolumes();
     }
 
     /**
-     * Forces the point cloud to reload all data.
+     * Applies the changes made to the {@link clippingVolumes}.
      */
-    clear() {
-        this.forEachNodeInfo(info => {
-            if (info.state === 'loading' || info.state === 'displayed') {
-                // we have to reload the position here, since the number of points per node might
-                // have changed (happens when we set new filters for example).
-                info.positionDirty = true;
-                this._stateMachine.transition(info, 'loading');
-            } else {
-                // Invalidate non-visible nodes
-                this._stateMachine.transition(info, 'empty');
-            }
+    updateClippingVolumes() {
+        this._clippingData?.polygonVertices?.dispose();
+
+        this._clippingData =
+            this._clippingVolumes.length > 0
+                ? createClippingUniformData(this._clippingVolumes, this._clippingHighlightColor)
+                : null;
+
+        this.traversePointCloudMaterials(m => {
+            m.clippingVolumes = this._clippingData;
         });
+
         this.notifyChange(this);
     }
 
-    getBoundingBox(): Box3 | null {
-        return this._metadata?.volume ?? this._rootNode?.volume ?? null;
+    /**
+     * Gets or sets the attribute filters. Points whose attribute values are outside the ranges
+     * of the filters are hidden (and not pickable). Filters are applied at render time, so
+     * changing the ranges is immediate. Filtering on a new attribute only requires loading the
+     * values of this attribute for the displayed nodes.
+     *
+     * Up to 4 filters can be enabled simultaneously, on any scalar attribute of the source.
+     * Filters are combined according to {@link attributeFilterOperator}.
+     *
+     * Note: if the filters are modified in place, call {@link updateAttributeFilters} to apply
+     * the changes.
+     *
+     * ```js
+     * pointCloud.attributeFilters = [
+     *     { attribute: 'Intensity', min: 100, max: 2000 },
+     *     { attribute: 'ReturnNumber', max: 1 },
+     * ];
+     *
+     * // Later on
+     * pointCloud.attributeFilters[0].min = 500;
+     * pointCloud.updateAttributeFilters();
+     * ```
+     *
+     * @throws {@link UnsupportedAttributeError} If an attribute is not supported by the source.
+     */
+    get attributeFilters(): AttributeFilter[] {
+        return this._attributeFilters;
     }
 
-    protected async preprocess(_opts: EntityPreprocessOptions): Promise<void> {
-        await this.source.initialize();
+    set attributeFilters(filters: AttributeFilter[]) {
+        this._attributeFilters = filters;
+        this.updateAttributeFilters();
+    }
 
-        this._rootNode = await this.source.getHierarchy();
+    /**
+     * Gets or sets how {@link attributeFilters} are combined.
+     *
+     * @defaultValue `'and'`
+     */
+    get attributeFilterOperator(): AttributeFilterOperator {
+        return this._attributeFilterOperator;
+    }
 
-        this._metadata = await this.source.getMetadata();
+    set attributeFilterOperator(operator: AttributeFilterOperator) {
+        if (this._attributeFilterOperator !== operator) {
+            this._attributeFilterOperator = operator;
+            this.updateAttributeFilters();
+        }
+    }
 
-        // Default to displaying the first attribute in the list
-        this.setActiveAttribute(this._metadata.attributes[0].name);
+    /**
+     * Applies the changes made to the {@link attributeFilters}.
+     */
+    updateAttributeFilters() {
+        if (this._metadata == null) {
+            // Filters will be applied once the entity is initialized.
+            return;
+        }
 
-        if (this.showVolume) {
-            this.createGlobalVolumeHelper();
+        const attributes = this.getSupportedAttributes();
+        const enabled = this._attributeFilters.filter(f => f.enabled !== false);
+
+        if (enabled.length > MAX_ATTRIBUTE_FILTERS) {
+            throw new Error(`at most ${MAX_ATTRIBUTE_FILTERS} attribute filters can be enabled`);
         }
-    }
 
-    private deleteNodeHierarchy(root: PointCloudNode) {
-        // Delete this node and its descendants
-        traverseNode(root, subNode => {
-            const subInfo = this.getNodeInfo(subNode);
+        const ranges = createOpenRanges();
+        const slots = createEmptyFilterSlots();
 
-            switch (subInfo.state) {
-                case 'displayed':
+        enabled.forEach((filter, i) => {
+            const attribute = attributes.find(a => a.name === filter.attribute);
+            if (attribute == null) {
+                throw new UnsupportedAttributeError(filter.attribute);
+            }
+            if (attribute.dimension !== 1) {
+                throw new Error(`attribute '${attribute.name}' is not a scalar attribute`);
+            }
+
+            slots[i] = attribute;
+
+            if (filter.min != null) {
+                ranges[i].x = filter.min;
+            }
+            if (filter.max != null) {
+                ranges[i].y = filter.max;
+            }
+        });
+
+        this._filterSlots = slots;
+        this._attributeFilterData =
+            enabled.length > 0 ? { ranges, union: this._attributeFilterOperator === 'or' } : null;
+
+        this.forEachNodeInfo(info => this.updateNodeFilterAttributes(info));
+
+        this.traversePointCloudMaterials(m => {
+            m.attributeFilters = this._attributeFilterData;
+        });
+
+        this.notifyChange(this);
+    }
+
+    /**
+     * Removes the obsolete filter attributes of the node mesh, and loads the missing ones.
+     */
+    private updateNodeFilterAttributes(info: NodeInfo) {
+        const mesh = info.mesh;
+        if (mesh == null) {
+            return;
+        }
+
+        let missing = false;
+
+        this._filterSlots.forEach((attribute, i) => {
+            const name = attribute?.name ?? null;
+            if (info.filterAttributes[i] !== name) {
+                mesh.geometry.deleteAttribute(`filterAttribute${i}`);
+                info.filterAttributes[i] = null;
+                missing = missing || name != null;
+            }
+        });
+
+        mesh.setupMaterial();
+
+        if (missing) {
+            info.filterController?.abort('aborted');
+            const controller = new AbortController();
+            info.filterController = controller;
+
+            const slots = this._filterSlots;
+            this.fetchFilterAttributes(info, slots, controller.signal)
+                .then(buffers => {
+                    if (!controller.signal.aborted) {
+                        this.setFilterAttributes(info, slots, buffers);
+                        this.notifyChange(this);
+                    }
+                })
+                .catch(err => {
+                    if (!controller.signal.aborted) {
+                        console.error(err);
+                    }
+                });
+        }
+    }
+
+    /**
+     * Loads the values of the filter attributes that are not yet loaded in the node mesh.
+     */
+    private fetchFilterAttributes(
+        info: NodeInfo,
+        slots: Array<PointCloudAttribute | null>,
+        signal: AbortSignal,
+    ): Promise<Array<BufferAttribute | null>> {
+        return Promise.all(
+            slots.map(async (attribute, i) => {
+                if (attribute == null || info.filterAttributes[i] === attribute.name) {
+                    return null;
+                }
+
+                const data = await this.fetchNodeData({
+                    node: info.node,
+                    position: false,
+                    attribute,
+                    signal,
+                });
+
+                return data.attribute ?? null;
+            }),
+        );
+    }
+
+    private setFilterAttributes(
+        info: NodeInfo,
+        slots: Array<PointCloudAttribute | null>,
+        buffers: Array<BufferAttribute | null>,
+    ) {
+        const mesh = info.mesh;
+        if (mesh == null) {
+            return;
+        }
+
+        slots.forEach((attribute, i) => {
+            const buffer = buffers[i];
+            // The filters might have changed while the buffers were loading
+            if (attribute != null && buffer != null && this._filterSlots[i] === attribute) {
+                mesh.geometry.setAttribute(`filterAttribute${i}`, buffer);
+                info.filterAttributes[i] = attribute.name;
+            }
+        });
+
+        mesh.setupMaterial();
+    }
+
+    getMemoryUsage(context: GetMemoryUsageContext): void {
+        this.traversePointCloudMeshes(m => getGeometryMemoryUsage(context, m.geometry));
+
+        this.forEachLayer(layer => {
+            layer.getMemoryUsage(context);
+        });
+
+        this.source.getMemoryUsage(context);
+    }
+
+    updateOpacity(): void {
+        // We don't want to change the opacity of volume helpers
+        this.traversePointCloudMaterials(m => {
+            m.opacity = this.opacity;
+            m.transparent = this.opacity < 1;
+        });
+    }
+
+    /**
+     * Forces the point cloud to reload all data.
+     */
+    clear() {
+        this.forEachNodeInfo(info => {
+            info.failed = false;
+
+            if (info.state === 'loading' || info.state === 'displayed') {
+                // we have to reload the position here, since the number of points per node might
+                // have changed (happens when we set new filters for example).
+                info.positionDirty = true;
+                this._stateMachine.transition(info, 'loading');
+            } else {
+                // Invalidate non-visible nodes
+                this._stateMachine.transition(info, 'empty');
+            }
+        });
+        this.notifyChange(this);
+    }
+
+    getBoundingBox(): Box3 | null {
+        return this._metadata?.volume ?? this._rootNode?.volume ?? null;
+    }
+
+    protected async preprocess(_opts: EntityPreprocessOptions): Promise<void> {
+        await this.source.initialize();
+
+        this._rootNode = await this.source.getHierarchy();
+
+        this._metadata = await this.source.getMetadata();
+
+        // Default to displaying the first attribute in the list
+        this.setActiveAttribute(this._metadata.attributes[0].name);
+
+        this.updateAttributeFilters();
+
+        if (this.showVolume) {
+            this.createGlobalVolumeHelper();
+        }
+    }
+
+    private deleteNodeHierarchy(root: PointCloudNode) {
+        // Delete this node and its descendants
+        traverseNode(root, subNode => {
+            const subInfo = this.getNodeInfo(subNode);
+
+            switch (subInfo.state) {
+                case 'displayed':
                     // The mesh is not destroyed right away, but simply hidden for now.
                     this._stateMachine.transition(subInfo, 'hidden');
                     break;
@@ -842,20 +1606,13 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
         }
 
         const view = context.view;
-        const camera = view.camera;
-
-        let preSSE: number;
-        if (isPerspectiveCamera(camera)) {
-            // See https://cesiumjs.org/hosted-apps/massiveworlds/downloads/Ring/WorldScaleTerrainRendering.pptx
-            // slide 17
-            preSSE = view.height / (2 * Math.tan(MathUtils.degToRad(camera.fov) * 0.5));
-        } else if (isOrthographicCamera(camera)) {
-            preSSE = (view.height * camera.near) / (camera.top - camera.bottom);
-        }
+        const preSSE = this.getPreSSE(view) * context.sseScale;
+        const selection = this._nodeSelection;
 
         traverseNode(this._rootNode, node => {
-            const nodeVisible = view.isBox3Visible(node.volume, this.object3d.matrixWorld);
-            const contentVisible = nodeVisible && this.testNodeSSE(view, node, preSSE);
+            // The point budget of the instance, if any, has already selected the nodes
+            const contentVisible =
+                selection != null ? selection.has(node) : this.isNodeRequiredAt(view, node, preSSE);
 
             const info = this.getNodeInfo(node);
 
@@ -876,13 +1633,18 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
         return null;
     }
 
-    private updateDecimation(totalPointCount: number, materials: PointCloudMaterial[]) {
+    private updateDecimation(
+        totalPointCount: number,
+        materials: PointCloudMaterial[],
+        budgetScale: number,
+    ) {
         // Automatically compute decimation based on point budget
         // Otherwise, use the decimation value.
         if (this._pointBudget != null) {
-            if (totalPointCount > this._pointBudget) {
+            const budget = Math.max(1, this._pointBudget * budgetScale);
+            if (totalPointCount > budget) {
                 this.decimation = MathUtils.clamp(
-                    Math.floor(totalPointCount / this._pointBudget),
+                    Math.floor(totalPointCount / budget),
                     1,
                     +Infinity,
                 );
@@ -919,13 +1681,57 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
             }
         });
 
-        this.updateDecimation(totalPointCount, cachedMaterials);
+        this.updateDecimation(totalPointCount, cachedMaterials, context.pointBudgetScale);
+
+        if (this._pointSizeMode === 'adaptive') {
+            this.updateAdaptivePointSizes();
+        }
 
         if (this._shaderMode === MODE.TEXTURE) {
             this._colorLayer?.postUpdate();
         }
     }
 
+    /**
+     * Computes, for each displayed node, the point spacing of the deepest displayed node in each
+     * of its child octants, as required by the `'adaptive'` point size mode.
+     */
+    private updateAdaptivePointSizes() {
+        // Returns the smallest point spacing among the displayed nodes of the subtree.
+        const visit = (node: PointCloudNode): number => {
+            const info = (node as NodeWithInfo).info;
+            if (info == null) {
+                return Infinity;
+            }
+
+            let subtreeSpacing = Infinity;
+            const octantSpacings = new Array<number>(8).fill(node.geometricError);
+
+            node.children?.forEach(child => {
+                if (child) {
+                    const spacing = visit(child);
+                    const octant = getOctant(child.center, node.center);
+                    octantSpacings[octant] = Math.min(octantSpacings[octant], spacing);
+                    subtreeSpacing = Math.min(subtreeSpacing, spacing);
+                }
+            });
+
+            const mesh = info.mesh;
+            if (info.state === 'displayed' && mesh != null) {
+                // The node center, in the local space of the mesh
+                const center = tmpCenter.copy(node.center).sub(mesh.position).divide(mesh.scale);
+                mesh.material.setAdaptiveSizeData(center, octantSpacings);
+                subtreeSpacing = Math.min(subtreeSpacing, node.geometricError);
+            }
+
+            return subtreeSpacing;
+        };
+
+        if (this._rootNode) {
+            visit(this._rootNode);
+        }
+    }
+
     /**
      * Disposes this entity and deletes unmanaged graphical resources.
      */
@@ -949,6 +1755,8 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
 
         this.object3d.clear();
 
+        this._clippingData?.polygonVertices?.dispose();
+
         this.source.removeEventListener('updated', this._listeners.clear);
         this._colorMap.removeEventListener('updated', this._listeners.updateColorMap);
 
@@ -959,6 +1767,262 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
         return pickPointsAt(this.instance, canvasCoords, this, options);
     }
 
+    /**
+     * Picks the displayed point that is the closest (in screen space) to the canvas coordinates,
+     * within the specified radius. This is useful to snap measurements to actual points, rather
+     * than to the gaps between them.
+     *
+     * Use {@link getPointAttributes} to get the attribute values of the picked point.
+     *
+     * @param canvasCoords - The canvas coordinates.
+     * @param options - The options.
+     * @returns The closest point, or `null` if no point was found within the radius.
+     */
+    pickNearestPoint(
+        canvasCoords: Vector2,
+        options?: {
+            /**
+             * The search radius, in pixels.
+             * @defaultValue 10
+             */
+            radius?: number;
+        },
+    ): PointsPickResult | null {
+        const radius = options?.radius ?? DEFAULT_SNAPPING_RADIUS;
+        return pickPointsAt(this.instance, canvasCoords, this, { radius, limit: 1 })[0] ?? null;
+    }
+
+    /**
+     * Returns the values of all the attributes supported by the source for a picked point,
+     * e.g intensity, classification, GPS time or return number. Since only the active attribute
+     * is kept in memory, the other attributes are loaded from the source.
+     *
+     * ```js
+     * const picked = pointCloud.pickNearestPoint(canvasCoords);
+     * if (picked) {
+     *     const attributes = await pointCloud.getPointAttributes(picked);
+     *     console.log(attributes['Classification']);
+     * }
+     * ```
+     *
+     * @param pickResult - The picked point, as returned by {@link pick} or
+     * {@link pickNearestPoint}.
+     * @param options - The options.
+     * @returns The attribute values, by attribute name. Attributes with more than one dimension
+     * (e.g colors) are returned as arrays.
+     */
+    async getPointAttributes(
+        pickResult: PointsPickResult,
+        options?: {
+            /** An optional abort signal to cancel the request. */
+            signal?: AbortSignal;
+        },
+    ): Promise<PointAttributeValues> {
+        const node = this.getNodeOfObject(pickResult.object);
+
+        if (node == null) {
+            throw new Error('the picked point does not belong to this point cloud');
+        }
+
+        const attributes = this.getSupportedAttributes();
+        const index = pickResult.index;
+        const result: PointAttributeValues = {};
+
+        const values = await Promise.all(
+            attributes.map(attribute =>
+                this.fetchNodeData({
+                    node,
+                    position: false,
+                    attribute,
+                    signal: options?.signal,
+                }),
+            ),
+        );
+
+        attributes.forEach((attribute, i) => {
+            const buffer = values[i].attribute;
+            if (buffer == null) {
+                return;
+            }
+            const { dimension, name } = attribute;
+            if (dimension === 1) {
+                result[name] = buffer.array[index];
+            } else {
+                result[name] = Array.from(
+                    buffer.array.subarray(index * dimension, (index + 1) * dimension),
+                );
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Sample the elevation at the specified coordinate, from the points that are currently
+     * loaded in memory. Use {@link getElevationAsync} to load the points on demand.
+     *
+     * Each loaded node that covers the coordinate provides one sample: the elevation of its
+     * points around the coordinate, weighted by their horizontal distance. Both the search radius
+     * and the {@link entities.ElevationSample.resolution | resolution} of the sample are the point
+     * spacing of the node, so that you can sort samples to select the most detailed one.
+     *
+     * Note: the classifications of the points are only available if the active attribute (or an
+     * {@link attributeFilters | attribute filter}) is the classification. Otherwise, nodes are
+     * ignored when {@link PointCloudElevationOptions.classifications} is specified.
+     *
+     * @param options - The options.
+     * @param result - The result object to populate with the samples. If none is provided, a new
+     * empty result is created. The existing samples in the array are not removed. Useful to
+     * cumulate samples across different providers.
+     * @returns The {@link GetElevationResult} containing the updated sample array.
+     */
+    getElevation(
+        options: PointCloudElevationOptions,
+        result: GetElevationResult = { samples: [], coordinates: options.coordinates },
+    ): GetElevationResult {
+        result.coordinates = options.coordinates;
+
+        if (this._rootNode == null) {
+            return result;
+        }
+
+        const { x, y } = options.coordinates.as(this.instance.referenceCrs);
+        const classifications = options.classifications ? new Set(options.classifications) : null;
+
+        traverseNode(this._rootNode, node => {
+            if (!this.isNodeAround(node, x, y)) {
+                return false;
+            }
+
+            const mesh = this.getNodeInfo(node).mesh;
+            if (mesh != null) {
+                const elevation = this.sampleMesh(mesh, node, x, y, classifications);
+                if (elevation != null) {
+                    result.samples.push({
+                        source: this,
+                        elevation,
+                        resolution: node.geometricError,
+                    });
+                }
+            }
+
+            return true;
+        });
+
+        return result;
+    }
+
+    /**
+     * Sample the elevation at the specified coordinate, loading the most detailed nodes that
+     * cover the coordinate if they are not in memory. If a node has no (accepted) point around
+     * the coordinate, its parent is sampled instead.
+     *
+     * Contrary to {@link getElevation}, the classifications of the points are always available.
+     *
+     * @param options - The options.
+     * @param result - The result object to populate with the samples. If none is provided, a new
+     * empty result is created. The existing samples in the array are not removed.
+     * @returns The {@link GetElevationResult} containing the updated sample array.
+     * @throws {@link Error} If classifications are specified, but the source has no
+     * classification attribute.
+     */
+    async getElevationAsync(
+        options: PointCloudElevationAsyncOptions,
+        result: GetElevationResult = { samples: [], coordinates: options.coordinates },
+    ): Promise<GetElevationResult> {
+        result.coordinates = options.coordinates;
+
+        if (this._rootNode == null) {
+            return result;
+        }
+
+        const { x, y } = options.coordinates.as(this.instance.referenceCrs);
+        const classifications = options.classifications ? new Set(options.classifications) : null;
+        const maxDepth = options.maxDepth ?? Infinity;
+
+        let attribute: PointCloudAttribute | undefined = undefined;
+        if (classifications != null) {
+            attribute = this.getSupportedAttributes().find(
+                a => a.interpretation === 'classification',
+            );
+            if (attribute == null) {
+                throw new Error('the source has no classification attribute');
+            }
+        }
+
+        // The deepest nodes around the coordinate
+        const finest: PointCloudNode[] = [];
+        traverseNode(this._rootNode, node => {
+            if (!this.isNodeAround(node, x, y)) {
+                return false;
+            }
+            const children = node.depth < maxDepth ? node.children : undefined;
+            if (!children?.some(c => c != null && this.isNodeAround(c, x, y))) {
+                finest.push(node);
+                return false;
+            }
+            return true;
+        });
+
+        const visited = new Set<PointCloudNode>();
+
+        const sampleNode = async (node: PointCloudNode): Promise<number | null> => {
+            const mesh = this.getNodeInfo(node).mesh;
+            if (mesh != null && (classifications == null || this.getClassification(mesh))) {
+                return this.sampleMesh(mesh, node, x, y, classifications);
+            }
+
+            const data = await this.source.getNodeData({
+                node,
+                position: true,
+                attribute,
+                signal: options.signal,
+            });
+
+            if (data.position == null) {
+                return null;
+            }
+
+            const matrix = tmpMatrix
+                .compose(data.origin, tmpQuaternion.identity(), data.scale ?? UNIT_SCALE)
+                .premultiply(this.object3d.matrixWorld);
+
+            return interpolateElevation(
+                x,
+                y,
+                node.geometricError,
+                data.position,
+                matrix,
+                data.attribute ?? null,
+                classifications,
+            );
+        };
+
+        await Promise.all(
+            finest.map(async leaf => {
+                let node: PointCloudNode | undefined = leaf;
+
+                while (node != null && !visited.has(node)) {
+                    visited.add(node);
+
+                    const elevation = node.hasData ? await sampleNode(node) : null;
+                    if (elevation != null) {
+                        result.samples.push({
+                            source: this,
+                            elevation,
+                            resolution: node.geometricError,
+                        });
+                        return;
+                    }
+
+                    node = node.parent;
+                }
+            }),
+        );
+
+        return result;
+    }
+
     /**
      * Sets the color layer to colorize the points.
      *
@@ -1037,6 +2101,127 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
         });
     }
 
+    private isNodeClipped(node: PointCloudNode, volumes: Readonly<ClippingVolume[]>): boolean {
+        if (volumes.length === 0) {
+            return false;
+        }
+
+        const worldBox = tmpBox3.copy(node.volume).applyMatrix4(this.object3d.matrixWorld);
+
+        return isBoxClipped(worldBox, volumes);
+    }
+
+    private getPreSSE(view: View): number {
+        const camera = view.camera;
+
+        if (isPerspectiveCamera(camera)) {
+            // See https://cesiumjs.org/hosted-apps/massiveworlds/downloads/Ring/WorldScaleTerrainRendering.pptx
+            // slide 17
+            return view.height / (2 * Math.tan(MathUtils.degToRad(camera.fov) * 0.5));
+        } else if (isOrthographicCamera(camera)) {
+            return (view.height * camera.near) / (camera.top - camera.bottom);
+        }
+
+        return NaN;
+    }
+
+    private isNodeRequiredAt(view: View, node: PointCloudNode, preSSE: number): boolean {
+        return (
+            view.isBox3Visible(node.volume, this.object3d.matrixWorld) &&
+            !this.isNodeClipped(node, this._clippingVolumes) &&
+            this.testNodeSSE(view, node, preSSE)
+        );
+    }
+
+    /**
+     * The root node of the hierarchy, once the entity is initialized.
+     * @internal
+     */
+    get rootNode(): PointCloudNode | null {
+        return this._rootNode;
+    }
+
+    /**
+     * Returns `true` if the node is visible and its level of detail is required by the view,
+     * regardless of any point budget.
+     * @internal
+     */
+    isNodeRequired(context: Context, node: PointCloudNode): boolean {
+        const preSSE = this.getPreSSE(context.view) * context.sseScale;
+
+        return this.isNodeRequiredAt(context.view, node, preSSE);
+    }
+
+    /**
+     * Returns `true` if the data of the node is in memory, or if the node has no data.
+     * @internal
+     */
+    isNodeLoaded(node: PointCloudNode): boolean {
+        return !node.hasData || this.getNodeInfo(node).mesh != null;
+    }
+
+    /**
+     * Returns `true` if the last loading of the node failed. Failed nodes are not loaded
+     * again until the point cloud is {@link clear | cleared} or the active attribute changes.
+     * @internal
+     */
+    hasNodeFailed(node: PointCloudNode): boolean {
+        return this.getNodeInfo(node).failed;
+    }
+
+    /**
+     * Returns the number of points of the node: the number of loaded points if the node is
+     * loaded, otherwise the number of points advertised by the source, if any.
+     * @internal
+     */
+    getNodePointCount(node: PointCloudNode): number {
+        const mesh = this.getNodeInfo(node).mesh;
+
+        return mesh != null ? mesh.geometry.getAttribute('position').count : (node.pointCount ?? 0);
+    }
+
+    /**
+     * Returns the nodes that are hidden, but whose data is still in memory.
+     * @internal
+     */
+    getHiddenNodes(): PointCloudNode[] {
+        const result: PointCloudNode[] = [];
+
+        this.forEachNodeInfo(info => {
+            if (info.state === 'hidden' && info.mesh != null) {
+                result.push(info.node);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Frees the data of a hidden node right away, instead of waiting for the
+     * {@link cleanupDelay}.
+     * @internal
+     */
+    unloadNode(node: PointCloudNode) {
+        const info = this.getNodeInfo(node);
+
+        if (info.state === 'hidden') {
+            this._stateMachine.transition(info, 'empty');
+        }
+    }
+
+    /**
+     * The nodes to display, e.g as selected by the point budget of the instance, instead
+     * of the nodes required by the view. A value of `null` restores the default selection.
+     * @internal
+     */
+    get nodeSelection(): Set<PointCloudNode> | null {
+        return this._nodeSelection;
+    }
+
+    set nodeSelection(selection: Set<PointCloudNode> | null) {
+        this._nodeSelection = selection;
+    }
+
     private testNodeSSE(view: View, node: PointCloudNode, preSSE: number): boolean {
         if (node.depth <= 0) {
             return true;
@@ -1053,6 +2238,10 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
             geometry.setAttribute('position', data.position);
         }
 
+        if (data.normal) {
+            geometry.setAttribute('normal', data.normal);
+        }
+
         if (data.attribute && this._activeAttribute && data.attribute.count > 0) {
             const active = this._activeAttribute;
             if (active.interpretation === 'classification') {
@@ -1084,8 +2273,9 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
         return result;
     }
 
-    private createMesh(data: PointCloudNodeData, volume: Box3): PointCloudMesh {
+    private createMesh(data: PointCloudNodeData, node: PointCloudNode): PointCloudMesh {
         const geometry = this.createGeometry(data);
+        const volume = node.volume;
 
         const mesh = new PointCloudMesh({
             geometry,
@@ -1094,6 +2284,10 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
             textureSize: TEXTURE_SIZE,
         });
 
+        mesh.material.nodeSpacing = node.geometricError;
+        mesh.castShadow = this._castShadow;
+        mesh.receiveShadow = this._receiveShadow;
+
         this.updateMaterial(mesh);
 
         // Sources can provide whatever origin position they want
@@ -1136,8 +2330,17 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
         material.opacity = this.opacity;
         material.classifications = this._classifications;
         material.size = this._pointSize;
+        material.pointSizeMode = this._pointSizeMode;
+        material.minPointSize = this._minPointSize;
+        material.maxPointSize = this._maxPointSize;
+        material.octreeSpacing = this._rootNode?.geometricError ?? 1;
+        material.pointShape = this._pointShape;
+        material.splatting = this._splatting;
+        material.lighting = this._lighting;
         material.mode = this._shaderMode;
         material.enableClassification = this._shaderMode === MODE.CLASSIFICATION;
+        material.clippingVolumes = this._clippingData;
+        material.attributeFilters = this._attributeFilterData;
 
         if (this.colorMap) {
             material.colorMap = this.colorMap;
@@ -1167,6 +2370,43 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
         });
     }
 
+    /**
+     * Loads the data of the node from the source, or computes it for computed attributes.
+     */
+    private async fetchNodeData(options: GetNodeDataOptions): Promise<PointCloudNodeData> {
+        const { node, attribute, signal } = options;
+        const computed = attribute != null ? this._computedAttributes.get(attribute.name) : null;
+
+        if (computed == null) {
+            return this.source.getNodeData(options);
+        }
+
+        // The values are computed from the positions, that must be loaded anyway
+        const data = await this.source.getNodeData({ node, position: true, signal });
+
+        if (data.position == null) {
+            return { ...data, attribute: undefined };
+        }
+
+        const { origin, scale } = data;
+        const count = data.position.count;
+        const positions = new Float64Array(count * 3);
+
+        for (let i = 0; i < count; i++) {
+            positions[i * 3 + 0] = origin.x + data.position.getX(i) * (scale?.x ?? 1);
+            positions[i * 3 + 1] = origin.y + data.position.getY(i) * (scale?.y ?? 1);
+            positions[i * 3 + 2] = origin.z + data.position.getZ(i) * (scale?.z ?? 1);
+        }
+
+        const values = await computed.compute({ node, count, positions, signal });
+
+        return {
+            ...data,
+            position: options.position ? data.position : undefined,
+            attribute: createComputedBufferAttribute(values, computed.attribute),
+        };
+    }
+
     /**
      * Loads data from the source for the given node.
      */
@@ -1181,15 +2421,30 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
             }
 
             const node = info.node;
+            const reloadPositions = info.mesh == null || info.positionDirty;
 
-            const data = await this.source.getNodeData({
-                node,
-                // Let's not reload the point position if we already have them,
-                // as they are not going to change when switching attributes for example.
-                position: info.mesh == null || info.positionDirty,
-                attribute: attribute ?? undefined,
-                signal,
-            });
+            if (reloadPositions && info.mesh != null) {
+                // The number of points might change, so the filter attributes are obsolete.
+                for (let i = 0; i < MAX_ATTRIBUTE_FILTERS; i++) {
+                    info.mesh.geometry.deleteAttribute(`filterAttribute${i}`);
+                }
+                info.filterAttributes.fill(null);
+            }
+
+            // The filter attributes are loaded along with the data, so that the points
+            // are never displayed unfiltered.
+            const filterSlots = this._filterSlots;
+            const [data, filterBuffers] = await Promise.all([
+                this.fetchNodeData({
+                    node,
+                    // Let's not reload the point position if we already have them,
+                    // as they are not going to change when switching attributes for example.
+                    position: reloadPositions,
+                    attribute: attribute ?? undefined,
+                    signal,
+                }),
+                this.fetchFilterAttributes(info, filterSlots, signal),
+            ]);
 
             // An aborted signal means either: the node is no longer visible
             // or we changed the active attribute and the data is obsolete.
@@ -1203,16 +2458,29 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
                 this.updateGeometry(info.mesh.geometry, data);
                 this.updateMaterial(info.mesh);
             } else {
-                const mesh = this.createMesh(data, node.volume);
+                const mesh = this.createMesh(data, node);
                 mesh.name = node.id;
                 info.mesh = mesh;
                 this.onObjectCreated(mesh);
             }
 
+            this.setFilterAttributes(info, filterSlots, filterBuffers);
+
+            info.failed = false;
+
             if (info.state === 'loading') {
                 this._stateMachine.transition(info, 'displayed');
             }
         } catch (err) {
+            if (signal.aborted) {
+                return;
+            }
+
+            // The node is no longer loading, but it remains in the 'loading' state, so that
+            // it is not loaded again on each update.
+            info.failed = true;
+            info.controller = undefined;
+
             if (err instanceof Error) {
                 if (err.message !== 'aborted') {
                     console.error(err);
@@ -1263,6 +2531,88 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
         }
     }
 
+    /**
+     * Tests if the horizontal footprint of the node, expanded by its point spacing, contains
+     * the specified location.
+     */
+    private isNodeAround(node: PointCloudNode, x: number, y: number): boolean {
+        const box = tmpBox3.copy(node.volume).applyMatrix4(this.object3d.matrixWorld);
+        const margin = node.geometricError;
+
+        return (
+            x >= box.min.x - margin &&
+            x <= box.max.x + margin &&
+            y >= box.min.y - margin &&
+            y <= box.max.y + margin
+        );
+    }
+
+    /**
+     * Returns the classifications of the points of the mesh, if they are loaded.
+     */
+    private getClassification(mesh: PointCloudMesh): BufferAttribute | null {
+        const geometry = mesh.geometry;
+        const count = geometry.getAttribute('position')?.count;
+
+        const candidates: string[] = ['classification'];
+        this._filterSlots.forEach((attribute, i) => {
+            if (attribute?.interpretation === 'classification') {
+                candidates.push(`filterAttribute${i}`);
+            }
+        });
+
+        for (const name of candidates) {
+            const buffer = geometry.getAttribute(name) as BufferAttribute | undefined;
+            // The buffer might be obsolete if the positions have been reloaded since
+            if (buffer != null && buffer.count === count) {
+                return buffer;
+            }
+        }
+
+        return null;
+    }
+
+    private sampleMesh(
+        mesh: PointCloudMesh,
+        node: PointCloudNode,
+        x: number,
+        y: number,
+        classifications: Set<number> | null,
+    ): number | null {
+        const position = mesh.geometry.getAttribute('position') as BufferAttribute | undefined;
+        if (position == null) {
+            return null;
+        }
+
+        const classification = classifications != null ? this.getClassification(mesh) : null;
+        if (classifications != null && classification == null) {
+            return null;
+        }
+
+        return interpolateElevation(
+            x,
+            y,
+            node.geometricError,
+            position,
+            mesh.matrixWorld,
+            classification,
+            classifications,
+        );
+    }
+
+    private getNodeOfObject(object: Object3D): PointCloudNode | null {
+        let result: PointCloudNode | null = null;
+
+        traverseNode(this._rootNode, node => {
+            if (result == null && this.getNodeInfo(node).mesh === object) {
+                result = node;
+            }
+            return result == null;
+        });
+
+        return result;
+    }
+
     private forEachNodeInfo(callbackfn: (info: NodeInfo) => void): void {
         traverseNode(this._rootNode, node => {
             callbackfn(this.getNodeInfo(node));
@@ -1296,3 +2646,14 @@ export default class PointCloud<TUserData extends EntityUserData = EntityUserDat
         });
     }
 }
+
+/**
+ * A type predicate to test if the object is a {@link PointCloud}.
+ */
+export function isPointCloud(o: unknown): o is PointCloud {
+    if (o == null) {
+        return false;
+    }
+
+    return (o as PointCloud).isPointCloud === true;
+}
@@ -268,6 +268,7 @@ const tmpIntersectList: Intersection[] = [];
 
 const KILOMETER = 1000;
 const SQ_KILOMETER = KILOMETER * KILOMETER;
+const CU_KILOMETER = SQ_KILOMETER * KILOMETER;
 
 /**
  * The picking result for shapes.
@@ -475,6 +476,59 @@ function defaultAreaFormatter(opts: { area: number }): string {
     return `${DEFAULT_NUMBER_FORMAT.format(value)} ${unit}`;
 }
 
+/**
+ * Formats the volume into a readable string.
+ * @param volume - The volume in cubic CRS units. It can be negative.
+ */
+function defaultVolumeFormatter(volume: number): string {
+    let unit: string;
+    let value: number;
+
+    if (Math.abs(volume) > CU_KILOMETER * 10) {
+        value = volume / CU_KILOMETER;
+        unit = 'km³';
+    } else {
+        value = volume;
+        unit = 'm³';
+    }
+
+    return `${DEFAULT_NUMBER_FORMAT.format(value)} ${unit}`;
+}
+
+/**
+ * The volumes displayed by {@link volumeFormatter}, in cubic CRS units, such as the result of
+ * {@link analysis.computeVolume | computeVolume()}.
+ */
+export type VolumeFormatOptions = {
+    cut: number;
+    fill: number;
+    net: number;
+};
+
+/**
+ * Creates a {@link SurfaceLabelFormatter} that displays the area of the surface, followed by the
+ * cut, fill and net volumes.
+ *
+ * ```js
+ * const result = await computeVolume({ polygon: shape, surface, base, cellSize });
+ *
+ * shape.surfaceLabelFormatter = volumeFormatter(result);
+ * ```
+ * @param volumes - The volumes to display.
+ */
+export function volumeFormatter(volumes: VolumeFormatOptions): SurfaceLabelFormatter {
+    return (params: SurfaceFormatOptions) => {
+        const area = params.defaultFormatter(params);
+
+        return [
+            ...(area != null ? [area] : []),
+            `Cut: ${defaultVolumeFormatter(volumes.cut)}`,
+            `Fill: ${defaultVolumeFormatter(volumes.fill)}`,
+            `Net: ${defaultVolumeFormatter(volumes.net)}`,
+        ].join('\n');
+    };
+}
+
 /**
  * Formats the label associated with a vertex into a readable string.
  */
@@ -1005,6 +1059,9 @@ export interface ShapeConstructorOptions {
  * |vertical lines|{@link VerticalLineLabelFormatter}|Displays the length of the line in metric units|
  * |surface|{@link SurfaceLabelFormatter}|Displays the area of the surface in square metric units|
  *
+ * The surface formatter can be changed at any time with {@link surfaceLabelFormatter}, e.g to
+ * display volumes with {@link volumeFormatter}.
+ *
  * #### Formatter examples
  *
  * To display the parity of the vertex index:
@@ -1117,7 +1174,7 @@ export default class Shape<UserData extends EntityUserData = EntityUserData> ext
     private readonly _formatLine: LineLabelFormatter = defaultLengthFormatter;
     private readonly _formatSegment: SegmentLabelFormatter = defaultLengthFormatter;
     private readonly _formatVerticalLine: VerticalLineLabelFormatter = defaultVerticalLineFormatter;
-    private readonly _formatSurface: SurfaceLabelFormatter = defaultAreaFormatter;
+    private _formatSurface: SurfaceLabelFormatter = defaultAreaFormatter;
     private readonly _surfaceLabelPlacement: SurfaceLabelPlacement = defaultLabelPlacement;
     private readonly _formatVertex: VertexLabelFormatter = defaultVertexFormatter;
 
@@ -1844,6 +1901,18 @@ export default class Shape<UserData extends EntityUserData = EntityUserData> ext
         }
     }
 
+    /**
+     * The formatter of the surface label.
+     */
+    get surfaceLabelFormatter(): SurfaceLabelFormatter {
+        return this._formatSurface;
+    }
+
+    set surfaceLabelFormatter(formatter: SurfaceLabelFormatter | null | undefined) {
+        this._formatSurface = formatter ?? defaultAreaFormatter;
+        this.rebuildSurfaceLabel();
+    }
+
     /**
      * Toggle the vertex labels.
      */
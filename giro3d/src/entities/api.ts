@@ -16,16 +16,29 @@ import Map, {
     type MapConstructorOptions,
     type MapEventMap,
 } from './Map';
-import PointCloud, { PointCloudOptions, UnsupportedAttributeError } from './PointCloud';
+import PointCloud, {
+    AttributeFilter,
+    AttributeFilterOperator,
+    ComputedAttributeFunction,
+    isPointCloud,
+    PointAttributeValues,
+    PointCloudElevationAsyncOptions,
+    PointCloudElevationOptions,
+    PointCloudOptions,
+    UnsupportedAttributeError,
+} from './PointCloud';
 import Shape, * as shape from './Shape';
 import Tiles3D, { type Tiles3DOptions, type Tiles3DPickResult } from './Tiles3D';
 
 export {
+    AttributeFilter,
+    AttributeFilterOperator,
     AxisGrid,
     AxisGridOrigin,
     AxisGridStyle,
     AxisGridTicks,
     AxisGridVolume,
+    ComputedAttributeFunction,
     DEFAULT_MAP_BACKGROUND_COLOR,
     DEFAULT_MAP_SEGMENTS,
     DEFAULT_SUBDIVISION_THRESHOLD,
@@ -36,12 +49,16 @@ export {
     EntityEventMap,
     EntityUserData,
     FeatureCollection,
+    isPointCloud,
     LayerCompareFn,
     Map,
     MapConstructorOptions,
     MapEventMap,
     MeshUserData,
+    PointAttributeValues,
     PointCloud,
+    PointCloudElevationAsyncOptions,
+    PointCloudElevationOptions,
     PointCloudOptions,
     Shape,
     shape,
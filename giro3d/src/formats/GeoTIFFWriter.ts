@@ -0,0 +1,215 @@
+import type { Raster } from '../analysis/rasterizePoints';
+import { crsToUnit, UNIT } from '../core/geographic/Coordinates';
+
+const HEADER_SIZE = 8;
+const IFD_ENTRY_SIZE = 12;
+
+/** TIFF field types */
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const DOUBLE = 12;
+
+const TYPE_SIZES: Record<number, number> = {
+    [ASCII]: 1,
+    [SHORT]: 2,
+    [LONG]: 4,
+    [DOUBLE]: 8,
+};
+
+/** GeoTIFF keys */
+const GT_MODEL_TYPE = 1024;
+const GT_RASTER_TYPE = 1025;
+const GT_CITATION = 1026;
+const GEOGRAPHIC_TYPE = 2048;
+const PROJECTED_CS_TYPE = 3072;
+
+const MODEL_TYPE_PROJECTED = 1;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const RASTER_PIXEL_IS_AREA = 1;
+const USER_DEFINED = 32767;
+
+const GEO_ASCII_PARAMS_TAG = 34737;
+
+/**
+ * Options for {@link writeGeoTIFF}.
+ */
+export type GeoTIFFWriterOptions = {
+    /**
+     * The generating software written in the file.
+     * @defaultValue `'Giro3D'`
+     */
+    software?: string;
+};
+
+type Entry = {
+    tag: number;
+    type: number;
+    values: number[] | string;
+};
+
+function getCount(entry: Entry): number {
+    // ASCII values are NUL-terminated
+    return typeof entry.values === 'string' ? entry.values.length + 1 : entry.values.length;
+}
+
+function writeValues(view: DataView, offset: number, entry: Entry) {
+    const { type, values } = entry;
+
+    if (typeof values === 'string') {
+        for (let i = 0; i < values.length; i++) {
+            view.setUint8(offset + i, values.charCodeAt(i) & 0x7f);
+        }
+        view.setUint8(offset + values.length, 0);
+        return;
+    }
+
+    const size = TYPE_SIZES[type];
+    values.forEach((value, i) => {
+        switch (type) {
+            case SHORT:
+                view.setUint16(offset + i * size, value, true);
+                break;
+            case LONG:
+                view.setUint32(offset + i * size, value, true);
+                break;
+            case DOUBLE:
+                view.setFloat64(offset + i * size, value, true);
+                break;
+        }
+    });
+}
+
+/**
+ * Returns the GeoTIFF keys that describe the coordinate system, and the ASCII parameters
+ * referenced by those keys, if any.
+ */
+function getGeoKeys(crs: string): { keys: number[][]; ascii: string | null } {
+    const geographic = crsToUnit(crs) === UNIT.DEGREE;
+    const modelType = geographic ? MODEL_TYPE_GEOGRAPHIC : MODEL_TYPE_PROJECTED;
+
+    const keys = [
+        [GT_MODEL_TYPE, 0, 1, modelType],
+        [GT_RASTER_TYPE, 0, 1, RASTER_PIXEL_IS_AREA],
+    ];
+
+    const match = /^EPSG:(\d+)$/i.exec(crs);
+    const code = match != null ? Number.parseInt(match[1]) : NaN;
+
+    let ascii: string | null = null;
+
+    if (code > 0 && code < USER_DEFINED) {
+        keys.push([geographic ? GEOGRAPHIC_TYPE : PROJECTED_CS_TYPE, 0, 1, code]);
+    } else {
+        // Non-EPSG coordinate systems are only described by their name
+        ascii = `${crs}|`;
+        keys.push([GT_CITATION, GEO_ASCII_PARAMS_TAG, ascii.length, 0]);
+        keys.push([geographic ? GEOGRAPHIC_TYPE : PROJECTED_CS_TYPE, 0, 1, USER_DEFINED]);
+    }
+
+    keys.sort((a, b) => a[0] - b[0]);
+
+    return { keys, ascii };
+}
+
+/**
+ * Encodes a raster in a single-band, 32-bit float GeoTIFF file.
+ *
+ * The file is georeferenced with the extent of the raster, and carries its coordinate system
+ * (as an EPSG code if the CRS is of the form `EPSG:XXXX`, otherwise as a citation). The nodata
+ * value is written in the `GDAL_NODATA` tag.
+ *
+ * ```js
+ * const buffer = writeGeoTIFF(raster);
+ * const blob = new Blob([buffer], { type: 'image/tiff' });
+ * ```
+ *
+ * @param raster - The raster to encode.
+ * @param options - The options.
+ * @returns The content of the GeoTIFF file.
+ */
+export function writeGeoTIFF(raster: Raster, options: GeoTIFFWriterOptions = {}): ArrayBuffer {
+    const { width, height, cellSize, extent, values, nodata } = raster;
+    const imageSize = width * height * 4;
+
+    const { keys, ascii } = getGeoKeys(extent.crs);
+
+    // The image data is written right after the header
+    const imageOffset = HEADER_SIZE;
+
+    const entries: Entry[] = [
+        { tag: 256, type: LONG, values: [width] }, // ImageWidth
+        { tag: 257, type: LONG, values: [height] }, // ImageLength
+        { tag: 258, type: SHORT, values: [32] }, // BitsPerSample
+        { tag: 259, type: SHORT, values: [1] }, // Compression: none
+        { tag: 262, type: SHORT, values: [1] }, // PhotometricInterpretation: BlackIsZero
+        { tag: 273, type: LONG, values: [imageOffset] }, // StripOffsets
+        { tag: 277, type: SHORT, values: [1] }, // SamplesPerPixel
+        { tag: 278, type: LONG, values: [height] }, // RowsPerStrip
+        { tag: 279, type: LONG, values: [imageSize] }, // StripByteCounts
+        { tag: 284, type: SHORT, values: [1] }, // PlanarConfiguration: chunky
+        { tag: 305, type: ASCII, values: options.software ?? 'Giro3D' }, // Software
+        { tag: 339, type: SHORT, values: [3] }, // SampleFormat: IEEE float
+        { tag: 33550, type: DOUBLE, values: [cellSize, cellSize, 0] }, // ModelPixelScale
+        { tag: 33922, type: DOUBLE, values: [0, 0, 0, extent.west, extent.north, 0] }, // Tiepoint
+        { tag: 34735, type: SHORT, values: [1, 1, 0, keys.length, ...keys.flat()] }, // GeoKeys
+    ];
+
+    if (ascii != null) {
+        entries.push({ tag: GEO_ASCII_PARAMS_TAG, type: ASCII, values: ascii });
+    }
+
+    entries.push({ tag: 42113, type: ASCII, values: `${nodata}` }); // GDAL_NODATA
+
+    // The IFD follows the image data, on a word boundary
+    const ifdOffset = imageOffset + imageSize + (imageSize % 2);
+    const ifdSize = 2 + entries.length * IFD_ENTRY_SIZE + 4;
+
+    // Values that do not fit in the 4 bytes of their entry are written after the IFD
+    let dataSize = 0;
+    for (const entry of entries) {
+        const size = getCount(entry) * TYPE_SIZES[entry.type];
+        if (size > 4) {
+            dataSize += size + (size % 2);
+        }
+    }
+
+    const buffer = new ArrayBuffer(ifdOffset + ifdSize + dataSize);
+    const view = new DataView(buffer);
+
+    // Header: little-endian TIFF
+    view.setUint16(0, 0x4949);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, ifdOffset, true);
+
+    for (let i = 0; i < values.length; i++) {
+        view.setFloat32(imageOffset + i * 4, values[i], true);
+    }
+
+    view.setUint16(ifdOffset, entries.length, true);
+
+    let dataOffset = ifdOffset + ifdSize;
+
+    entries.forEach((entry, i) => {
+        const offset = ifdOffset + 2 + i * IFD_ENTRY_SIZE;
+        const count = getCount(entry);
+        const size = count * TYPE_SIZES[entry.type];
+
+        view.setUint16(offset, entry.tag, true);
+        view.setUint16(offset + 2, entry.type, true);
+        view.setUint32(offset + 4, count, true);
+
+        if (size <= 4) {
+            writeValues(view, offset + 8, entry);
+        } else {
+            view.setUint32(offset + 8, dataOffset, true);
+            writeValues(view, dataOffset, entry);
+            dataOffset += size + (size % 2);
+        }
+    });
+
+    // No next IFD
+    view.setUint32(ifdOffset + 2 + entries.length * IFD_ENTRY_SIZE, 0, true);
+
+    return buffer;
+}
@@ -0,0 +1,386 @@
+import type { PointSet } from '../analysis/PointSet';
+import type {
+    LASVariableLengthRecord,
+    PointCloudAttribute,
+    PointCloudCrs,
+} from '../sources/PointCloudSource';
+
+const HEADER_SIZE = 375;
+const VLR_HEADER_SIZE = 54;
+
+/** The record ID of the OGC WKT coordinate system VLR. */
+const WKT_RECORD_ID = 2112;
+const PROJECTION_USER_ID = 'LASF_Projection';
+
+/** The global encoding bit that indicates that the CRS is stored as WKT. */
+const GLOBAL_ENCODING_WKT = 1 << 4;
+
+/**
+ * Options for {@link writeLAS}.
+ */
+export type LASWriterOptions = {
+    /**
+     * The scale of the integer coordinates.
+     * @defaultValue `[0.001, 0.001, 0.001]`
+     */
+    scale?: [number, number, number];
+    /**
+     * The offset of the integer coordinates.
+     * @defaultValue the first point, rounded down
+     */
+    offset?: [number, number, number];
+    /**
+     * Additional VLRs to write in the file. The coordinate system VLRs of the CRS of the points
+     * (if any) are automatically added. If the CRS has a WKT definition but no WKT VLR, a WKT VLR
+     * is created.
+     */
+    vlrs?: LASVariableLengthRecord[];
+    /**
+     * The generating software written in the header.
+     * @defaultValue `'Giro3D'`
+     */
+    generatingSoftware?: string;
+};
+
+type FieldWriter = (view: DataView, offset: number, values: Float32Array, index: number) => void;
+
+/**
+ * Returns a normalized attribute name, so that `GpsTime`, `gps-time` and `gps_time` are equivalent.
+ */
+function normalizeName(name: string): string {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function isColor(attribute: PointCloudAttribute): boolean {
+    return attribute.interpretation === 'color' && attribute.dimension === 3;
+}
+
+/**
+ * Colors may be stored on 8 or 16 bits depending on the source. LAS colors are always 16-bit.
+ */
+function getColorFactor(attribute: PointCloudAttribute): number {
+    const { size, max } = attribute;
+    return size === 1 || (max != null && max <= 255) ? 257 : 1;
+}
+
+const clampU8 = (v: number) => Math.min(Math.max(Math.round(v), 0), 255);
+const clampU16 = (v: number) => Math.min(Math.max(Math.round(v), 0), 65535);
+
+/**
+ * Returns the function that writes the attribute in a point data record format 6 or 7 record,
+ * or `null` if the attribute has no equivalent in the LAS specification.
+ */
+function getFieldWriter(attribute: PointCloudAttribute): FieldWriter | null {
+    if (isColor(attribute)) {
+        const factor = getColorFactor(attribute);
+        return (view, offset, values, i) => {
+            view.setUint16(offset + 30, clampU16(values[i * 3 + 0] * factor), true);
+            view.setUint16(offset + 32, clampU16(values[i * 3 + 1] * factor), true);
+            view.setUint16(offset + 34, clampU16(values[i * 3 + 2] * factor), true);
+        };
+    }
+
+    if (attribute.dimension !== 1) {
+        return null;
+    }
+
+    switch (normalizeName(attribute.name)) {
+        case 'intensity':
+            return (view, offset, values, i) =>
+                view.setUint16(offset + 12, clampU16(values[i]), true);
+        case 'returnnumber':
+            return (view, offset, values, i) => {
+                const byte = view.getUint8(offset + 14);
+                view.setUint8(offset + 14, (byte & 0xf0) | (values[i] & 0x0f));
+            };
+        case 'numberofreturns':
+            return (view, offset, values, i) => {
+                const byte = view.getUint8(offset + 14);
+                view.setUint8(offset + 14, (byte & 0x0f) | ((values[i] & 0x0f) << 4));
+            };
+        case 'scannerchannel':
+            return (view, offset, values, i) => {
+                const byte = view.getUint8(offset + 15);
+                view.setUint8(offset + 15, (byte & 0b11001111) | ((values[i] & 0b11) << 4));
+            };
+        case 'scandirectionflag':
+            return (view, offset, values, i) => {
+                const byte = view.getUint8(offset + 15);
+                view.setUint8(offset + 15, (byte & 0b10111111) | ((values[i] & 1) << 6));
+            };
+        case 'edgeofflightline':
+            return (view, offset, values, i) => {
+                const byte = view.getUint8(offset + 15);
+                view.setUint8(offset + 15, (byte & 0b01111111) | ((values[i] & 1) << 7));
+            };
+        case 'classification':
+            return (view, offset, values, i) => view.setUint8(offset + 16, clampU8(values[i]));
+        case 'userdata':
+            return (view, offset, values, i) => view.setUint8(offset + 17, clampU8(values[i]));
+        case 'scanangle':
+        case 'scananglerank':
+            // Scan angles are expressed in degrees, and stored in 0.006 degree increments.
+            return (view, offset, values, i) =>
+                view.setInt16(offset + 18, Math.round(values[i] / 0.006), true);
+        case 'pointsourceid':
+            return (view, offset, values, i) =>
+                view.setUint16(offset + 20, clampU16(values[i]), true);
+        case 'gpstime':
+            return (view, offset, values, i) => view.setFloat64(offset + 22, values[i], true);
+        default:
+            return null;
+    }
+}
+
+function writeString(view: DataView, offset: number, value: string, maxLength: number) {
+    for (let i = 0; i < maxLength; i++) {
+        view.setUint8(offset + i, i < value.length ? value.charCodeAt(i) & 0x7f : 0);
+    }
+}
+
+const WKT_PATTERN = /^\s*(PROJCS|GEOGCS|GEOCCS|COMPD_CS|PROJCRS|GEOGCRS|COMPOUNDCRS)\[/i;
+
+function isWKT(definition: string | undefined): definition is string {
+    return definition != null && WKT_PATTERN.test(definition);
+}
+
+function hasWktRecord(vlrs: LASVariableLengthRecord[]): boolean {
+    return vlrs.some(v => v.userId === PROJECTION_USER_ID && v.recordId === WKT_RECORD_ID);
+}
+
+function getVariableLengthRecords(crs: PointCloudCrs | undefined, options: LASWriterOptions) {
+    const vlrs = [...(options.vlrs ?? []), ...(crs?.vlrs ?? [])];
+
+    const wkt = crs?.definition;
+    if (!hasWktRecord(vlrs) && isWKT(wkt)) {
+        vlrs.push({
+            userId: PROJECTION_USER_ID,
+            recordId: WKT_RECORD_ID,
+            description: 'OGC WKT',
+            // The WKT must be null-terminated
+            data: new TextEncoder().encode(wkt + '\0'),
+        });
+    }
+
+    return vlrs;
+}
+
+/**
+ * Incrementally encodes points in a LAS 1.4 file, using point data record format 6 (or 7 if the
+ * points have colors). Useful to encode large amounts of points without keeping them all in
+ * memory.
+ *
+ * Attributes that match a LAS dimension (by name, case-insensitive) are written in the
+ * corresponding field, e.g `Intensity`, `Classification`, `ReturnNumber`, `GpsTime`.
+ * Other attributes are ignored. Without `ReturnNumber` and `NumberOfReturns` attributes, each
+ * point is the single return of its pulse, as the LAS specification requires a return number
+ * of at least 1.
+ *
+ * ```js
+ * const encoder = new LASEncoder(attributes, crs);
+ * encoder.add(chunk1);
+ * encoder.add(chunk2);
+ * const blob = new Blob(encoder.finish());
+ * ```
+ */
+export class LASEncoder {
+    private readonly _options: LASWriterOptions;
+    private readonly _vlrs: LASVariableLengthRecord[];
+    private readonly _writers: Array<FieldWriter | null>;
+    /** `true` if the number of returns is written by an attribute. */
+    private readonly _hasNumberOfReturns: boolean;
+    private readonly _recordLength: number;
+    private readonly _pointDataRecordFormat: number;
+    private readonly _chunks: ArrayBuffer[] = [];
+    private readonly _pointsByReturn = new Array<number>(15).fill(0);
+    private readonly _min = [+Infinity, +Infinity, +Infinity];
+    private readonly _max = [-Infinity, -Infinity, -Infinity];
+    private readonly _scale: [number, number, number];
+    private _offset: [number, number, number] | null;
+    private _count = 0;
+
+    /**
+     * @param attributes - The attributes of the points, in the order of the point sets.
+     * @param crs - The coordinate system of the points, if any.
+     * @param options - The options.
+     */
+    constructor(
+        attributes: PointCloudAttribute[],
+        crs?: PointCloudCrs,
+        options: LASWriterOptions = {},
+    ) {
+        this._options = options;
+        this._vlrs = getVariableLengthRecords(crs, options);
+        this._writers = attributes.map(getFieldWriter);
+        this._hasNumberOfReturns = attributes.some(
+            (a, i) => this._writers[i] != null && normalizeName(a.name) === 'numberofreturns',
+        );
+
+        const hasColor = attributes.some(isColor);
+        this._pointDataRecordFormat = hasColor ? 7 : 6;
+        this._recordLength = hasColor ? 36 : 30;
+
+        this._scale = options.scale ?? [0.001, 0.001, 0.001];
+        this._offset = options.offset ?? null;
+    }
+
+    /**
+     * The number of points encoded so far.
+     */
+    get count() {
+        return this._count;
+    }
+
+    /**
+     * Encodes a chunk of points. The attributes must match the ones passed to the constructor.
+     *
+     * @param points - The points to encode.
+     */
+    add(points: PointSet): void {
+        if (points.count === 0) {
+            return;
+        }
+
+        const { positions } = points;
+        const scale = this._scale;
+        const offset = (this._offset ??= [
+            Math.floor(positions[0]),
+            Math.floor(positions[1]),
+            Math.floor(positions[2]),
+        ]);
+
+        const recordLength = this._recordLength;
+        const buffer = new ArrayBuffer(points.count * recordLength);
+        const view = new DataView(buffer);
+
+        for (let i = 0; i < points.count; i++) {
+            const o = i * recordLength;
+
+            for (let k = 0; k < 3; k++) {
+                const v = positions[i * 3 + k];
+                this._min[k] = Math.min(this._min[k], v);
+                this._max[k] = Math.max(this._max[k], v);
+                view.setInt32(o + k * 4, Math.round((v - offset[k]) / scale[k]), true);
+            }
+
+            // Return 1 of 1, unless the attributes specify otherwise
+            view.setUint8(o + 14, 0x11);
+
+            for (let a = 0; a < this._writers.length; a++) {
+                this._writers[a]?.(view, o, points.attributes[a].values, i);
+            }
+
+            const returnNumber = view.getUint8(o + 14) & 0x0f;
+
+            if (!this._hasNumberOfReturns && returnNumber > 1) {
+                // The number of returns cannot be lower than the return number
+                view.setUint8(o + 14, (returnNumber << 4) | returnNumber);
+            }
+
+            if (returnNumber >= 1 && returnNumber <= 15) {
+                this._pointsByReturn[returnNumber - 1]++;
+            }
+        }
+
+        this._chunks.push(buffer);
+        this._count += points.count;
+    }
+
+    /**
+     * Terminates the encoding.
+     *
+     * @returns The parts of the file, starting with the header.
+     */
+    finish(): ArrayBuffer[] {
+        return [this.encodeHeader(), ...this._chunks];
+    }
+
+    private encodeHeader(): ArrayBuffer {
+        const vlrs = this._vlrs;
+        const vlrsSize = vlrs.reduce((sum, v) => sum + VLR_HEADER_SIZE + v.data.byteLength, 0);
+        const offsetToPointData = HEADER_SIZE + vlrsSize;
+
+        const buffer = new ArrayBuffer(offsetToPointData);
+        const view = new DataView(buffer);
+
+        const empty = this._count === 0;
+        const offset = this._offset ?? [0, 0, 0];
+
+        // Public header block
+        writeString(view, 0, 'LASF', 4);
+        view.setUint16(4, 0, true); // File source ID
+        view.setUint16(6, hasWktRecord(vlrs) ? GLOBAL_ENCODING_WKT : 0, true);
+        // Bytes 8-23: project ID (GUID), left empty
+        view.setUint8(24, 1); // Version major
+        view.setUint8(25, 4); // Version minor
+        writeString(view, 26, 'OTHER', 32); // System identifier
+        writeString(view, 58, this._options.generatingSoftware ?? 'Giro3D', 32);
+        const now = new Date();
+        const startOfYear = Date.UTC(now.getUTCFullYear(), 0, 1);
+        view.setUint16(90, Math.floor((now.getTime() - startOfYear) / 86400000) + 1, true);
+        view.setUint16(92, now.getUTCFullYear(), true);
+        view.setUint16(94, HEADER_SIZE, true);
+        view.setUint32(96, offsetToPointData, true);
+        view.setUint32(100, vlrs.length, true);
+        view.setUint8(104, this._pointDataRecordFormat);
+        view.setUint16(105, this._recordLength, true);
+        // Legacy point counts (bytes 107-130) must be zero for point formats 6 and above
+        for (let k = 0; k < 3; k++) {
+            view.setFloat64(131 + k * 8, this._scale[k], true);
+            view.setFloat64(155 + k * 8, offset[k], true);
+            view.setFloat64(179 + k * 16, empty ? 0 : this._max[k], true);
+            view.setFloat64(187 + k * 16, empty ? 0 : this._min[k], true);
+        }
+        // Bytes 227-246: waveform data and EVLRs, unused
+        view.setBigUint64(247, BigInt(this._count), true);
+        for (let k = 0; k < 15; k++) {
+            view.setBigUint64(255 + k * 8, BigInt(this._pointsByReturn[k]), true);
+        }
+
+        // Variable length records
+        let vlrOffset = HEADER_SIZE;
+        for (const vlr of vlrs) {
+            view.setUint16(vlrOffset, 0, true); // Reserved
+            writeString(view, vlrOffset + 2, vlr.userId, 16);
+            view.setUint16(vlrOffset + 18, vlr.recordId, true);
+            view.setUint16(vlrOffset + 20, vlr.data.byteLength, true);
+            writeString(view, vlrOffset + 22, vlr.description ?? '', 32);
+            new Uint8Array(buffer, vlrOffset + VLR_HEADER_SIZE, vlr.data.byteLength).set(vlr.data);
+            vlrOffset += VLR_HEADER_SIZE + vlr.data.byteLength;
+        }
+
+        return buffer;
+    }
+}
+
+/**
+ * Encodes a point set in a LAS 1.4 file. See {@link LASEncoder} for details.
+ *
+ * ```js
+ * const buffer = writeLAS(points);
+ * const blob = new Blob([buffer], { type: 'application/octet-stream' });
+ * ```
+ *
+ * @param points - The points to encode.
+ * @param options - The options.
+ * @returns The content of the LAS file.
+ */
+export function writeLAS(points: PointSet, options: LASWriterOptions = {}): ArrayBuffer {
+    const encoder = new LASEncoder(
+        points.attributes.map(a => a.attribute),
+        points.crs,
+        options,
+    );
+
+    encoder.add(points);
+
+    const parts = encoder.finish();
+    const result = new Uint8Array(parts.reduce((sum, p) => sum + p.byteLength, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(new Uint8Array(part), offset);
+        offset += part.byteLength;
+    }
+
+    return result.buffer;
+}
@@ -0,0 +1,250 @@
+import type { PointSet } from '../analysis/PointSet';
+import type { PointCloudAttribute, PointCloudCrs } from '../sources/PointCloudSource';
+
+type PropertyType = 'char' | 'uchar' | 'short' | 'ushort' | 'int' | 'uint' | 'float' | 'double';
+
+const PROPERTY_SIZES: Record<PropertyType, number> = {
+    char: 1,
+    uchar: 1,
+    short: 2,
+    ushort: 2,
+    int: 4,
+    uint: 4,
+    float: 4,
+    double: 8,
+};
+
+type Property = {
+    name: string;
+    type: PropertyType;
+    /** The index of the attribute in the point set, or -1 for positions. */
+    attributeIndex: number;
+    /** The component of the attribute. */
+    component: number;
+    /** The factor to apply to the attribute value. */
+    factor: number;
+};
+
+/**
+ * Options for {@link writePLY}.
+ */
+export type PLYWriterOptions = {
+    /**
+     * The encoding of the file.
+     * @defaultValue `'binary'`
+     */
+    encoding?: 'ascii' | 'binary';
+};
+
+function getPropertyType(attribute: PointCloudAttribute): PropertyType {
+    switch (attribute.type) {
+        case 'float':
+            return 'float';
+        case 'signed':
+            return attribute.size === 1 ? 'char' : attribute.size === 2 ? 'short' : 'int';
+        case 'unsigned':
+            return attribute.size === 1 ? 'uchar' : attribute.size === 2 ? 'ushort' : 'uint';
+    }
+}
+
+/**
+ * PLY property names cannot contain whitespaces.
+ */
+function sanitize(name: string): string {
+    return name.replace(/\s+/g, '_');
+}
+
+function getProperties(attributes: PointCloudAttribute[]): Property[] {
+    const properties: Property[] = [
+        { name: 'x', type: 'double', attributeIndex: -1, component: 0, factor: 1 },
+        { name: 'y', type: 'double', attributeIndex: -1, component: 1, factor: 1 },
+        { name: 'z', type: 'double', attributeIndex: -1, component: 2, factor: 1 },
+    ];
+
+    attributes.forEach((attribute, attributeIndex) => {
+        if (attribute.interpretation === 'color' && attribute.dimension === 3) {
+            // PLY readers expect 8-bit colors
+            const is16Bit = attribute.size !== 1 && (attribute.max == null || attribute.max > 255);
+            const factor = is16Bit ? 1 / 257 : 1;
+            ['red', 'green', 'blue'].forEach((name, component) =>
+                properties.push({ name, type: 'uchar', attributeIndex, component, factor }),
+            );
+        } else if (attribute.dimension === 1) {
+            properties.push({
+                name: sanitize(attribute.name),
+                type: getPropertyType(attribute),
+                attributeIndex,
+                component: 0,
+                factor: 1,
+            });
+        }
+    });
+
+    return properties;
+}
+
+function writeValue(view: DataView, offset: number, type: PropertyType, value: number) {
+    switch (type) {
+        case 'char':
+            view.setInt8(offset, value);
+            break;
+        case 'uchar':
+            view.setUint8(offset, value);
+            break;
+        case 'short':
+            view.setInt16(offset, value, true);
+            break;
+        case 'ushort':
+            view.setUint16(offset, value, true);
+            break;
+        case 'int':
+            view.setInt32(offset, value, true);
+            break;
+        case 'uint':
+            view.setUint32(offset, value, true);
+            break;
+        case 'float':
+            view.setFloat32(offset, value, true);
+            break;
+        case 'double':
+            view.setFloat64(offset, value, true);
+            break;
+    }
+}
+
+function getValue(points: PointSet, property: Property, index: number): number {
+    if (property.attributeIndex === -1) {
+        return points.positions[index * 3 + property.component];
+    }
+
+    const { attribute, values } = points.attributes[property.attributeIndex];
+    const value = values[index * attribute.dimension + property.component] * property.factor;
+
+    return property.type === 'float' ? value : Math.round(value);
+}
+
+/**
+ * Incrementally encodes points in a PLY file, in ASCII or binary (little endian) encoding.
+ * Positions are written as doubles, colors as 8-bit `red`, `green` and `blue` properties,
+ * and other scalar attributes as properties of the same name and type.
+ *
+ * ```js
+ * const encoder = new PLYEncoder(attributes, crs, { encoding: 'ascii' });
+ * encoder.add(chunk1);
+ * encoder.add(chunk2);
+ * const blob = new Blob(encoder.finish());
+ * ```
+ */
+export class PLYEncoder {
+    private readonly _properties: Property[];
+    private readonly _binary: boolean;
+    private readonly _crs?: PointCloudCrs;
+    private readonly _chunks: Array<ArrayBuffer | string> = [];
+    private _count = 0;
+
+    /**
+     * @param attributes - The attributes of the points, in the order of the point sets.
+     * @param crs - The coordinate system of the points, if any. Written as a comment.
+     * @param options - The options.
+     */
+    constructor(
+        attributes: PointCloudAttribute[],
+        crs?: PointCloudCrs,
+        options: PLYWriterOptions = {},
+    ) {
+        this._properties = getProperties(attributes);
+        this._binary = (options.encoding ?? 'binary') === 'binary';
+        this._crs = crs;
+    }
+
+    /**
+     * The number of points encoded so far.
+     */
+    get count() {
+        return this._count;
+    }
+
+    /**
+     * Encodes a chunk of points. The attributes must match the ones passed to the constructor.
+     *
+     * @param points - The points to encode.
+     */
+    add(points: PointSet): void {
+        if (points.count === 0) {
+            return;
+        }
+
+        const properties = this._properties;
+
+        if (this._binary) {
+            const stride = properties.reduce((sum, p) => sum + PROPERTY_SIZES[p.type], 0);
+            const buffer = new ArrayBuffer(points.count * stride);
+            const view = new DataView(buffer);
+
+            let offset = 0;
+            for (let i = 0; i < points.count; i++) {
+                for (const property of properties) {
+                    writeValue(view, offset, property.type, getValue(points, property, i));
+                    offset += PROPERTY_SIZES[property.type];
+                }
+            }
+
+            this._chunks.push(buffer);
+        } else {
+            const lines: string[] = [];
+            for (let i = 0; i < points.count; i++) {
+                lines.push(properties.map(p => getValue(points, p, i)).join(' '));
+            }
+
+            this._chunks.push(lines.join('\n') + '\n');
+        }
+
+        this._count += points.count;
+    }
+
+    /**
+     * Terminates the encoding.
+     *
+     * @returns The parts of the file, starting with the header.
+     */
+    finish(): Array<ArrayBuffer | string> {
+        const header = [
+            'ply',
+            `format ${this._binary ? 'binary_little_endian' : 'ascii'} 1.0`,
+            'comment generated by Giro3D',
+        ];
+
+        if (this._crs != null) {
+            header.push(`comment crs ${this._crs.name}`);
+        }
+
+        header.push(`element vertex ${this._count}`);
+
+        for (const property of this._properties) {
+            header.push(`property ${property.type} ${property.name}`);
+        }
+
+        header.push('end_header');
+
+        return [header.join('\n') + '\n', ...this._chunks];
+    }
+}
+
+/**
+ * Encodes a point set in a PLY file. See {@link PLYEncoder} for details.
+ *
+ * @param points - The points to encode.
+ * @param options - The options.
+ * @returns The content of the PLY file.
+ */
+export function writePLY(points: PointSet, options: PLYWriterOptions = {}): Blob {
+    const encoder = new PLYEncoder(
+        points.attributes.map(a => a.attribute),
+        points.crs,
+        options,
+    );
+
+    encoder.add(points);
+
+    return new Blob(encoder.finish(), { type: 'application/octet-stream' });
+}
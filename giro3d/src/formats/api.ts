@@ -1,9 +1,26 @@
 import BilFormat from './BilFormat';
 import GeoTIFFFormat from './GeoTIFFFormat';
+import { type GeoTIFFWriterOptions, writeGeoTIFF } from './GeoTIFFWriter';
 import ImageFormat, { type DecodeOptions } from './ImageFormat';
+import { LASEncoder, type LASWriterOptions, writeLAS } from './LASWriter';
 import MapboxTerrainFormat from './MapboxTerrainFormat';
+import { PLYEncoder, type PLYWriterOptions, writePLY } from './PLYWriter';
 
 /**
- * Data decoders, such as image formats.
+ * Data decoders and encoders, such as image formats.
  */
-export { BilFormat, DecodeOptions, GeoTIFFFormat, ImageFormat, MapboxTerrainFormat };
+export {
+    BilFormat,
+    DecodeOptions,
+    GeoTIFFFormat,
+    GeoTIFFWriterOptions,
+    ImageFormat,
+    LASEncoder,
+    LASWriterOptions,
+    MapboxTerrainFormat,
+    PLYEncoder,
+    PLYWriterOptions,
+    writeGeoTIFF,
+    writeLAS,
+    writePLY,
+};
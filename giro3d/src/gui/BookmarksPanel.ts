@@ -0,0 +1,82 @@
+import type GUI from 'lil-gui';
+import type Instance from '../core/Instance';
+import { viewpointToURLString, type Viewpoint } from '../core/Viewpoint';
+import Panel from './Panel';
+
+/**
+ * The duration of the camera transition to a bookmark, in seconds.
+ */
+const TRANSITION_DURATION = 1.5;
+
+class BookmarksPanel extends Panel {
+    private readonly _fillBookmarksCb: () => void;
+    private _folders: GUI[] = [];
+
+    /**
+     * @param parentGui - The parent GUI.
+     * @param instance - The Giro3D instance.
+     */
+    constructor(parentGui: GUI, instance: Instance) {
+        super(parentGui, instance, 'Bookmarks');
+
+        this.addController(this, 'saveViewpoint').name('Save current viewpoint');
+        this.addController(this, 'copyLink').name('Copy link to current viewpoint');
+
+        this._fillBookmarksCb = () => this.fillBookmarks();
+        this.instance.bookmarks.addEventListener('changed', this._fillBookmarksCb);
+
+        this.fillBookmarks();
+    }
+
+    saveViewpoint() {
+        this.instance.bookmarks.add(this.instance.captureViewpoint());
+    }
+
+    copyLink() {
+        const url = new URL(document.URL);
+        url.searchParams.set('viewpoint', viewpointToURLString(this.instance.captureViewpoint()));
+
+        navigator.clipboard.writeText(url.toString()).catch(console.error);
+    }
+
+    goTo(viewpoint: Viewpoint) {
+        this.instance
+            .restoreViewpoint(viewpoint, { duration: TRANSITION_DURATION })
+            .catch(console.error);
+    }
+
+    fillBookmarks() {
+        while (this._folders.length > 0) {
+            this._folders.pop()?.destroy();
+        }
+
+        const bookmarks = this.instance.bookmarks;
+
+        bookmarks.bookmarks.forEach(viewpoint => {
+            const folder = this.gui.addFolder(viewpoint.name ?? 'Viewpoint');
+            folder.close();
+
+            const actions = {
+                name: viewpoint.name ?? '',
+                goTo: () => this.goTo(viewpoint),
+                delete: () => bookmarks.remove(viewpoint),
+            };
+
+            folder
+                .add(actions, 'name')
+                .name('Name')
+                .onFinishChange((name: string) => bookmarks.rename(viewpoint, name));
+            folder.add(actions, 'goTo').name('Go to');
+            folder.add(actions, 'delete').name('Delete');
+
+            this._folders.push(folder);
+        });
+    }
+
+    dispose() {
+        this.instance.bookmarks.removeEventListener('changed', this._fillBookmarksCb);
+        super.dispose();
+    }
+}
+
+export default BookmarksPanel;
@@ -178,6 +178,12 @@ class EntityInspector<T extends Entity3D = Entity3D> extends Panel {
         this.addController(this.entity, 'frozen')
             .name('Freeze updates')
             .onChange(() => this.notify(this.entity));
+        if (!('isPointCloud' in entity)) {
+            // Point clouds are always included in EDL
+            this.addController(this.entity, 'includeInEDL')
+                .name('Include in EDL')
+                .onChange(() => this.notify(this.entity));
+        }
         if (options.opacity === true) {
             this.addController(this.entity, 'opacity')
                 .name('Opacity')
@@ -1,6 +1,7 @@
 import GUI from 'lil-gui';
 import { isDisposable } from '../core/Disposable';
 import type Instance from '../core/Instance';
+import BookmarksPanel from './BookmarksPanel';
 import DrawToolPanel from './DrawToolPanel';
 import EntityPanel from './EntityPanel';
 import InstanceInspector from './InstanceInspector';
@@ -93,6 +94,7 @@ class Inspector {
         this.addPanel(new PackageInfoInspector(this.gui, instance));
         this.addPanel(new InstanceInspector(this.gui, instance));
         this.addPanel(new ViewInspector(this.gui, instance));
+        this.addPanel(new BookmarksPanel(this.gui, instance));
         this.addPanel(new DrawToolPanel(this.gui, instance));
         this.addPanel(new ProcessingInspector(this.gui, instance));
         this.addPanel(new EntityPanel(this.gui, instance));
@@ -2,6 +2,7 @@ import type GUI from 'lil-gui';
 import { Color } from 'three';
 import type Instance from '../core/Instance';
 import * as MemoryUsage from '../core/MemoryUsage';
+import ImmersiveMode from '../core/xr/ImmersiveMode';
 import Panel from './Panel';
 import RenderingInspector from './RenderingInspector';
 import WebGLRendererInspector from './WebGLRendererInspector';
@@ -16,6 +17,9 @@ class InstanceInspector extends Panel {
     clearAlpha: number;
     cpuMemoryUsage = 'unknown';
     gpuMemoryUsage = 'unknown';
+    captureWidth: number;
+    captureHeight: number;
+    captureFormat: 'png' | 'jpeg' | 'webp' = 'png';
 
     /**
      * @param gui - The GUI.
@@ -54,6 +58,22 @@ class InstanceInspector extends Panel {
         this.addController(this, 'state').name('Status');
         this.addController(this, 'triggerUpdate').name('Trigger update');
 
+        this.captureWidth = this.instance.engine.width;
+        this.captureHeight = this.instance.engine.height;
+        const capture = this.gui.addFolder('Capture image');
+        capture.close();
+        this._controllers.push(capture.add(this, 'captureWidth', 1, 16384, 1).name('Width'));
+        this._controllers.push(capture.add(this, 'captureHeight', 1, 16384, 1).name('Height'));
+        this._controllers.push(
+            capture.add(this, 'captureFormat', ['png', 'jpeg', 'webp']).name('Format'),
+        );
+        this._controllers.push(capture.add(this, 'captureImage').name('Capture'));
+
+        const enterVR = this.addController(this, 'enterVR').name('Enter VR').disable();
+        ImmersiveMode.isSupported()
+            .then(supported => enterVR.enable(supported))
+            .catch(console.error);
+
         this.webGlRendererPanel = new WebGLRendererInspector(this.gui, instance);
         this.enginePanel = new RenderingInspector(this.gui, instance);
     }
@@ -62,6 +82,25 @@ class InstanceInspector extends Panel {
         this.instance.notifyChange();
     }
 
+    enterVR() {
+        this.instance.xr.enter().catch(console.error);
+    }
+
+    async captureImage() {
+        const blob = await this.instance.captureImage({
+            width: this.captureWidth,
+            height: this.captureHeight,
+            format: this.captureFormat,
+        });
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `capture.${this.captureFormat}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     updateValues() {
         const memUsage = this.instance.getMemoryUsage();
         this.cpuMemoryUsage = MemoryUsage.format(memUsage.cpuMemory);
@@ -1,13 +1,82 @@
 import type GUI from 'lil-gui';
 import type Instance from '../core/Instance';
 import type PointCloud from '../entities/PointCloud';
+import type { AttributeFilter, AttributeFilterOperator } from '../entities/PointCloud';
+import { MAX_ATTRIBUTE_FILTERS } from '../renderer/PointCloudMaterial';
 import ColorMapInspector from './ColorMapInspector';
 import EntityInspector from './EntityInspector';
+import Panel from './Panel';
 import PointCloudSourceInspector from './PointCloudSourceInspector';
 
+type FilterState = {
+    enabled: boolean;
+    attribute: string;
+    min: number;
+    max: number;
+};
+
+class AttributeFilterPanel extends Panel {
+    readonly entity: PointCloud;
+    readonly filters: FilterState[] = [];
+
+    get operator() {
+        return this.entity.attributeFilterOperator;
+    }
+
+    set operator(v: AttributeFilterOperator) {
+        this.entity.attributeFilterOperator = v;
+    }
+
+    constructor(parentGui: GUI, instance: Instance, entity: PointCloud) {
+        super(parentGui, instance, 'Attribute filters');
+
+        this.entity = entity;
+
+        const attributes = entity.getSupportedAttributes().filter(a => a.dimension === 1);
+        if (attributes.length === 0) {
+            return;
+        }
+
+        const names = attributes.map(a => a.name);
+
+        this.addController(this, 'operator', ['and', 'or']);
+
+        for (let i = 0; i < MAX_ATTRIBUTE_FILTERS; i++) {
+            const attribute = attributes[i % attributes.length];
+            const state: FilterState = {
+                enabled: false,
+                attribute: attribute.name,
+                min: attribute.min ?? 0,
+                max: attribute.max ?? 1000,
+            };
+            this.filters.push(state);
+
+            const folder = this.gui.addFolder(`Filter ${i + 1}`);
+            const update = () => this.updateFilters();
+
+            this._controllers.push(folder.add(state, 'enabled').name('Enabled').onChange(update));
+            this._controllers.push(
+                folder.add(state, 'attribute', names).name('Attribute').onChange(update),
+            );
+            this._controllers.push(folder.add(state, 'min').name('Min').onChange(update));
+            this._controllers.push(folder.add(state, 'max').name('Max').onChange(update));
+        }
+    }
+
+    private updateFilters() {
+        const filters: AttributeFilter[] = this.filters
+            .filter(f => f.enabled)
+            .map(f => ({ attribute: f.attribute, min: f.min, max: f.max }));
+
+        this.entity.attributeFilters = filters;
+        this.notify(this.entity);
+    }
+}
+
 export default class PointCloudInspector extends EntityInspector<PointCloud> {
     colorMapInspector: ColorMapInspector | null = null;
     sourceInspector: PointCloudSourceInspector | null = null;
+    attributeFilterPanel: AttributeFilterPanel | null = null;
 
     get pointBudget() {
         return this.entity.pointBudget ?? -1;
@@ -50,7 +119,15 @@ export default class PointCloudInspector extends EntityInspector<PointCloud> {
         }
         this.addController(entity, 'displayedPointCount');
         this.addController(entity, 'subdivisionThreshold').min(0.1).max(5).step(0.1);
-        this.addController(entity, 'pointSize').min(0).max(50).step(1);
+        this.addController(entity, 'pointSize').min(0).max(50).step(0.1);
+        this.addController(entity, 'pointSizeMode', ['fixed', 'attenuated', 'adaptive']);
+        this.addController(entity, 'minPointSize').min(0).max(50).step(1);
+        this.addController(entity, 'maxPointSize').min(0).max(100).step(1);
+        this.addController(entity, 'pointShape', ['square', 'circle', 'paraboloid']);
+        this.addController(entity, 'splatting');
+        this.addController(entity, 'lighting');
+        this.addController(entity, 'castShadow');
+        this.addController(entity, 'receiveShadow');
         this.addController(entity, 'clear');
 
         this.colorMapInspector = new ColorMapInspector(
@@ -60,6 +137,8 @@ export default class PointCloudInspector extends EntityInspector<PointCloud> {
             () => this.notify(entity),
         );
 
+        this.attributeFilterPanel = new AttributeFilterPanel(this.gui, this.instance, entity);
+
         this.sourceInspector = new PointCloudSourceInspector(
             this.gui,
             this.instance,
@@ -74,5 +153,6 @@ export default class PointCloudInspector extends EntityInspector<PointCloud> {
         super.updateControllers();
         this.sourceInspector?.updateControllers();
         this.colorMapInspector?.updateControllers();
+        this.attributeFilterPanel?.updateControllers();
     }
 }
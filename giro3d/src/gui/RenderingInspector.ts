@@ -22,6 +22,18 @@ class RenderingInspector extends Panel {
         this.addController(instance.renderingOptions, 'EDLStrength', 0, 2)
             .name('EDL Strength')
             .onChange(() => this.notify());
+        this.addController(instance.renderingOptions, 'EDLDirections', 1, 16, 1)
+            .name('EDL Directions')
+            .onChange(() => this.notify());
+        this.addController(instance.renderingOptions, 'EDLRingCount', 1, 4, 1)
+            .name('EDL Rings')
+            .onChange(() => this.notify());
+        this.addController(instance.renderingOptions, 'EDLOpacity', 0, 1)
+            .name('EDL Opacity')
+            .onChange(() => this.notify());
+        this.addColorController(instance.renderingOptions, 'EDLColor')
+            .name('EDL Color')
+            .onChange(() => this.notify());
         this.addController(instance.renderingOptions, 'enableInpainting')
             .name('Inpainting')
             .onChange(() => this.notify());
@@ -34,6 +46,21 @@ class RenderingInspector extends Panel {
         this.addController(instance.renderingOptions, 'enablePointCloudOcclusion')
             .name('Point cloud occlusion')
             .onChange(() => this.notify());
+        this.addController(instance.renderingOptions, 'enableHeightFog')
+            .name('Height fog')
+            .onChange(() => this.notify());
+        this.addColorController(instance.renderingOptions, 'heightFogColor')
+            .name('Height fog color')
+            .onChange(() => this.notify());
+        this.addController(instance.renderingOptions, 'heightFogDensity', 0, 0.1)
+            .name('Height fog density')
+            .onChange(() => this.notify());
+        this.addController(instance.renderingOptions, 'heightFogFalloff', 0, 1)
+            .name('Height fog falloff')
+            .onChange(() => this.notify());
+        this.addController(instance.renderingOptions, 'heightFogBaseHeight')
+            .name('Height fog base height')
+            .onChange(() => this.notify());
     }
 }
 
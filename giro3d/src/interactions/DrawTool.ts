@@ -6,9 +6,14 @@ import {
     Vector2,
     Vector3,
 } from 'three';
+import { CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
 import type Disposable from '../core/Disposable';
 import type Instance from '../core/Instance';
+import type { PointsPickResult } from '../core/picking/PickPointsAt';
+import { isPointsPickResult } from '../core/picking/PickPointsAt';
 import type PickResult from '../core/picking/PickResult';
+import type { PointAttributeValues } from '../entities/PointCloud';
+import { isPointCloud } from '../entities/PointCloud';
 import type { ShapePickResult, VerticalLineLabelFormatter } from '../entities/Shape';
 import Shape, {
     angleFormatter,
@@ -27,6 +32,9 @@ const MARKER_BORDER_WIDTH = 2;
 const OPACITY_OVER_VERTEX = 0.4;
 const OPACITY_OVER_EDGE = 0.4;
 const SQUARE_DISTANCE_LIMIT_FOR_CLICK_DETECTION = 25; // 5 pixels squared
+const DEFAULT_SNAPPING_RADIUS = 10;
+const SNAPPED_POINT_MARKER_RADIUS = 6;
+const SNAPPED_POINT_MARKER_COLOR = '#ffcc00';
 
 const tmpVec2 = new Vector2();
 
@@ -154,6 +162,67 @@ const verticalLengthFormatter: VerticalLineLabelFormatter = (params: {
     return params.defaultFormatter(params);
 };
 
+/**
+ * Formats the content of the tooltip displayed over a snapped point.
+ *
+ * @param point - The snapped point.
+ * @param attributes - The attribute values of the point.
+ * @returns The text of the tooltip.
+ */
+export type SnappedPointFormatter = (
+    point: PointsPickResult,
+    attributes: PointAttributeValues,
+) => string;
+
+/**
+ * Options for the snapping of the {@link DrawTool} to the points of point clouds.
+ */
+export type PointSnappingOptions = {
+    /**
+     * The search radius around the cursor, in pixels.
+     * @defaultValue 10
+     */
+    radius?: number;
+    /**
+     * Displays a marker over the snapped point.
+     * @defaultValue true
+     */
+    showMarker?: boolean;
+    /**
+     * Displays a tooltip with the attributes of the snapped point.
+     * Requires {@link showMarker} to be enabled.
+     * @defaultValue true
+     */
+    showTooltip?: boolean;
+    /**
+     * The formatter of the tooltip. The default formatter displays the coordinates of the point,
+     * then the values of each attribute.
+     */
+    tooltipFormatter?: SnappedPointFormatter;
+};
+
+function formatValue(value: number): string {
+    return Number.isInteger(value) ? `${value}` : value.toFixed(3);
+}
+
+/**
+ * The default formatter for snapped point tooltips.
+ */
+export const defaultSnappedPointFormatter: SnappedPointFormatter = (point, attributes) => {
+    const lines = [
+        `X: ${point.point.x.toFixed(3)}`,
+        `Y: ${point.point.y.toFixed(3)}`,
+        `Z: ${point.point.z.toFixed(3)}`,
+    ];
+
+    for (const [name, value] of Object.entries(attributes)) {
+        const text = Array.isArray(value) ? value.map(formatValue).join(', ') : formatValue(value);
+        lines.push(`${name}: ${text}`);
+    }
+
+    return lines.join('\n');
+};
+
 export interface DrawToolEventMap {
     'start-drag': Record<string, unknown>;
     'end-drag': Record<string, unknown>;
@@ -396,6 +465,12 @@ export default class DrawTool extends EventDispatcher<DrawToolEventMap> implemen
     private _mouseEventHandler: (e: MouseEvent) => void;
     private _lastMouseCoordinate: Vector2 | null = null;
 
+    private readonly _pointSnapping: Required<PointSnappingOptions> | null;
+    private _snappedPointMarker?: ConstantSizeSphere;
+    private _snappedPointTooltip?: CSS2DObject;
+    private _snappedPoint: PointsPickResult | null = null;
+    private _tooltipController?: AbortController;
+
     constructor(options: {
         /**
          * The Giro3D instance.
@@ -405,12 +480,31 @@ export default class DrawTool extends EventDispatcher<DrawToolEventMap> implemen
          * The DOM element to listen to. If unspecified, this will use {@link Instance.domElement}.
          */
         domElement?: HTMLElement;
+        /**
+         * The snapping to the points of {@link entities.PointCloud | point clouds}. When enabled,
+         * the default picking function returns the closest point within the search radius
+         * rather than the picked location, so that measurements are made on actual points.
+         * Set to `false` to disable snapping.
+         * @defaultValue enabled, with the default options
+         */
+        pointSnapping?: PointSnappingOptions | false;
     }) {
         super();
 
         this._instance = options.instance;
         this._domElement = options.domElement ?? this._instance.domElement;
 
+        const snapping = options.pointSnapping;
+        this._pointSnapping =
+            snapping === false
+                ? null
+                : {
+                      radius: snapping?.radius ?? DEFAULT_SNAPPING_RADIUS,
+                      showMarker: snapping?.showMarker ?? true,
+                      showTooltip: snapping?.showTooltip ?? true,
+                      tooltipFormatter: snapping?.tooltipFormatter ?? defaultSnappedPointFormatter,
+                  };
+
         this._markerMaterial = new MeshBasicMaterial({
             color: 'white',
             depthTest: false,
@@ -444,7 +538,170 @@ export default class DrawTool extends EventDispatcher<DrawToolEventMap> implemen
     }
 
     private defaultPick(e: MouseEvent | Vector2): PickResult[] {
-        return this._instance.pickObjectsAt(e, { sortByDistance: true });
+        const results = this._instance.pickObjectsAt(e, { sortByDistance: true });
+
+        if (this._pointSnapping == null) {
+            return results;
+        }
+
+        const snapped = this.pickNearestPoint(e, this._pointSnapping.radius);
+
+        // The snapped point is only used if it is not occluded by another object.
+        const occluder = results.find(r => !isShapePickResult(r) && !isPointsPickResult(r));
+        if (snapped == null || (occluder != null && occluder.distance < snapped.distance)) {
+            this.hideSnappedPoint();
+            return results;
+        }
+
+        this.displaySnappedPoint(snapped);
+
+        // The snapped point replaces the regular point cloud results
+        return [snapped, ...results.filter(r => !isPointsPickResult(r))];
+    }
+
+    /**
+     * Returns the closest point (in screen space) of all visible point clouds.
+     */
+    private pickNearestPoint(e: MouseEvent | Vector2, radius: number): PointsPickResult | null {
+        const canvasCoords = isVector2(e) ? e : this._instance.eventToCanvasCoords(e, tmpVec2);
+
+        let best: PointsPickResult | null = null;
+        let bestDistance = Infinity;
+
+        for (const obj of this._instance.getObjects(isPointCloud)) {
+            if (!isPointCloud(obj) || !obj.visible || !obj.ready) {
+                continue;
+            }
+
+            const picked = obj.pickNearestPoint(canvasCoords, { radius });
+            if (picked == null) {
+                continue;
+            }
+
+            const dx = picked.coord.x - canvasCoords.x;
+            const dy = picked.coord.y - canvasCoords.y;
+            const distance = dx * dx + dy * dy;
+
+            // In case of equality, the closest point to the camera wins
+            if (
+                distance < bestDistance ||
+                (distance === bestDistance && best != null && picked.distance < best.distance)
+            ) {
+                best = picked;
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    }
+
+    private hideSnappedPoint() {
+        this._tooltipController?.abort();
+        this._snappedPoint = null;
+
+        if (this._snappedPointMarker?.visible === true) {
+            this._snappedPointMarker.visible = false;
+            this._instance.notifyChange();
+        }
+    }
+
+    private displaySnappedPoint(picked: PointsPickResult) {
+        const options = this._pointSnapping;
+        if (options == null || !options.showMarker) {
+            return;
+        }
+
+        if (!this._snappedPointMarker) {
+            this._snappedPointMarker = new ConstantSizeSphere({
+                radius: SNAPPED_POINT_MARKER_RADIUS,
+                material: new MeshBasicMaterial({
+                    color: SNAPPED_POINT_MARKER_COLOR,
+                    depthTest: false,
+                    transparent: true,
+                    opacity: 0.8,
+                }),
+            });
+
+            this._snappedPointMarker.enableRaycast = false;
+            this._snappedPointMarker.renderOrder = 9999;
+            this._snappedPointMarker.name = 'snapped point';
+
+            this._instance.add(this._snappedPointMarker);
+        }
+
+        const marker = this._snappedPointMarker;
+        marker.visible = true;
+        marker.position.copy(picked.point);
+        marker.updateMatrixWorld(true);
+
+        this._instance.notifyChange();
+
+        const previous = this._snappedPoint;
+        this._snappedPoint = picked;
+
+        if (
+            !options.showTooltip ||
+            (previous?.object === picked.object && previous.index === picked.index)
+        ) {
+            return;
+        }
+
+        this.updateSnappedPointTooltip(picked, options.tooltipFormatter);
+    }
+
+    private updateSnappedPointTooltip(picked: PointsPickResult, formatter: SnappedPointFormatter) {
+        const marker = this._snappedPointMarker;
+        if (marker == null || !isPointCloud(picked.entity)) {
+            return;
+        }
+
+        if (!this._snappedPointTooltip) {
+            const container = document.createElement('div');
+            const span = document.createElement('span');
+            span.style.display = 'block';
+            span.style.whiteSpace = 'pre';
+            span.style.padding = '4px';
+            span.style.margin = '8px';
+            span.style.borderRadius = '4px';
+            span.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+            span.style.color = 'white';
+            span.style.fontFamily = 'monospace';
+            span.style.fontSize = '12px';
+            span.style.pointerEvents = 'none';
+            container.appendChild(span);
+
+            this._snappedPointTooltip = new CSS2DObject(container);
+            // Display the tooltip on the top right of the marker
+            this._snappedPointTooltip.center.set(0, 1);
+            marker.add(this._snappedPointTooltip);
+        }
+
+        const tooltip = this._snappedPointTooltip;
+        tooltip.visible = false;
+
+        // Attributes are loaded asynchronously, so the previous request is obsolete
+        this._tooltipController?.abort();
+        const controller = new AbortController();
+        this._tooltipController = controller;
+
+        picked.entity
+            .getPointAttributes(picked, { signal: controller.signal })
+            .then(attributes => {
+                if (controller.signal.aborted) {
+                    return;
+                }
+                (tooltip.element.firstChild as HTMLElement).innerText = formatter(
+                    picked,
+                    attributes,
+                );
+                tooltip.visible = true;
+                this._instance.notifyChange();
+            })
+            .catch(err => {
+                if (!controller.signal.aborted) {
+                    console.error(err);
+                }
+            });
     }
 
     private hideVertexMarker() {
@@ -722,10 +979,12 @@ export default class DrawTool extends EventDispatcher<DrawToolEventMap> implemen
     exitEditMode() {
         this._editionModeController?.abort();
         this.hideVertexMarker();
+        this.hideSnappedPoint();
     }
 
     private exitCreateMode() {
         this._inhibitEdition = false;
+        this.hideSnappedPoint();
     }
 
     /**
@@ -1177,6 +1436,14 @@ export default class DrawTool extends EventDispatcher<DrawToolEventMap> implemen
             this._instance.remove(this._selectedVertexMarker);
             this._selectedVertexMarker = undefined;
         }
+        this._tooltipController?.abort();
+        if (this._snappedPointMarker) {
+            this._snappedPointTooltip?.removeFromParent();
+            (this._snappedPointMarker.material as MeshBasicMaterial).dispose();
+            this._instance.remove(this._snappedPointMarker);
+            this._snappedPointMarker = undefined;
+            this._snappedPointTooltip = undefined;
+        }
 
         window.removeEventListener('mousemove', this._mouseEventHandler);
     }
@@ -5,6 +5,7 @@ import type {
     CommonCreationOptions,
     CreateShapeOptions,
     CreationOptions,
+    defaultSnappedPointFormatter,
     DrawToolEventMap,
     inhibitHook,
     limitRemovePointHook,
@@ -12,8 +13,10 @@ import type {
     PickCallback,
     PointInsertedCallback,
     PointRemovedCallback,
+    PointSnappingOptions,
     PointUpdatedCallback,
     ShapeModifiedCallback,
+    SnappedPointFormatter,
 } from './DrawTool';
 
 export {
@@ -22,6 +25,7 @@ export {
     CommonCreationOptions,
     CreateShapeOptions,
     CreationOptions,
+    defaultSnappedPointFormatter,
     DrawTool,
     DrawToolEventMap,
     inhibitHook,
@@ -30,6 +34,8 @@ export {
     PickCallback,
     PointInsertedCallback,
     PointRemovedCallback,
+    PointSnappingOptions,
     PointUpdatedCallback,
     ShapeModifiedCallback,
+    SnappedPointFormatter,
 };
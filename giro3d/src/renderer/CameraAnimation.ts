@@ -0,0 +1,695 @@
+import { Box3, EventDispatcher, MathUtils, Sphere, Vector3 } from 'three';
+import type Disposable from '../core/Disposable';
+import type Instance from '../core/Instance';
+import type { CaptureImageOptions, DepthImage, FrameEventPayload } from '../core/Instance';
+import type Entity3D from '../entities/Entity3D';
+import { isPerspectiveCamera } from '../utils/predicates';
+
+const tmp = {
+    c1: new Vector3(),
+    c2: new Vector3(),
+    box: new Box3(),
+    sphere: new Sphere(),
+};
+
+/** The number of keyframes per revolution of turntable animations. */
+const TURNTABLE_KEYFRAMES = 72;
+
+/**
+ * A keyframe of a {@link CameraAnimation}.
+ */
+export interface CameraKeyframe {
+    /** The time of the keyframe, in seconds. */
+    time: number;
+    /** The position of the camera. */
+    position: Vector3;
+    /** The point the camera looks at. */
+    target: Vector3;
+    /**
+     * The vertical field of view of the camera, in degrees. Only applies to perspective cameras.
+     * If unspecified, the keyframe has the field of view of the previous keyframe that has one
+     * (or of the first one, if there is none). If no keyframe has a field of view, it is not
+     * animated.
+     */
+    fov?: number;
+    /**
+     * The Bézier control point of the path before this keyframe, with the `'bezier'`
+     * interpolation. If unspecified, it is computed to make the path smooth.
+     */
+    handleIn?: Vector3;
+    /**
+     * The Bézier control point of the path after this keyframe, with the `'bezier'`
+     * interpolation. If unspecified, it is computed to make the path smooth.
+     */
+    handleOut?: Vector3;
+}
+
+/**
+ * The interpolation of the camera path between keyframes:
+ * - `'linear'`: straight segments,
+ * - `'catmullrom'`: a smooth curve that passes through the keyframes,
+ * - `'bezier'`: Bézier curves that pass through the keyframes, whose shape can be controlled
+ * with the handles of the keyframes ({@link CameraKeyframe.handleIn},
+ * {@link CameraKeyframe.handleOut}).
+ */
+export type CameraPathInterpolation = 'linear' | 'catmullrom' | 'bezier';
+
+/**
+ * An easing function, that maps a normalized time (between 0 and 1) to the progress of
+ * the animation (between 0 and 1).
+ */
+export type EasingFunction = (t: number) => number;
+
+/**
+ * Predefined easing functions.
+ */
+export const Easing = {
+    linear: (t: number) => t,
+    easeIn: (t: number) => t * t * t,
+    easeOut: (t: number) => 1 - Math.pow(1 - t, 3),
+    easeInOut: (t: number) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeInOutSine: (t: number) => -(Math.cos(Math.PI * t) - 1) / 2,
+};
+
+/**
+ * The state of the camera at a given time of a {@link CameraAnimation}.
+ */
+export interface CameraAnimationState {
+    /** The position of the camera. */
+    position: Vector3;
+    /** The point the camera looks at. */
+    target: Vector3;
+    /** The vertical field of view, if animated. */
+    fov?: number;
+}
+
+/**
+ * Options for {@link CameraAnimation}.
+ */
+export interface CameraAnimationOptions {
+    /** The keyframes. */
+    keyframes?: CameraKeyframe[];
+    /**
+     * The interpolation of the camera path.
+     * @defaultValue `'catmullrom'`
+     */
+    interpolation?: CameraPathInterpolation;
+    /**
+     * The easing of the whole animation, either a function or the name of
+     * a predefined function (see {@link Easing}).
+     * @defaultValue `'linear'`
+     */
+    easing?: EasingFunction | keyof typeof Easing;
+    /**
+     * If `true`, the animation restarts from the beginning when it ends.
+     * @defaultValue false
+     */
+    loop?: boolean;
+}
+
+/**
+ * Options for {@link CameraAnimation.turntable}.
+ */
+export interface TurntableOptions {
+    /** The object to turn around, either an entity (its bounding box is used) or a box. */
+    object: Entity3D | Box3;
+    /**
+     * The duration of a revolution, in seconds.
+     * @defaultValue 20
+     */
+    duration?: number;
+    /**
+     * The number of revolutions.
+     * @defaultValue 1
+     */
+    revolutions?: number;
+    /**
+     * The elevation of the camera above the horizontal plane, in degrees.
+     * @defaultValue 30
+     */
+    elevation?: number;
+    /**
+     * The distance of the camera to the center of the object.
+     * If unspecified, the distance is computed so that the whole object is visible.
+     */
+    distance?: number;
+    /**
+     * The initial azimuth of the camera, in degrees, counterclockwise from the X axis.
+     * @defaultValue -90 (the camera is south of the object)
+     */
+    startAngle?: number;
+}
+
+/**
+ * A frame rendered by {@link CameraAnimation.renderFrames}.
+ */
+export interface CameraAnimationFrame {
+    /** The index of the frame. */
+    index: number;
+    /** The time of the frame in the animation, in seconds. */
+    time: number;
+    /** The image. */
+    image: Blob | ImageData | DepthImage;
+}
+
+/**
+ * Options for {@link CameraAnimation.renderFrames}.
+ */
+export interface RenderFramesOptions extends CaptureImageOptions {
+    /**
+     * The number of frames per second.
+     * @defaultValue 30
+     */
+    framesPerSecond?: number;
+    /**
+     * Called for each frame. If it returns a promise, the next frame is rendered once
+     * the promise is resolved (e.g to write the image to disk).
+     */
+    onFrame: (frame: CameraAnimationFrame) => void | Promise<void>;
+    /** The optional signal to cancel the rendering. */
+    signal?: AbortSignal;
+}
+
+export interface CameraAnimationEvents {
+    /** Fires when the playback starts. */
+    play: unknown;
+    /** Fires when the playback is paused. */
+    pause: unknown;
+    /** Fires when the playback reaches the end of a non-looping animation. */
+    ended: unknown;
+    /** Fires when the camera is updated from the animation. */
+    update: {
+        /** The current time of the animation, in seconds. */
+        time: number;
+    };
+}
+
+function catmullRom(t: number, p0: number, p1: number, p2: number, p3: number): number {
+    const v0 = (p2 - p0) * 0.5;
+    const v1 = (p3 - p1) * 0.5;
+    const t2 = t * t;
+    const t3 = t * t2;
+    return (2 * p1 - 2 * p2 + v0 + v1) * t3 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * t2 + v0 * t + p1;
+}
+
+function cubicBezier(t: number, p0: number, p1: number, p2: number, p3: number): number {
+    const k = 1 - t;
+    return k * k * k * p0 + 3 * k * k * t * p1 + 3 * k * t * t * p2 + t * t * t * p3;
+}
+
+/**
+ * Animates the camera of an {@link Instance} along a path defined by keyframes.
+ *
+ * The playback is driven by the main loop of the instance: the camera is updated before each
+ * frame, as long as the animation is playing. Keyframes can be recorded from the current
+ * camera with {@link recordKeyframe}.
+ *
+ * The animation can also be rendered offline, frame by frame, with {@link renderFrames}:
+ * each frame waits for the data to be loaded, which is suitable for video production.
+ *
+ * ```js
+ * const animation = new CameraAnimation(instance, { interpolation: 'catmullrom' });
+ *
+ * animation.addKeyframe({ time: 0, position: new Vector3(0, -100, 50), target: center });
+ * animation.addKeyframe({ time: 5, position: new Vector3(100, 0, 50), target: center });
+ *
+ * animation.play();
+ *
+ * // Or turn around an entity
+ * const turntable = CameraAnimation.turntable(instance, { object: pointCloud, duration: 30 });
+ * turntable.play();
+ * ```
+ */
+export default class CameraAnimation
+    extends EventDispatcher<CameraAnimationEvents>
+    implements Disposable
+{
+    private readonly _instance: Instance;
+    private _keyframes: CameraKeyframe[] = [];
+    private _time = 0;
+    private _playing = false;
+    private _easing: EasingFunction;
+
+    /**
+     * The interpolation of the camera path.
+     */
+    interpolation: CameraPathInterpolation;
+    /**
+     * If `true`, the animation restarts from the beginning when it ends.
+     */
+    loop: boolean;
+
+    /**
+     * @param instance - The instance whose camera is animated.
+     * @param options - The options.
+     */
+    constructor(instance: Instance, options: CameraAnimationOptions = {}) {
+        super();
+
+        this._instance = instance;
+        this.interpolation = options.interpolation ?? 'catmullrom';
+        this.loop = options.loop ?? false;
+        this._easing = Easing.linear;
+        this.easing = options.easing ?? 'linear';
+
+        options.keyframes?.forEach(k => this.addKeyframe(k));
+
+        this.onBeforeCameraUpdate = this.onBeforeCameraUpdate.bind(this);
+    }
+
+    /**
+     * Creates an animation that turns around an object, at constant speed.
+     * The animation loops by default.
+     *
+     * @param instance - The instance whose camera is animated.
+     * @param options - The options.
+     * @returns The animation.
+     */
+    static turntable(instance: Instance, options: TurntableOptions): CameraAnimation {
+        const box =
+            options.object instanceof Box3
+                ? tmp.box.copy(options.object)
+                : options.object.getBoundingBox();
+
+        if (box == null || box.isEmpty()) {
+            throw new Error('the object has no bounding box');
+        }
+
+        const sphere = box.getBoundingSphere(tmp.sphere);
+        const center = sphere.center.clone();
+        const duration = options.duration ?? 20;
+        const revolutions = options.revolutions ?? 1;
+        const elevation = MathUtils.degToRad(options.elevation ?? 30);
+        const startAngle = MathUtils.degToRad(options.startAngle ?? -90);
+
+        let distance = options.distance;
+        if (distance == null) {
+            const camera = instance.view.camera;
+            // The bounding sphere must fit in the field of view
+            const fov = isPerspectiveCamera(camera) ? camera.fov : 30;
+            distance = (sphere.radius * 1.1) / Math.sin(MathUtils.degToRad(fov) / 2);
+        }
+
+        const animation = new CameraAnimation(instance, { loop: true });
+
+        const count = Math.ceil(TURNTABLE_KEYFRAMES * revolutions);
+        for (let i = 0; i <= count; i++) {
+            const angle = startAngle + (i / count) * revolutions * 2 * Math.PI;
+            const position = new Vector3(
+                Math.cos(elevation) * Math.cos(angle),
+                Math.cos(elevation) * Math.sin(angle),
+                Math.sin(elevation),
+            )
+                .multiplyScalar(distance)
+                .add(center);
+
+            animation.addKeyframe({
+                time: (i / count) * revolutions * duration,
+                position,
+                target: center.clone(),
+            });
+        }
+
+        return animation;
+    }
+
+    /**
+     * Gets or sets the easing of the whole animation, either a function or the name of
+     * a predefined function (see {@link Easing}).
+     */
+    get easing(): EasingFunction {
+        return this._easing;
+    }
+
+    set easing(easing: EasingFunction | keyof typeof Easing) {
+        this._easing = typeof easing === 'string' ? Easing[easing] : easing;
+    }
+
+    /**
+     * Gets the keyframes, sorted by time.
+     */
+    get keyframes(): Readonly<CameraKeyframe[]> {
+        return this._keyframes;
+    }
+
+    /**
+     * Gets the duration of the animation, in seconds (i.e the time of the last keyframe).
+     */
+    get duration(): number {
+        const count = this._keyframes.length;
+        return count > 0 ? this._keyframes[count - 1].time : 0;
+    }
+
+    /**
+     * Gets the current time of the animation, in seconds.
+     */
+    get currentTime(): number {
+        return this._time;
+    }
+
+    /**
+     * Returns `true` if the animation is playing.
+     */
+    get playing(): boolean {
+        return this._playing;
+    }
+
+    /**
+     * Adds a keyframe. If a keyframe exists at the same time, it is replaced.
+     *
+     * @param keyframe - The keyframe. It is copied.
+     */
+    addKeyframe(keyframe: CameraKeyframe) {
+        if (!Number.isFinite(keyframe.time) || keyframe.time < 0) {
+            throw new Error(`invalid keyframe time: ${keyframe.time}`);
+        }
+
+        const copy: CameraKeyframe = {
+            time: keyframe.time,
+            position: keyframe.position.clone(),
+            target: keyframe.target.clone(),
+            fov: keyframe.fov,
+            handleIn: keyframe.handleIn?.clone(),
+            handleOut: keyframe.handleOut?.clone(),
+        };
+
+        this._keyframes = this._keyframes.filter(k => k.time !== keyframe.time);
+        this._keyframes.push(copy);
+        this._keyframes.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Removes a keyframe.
+     *
+     * @param keyframe - The keyframe to remove, or its index.
+     */
+    removeKeyframe(keyframe: CameraKeyframe | number) {
+        const index = typeof keyframe === 'number' ? keyframe : this._keyframes.indexOf(keyframe);
+        if (index >= 0 && index < this._keyframes.length) {
+            this._keyframes.splice(index, 1);
+        }
+    }
+
+    /**
+     * Removes all keyframes.
+     */
+    clearKeyframes() {
+        this._keyframes.length = 0;
+        this.seek(0);
+    }
+
+    /**
+     * Adds a keyframe from the current state of the camera. The target is the target of the
+     * controls, if any (e.g `MapControls.target`), otherwise a point in front of the camera.
+     *
+     * @param time - The time of the keyframe. If unspecified, the keyframe is added 2 seconds
+     * after the last keyframe.
+     * @returns The new keyframe.
+     */
+    recordKeyframe(time?: number): CameraKeyframe {
+        const camera = this._instance.view.camera;
+        const controls = this._instance.view.controls as { target?: Vector3 } | null;
+
+        camera.updateMatrixWorld();
+
+        const target =
+            controls?.target?.clone() ??
+            camera.getWorldDirection(new Vector3()).add(camera.position);
+
+        const keyframe: CameraKeyframe = {
+            time: time ?? (this._keyframes.length > 0 ? this.duration + 2 : 0),
+            position: camera.position.clone(),
+            target,
+            fov: isPerspectiveCamera(camera) ? camera.fov : undefined,
+        };
+
+        this.addKeyframe(keyframe);
+
+        return keyframe;
+    }
+
+    /**
+     * Computes the state of the camera at the specified time.
+     *
+     * @param time - The time, in seconds.
+     * @param target - The optional object to store the result.
+     * @returns The state of the camera.
+     */
+    evaluate(time: number, target?: CameraAnimationState): CameraAnimationState {
+        const result: CameraAnimationState = target ?? {
+            position: new Vector3(),
+            target: new Vector3(),
+        };
+
+        const keyframes = this._keyframes;
+        const count = keyframes.length;
+
+        if (count === 0) {
+            throw new Error('the animation has no keyframe');
+        }
+
+        const duration = this.duration;
+        const progress = duration > 0 ? MathUtils.clamp(time / duration, 0, 1) : 0;
+        const t = this._easing(progress) * duration;
+
+        let i = 0;
+        while (i < count - 2 && keyframes[i + 1].time <= t) {
+            i++;
+        }
+
+        const i2 = Math.min(i + 1, count - 1);
+        const k1 = keyframes[i];
+        const k2 = keyframes[i2];
+        const span = k2.time - k1.time;
+        const u = span > 0 ? MathUtils.clamp((t - k1.time) / span, 0, 1) : 1;
+
+        // A path whose ends coincide is closed: the tangents are continuous at the junction.
+        const closed =
+            count > 2 &&
+            keyframes[0].position.equals(keyframes[count - 1].position) &&
+            keyframes[0].target.equals(keyframes[count - 1].target);
+
+        const i0 = i > 0 ? i - 1 : closed ? count - 2 : i;
+        const i3 = i + 2 < count ? i + 2 : closed ? 1 : i2;
+        const k0 = keyframes[i0];
+        const k3 = keyframes[i3];
+
+        this.interpolate(u, k0.position, k1.position, k2.position, k3.position, result.position, {
+            out: k1.handleOut,
+            in: k2.handleIn,
+        });
+        this.interpolate(u, k0.target, k1.target, k2.target, k3.target, result.target);
+
+        const [f0, f1, f2, f3] = [i0, i, i2, i3].map(k => this.getFov(k));
+        if (f0 != null && f1 != null && f2 != null && f3 != null) {
+            result.fov =
+                this.interpolation === 'linear'
+                    ? MathUtils.lerp(f1, f2, u)
+                    : catmullRom(u, f0, f1, f2, f3);
+        } else {
+            result.fov = undefined;
+        }
+
+        return result;
+    }
+
+    /**
+     * Returns the field of view at the specified keyframe: its own, or the one of the previous
+     * keyframe that has one, or of the first keyframe that has one if there is none.
+     */
+    private getFov(index: number): number | undefined {
+        const keyframes = this._keyframes;
+
+        for (let k = index; k >= 0; k--) {
+            if (keyframes[k].fov != null) {
+                return keyframes[k].fov;
+            }
+        }
+
+        return keyframes.find(k => k.fov != null)?.fov;
+    }
+
+    private interpolate(
+        u: number,
+        p0: Vector3,
+        p1: Vector3,
+        p2: Vector3,
+        p3: Vector3,
+        target: Vector3,
+        handles?: { out?: Vector3; in?: Vector3 },
+    ) {
+        switch (this.interpolation) {
+            case 'linear':
+                target.lerpVectors(p1, p2, u);
+                break;
+            case 'catmullrom':
+                target.set(
+                    catmullRom(u, p0.x, p1.x, p2.x, p3.x),
+                    catmullRom(u, p0.y, p1.y, p2.y, p3.y),
+                    catmullRom(u, p0.z, p1.z, p2.z, p3.z),
+                );
+                break;
+            case 'bezier': {
+                // The automatic handles make the path identical to a Catmull-Rom spline.
+                const c1 = handles?.out ?? tmp.c1.subVectors(p2, p0).divideScalar(6).add(p1);
+                const c2 = handles?.in ?? tmp.c2.subVectors(p1, p3).divideScalar(6).add(p2);
+                target.set(
+                    cubicBezier(u, p1.x, c1.x, c2.x, p2.x),
+                    cubicBezier(u, p1.y, c1.y, c2.y, p2.y),
+                    cubicBezier(u, p1.z, c1.z, c2.z, p2.z),
+                );
+                break;
+            }
+        }
+    }
+
+    /**
+     * Starts or resumes the playback. If the animation has ended, it restarts from the beginning.
+     */
+    play() {
+        if (this._playing || this._keyframes.length === 0) {
+            return;
+        }
+
+        if (this._time >= this.duration) {
+            this._time = 0;
+        }
+
+        this._playing = true;
+        this._instance.addEventListener('before-camera-update', this.onBeforeCameraUpdate);
+        this._instance.notifyChange(this._instance.view.camera);
+        this.dispatchEvent({ type: 'play' });
+    }
+
+    /**
+     * Pauses the playback.
+     */
+    pause() {
+        if (!this._playing) {
+            return;
+        }
+
+        this._playing = false;
+        this._instance.removeEventListener('before-camera-update', this.onBeforeCameraUpdate);
+        this.dispatchEvent({ type: 'pause' });
+    }
+
+    /**
+     * Stops the playback and moves the camera to the beginning of the animation.
+     */
+    stop() {
+        this.pause();
+        this.seek(0);
+    }
+
+    /**
+     * Moves the camera to the specified time of the animation.
+     *
+     * @param time - The time, in seconds. It is clamped to the duration of the animation.
+     */
+    seek(time: number) {
+        this._time = MathUtils.clamp(time, 0, this.duration);
+
+        if (this._keyframes.length > 0) {
+            this.apply();
+            this._instance.notifyChange(this._instance.view.camera);
+        }
+    }
+
+    /**
+     * Renders the animation offline, frame by frame, with {@link Instance.captureImage}.
+     * The playback is paused during the rendering. Unless specified otherwise, each frame
+     * waits until the data is loaded.
+     *
+     * ```js
+     * await animation.renderFrames({
+     *     width: 1920,
+     *     height: 1080,
+     *     framesPerSecond: 30,
+     *     onFrame: ({ index, image }) => encoder.addFrame(index, image),
+     * });
+     * ```
+     * @param options - The options.
+     */
+    async renderFrames(options: RenderFramesOptions): Promise<void> {
+        const { framesPerSecond = 30, onFrame, signal, ...captureOptions } = options;
+
+        if (this._keyframes.length === 0) {
+            throw new Error('the animation has no keyframe');
+        }
+
+        this.pause();
+
+        const frameCount = Math.floor(this.duration * framesPerSecond) + 1;
+
+        for (let index = 0; index < frameCount; index++) {
+            signal?.throwIfAborted();
+
+            const time = index / framesPerSecond;
+            this.seek(time);
+
+            const image = await this._instance.captureImage({ ...captureOptions, signal });
+
+            signal?.throwIfAborted();
+
+            await onFrame({ index, time, image });
+        }
+    }
+
+    private apply() {
+        const state = this.evaluate(this._time);
+        const view = this._instance.view;
+        const camera = view.camera;
+
+        camera.position.copy(state.position);
+        camera.lookAt(state.target);
+
+        if (state.fov != null && isPerspectiveCamera(camera) && camera.fov !== state.fov) {
+            camera.fov = state.fov;
+            camera.updateProjectionMatrix();
+        }
+
+        camera.updateMatrixWorld();
+
+        // Controls that orbit around a target (e.g MapControls) would move the camera otherwise
+        const controls = view.controls as { target?: Vector3 } | null;
+        controls?.target?.copy(state.target);
+
+        this.dispatchEvent({ type: 'update', time: this._time });
+    }
+
+    private onBeforeCameraUpdate({ dt, updateLoopRestarted }: FrameEventPayload) {
+        // The elapsed time is meaningless when the loop restarts after being idle
+        const elapsed = updateLoopRestarted ? 0 : dt / 1000;
+        const duration = this.duration;
+
+        let time = this._time + elapsed;
+        let ended = false;
+
+        if (time >= duration) {
+            if (this.loop && duration > 0) {
+                time %= duration;
+            } else {
+                time = duration;
+                ended = true;
+            }
+        }
+
+        this._time = time;
+        this.apply();
+
+        if (ended) {
+            this.pause();
+            this.dispatchEvent({ type: 'ended' });
+        } else {
+            this._instance.notifyChange(this._instance.view.camera);
+        }
+    }
+
+    /**
+     * Stops the playback.
+     */
+    dispose() {
+        this.pause();
+    }
+}
@@ -0,0 +1,586 @@
+import type { Box3, ColorRepresentation, Plane } from 'three';
+import {
+    Color,
+    DataTexture,
+    FloatType,
+    Matrix4,
+    NearestFilter,
+    Quaternion,
+    RGFormat,
+    Vector2,
+    Vector3,
+    Vector4,
+} from 'three';
+
+/**
+ * Specifies how a clipping volume affects the points:
+ * - `inside`: only the points inside the volume are displayed. If several `inside` volumes are
+ * defined, points must be inside at least one of them.
+ * - `outside`: the points inside the volume are hidden.
+ * - `highlight`: the points inside the volume are displayed with the highlight color.
+ */
+export type ClippingMode = 'inside' | 'outside' | 'highlight';
+
+/**
+ * The numerical value of each {@link ClippingMode} in shaders.
+ */
+export const CLIPPING_MODES: Record<ClippingMode, number> = {
+    inside: 0,
+    outside: 1,
+    highlight: 2,
+};
+
+/**
+ * The default highlight color of points inside `highlight` volumes.
+ */
+export const DEFAULT_CLIPPING_HIGHLIGHT_COLOR = '#ff3300';
+
+/**
+ * The width of the texture that contains the vertices of all clipping polygons.
+ */
+const POLYGON_TEXTURE_WIDTH = 1024;
+
+const FLOAT32_MAX = 3.4e38;
+
+const UNIT_BOX_CORNERS = [
+    new Vector3(-0.5, -0.5, -0.5),
+    new Vector3(+0.5, -0.5, -0.5),
+    new Vector3(-0.5, +0.5, -0.5),
+    new Vector3(+0.5, +0.5, -0.5),
+    new Vector3(-0.5, -0.5, +0.5),
+    new Vector3(+0.5, -0.5, +0.5),
+    new Vector3(-0.5, +0.5, +0.5),
+    new Vector3(+0.5, +0.5, +0.5),
+];
+
+const tmpCorners = UNIT_BOX_CORNERS.map(() => new Vector3());
+const tmpInverse = new Matrix4();
+const tmpTranslation = new Matrix4();
+const tmpVec3 = new Vector3();
+
+function getBoxCorners(box: Box3, target: Vector3[]): Vector3[] {
+    const { min, max } = box;
+    for (let i = 0; i < 8; i++) {
+        target[i].set(i & 1 ? max.x : min.x, i & 2 ? max.y : min.y, i & 4 ? max.z : min.z);
+    }
+    return target;
+}
+
+function cross(o: Vector2, a: Vector2, b: Vector2): number {
+    return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+function segmentsIntersect(p1: Vector2, p2: Vector2, q1: Vector2, q2: Vector2): boolean {
+    const d1 = cross(q1, q2, p1);
+    const d2 = cross(q1, q2, p2);
+    const d3 = cross(p1, p2, q1);
+    const d4 = cross(p1, p2, q2);
+
+    return d1 * d2 <= 0 && d3 * d4 <= 0;
+}
+
+interface ClippingVolumeBase {
+    /**
+     * The effect of the volume on the points.
+     */
+    mode: ClippingMode;
+    /**
+     * Returns `true` if the volume entirely contains the world space box.
+     * This test is conservative: it may return `false` for some contained boxes.
+     */
+    containsBox(box: Box3): boolean;
+    /**
+     * Returns `true` if the volume intersects the world space box.
+     * This test is conservative: it may return `true` for some non-intersecting boxes.
+     */
+    intersectsBox(box: Box3): boolean;
+}
+
+/**
+ * An oriented box clipping volume.
+ */
+export class ClippingBox implements ClippingVolumeBase {
+    readonly isClippingBox = true as const;
+    readonly type = 'ClippingBox' as const;
+
+    mode: ClippingMode;
+
+    /**
+     * The world transformation of the box. The box is the unit cube centered on the origin,
+     * transformed by this matrix.
+     */
+    readonly matrix: Matrix4 = new Matrix4();
+
+    /**
+     * @param options - The options.
+     */
+    constructor(
+        options: {
+            /** The center of the box, in world space. */
+            center?: Vector3;
+            /** The dimensions of the box, before rotation. */
+            size?: Vector3;
+            /** The orientation of the box. */
+            rotation?: Quaternion;
+            /** @defaultValue `'inside'` */
+            mode?: ClippingMode;
+        } = {},
+    ) {
+        this.mode = options.mode ?? 'inside';
+        this.set(
+            options.center ?? new Vector3(),
+            options.size ?? new Vector3(1, 1, 1),
+            options.rotation ?? new Quaternion(),
+        );
+    }
+
+    /**
+     * Creates an axis-aligned clipping box from the specified box.
+     *
+     * @param box - The world space box.
+     * @param mode - The clipping mode.
+     */
+    static fromBox3(box: Box3, mode: ClippingMode = 'inside'): ClippingBox {
+        return new ClippingBox({
+            center: box.getCenter(new Vector3()),
+            size: box.getSize(new Vector3()),
+            mode,
+        });
+    }
+
+    /**
+     * Sets the center, size and orientation of the box.
+     */
+    set(center: Vector3, size: Vector3, rotation: Quaternion): this {
+        this.matrix.compose(center, rotation, size);
+        return this;
+    }
+
+    containsPoint(point: Vector3): boolean {
+        tmpVec3.copy(point).applyMatrix4(tmpInverse.copy(this.matrix).invert());
+        return (
+            Math.abs(tmpVec3.x) <= 0.5 && Math.abs(tmpVec3.y) <= 0.5 && Math.abs(tmpVec3.z) <= 0.5
+        );
+    }
+
+    containsBox(box: Box3): boolean {
+        tmpInverse.copy(this.matrix).invert();
+        const corners = getBoxCorners(box, tmpCorners);
+        for (const corner of corners) {
+            corner.applyMatrix4(tmpInverse);
+            if (Math.abs(corner.x) > 0.5 || Math.abs(corner.y) > 0.5 || Math.abs(corner.z) > 0.5) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    intersectsBox(box: Box3): boolean {
+        // Compare the box with the axis-aligned bounds of the oriented box.
+        // This is conservative, which is acceptable for culling purposes.
+        let minX = +Infinity;
+        let minY = +Infinity;
+        let minZ = +Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        let maxZ = -Infinity;
+
+        for (let i = 0; i < 8; i++) {
+            const c = tmpCorners[i].copy(UNIT_BOX_CORNERS[i]).applyMatrix4(this.matrix);
+            minX = Math.min(minX, c.x);
+            minY = Math.min(minY, c.y);
+            minZ = Math.min(minZ, c.z);
+            maxX = Math.max(maxX, c.x);
+            maxY = Math.max(maxY, c.y);
+            maxZ = Math.max(maxZ, c.z);
+        }
+
+        return !(
+            box.max.x < minX ||
+            box.min.x > maxX ||
+            box.max.y < minY ||
+            box.min.y > maxY ||
+            box.max.z < minZ ||
+            box.min.z > maxZ
+        );
+    }
+}
+
+/**
+ * A vertically extruded polygon clipping volume.
+ */
+export class ClippingPolygon implements ClippingVolumeBase {
+    readonly isClippingPolygon = true as const;
+    readonly type = 'ClippingPolygon' as const;
+
+    mode: ClippingMode;
+
+    /**
+     * The vertices of the polygon, in world space. The polygon is implicitly closed.
+     */
+    readonly points: Vector2[];
+
+    /**
+     * The lowest elevation of the extrusion.
+     */
+    minZ: number;
+
+    /**
+     * The highest elevation of the extrusion.
+     */
+    maxZ: number;
+
+    /**
+     * @param options - The options.
+     */
+    constructor(options: {
+        /** The vertices of the polygon. The Z coordinate of 3D vertices is ignored. */
+        points: Readonly<Array<Vector2 | Vector3>>;
+        /** @defaultValue `-Infinity` */
+        minZ?: number;
+        /** @defaultValue `+Infinity` */
+        maxZ?: number;
+        /** @defaultValue `'inside'` */
+        mode?: ClippingMode;
+    }) {
+        this.points = options.points.map(p => new Vector2(p.x, p.y));
+        this.minZ = options.minZ ?? -Infinity;
+        this.maxZ = options.maxZ ?? +Infinity;
+        this.mode = options.mode ?? 'inside';
+    }
+
+    /**
+     * Creates a clipping polygon from the vertices of a shape, such as one drawn with the
+     * {@link interactions.DrawTool | DrawTool}.
+     *
+     * Note: the clipping polygon is not updated when the shape changes.
+     *
+     * @param shape - The shape.
+     * @param options - The options.
+     */
+    static fromShape(
+        shape: { points: Readonly<Vector3[]> },
+        options: { minZ?: number; maxZ?: number; mode?: ClippingMode } = {},
+    ): ClippingPolygon {
+        const points = [...shape.points];
+
+        // Closed shapes repeat their first vertex
+        if (points.length > 1 && points[0].equals(points[points.length - 1])) {
+            points.pop();
+        }
+
+        return new ClippingPolygon({ ...options, points });
+    }
+
+    containsPoint2D(x: number, y: number): boolean {
+        const pts = this.points;
+        let inside = false;
+        for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+            const a = pts[i];
+            const b = pts[j];
+            if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    containsPoint(point: Vector3): boolean {
+        return (
+            point.z >= this.minZ && point.z <= this.maxZ && this.containsPoint2D(point.x, point.y)
+        );
+    }
+
+    containsBox(box: Box3): boolean {
+        if (box.min.z < this.minZ || box.max.z > this.maxZ) {
+            return false;
+        }
+
+        const { min, max } = box;
+        const rect = [
+            new Vector2(min.x, min.y),
+            new Vector2(max.x, min.y),
+            new Vector2(max.x, max.y),
+            new Vector2(min.x, max.y),
+        ];
+
+        for (const corner of rect) {
+            if (!this.containsPoint2D(corner.x, corner.y)) {
+                return false;
+            }
+        }
+
+        // All corners are inside the polygon, but its boundary may still cross the rectangle.
+        const pts = this.points;
+        for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+            for (let k = 0; k < 4; k++) {
+                if (segmentsIntersect(pts[j], pts[i], rect[k], rect[(k + 1) % 4])) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    }
+
+    intersectsBox(box: Box3): boolean {
+        if (box.max.z < this.minZ || box.min.z > this.maxZ) {
+            return false;
+        }
+
+        let minX = +Infinity;
+        let minY = +Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+
+        for (const p of this.points) {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        }
+
+        return !(box.max.x < minX || box.min.x > maxX || box.max.y < minY || box.min.y > maxY);
+    }
+}
+
+/**
+ * A half-space clipping volume. The inside of the volume is the side of the plane the normal
+ * points to (i.e points with a positive distance to the plane), like three.js clipping planes.
+ */
+export class ClippingPlane implements ClippingVolumeBase {
+    readonly isClippingPlane = true as const;
+    readonly type = 'ClippingPlane' as const;
+
+    mode: ClippingMode;
+
+    /**
+     * The world space plane.
+     */
+    readonly plane: Plane;
+
+    /**
+     * @param plane - The world space plane.
+     * @param mode - The clipping mode.
+     */
+    constructor(plane: Plane, mode: ClippingMode = 'inside') {
+        this.plane = plane;
+        this.mode = mode;
+    }
+
+    containsPoint(point: Vector3): boolean {
+        return this.plane.distanceToPoint(point) >= 0;
+    }
+
+    containsBox(box: Box3): boolean {
+        return getBoxCorners(box, tmpCorners).every(c => this.plane.distanceToPoint(c) >= 0);
+    }
+
+    intersectsBox(box: Box3): boolean {
+        return getBoxCorners(box, tmpCorners).some(c => this.plane.distanceToPoint(c) >= 0);
+    }
+}
+
+/**
+ * A clipping volume to apply to point clouds.
+ */
+export type ClippingVolume = ClippingBox | ClippingPolygon | ClippingPlane;
+
+/**
+ * Returns `true` if the world space box is entirely clipped by the volumes, i.e no point
+ * inside this box can be displayed.
+ *
+ * @param box - The world space box to test.
+ * @param volumes - The clipping volumes.
+ */
+export function isBoxClipped(box: Box3, volumes: Readonly<ClippingVolume[]>): boolean {
+    let hasInsideVolume = false;
+    let intersectsInsideVolume = false;
+
+    for (const volume of volumes) {
+        switch (volume.mode) {
+            case 'inside':
+                hasInsideVolume = true;
+                if (!intersectsInsideVolume && volume.intersectsBox(box)) {
+                    intersectsInsideVolume = true;
+                }
+                break;
+            case 'outside':
+                if (volume.containsBox(box)) {
+                    return true;
+                }
+                break;
+        }
+    }
+
+    return hasInsideVolume && !intersectsInsideVolume;
+}
+
+/**
+ * @internal
+ */
+export type ClippingBoxUniform = { inverseMatrix: Matrix4; mode: number };
+
+/**
+ * @internal
+ */
+export type ClippingPlaneUniform = { plane: Vector4; mode: number };
+
+/**
+ * @internal
+ */
+export type ClippingPolygonUniform = {
+    start: number;
+    count: number;
+    elevationRange: Vector2;
+    mode: number;
+};
+
+/**
+ * The world space description of a list of clipping volumes, shared by all materials of an
+ * entity. The materials express the volumes relative to the origin of their model with
+ * {@link createLocalClippingUniforms}, as world coordinates are too large to be represented by
+ * 32-bit floats without losing precision.
+ * @internal
+ */
+export type ClippingUniformData = {
+    boxes: ClippingBoxUniform[];
+    planes: ClippingPlaneUniform[];
+    /** The polygons. Their elevation ranges may be infinite. */
+    polygons: ClippingPolygonUniform[];
+    /** The vertices of the polygons, relative to {@link polygonOrigin}. */
+    polygonVertices: DataTexture | null;
+    polygonOrigin: Vector2;
+    highlightColor: Color;
+};
+
+/**
+ * The clipping volumes of a material, relative to the origin of its model.
+ * @internal
+ */
+export type LocalClippingUniforms = {
+    boxes: ClippingBoxUniform[];
+    planes: ClippingPlaneUniform[];
+    polygons: ClippingPolygonUniform[];
+    /** The offset to add to the polygon vertices. */
+    polygonOffset: Vector2;
+};
+
+/**
+ * Creates the world space description of the clipping volumes.
+ * @internal
+ */
+export function createClippingUniformData(
+    volumes: Readonly<ClippingVolume[]>,
+    highlightColor: ColorRepresentation = DEFAULT_CLIPPING_HIGHLIGHT_COLOR,
+): ClippingUniformData {
+    const boxes: ClippingBoxUniform[] = [];
+    const planes: ClippingPlaneUniform[] = [];
+    const polygons: ClippingPolygonUniform[] = [];
+    const vertices: number[] = [];
+    let polygonOrigin: Vector2 | null = null;
+
+    for (const volume of volumes) {
+        const mode = CLIPPING_MODES[volume.mode];
+        switch (volume.type) {
+            case 'ClippingBox':
+                boxes.push({ inverseMatrix: volume.matrix.clone().invert(), mode });
+                break;
+            case 'ClippingPlane':
+                planes.push({
+                    plane: new Vector4(
+                        volume.plane.normal.x,
+                        volume.plane.normal.y,
+                        volume.plane.normal.z,
+                        volume.plane.constant,
+                    ),
+                    mode,
+                });
+                break;
+            case 'ClippingPolygon':
+                if (volume.points.length < 3) {
+                    break;
+                }
+                polygonOrigin ??= volume.points[0].clone();
+                polygons.push({
+                    start: vertices.length / 2,
+                    count: volume.points.length,
+                    elevationRange: new Vector2(volume.minZ, volume.maxZ),
+                    mode,
+                });
+                for (const p of volume.points) {
+                    vertices.push(p.x - polygonOrigin.x, p.y - polygonOrigin.y);
+                }
+                break;
+        }
+    }
+
+    let polygonVertices: DataTexture | null = null;
+
+    if (vertices.length > 0) {
+        const vertexCount = vertices.length / 2;
+        const width = Math.min(vertexCount, POLYGON_TEXTURE_WIDTH);
+        const height = Math.ceil(vertexCount / POLYGON_TEXTURE_WIDTH);
+        const data = new Float32Array(width * height * 2);
+        data.set(vertices);
+        polygonVertices = new DataTexture(data, width, height, RGFormat, FloatType);
+        polygonVertices.minFilter = NearestFilter;
+        polygonVertices.magFilter = NearestFilter;
+        polygonVertices.needsUpdate = true;
+    }
+
+    return {
+        boxes,
+        planes,
+        polygons,
+        polygonVertices,
+        polygonOrigin: polygonOrigin ?? new Vector2(),
+        highlightColor: new Color(highlightColor),
+    };
+}
+
+/**
+ * Expresses the clipping volumes relative to the specified origin, so that they can be tested
+ * against the positions of a model relative to its origin. The subtractions are done with
+ * 64-bit floats, and the resulting values are small enough to be represented by 32-bit floats.
+ *
+ * @param data - The world space clipping volumes.
+ * @param origin - The world space origin of the model.
+ * @internal
+ */
+export function createLocalClippingUniforms(
+    data: ClippingUniformData,
+    origin: Vector3,
+): LocalClippingUniforms {
+    const translation = tmpTranslation.makeTranslation(origin.x, origin.y, origin.z);
+
+    return {
+        boxes: data.boxes.map(({ inverseMatrix, mode }) => ({
+            inverseMatrix: inverseMatrix.clone().multiply(translation),
+            mode,
+        })),
+        planes: data.planes.map(({ plane, mode }) => ({
+            plane: new Vector4(
+                plane.x,
+                plane.y,
+                plane.z,
+                plane.w + plane.x * origin.x + plane.y * origin.y + plane.z * origin.z,
+            ),
+            mode,
+        })),
+        polygons: data.polygons.map(({ start, count, elevationRange, mode }) => ({
+            start,
+            count,
+            // Infinite values are not supported by uniforms
+            elevationRange: new Vector2(
+                Math.max(elevationRange.x - origin.z, -FLOAT32_MAX),
+                Math.min(elevationRange.y - origin.z, FLOAT32_MAX),
+            ),
+            mode,
+        })),
+        polygonOffset: new Vector2(
+            data.polygonOrigin.x - origin.x,
+            data.polygonOrigin.y - origin.y,
+        ),
+    };
+}
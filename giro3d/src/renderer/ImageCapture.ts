@@ -0,0 +1,228 @@
+import { ShaderPass } from 'postprocessing';
+import type { OrthographicCamera, PerspectiveCamera, Scene, WebGLRenderer } from 'three';
+import {
+    DepthTexture,
+    FloatType,
+    NearestFilter,
+    RGBAFormat,
+    ShaderMaterial,
+    UnsignedByteType,
+    WebGLRenderTarget,
+} from 'three';
+import type Selection from '../core/Selection';
+import { isOrthographicCamera } from '../utils/predicates';
+import type C3DEngine from './c3DEngine';
+// @ts-ignore
+import BasicVS from './shader/BasicVS.glsl';
+// @ts-ignore
+import CaptureDepthFS from './shader/CaptureDepthFS.glsl';
+
+/**
+ * The number of pixels rendered around each tile, then discarded. Screen space effects
+ * (e.g EDL or inpainting) sample neighbouring pixels, and would produce seams otherwise.
+ */
+const TILE_MARGIN = 32;
+
+/**
+ * The minimal size of tiles, in pixels, including margins.
+ */
+export const MIN_TILE_SIZE = 4 * TILE_MARGIN;
+
+export interface RenderTilesOptions {
+    /** The width of the image, in pixels. */
+    width: number;
+    /** The height of the image, in pixels. */
+    height: number;
+    /** The maximum size of tiles, in pixels, including margins. */
+    tileSize: number;
+    /** If `true`, the depth of the image is rendered instead of the color. */
+    depth: boolean;
+    /** The optional selection to highlight. */
+    selection?: Selection;
+}
+
+function createRenderTarget(renderer: WebGLRenderer, depth: boolean) {
+    if (depth) {
+        return new WebGLRenderTarget(1, 1, {
+            type: FloatType,
+            format: RGBAFormat,
+            minFilter: NearestFilter,
+            magFilter: NearestFilter,
+            generateMipmaps: false,
+            depthBuffer: false,
+        });
+    }
+
+    return new WebGLRenderTarget(1, 1, {
+        type: UnsignedByteType,
+        format: RGBAFormat,
+        colorSpace: renderer.outputColorSpace,
+        minFilter: NearestFilter,
+        magFilter: NearestFilter,
+        generateMipmaps: false,
+        depthBuffer: true,
+        depthTexture: new DepthTexture(1, 1, FloatType),
+    });
+}
+
+function createDepthPass() {
+    return new ShaderPass(
+        new ShaderMaterial({
+            uniforms: {
+                depthTexture: { value: null },
+                cameraNear: { value: 0.01 },
+                cameraFar: { value: 100 },
+                orthographic: { value: false },
+                logarithmicDepth: { value: false },
+            },
+            vertexShader: BasicVS,
+            fragmentShader: CaptureDepthFS,
+        }),
+    );
+}
+
+/**
+ * Renders an image of arbitrary size, by splitting it into tiles that are rendered separately
+ * into an offscreen render target, then stitched together.
+ *
+ * Note: the renderer is resized to the size of the tiles, and must be resized by the caller
+ * afterwards.
+ *
+ * @param engine - The engine.
+ * @param scene - The scene to render.
+ * @param camera - The camera to render.
+ * @param options - The options.
+ * @returns The pixels of the image, row by row from the top-left corner. Color images have
+ * 4 bytes per pixel (RGBA). Depth images have one value per pixel: the distance to the camera
+ * plane, or `NaN` for empty pixels.
+ * @internal
+ */
+export function renderTiles(
+    engine: C3DEngine,
+    scene: Scene,
+    camera: PerspectiveCamera | OrthographicCamera,
+    options: RenderTilesOptions,
+): Uint8ClampedArray | Float32Array {
+    const { width, height, depth } = options;
+    const renderer = engine.renderer;
+
+    const tileSize = Math.min(options.tileSize, renderer.capabilities.maxTextureSize);
+    const step = tileSize - 2 * TILE_MARGIN;
+
+    const colorTarget = createRenderTarget(renderer, false);
+    const depthTarget = depth ? createRenderTarget(renderer, true) : null;
+    const depthPass = depth ? createDepthPass() : null;
+
+    const result = depth
+        ? new Float32Array(width * height)
+        : new Uint8ClampedArray(width * height * 4);
+    const buffer = depth
+        ? new Float32Array(tileSize * tileSize * 4)
+        : new Uint8Array(tileSize * tileSize * 4);
+
+    try {
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                const w = Math.min(step, width - x);
+                const h = Math.min(step, height - y);
+
+                // The rendered area, including margins.
+                const left = Math.max(0, x - TILE_MARGIN);
+                const top = Math.max(0, y - TILE_MARGIN);
+                const right = Math.min(width, x + w + TILE_MARGIN);
+                const bottom = Math.min(height, y + h + TILE_MARGIN);
+                const renderWidth = right - left;
+                const renderHeight = bottom - top;
+
+                camera.setViewOffset(width, height, left, top, renderWidth, renderHeight);
+                renderer.setSize(renderWidth, renderHeight, false);
+                colorTarget.setSize(renderWidth, renderHeight);
+
+                engine.render(scene, camera, options.selection, colorTarget);
+
+                let source = colorTarget;
+
+                if (depthPass && depthTarget) {
+                    const uniforms = (depthPass.fullscreenMaterial as ShaderMaterial).uniforms;
+                    uniforms.depthTexture.value = colorTarget.depthTexture;
+                    uniforms.cameraNear.value = camera.near;
+                    uniforms.cameraFar.value = camera.far;
+                    uniforms.orthographic.value = isOrthographicCamera(camera);
+                    uniforms.logarithmicDepth.value = renderer.capabilities.logarithmicDepthBuffer;
+
+                    depthTarget.setSize(renderWidth, renderHeight);
+                    depthPass.render(renderer, null, depthTarget);
+                    source = depthTarget;
+                }
+
+                // Note: the origin of render targets is the bottom-left corner.
+                renderer.readRenderTargetPixels(source, x - left, bottom - (y + h), w, h, buffer);
+
+                for (let row = 0; row < h; row++) {
+                    const dstRow = y + h - 1 - row;
+
+                    if (depth) {
+                        for (let col = 0; col < w; col++) {
+                            const i = (row * w + col) * 4;
+                            result[dstRow * width + x + col] = buffer[i + 3] > 0 ? buffer[i] : NaN;
+                        }
+                    } else {
+                        const start = row * w * 4;
+                        result.set(buffer.subarray(start, start + w * 4), (dstRow * width + x) * 4);
+                    }
+                }
+            }
+        }
+    } finally {
+        camera.clearViewOffset();
+        renderer.setRenderTarget(null);
+        colorTarget.dispose();
+        depthTarget?.dispose();
+        depthPass?.dispose();
+    }
+
+    return result;
+}
+
+/**
+ * Encodes the pixels into an image file.
+ *
+ * @param image - The pixels.
+ * @param type - The MIME type of the image, e.g `'image/png'`.
+ * @param quality - The quality of lossy formats, between 0 and 1.
+ * @returns The encoded image.
+ * @internal
+ */
+export function encodeImage(image: ImageData, type: string, quality?: number): Promise<Blob> {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        const canvas = new OffscreenCanvas(image.width, image.height);
+        const ctx = canvas.getContext('2d');
+
+        if (!ctx) {
+            throw new Error('could not acquire 2D rendering context on canvas');
+        }
+
+        ctx.putImageData(image, 0, 0);
+
+        return canvas.convertToBlob({ type, quality });
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext('2d');
+
+    if (!ctx) {
+        throw new Error('could not acquire 2D rendering context on canvas');
+    }
+
+    ctx.putImageData(image, 0, 0);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            blob => (blob ? resolve(blob) : reject(new Error('could not encode the image'))),
+            type,
+            quality,
+        );
+    });
+}
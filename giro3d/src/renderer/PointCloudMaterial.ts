@@ -1,12 +1,26 @@
-import type { ColorRepresentation, IUniform, Texture } from 'three';
+import type {
+    BufferGeometry,
+    Camera,
+    ColorRepresentation,
+    IUniform,
+    Object3D,
+    Scene,
+    Texture,
+    WebGLRenderer,
+} from 'three';
 import {
+    AddEquation,
     Color,
+    CustomBlending,
     GLSL3,
     Matrix4,
     NoBlending,
     NormalBlending,
+    OneFactor,
     ShaderMaterial,
     Uniform,
+    UniformsLib,
+    UniformsUtils,
     Vector2,
     Vector3,
     Vector4,
@@ -16,11 +30,21 @@ import type Extent from '../core/geographic/Extent';
 import type ColorLayer from '../core/layer/ColorLayer';
 import type { TextureAndPitch } from '../core/layer/Layer';
 import OffsetScale from '../core/OffsetScale';
+import {
+    CLIPPING_MODES,
+    type ClippingBoxUniform,
+    type ClippingPlaneUniform,
+    type ClippingPolygonUniform,
+    type ClippingUniformData,
+    createLocalClippingUniforms,
+} from './ClippingVolume';
 import MaterialUtils, { type VertexAttributeType } from './MaterialUtils';
 import PointsFS from './shader/PointsFS.glsl';
 import PointsVS from './shader/PointsVS.glsl';
 
 const tmpDims = new Vector2();
+const tmpViewport = new Vector4();
+const tmpOrigin = new Vector3();
 
 /**
  * Specifies the way points are colored.
@@ -42,8 +66,64 @@ export enum MODE {
 
 export type Mode = (typeof MODE)[keyof typeof MODE];
 
+/**
+ * Specifies how the size of points is computed.
+ * - `'fixed'`: the size is expressed in pixels. A size of zero triggers automatic sizing.
+ * - `'attenuated'`: the size is a factor of the point spacing of the root node, so that
+ * points shrink with the distance to the camera.
+ * - `'adaptive'`: the size is a factor of the point spacing of the deepest displayed node at the
+ * location of each point, so that points are larger in areas where the density is lower.
+ */
+export type PointSizeMode = 'fixed' | 'attenuated' | 'adaptive';
+
+/**
+ * Specifies the shape of points.
+ * - `'square'`: points are drawn as flat squares.
+ * - `'circle'`: points are drawn as flat discs.
+ * - `'paraboloid'`: points are drawn as discs whose depth increases from the center to
+ * the edges, so that overlapping points intersect correctly.
+ */
+export type PointShape = 'square' | 'circle' | 'paraboloid';
+
+/**
+ * The passes of the weighted splat rendering.
+ * @internal
+ */
+export type SplatPass = 'depth' | 'accumulate';
+
+const POINT_SIZE_MODES: Record<PointSizeMode, number> = {
+    fixed: 0,
+    attenuated: 1,
+    adaptive: 2,
+};
+
+const POINT_SHAPES: Record<PointShape, number> = {
+    square: 0,
+    circle: 1,
+    paraboloid: 2,
+};
+
+const SPLAT_PASSES: Record<SplatPass | 'none', number> = {
+    none: 0,
+    depth: 1,
+    accumulate: 2,
+};
+
+/** The number of child octants of a node, used for adaptive point size. */
+const OCTANT_COUNT = 8;
+
 const NUM_TRANSFO = 16;
 
+/**
+ * The maximum number of attribute filters that can be applied simultaneously.
+ */
+export const MAX_ATTRIBUTE_FILTERS = 4;
+
+/**
+ * The largest finite value of a 32-bit float, used as the bound of open ranges.
+ */
+const FLOAT_MAX = 3.4028234e38;
+
 /**
  * Paremeters for a point cloud classification.
  */
@@ -130,6 +210,18 @@ export interface PointCloudMaterialOptions {
      * @defaultValue MODE.COLOR
      */
     mode?: Mode;
+    /**
+     * Specifies how the point size is computed.
+     *
+     * @defaultValue `'fixed'`
+     */
+    pointSizeMode?: PointSizeMode;
+    /**
+     * The shape of the points.
+     *
+     * @defaultValue `'circle'`
+     */
+    pointShape?: PointShape;
 }
 
 type Deformation = {
@@ -140,6 +232,22 @@ type Deformation = {
     vec: Vector3;
 };
 
+/**
+ * The attribute filters, as uniforms.
+ * @internal
+ */
+export type AttributeFilterUniformData = {
+    /**
+     * The accepted range of each filter slot. The values of the filtered attributes are
+     * provided by the `filterAttribute0` to `filterAttribute3` vertex attributes.
+     */
+    ranges: Vector2[];
+    /**
+     * If `true`, points must pass at least one filter, otherwise they must pass all filters.
+     */
+    union: boolean;
+};
+
 type ColorMapUniform = {
     min: number;
     max: number;
@@ -150,6 +258,15 @@ interface Uniforms {
     opacity: IUniform<number>;
     brightnessContrastSaturation: IUniform<Vector3>;
     size: IUniform<number>;
+    pointSizeMode: IUniform<number>;
+    minPointSize: IUniform<number>;
+    maxPointSize: IUniform<number>;
+    octreeSpacing: IUniform<number>;
+    nodeSpacing: IUniform<number>;
+    viewportHeight: IUniform<number>;
+    nodeCenter: IUniform<Vector3>;
+    octantSpacings: IUniform<number[]>;
+    splatPass: IUniform<number>;
     decimation: IUniform<number>;
     mode: IUniform<MODE>;
     pickingId: IUniform<number>;
@@ -167,6 +284,21 @@ interface Uniforms {
     enableDeformations: IUniform<boolean>;
     deformations: IUniform<Deformation[]>;
 
+    clippingBoxes: IUniform<ClippingBoxUniform[]>;
+    clippingPlanes: IUniform<ClippingPlaneUniform[]>;
+    clippingPolygons: IUniform<ClippingPolygonUniform[]>;
+    clippingPolygonVertices: IUniform<Texture | null>;
+    clippingPolygonOffset: IUniform<Vector2>;
+    clippingHighlightColor: IUniform<Color>;
+
+    attributeFilterRanges: IUniform<Vector2[]>;
+    attributeFilterUnion: IUniform<boolean>;
+
+    normalDepthTexture: IUniform<Texture | null>;
+    hasNormalDepthTexture: IUniform<boolean>;
+    inverseProjectionMatrix: IUniform<Matrix4>;
+
+    deferredFog: IUniform<boolean>;
     fogDensity: IUniform<number>;
     fogNear: IUniform<number>;
     fogFar: IUniform<number>;
@@ -184,8 +316,37 @@ export type Defines = {
 
     INTENSITY?: 1;
     INTENSITY_TYPE: VertexAttributeType;
+
+    CLIPPING_VOLUMES?: 1;
+    NUM_CLIPPING_BOXES?: number;
+    NUM_CLIPPING_PLANES?: number;
+    NUM_CLIPPING_POLYGONS?: number;
+
+    ATTRIBUTE_FILTERS?: 1;
+    ATTRIBUTE_FILTER_0_TYPE?: VertexAttributeType;
+    ATTRIBUTE_FILTER_1_TYPE?: VertexAttributeType;
+    ATTRIBUTE_FILTER_2_TYPE?: VertexAttributeType;
+    ATTRIBUTE_FILTER_3_TYPE?: VertexAttributeType;
+
+    POINT_SHAPE: number;
+    WEIGHTED_SPLATS?: 1;
+
+    LIT?: 1;
+    SHADOW_DEPTH?: 1;
 };
 
+/**
+ * Returns ranges that accept any value, one per filter slot.
+ * @internal
+ */
+export function createOpenRanges(): Vector2[] {
+    const result: Vector2[] = [];
+    for (let i = 0; i < MAX_ATTRIBUTE_FILTERS; i++) {
+        result.push(new Vector2(-FLOAT_MAX, FLOAT_MAX));
+    }
+    return result;
+}
+
 function createDefaultColorMap(): ColorMap {
     const colors = [new Color('black'), new Color('white')];
     return new ColorMap({ colors, min: 0, max: 1000 });
@@ -201,6 +362,14 @@ class PointCloudMaterial extends ShaderMaterial {
     disposed = false;
 
     private _colorMap: ColorMap = createDefaultColorMap();
+    private _clippingVolumes: ClippingUniformData | null = null;
+    /** The world space origin of the model, relative to which the clipping volumes are set. */
+    private readonly _clippingOrigin = new Vector3();
+    private _attributeFilters: AttributeFilterUniformData | null = null;
+    private _pointSizeMode: PointSizeMode;
+    private _pointShape: PointShape;
+    private _shadowMaterial: ShaderMaterial | null = null;
+    private _shadowMaterialVersion = -1;
 
     /**
      * @internal
@@ -224,6 +393,116 @@ class PointCloudMaterial extends ShaderMaterial {
         this.uniforms.size.value = value;
     }
 
+    /**
+     * Gets or sets the way the point size is computed.
+     */
+    get pointSizeMode(): PointSizeMode {
+        return this._pointSizeMode;
+    }
+
+    set pointSizeMode(mode: PointSizeMode) {
+        this._pointSizeMode = mode;
+        this.uniforms.pointSizeMode.value = POINT_SIZE_MODES[mode];
+    }
+
+    /**
+     * Gets or sets the minimum point size, in pixels, in `'attenuated'` and `'adaptive'` modes.
+     */
+    get minPointSize() {
+        return this.uniforms.minPointSize.value;
+    }
+
+    set minPointSize(value: number) {
+        this.uniforms.minPointSize.value = value;
+    }
+
+    /**
+     * Gets or sets the maximum point size, in pixels, in `'attenuated'` and `'adaptive'` modes.
+     */
+    get maxPointSize() {
+        return this.uniforms.maxPointSize.value;
+    }
+
+    set maxPointSize(value: number) {
+        this.uniforms.maxPointSize.value = value;
+    }
+
+    /**
+     * Gets or sets the point spacing of the root node of the point cloud.
+     * @internal
+     */
+    get octreeSpacing() {
+        return this.uniforms.octreeSpacing.value;
+    }
+
+    set octreeSpacing(value: number) {
+        this.uniforms.octreeSpacing.value = value;
+    }
+
+    /**
+     * Gets or sets the point spacing of the node displayed with this material. Used to size the
+     * points in shadow maps, so that they cover the surface regardless of the point size.
+     * @internal
+     */
+    get nodeSpacing() {
+        return this.uniforms.nodeSpacing.value;
+    }
+
+    set nodeSpacing(value: number) {
+        this.uniforms.nodeSpacing.value = value;
+    }
+
+    /**
+     * Enables the lighting of the points by the scene lights, using a diffuse (Lambertian) model.
+     * Lit points also receive shadows from shadow-casting lights, if the object has
+     * `receiveShadow` enabled.
+     *
+     * The normals of the points are used if provided by the geometry. Otherwise, the normals are
+     * reconstructed in screen space from the depth of the points, when the depth texture is
+     * provided by the `PointCloudRenderer`. Without depth texture, the points face the camera.
+     */
+    get lighting(): boolean {
+        return this.defines.LIT !== undefined;
+    }
+
+    set lighting(enable: boolean) {
+        this.lights = enable;
+        MaterialUtils.setDefine(this, 'LIT', enable);
+    }
+
+    /**
+     * Returns `true` if the geometry provides the normals of the points.
+     * @internal
+     */
+    get hasNormals(): boolean {
+        return this.defines.NORMAL !== undefined;
+    }
+
+    /**
+     * Gets or sets the shape of the points.
+     */
+    get pointShape(): PointShape {
+        return this._pointShape;
+    }
+
+    set pointShape(shape: PointShape) {
+        this._pointShape = shape;
+        MaterialUtils.setDefineValue(this, 'POINT_SHAPE', POINT_SHAPES[shape]);
+    }
+
+    /**
+     * Enables weighted splat rendering: overlapping points close to the visible surface are
+     * blended together rather than hiding each other. This requires rendering the points in
+     * several passes, as done by the `PointCloudRenderer`.
+     */
+    get splatting(): boolean {
+        return this.defines.WEIGHTED_SPLATS !== undefined;
+    }
+
+    set splatting(enable: boolean) {
+        MaterialUtils.setDefine(this, 'WEIGHTED_SPLATS', enable);
+    }
+
     /**
      * Gets or sets the point decimation value.
      * A decimation value of N means that we take every Nth point and discard the rest.
@@ -370,6 +649,209 @@ class PointCloudMaterial extends ShaderMaterial {
         this._colorMap = colorMap;
     }
 
+    /**
+     * Gets or sets the clipping volumes, as computed by `createClippingUniformData()`.
+     * The data is not copied, so it can be shared by several materials.
+     * @internal
+     */
+    get clippingVolumes(): ClippingUniformData | null {
+        return this._clippingVolumes;
+    }
+
+    set clippingVolumes(data: ClippingUniformData | null) {
+        this._clippingVolumes = data;
+
+        const boxes = data?.boxes ?? [];
+        const planes = data?.planes ?? [];
+        const polygons = data?.polygons ?? [];
+
+        this.updateLocalClippingVolumes();
+        this.uniforms.clippingPolygonVertices.value = data?.polygonVertices ?? null;
+        if (data) {
+            this.uniforms.clippingHighlightColor.value = data.highlightColor;
+        }
+
+        const enabled = boxes.length + planes.length + polygons.length > 0;
+
+        MaterialUtils.setDefine(this, 'CLIPPING_VOLUMES', enabled);
+        MaterialUtils.setDefineValue(
+            this,
+            'NUM_CLIPPING_BOXES',
+            enabled ? boxes.length : undefined,
+        );
+        MaterialUtils.setDefineValue(
+            this,
+            'NUM_CLIPPING_PLANES',
+            enabled ? planes.length : undefined,
+        );
+        MaterialUtils.setDefineValue(
+            this,
+            'NUM_CLIPPING_POLYGONS',
+            enabled ? polygons.length : undefined,
+        );
+    }
+
+    /**
+     * Sets the world space origin of the model rendered with this material. The clipping
+     * volumes are tested against the positions of the model relative to this origin, to
+     * preserve the precision of the tests far from the world origin.
+     * @internal
+     * @param modelMatrix - The world matrix of the model.
+     */
+    setClippingOrigin(modelMatrix: Matrix4) {
+        const origin = tmpOrigin.setFromMatrixPosition(modelMatrix);
+        if (!origin.equals(this._clippingOrigin)) {
+            this._clippingOrigin.copy(origin);
+            this.updateLocalClippingVolumes();
+        }
+    }
+
+    private updateLocalClippingVolumes() {
+        const data = this._clippingVolumes;
+        const local = data != null ? createLocalClippingUniforms(data, this._clippingOrigin) : null;
+
+        this.uniforms.clippingBoxes.value = local?.boxes ?? [];
+        this.uniforms.clippingPlanes.value = local?.planes ?? [];
+        this.uniforms.clippingPolygons.value = local?.polygons ?? [];
+        this.uniforms.clippingPolygonOffset.value.copy(local?.polygonOffset ?? new Vector2());
+    }
+
+    /**
+     * Gets or sets the attribute filters. Points whose attribute values are outside the
+     * filter ranges are not displayed. The values of the filtered attributes must be provided
+     * by the geometry (see `MAX_ATTRIBUTE_FILTERS`).
+     * @internal
+     */
+    get attributeFilters(): AttributeFilterUniformData | null {
+        return this._attributeFilters;
+    }
+
+    set attributeFilters(data: AttributeFilterUniformData | null) {
+        this._attributeFilters = data;
+
+        if (data) {
+            this.uniforms.attributeFilterRanges.value = data.ranges;
+            this.uniforms.attributeFilterUnion.value = data.union;
+        }
+
+        MaterialUtils.setDefine(this, 'ATTRIBUTE_FILTERS', data != null);
+    }
+
+    /**
+     * Sets the data used to compute the point size in `'adaptive'` mode.
+     * @internal
+     * @param center - The center of the node, in the local space of the points.
+     * @param spacings - The point spacing of the deepest displayed node in each child octant
+     * of the node. Octants are indexed by `(x > cx) + 2 * (y > cy) + 4 * (z > cz)`.
+     */
+    setAdaptiveSizeData(center: Vector3, spacings: Readonly<number[]>) {
+        this.uniforms.nodeCenter.value.copy(center);
+        const target = this.uniforms.octantSpacings.value;
+        for (let i = 0; i < OCTANT_COUNT; i++) {
+            target[i] = spacings[i];
+        }
+    }
+
+    /**
+     * Sets the texture that contains the depth of the points, as seen from the current camera.
+     * This texture is used to reconstruct the normals of lit points when the geometry does not
+     * provide normals (see {@link lighting}).
+     * @internal
+     */
+    setNormalDepthTexture(texture: Texture | null) {
+        this.uniforms.normalDepthTexture.value = texture;
+        this.uniforms.hasNormalDepthTexture.value = texture != null;
+    }
+
+    /**
+     * Disables the scene fog in this material, when the fog is applied afterwards by the
+     * post-processing stages of the `PointCloudRenderer`.
+     * @internal
+     */
+    setDeferredFog(deferred: boolean) {
+        this.uniforms.deferredFog.value = deferred;
+    }
+
+    /**
+     * Returns the material used to render the points into shadow maps. It shares the uniforms of
+     * this material.
+     * @internal
+     */
+    getShadowMaterial(): ShaderMaterial {
+        if (this._shadowMaterial == null) {
+            this._shadowMaterial = new ShaderMaterial({
+                clipping: true,
+                glslVersion: GLSL3,
+                vertexShader: PointsVS,
+                fragmentShader: PointsFS,
+                // The uniforms are not copied, so that they are always up to date.
+                uniforms: this.uniforms as unknown as Record<string, IUniform>,
+            });
+        }
+
+        return this._shadowMaterial;
+    }
+
+    /**
+     * Updates the shadow material before rendering the points into a shadow map.
+     * @internal
+     * @param renderer - The renderer, whose current render target is the shadow map.
+     * @param object - The rendered object.
+     */
+    updateShadowMaterial(renderer: WebGLRenderer, object: Object3D) {
+        const shadowMaterial = this.getShadowMaterial();
+
+        // The shadow maps are rendered before the objects themselves
+        this.setClippingOrigin(object.matrixWorld);
+
+        // The version is incremented each time the defines of this material change.
+        if (this._shadowMaterialVersion !== this.version) {
+            this._shadowMaterialVersion = this.version;
+            const defines: Defines = { ...this.defines, SHADOW_DEPTH: 1 };
+            // Lighting and splatting are irrelevant for the depth of the points
+            delete defines.LIT;
+            delete defines.WEIGHTED_SPLATS;
+            shadowMaterial.defines = defines;
+            shadowMaterial.needsUpdate = true;
+        }
+
+        // Restored by onBeforeRender() for the regular rendering.
+        const shadowMap = renderer.getRenderTarget();
+        if (shadowMap != null) {
+            this.uniforms.viewportHeight.value = shadowMap.height;
+        }
+    }
+
+    /**
+     * Configures the material for the specified weighted splat pass, or restores the regular
+     * rendering if `null`.
+     * @internal
+     */
+    setSplatPass(pass: SplatPass | null) {
+        this.uniforms.splatPass.value = SPLAT_PASSES[pass ?? 'none'];
+
+        switch (pass) {
+            case 'depth':
+                this.colorWrite = false;
+                this.depthWrite = true;
+                this.blending = NoBlending;
+                break;
+            case 'accumulate':
+                this.colorWrite = true;
+                this.depthWrite = false;
+                this.blending = CustomBlending;
+                this.blendEquation = AddEquation;
+                this.blendSrc = OneFactor;
+                this.blendDst = OneFactor;
+                break;
+            default:
+                this.colorWrite = true;
+                this.depthWrite = true;
+                this.blending = this.pickingId ? NoBlending : NormalBlending;
+                break;
+        }
+    }
+
     /**
      * Creates a PointsMaterial using the specified options.
      *
@@ -383,6 +865,7 @@ class PointCloudMaterial extends ShaderMaterial {
         // Default
         this.defines = {
             INTENSITY_TYPE: 'uint',
+            POINT_SHAPE: POINT_SHAPES.circle,
         };
 
         for (const key of Object.keys(MODE)) {
@@ -392,11 +875,34 @@ class PointCloudMaterial extends ShaderMaterial {
             }
         }
 
+        for (const [key, value] of Object.entries(CLIPPING_MODES)) {
+            // @ts-expect-error same pattern as above
+            this.defines[`CLIPPING_MODE_${key.toUpperCase()}`] = value;
+        }
+
+        for (const [key, value] of Object.entries(POINT_SIZE_MODES)) {
+            // @ts-expect-error same pattern as above
+            this.defines[`POINT_SIZE_MODE_${key.toUpperCase()}`] = value;
+        }
+
+        for (const [key, value] of Object.entries(POINT_SHAPES)) {
+            // @ts-expect-error same pattern as above
+            this.defines[`POINT_SHAPE_${key.toUpperCase()}`] = value;
+        }
+
+        for (const [key, value] of Object.entries(SPLAT_PASSES)) {
+            // @ts-expect-error same pattern as above
+            this.defines[`SPLAT_PASS_${key.toUpperCase()}`] = value;
+        }
+
         this.fog = true;
         this.colorLayer = null;
         this.needsUpdate = true;
 
         this.uniforms = {
+            // The scene lights, used when lighting is enabled
+            ...UniformsUtils.clone(UniformsLib.lights),
+
             fogDensity: new Uniform(0.00025),
             fogNear: new Uniform(1),
             fogFar: new Uniform(2000),
@@ -417,6 +923,15 @@ class PointCloudMaterial extends ShaderMaterial {
                 max: this.colorMap.max,
             }),
             size: new Uniform(options.size ?? 0),
+            pointSizeMode: new Uniform(POINT_SIZE_MODES[options.pointSizeMode ?? 'fixed']),
+            minPointSize: new Uniform(2),
+            maxPointSize: new Uniform(50),
+            octreeSpacing: new Uniform(1),
+            nodeSpacing: new Uniform(1),
+            viewportHeight: new Uniform(1),
+            nodeCenter: new Uniform(new Vector3()),
+            octantSpacings: new Uniform(new Array(OCTANT_COUNT).fill(1)),
+            splatPass: new Uniform(SPLAT_PASSES.none),
             mode: new Uniform(options.mode ?? MODE.COLOR),
             pickingId: new Uniform(0),
             opacity: new Uniform(this.opacity),
@@ -425,8 +940,28 @@ class PointCloudMaterial extends ShaderMaterial {
 
             enableDeformations: new Uniform(false),
             deformations: new Uniform([]),
+
+            clippingBoxes: new Uniform([]),
+            clippingPlanes: new Uniform([]),
+            clippingPolygons: new Uniform([]),
+            clippingPolygonVertices: new Uniform(null),
+            clippingPolygonOffset: new Uniform(new Vector2()),
+            clippingHighlightColor: new Uniform(new Color()),
+
+            attributeFilterRanges: new Uniform(createOpenRanges()),
+            attributeFilterUnion: new Uniform(false),
+
+            normalDepthTexture: new Uniform(null),
+            hasNormalDepthTexture: new Uniform(false),
+            inverseProjectionMatrix: new Uniform(new Matrix4()),
+
+            deferredFog: new Uniform(false),
         };
 
+        this._pointSizeMode = options.pointSizeMode ?? 'fixed';
+        this._pointShape = options.pointShape ?? 'circle';
+        this.defines.POINT_SHAPE = POINT_SHAPES[this._pointShape];
+
         for (let i = 0; i < NUM_TRANSFO; i++) {
             this.uniforms.deformations.value.push({
                 transformation: new Matrix4(),
@@ -445,6 +980,7 @@ class PointCloudMaterial extends ShaderMaterial {
         this.dispatchEvent({
             type: 'dispose',
         });
+        this._shadowMaterial?.dispose();
         this.disposed = true;
     }
 
@@ -476,8 +1012,19 @@ class PointCloudMaterial extends ShaderMaterial {
         colorMapUniform.lut = this.colorMap.getTexture();
     }
 
-    onBeforeRender() {
+    onBeforeRender(
+        renderer: WebGLRenderer,
+        _scene: Scene,
+        camera: Camera,
+        _geometry: BufferGeometry,
+        object: Object3D,
+    ) {
         this.uniforms.opacity.value = this.opacity;
+        this.setClippingOrigin(object.matrixWorld);
+        // The viewport is expressed in physical pixels, like gl_PointSize.
+        this.uniforms.viewportHeight.value = renderer.getCurrentViewport(tmpViewport).w;
+        // Required to reconstruct the normals from the depth texture
+        this.uniforms.inverseProjectionMatrix.value.copy(camera.projectionMatrixInverse);
     }
 
     update(source?: PointCloudMaterial) {
@@ -487,6 +1034,17 @@ class PointCloudMaterial extends ShaderMaterial {
             this.transparent = source.transparent;
             this.needsUpdate = true;
             this.size = source.size;
+            this.pointSizeMode = source.pointSizeMode;
+            this.minPointSize = source.minPointSize;
+            this.maxPointSize = source.maxPointSize;
+            this.octreeSpacing = source.octreeSpacing;
+            this.nodeSpacing = source.nodeSpacing;
+            this.lights = source.lights;
+            this.setAdaptiveSizeData(
+                source.uniforms.nodeCenter.value,
+                source.uniforms.octantSpacings.value,
+            );
+            this._pointShape = source.pointShape;
             this.mode = source.mode;
             this.overlayColor.copy(source.overlayColor);
             this.classifications = source.classifications;
@@ -495,6 +1053,8 @@ class PointCloudMaterial extends ShaderMaterial {
             this.saturation = source.saturation;
             this.colorMap = source.colorMap;
             this.decimation = source.decimation;
+            this.clippingVolumes = source.clippingVolumes;
+            this.attributeFilters = source.attributeFilters;
         }
         this.updateUniforms();
         if (source) {
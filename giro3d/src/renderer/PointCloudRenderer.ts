@@ -1,9 +1,21 @@
-import type { Camera, Object3D, PerspectiveCamera, WebGLRenderer } from 'three';
+import type {
+    Camera,
+    Fog,
+    FogExp2,
+    Material,
+    Object3D,
+    PerspectiveCamera,
+    Points,
+    WebGLRenderer,
+} from 'three';
 import {
     BufferGeometry,
+    Color,
     DepthTexture,
     Float32BufferAttribute,
     FloatType,
+    HalfFloatType,
+    MathUtils,
     Matrix4,
     Mesh,
     NearestFilter,
@@ -16,6 +28,8 @@ import {
     WebGLRenderTarget,
 } from 'three';
 import { isOrthographicCamera, isPerspectiveCamera } from '../utils/predicates';
+import { nonNull } from '../utils/tsutils';
+import PointCloudMaterial from './PointCloudMaterial';
 // @ts-ignore
 import BasicVS from './shader/BasicVS.glsl';
 // @ts-ignore
@@ -25,36 +39,101 @@ import EDLPassTwoFS from './shader/pointcloud/EDLPassTwoFS.glsl';
 // @ts-ignore
 import EDLPassZeroFS from './shader/pointcloud/EDLPassZeroFS.glsl';
 // @ts-ignore
+import FogFS from './shader/pointcloud/FogFS.glsl';
+// @ts-ignore
 import InpaintingFS from './shader/pointcloud/InpaintingFS.glsl';
 // @ts-ignore
 import OcclusionFS from './shader/pointcloud/OcclusionFS.glsl';
+// @ts-ignore
+import SplatResolveFS from './shader/pointcloud/SplatResolveFS.glsl';
 
 const RT = {
     FULL_RES_0: 0,
     FULL_RES_1: 1,
-    EDL_VALUES: 2,
-    EDL_ZERO: 3,
 };
 
-interface Stage<TParams = unknown> {
+/**
+ * The names of the built-in post-processing stages, in their default order.
+ */
+export const BUILTIN_STAGES = ['occlusion', 'inpainting', 'edl'] as const;
+
+/**
+ * Describes an intermediate render target required by a {@link PointCloudRenderStage}.
+ * The render target is allocated by the {@link PointCloudRenderer}, with the same size as the
+ * stage input.
+ */
+export interface StageRenderTargetDescriptor {
+    /** Does the render target need a depth buffer (and depth texture) ? */
+    depthBuffer: boolean;
+}
+
+/**
+ * A post-processing stage of the {@link PointCloudRenderer}.
+ *
+ * A stage is made of one or more passes, each pass being a full-screen quad rendered with a
+ * {@link ShaderMaterial}. The {@link setup} function is called before each pass to update the
+ * material uniforms and select the output of the pass. By default, the output of the last pass
+ * of a stage is the input of the next stage.
+ *
+ * ```ts
+ * const grading: PointCloudRenderStage<{ gamma: number }> = {
+ *     name: 'grading',
+ *     enabled: true,
+ *     passes: [new ShaderMaterial({ ... })],
+ *     parameters: { gamma: 2.2 },
+ *     setup({ input }) {
+ *         const material = this.passes[0];
+ *         material.uniforms.colorTexture.value = input.texture;
+ *         material.uniforms.depthTexture.value = input.depthTexture;
+ *         material.uniforms.gamma.value = this.parameters.gamma;
+ *         return { material };
+ *     },
+ * };
+ *
+ * instance.renderingOptions.pointCloudStages.push(grading);
+ * ```
+ */
+export interface PointCloudRenderStage<TParams = unknown> {
+    /** The unique name of this stage. */
+    name: string;
     /** The render passes of this stage. */
     passes: ShaderMaterial[];
     /** The parameters of this stage. */
     parameters: TParams;
     /** Is the stage enabled ? */
     enabled: boolean;
+    /**
+     * The intermediate render targets required by this stage, by name. They are provided to
+     * {@link setup} in the `targets` argument.
+     */
+    renderTargets?: Record<string, StageRenderTargetDescriptor>;
+    /**
+     * Returns the number of times the stage is applied in a row.
+     * @defaultValue 1
+     */
+    getIterations?: () => number;
     /** The setup function. */
     setup: (args: {
+        /** The output of the previous stage. */
         input: WebGLRenderTarget;
-        targets: WebGLRenderTarget[];
+        /** The intermediate render targets declared in {@link renderTargets}. */
+        targets: Record<string, WebGLRenderTarget>;
         passIdx: number;
         camera: PerspectiveCamera | OrthographicCamera;
+        /**
+         * Is the depth buffer logarithmic ? In this case, the depth written by perspective
+         * cameras must be decoded with `logarithmicDepthToViewZ()`
+         * (see the `giro3d_depth_pars_fragment` shader chunk).
+         */
+        logarithmicDepth: boolean;
     }) => {
         material?: ShaderMaterial;
         output?: WebGLRenderTarget;
     };
 }
 
+type Stage<TParams = unknown> = PointCloudRenderStage<TParams>;
+
 interface EdlParams {
     /** distance to neighbours pixels */
     radius: number;
@@ -64,8 +143,17 @@ interface EdlParams {
     directions: number;
     /** how many neighbours per direction */
     n: number;
+    /** the opacity of the EDL shading, from 0 (no shading) to 1 (full shading) */
+    opacity: number;
+    /** the color of shaded pixels */
+    color: Color;
 }
 
+/** The maximum number of EDL directions supported by the shader. */
+export const EDL_MAX_DIRECTIONS = 16;
+/** The maximum number of EDL neighbours per direction supported by the shader. */
+export const EDL_MAX_NEIGHBOURS = 4;
+
 interface OcclusionParams {
     /** pixel suppression threshold */
     threshold: number;
@@ -83,8 +171,45 @@ interface InpaintingParams {
     zAttMax: number;
 }
 
+interface FogParams {
+    /** The fog of the rendered scene. */
+    fog: Fog | FogExp2 | null;
+}
+
+/**
+ * Collects the visible materials of the scene, separating the point cloud materials that use
+ * weighted splats from the other materials.
+ */
+function collectMaterials(scene: Object3D, splats: PointCloudMaterial[], others: Material[]) {
+    scene.traverseVisible(obj => {
+        const material = (obj as Points).material;
+        if (material == null || Array.isArray(material) || !material.visible) {
+            return;
+        }
+        if (PointCloudMaterial.isPointCloudMaterial(material) && material.splatting) {
+            splats.push(material);
+        } else {
+            others.push(material);
+        }
+    });
+}
+
+const tmpSplatMaterials: PointCloudMaterial[] = [];
+const tmpOtherMaterials: Material[] = [];
+const tmpPointCloudMaterials: PointCloudMaterial[] = [];
+const tmpLitMaterials: PointCloudMaterial[] = [];
+
 /**
  * A post-processing renderer that adds effects to point clouds.
+ *
+ * Point clouds whose material uses weighted splats (see {@link PointCloudMaterial.splatting})
+ * are rendered during the classic stage in three passes: a depth pre-pass, an accumulation
+ * pass that blends the splats close to the visible surface, and a resolve pass that normalizes
+ * the accumulated colors. The output of the classic stage is a regular color and depth buffer,
+ * so that the following stages (e.g EDL and inpainting) apply to splats as well.
+ *
+ * Point clouds that are lit (see {@link PointCloudMaterial.lighting}) but do not provide normals
+ * require a depth pre-pass of the point clouds, used to reconstruct the normals in screen space.
  */
 class PointCloudRenderer {
     scene: Scene;
@@ -94,9 +219,26 @@ class PointCloudRenderer {
     edl: Stage<EdlParams>;
     occlusion: Stage<OcclusionParams>;
     inpainting: Stage<InpaintingParams>;
+    /**
+     * The scene fog. This stage is always applied last, so that the other stages process the
+     * colors of the points without fog.
+     */
+    fog: Stage<FogParams>;
     renderer: WebGLRenderer;
     renderTargets: WebGLRenderTarget[] | null;
 
+    /** The ordered post-processing stages, applied after the classic stage. */
+    private readonly _stages: Stage[];
+    /** The intermediate render targets of each stage, by stage name. */
+    private readonly _stageTargets: Map<string, Record<string, WebGLRenderTarget>> = new Map();
+    /** The material that normalizes the accumulated splats. */
+    private readonly _splatResolve: ShaderMaterial;
+    /** The target of the splat depth and accumulation passes. */
+    private _splatTarget: WebGLRenderTarget | null = null;
+    private _normalDepthTarget: WebGLRenderTarget | null = null;
+    /** Is the fog applied by the fog stage rather than by the point cloud materials ? */
+    private _deferFog = false;
+
     /**
      * Creates a point cloud renderer.
      *
@@ -120,6 +262,7 @@ class PointCloudRenderer {
         this.camera = new OrthographicCamera(0, 1, 1, 0, 0, 10);
 
         this.classic = {
+            name: 'classic',
             // FIXME
             // @ts-expect-error undefined is not allowed
             passes: [undefined],
@@ -135,6 +278,7 @@ class PointCloudRenderer {
         //    - https://tel.archives-ouvertes.fr/tel-00438464/document
         //    - Potree (https://github.com/potree/potree/)
         this.edl = {
+            name: 'edl',
             passes: [
                 new ShaderMaterial({
                     uniforms: {
@@ -154,6 +298,8 @@ class PointCloudRenderer {
                         resolution: { value: new Vector2(256, 256) },
                         cameraNear: { value: 0.01 },
                         cameraFar: { value: 100 },
+                        orthographic: { value: false },
+                        logarithmicDepth: { value: false },
                         radius: { value: 0 },
                         strength: { value: 0 },
                         directions: { value: 0 },
@@ -174,6 +320,7 @@ class PointCloudRenderer {
                         textureColor: { value: null },
                         textureEDL: { value: null },
                         opacity: { value: 1.0 },
+                        edlColor: { value: new Color(0, 0, 0) },
                     },
                     transparent: true,
                     blending: NormalBlending,
@@ -182,35 +329,53 @@ class PointCloudRenderer {
                 }),
             ],
             enabled: true,
+            renderTargets: {
+                zero: { depthBuffer: true },
+                values: { depthBuffer: false },
+            },
             // EDL tuning
             parameters: {
                 radius: 1.5,
                 strength: 0.7,
                 directions: 8,
                 n: 1,
+                opacity: 1,
+                color: new Color(0, 0, 0),
             },
-            setup({ targets, input, passIdx, camera }) {
+            setup({ targets, input, passIdx, camera, logarithmicDepth }) {
                 const m = this.passes[passIdx];
                 const uniforms = m.uniforms;
                 if (passIdx === 0) {
                     // scale down depth texture
                     uniforms.depthTexture.value = input.depthTexture;
-                    return { material: m, output: targets[RT.EDL_ZERO] };
+                    return { material: m, output: targets.zero };
                 }
                 if (passIdx === 1) {
-                    uniforms.depthTexture.value = targets[RT.EDL_ZERO].depthTexture;
+                    uniforms.depthTexture.value = targets.zero.depthTexture;
                     uniforms.resolution.value.set(input.width, input.height);
                     uniforms.cameraNear.value = camera.near;
                     uniforms.cameraFar.value = camera.far;
+                    uniforms.orthographic.value = isOrthographicCamera(camera);
+                    uniforms.logarithmicDepth.value = logarithmicDepth;
                     uniforms.radius.value = this.parameters.radius;
                     uniforms.strength.value = this.parameters.strength;
-                    uniforms.directions.value = this.parameters.directions;
-                    uniforms.n.value = this.parameters.n;
-                    return { material: m, output: targets[RT.EDL_VALUES] };
+                    uniforms.directions.value = MathUtils.clamp(
+                        Math.round(this.parameters.directions),
+                        1,
+                        EDL_MAX_DIRECTIONS,
+                    );
+                    uniforms.n.value = MathUtils.clamp(
+                        Math.round(this.parameters.n),
+                        1,
+                        EDL_MAX_NEIGHBOURS,
+                    );
+                    return { material: m, output: targets.values };
                 }
                 uniforms.textureColor.value = input.texture;
-                uniforms.textureEDL.value = targets[RT.EDL_VALUES].texture;
+                uniforms.textureEDL.value = targets.values.texture;
                 uniforms.depthTexture.value = input.depthTexture;
+                uniforms.opacity.value = this.parameters.opacity;
+                uniforms.edlColor.value.copy(this.parameters.color);
 
                 return { material: m };
             },
@@ -219,6 +384,7 @@ class PointCloudRenderer {
         // Screen-space occlusion
         // References: http://www.crs4.it/vic/data/papers/vast2011-pbr.pdf
         this.occlusion = {
+            name: 'occlusion',
             passes: [
                 // EDL 1st pass material
                 // This pass is writing a single value per pixel, describing the depth
@@ -227,10 +393,11 @@ class PointCloudRenderer {
                     uniforms: {
                         depthTexture: { value: null },
                         colorTexture: { value: null },
-                        m43: { value: 0 },
-                        m33: { value: 0 },
                         resolution: { value: new Vector2(256, 256) },
                         invPersMatrix: { value: new Matrix4() },
+                        cameraFar: { value: 100 },
+                        orthographic: { value: false },
+                        logarithmicDepth: { value: false },
                         threshold: { value: 0 },
                         showRemoved: { value: false },
                     },
@@ -246,21 +413,16 @@ class PointCloudRenderer {
                 threshold: 0.9,
                 showRemoved: false,
             },
-            setup({ input, camera }) {
+            setup({ input, camera, logarithmicDepth }) {
                 const m = this.passes[0];
-                const n = camera.near;
-                const f = camera.far;
-                const m43 = -(2 * f * n) / (f - n);
-                const m33 = -(f + n) / (f - n);
-                const mat = new Matrix4();
-                mat.copy(camera.projectionMatrix).invert();
 
                 const mU = m.uniforms;
                 mU.colorTexture.value = input.texture;
                 mU.depthTexture.value = input.depthTexture;
                 mU.resolution.value.set(input.width, input.height);
-                mU.m43.value = m43;
-                mU.m33.value = m33;
+                mU.cameraFar.value = camera.far;
+                mU.orthographic.value = isOrthographicCamera(camera);
+                mU.logarithmicDepth.value = logarithmicDepth;
                 mU.threshold.value = this.parameters.threshold;
                 mU.showRemoved.value = this.parameters.showRemoved;
                 mU.invPersMatrix.value.copy(camera.projectionMatrix).invert();
@@ -272,6 +434,7 @@ class PointCloudRenderer {
         // Screen-space filling
         // References: http://www.crs4.it/vic/data/papers/vast2011-pbr.pdf
         this.inpainting = {
+            name: 'inpainting',
             passes: [
                 // Inpainting material
                 new ShaderMaterial({
@@ -281,8 +444,10 @@ class PointCloudRenderer {
                         resolution: { value: new Vector2(256, 256) },
                         depth_contrib: { value: 0.5 },
                         opacity: { value: 1.0 },
-                        m43: { value: 0 },
-                        m33: { value: 0 },
+                        invPersMatrix: { value: new Matrix4() },
+                        cameraFar: { value: 100 },
+                        orthographic: { value: false },
+                        logarithmicDepth: { value: false },
                         enableZAttenuation: { value: false },
                         zAttMax: { value: 0 },
                         zAttMin: { value: 0 },
@@ -302,15 +467,16 @@ class PointCloudRenderer {
                 zAttMin: 10,
                 zAttMax: 100,
             },
-            setup({ input, camera }) {
+            getIterations() {
+                return this.parameters.fill_steps;
+            },
+            setup({ input, camera, logarithmicDepth }) {
                 const m = this.passes[0];
-                const n = camera.near;
-                const f = camera.far;
-                const m43 = -(2 * f * n) / (f - n);
-                const m33 = -(f + n) / (f - n);
 
-                m.uniforms.m43.value = m43;
-                m.uniforms.m33.value = m33;
+                m.uniforms.invPersMatrix.value.copy(camera.projectionMatrix).invert();
+                m.uniforms.cameraFar.value = camera.far;
+                m.uniforms.orthographic.value = isOrthographicCamera(camera);
+                m.uniforms.logarithmicDepth.value = logarithmicDepth;
 
                 m.uniforms.colorTexture.value = input.texture;
                 m.uniforms.depthTexture.value = input.depthTexture;
@@ -324,8 +490,219 @@ class PointCloudRenderer {
             },
         };
 
+        // Scene fog, applied from the depth buffer, so that it also applies to
+        // inpainted pixels and attenuates the EDL shading.
+        this.fog = {
+            name: 'fog',
+            passes: [
+                new ShaderMaterial({
+                    uniforms: {
+                        depthTexture: { value: null },
+                        colorTexture: { value: null },
+                        inverseProjectionMatrix: { value: new Matrix4() },
+                        cameraFar: { value: 100 },
+                        orthographic: { value: false },
+                        logarithmicDepth: { value: false },
+                        fogColor: { value: new Color() },
+                        fogExp2: { value: false },
+                        fogNear: { value: 1 },
+                        fogFar: { value: 1000 },
+                        fogDensity: { value: 0.00025 },
+                    },
+                    transparent: true,
+                    blending: NormalBlending,
+                    vertexShader: BasicVS,
+                    fragmentShader: FogFS,
+                }),
+            ],
+            enabled: false,
+            parameters: {
+                fog: null,
+            },
+            setup({ input, camera, logarithmicDepth }) {
+                const m = this.passes[0];
+                const uniforms = m.uniforms;
+                const fog = nonNull(this.parameters.fog);
+
+                uniforms.colorTexture.value = input.texture;
+                uniforms.depthTexture.value = input.depthTexture;
+                uniforms.inverseProjectionMatrix.value.copy(camera.projectionMatrixInverse);
+                uniforms.cameraFar.value = camera.far;
+                uniforms.orthographic.value = isOrthographicCamera(camera);
+                uniforms.logarithmicDepth.value = logarithmicDepth;
+                uniforms.fogColor.value.copy(fog.color);
+                if ('isFogExp2' in fog) {
+                    uniforms.fogExp2.value = true;
+                    uniforms.fogDensity.value = fog.density;
+                } else {
+                    uniforms.fogExp2.value = false;
+                    uniforms.fogNear.value = fog.near;
+                    uniforms.fogFar.value = fog.far;
+                }
+
+                return { material: m };
+            },
+        };
+
         this.renderer = webGLRenderer;
         this.renderTargets = null;
+
+        this._stages = [this.occlusion, this.inpainting, this.edl] as Stage[];
+
+        this._splatResolve = new ShaderMaterial({
+            uniforms: {
+                colorTexture: { value: null },
+                depthTexture: { value: null },
+            },
+            transparent: true,
+            blending: NormalBlending,
+            vertexShader: BasicVS,
+            fragmentShader: SplatResolveFS,
+        });
+    }
+
+    /**
+     * Returns the ordered list of post-processing stages, including disabled stages.
+     *
+     * Note: the classic stage (i.e the regular rendering of the point clouds) is not part
+     * of this list, as it is always the first stage.
+     */
+    getStages(): Readonly<Stage[]> {
+        return this._stages;
+    }
+
+    /**
+     * Returns the stage with the given name, if any.
+     *
+     * @param name - The name of the stage.
+     */
+    getStage(name: string): Stage | undefined {
+        return this._stages.find(s => s.name === name);
+    }
+
+    /**
+     * Registers a new post-processing stage.
+     *
+     * @param stage - The stage to add.
+     * @param options - The position of the stage. If unspecified, the stage is added last.
+     * @throws If a stage with the same name is already registered, or if the stage specified in
+     * `before` or `after` is not registered.
+     */
+    addStage(stage: Stage, options?: { before?: string; after?: string }) {
+        if (this.getStage(stage.name) != null) {
+            throw new Error(`a stage named '${stage.name}' is already registered`);
+        }
+
+        const anchor = options?.before ?? options?.after;
+        if (anchor != null) {
+            const index = this._stages.findIndex(s => s.name === anchor);
+            if (index === -1) {
+                throw new Error(`no stage named '${anchor}'`);
+            }
+            this._stages.splice(options?.before != null ? index : index + 1, 0, stage);
+        } else {
+            this._stages.push(stage);
+        }
+    }
+
+    /**
+     * Unregisters a post-processing stage and releases its render targets.
+     *
+     * Note: built-in stages cannot be removed, but can be disabled.
+     *
+     * @param name - The name of the stage to remove.
+     * @returns `true` if the stage was removed.
+     */
+    removeStage(name: string): boolean {
+        if ((BUILTIN_STAGES as Readonly<string[]>).includes(name)) {
+            throw new Error(`cannot remove built-in stage '${name}'`);
+        }
+
+        const index = this._stages.findIndex(s => s.name === name);
+        if (index === -1) {
+            return false;
+        }
+
+        this._stages.splice(index, 1);
+        this.disposeStageTargets(name);
+
+        return true;
+    }
+
+    /**
+     * Reorders the post-processing stages. Stages that are not present in the list keep their
+     * relative order and are applied after the listed stages.
+     *
+     * @param names - The ordered stage names.
+     */
+    setStageOrder(names: Readonly<string[]>) {
+        const rank = (stage: Stage) => {
+            const i = names.indexOf(stage.name);
+            return i === -1 ? names.length : i;
+        };
+
+        // Note: Array.sort() is stable, so unlisted stages keep their relative order.
+        this._stages.sort((a, b) => rank(a) - rank(b));
+    }
+
+    /**
+     * Synchronizes the custom stages with the specified list: stages that are not registered yet
+     * are added, and custom stages that are no longer in the list are removed. Then the order is
+     * applied, if any.
+     *
+     * @param stages - The custom stages.
+     * @param order - The optional stage order. See {@link setStageOrder}.
+     */
+    updateCustomStages(stages: Readonly<Stage[]>, order: Readonly<string[]> | null) {
+        for (const stage of [...this._stages]) {
+            const isBuiltin = (BUILTIN_STAGES as Readonly<string[]>).includes(stage.name);
+            if (!isBuiltin && !stages.includes(stage)) {
+                this.removeStage(stage.name);
+            }
+        }
+
+        for (const stage of stages) {
+            const existing = this.getStage(stage.name);
+            if (existing == null) {
+                this.addStage(stage);
+            } else if (existing !== stage) {
+                throw new Error(`a stage named '${stage.name}' is already registered`);
+            }
+        }
+
+        if (order != null) {
+            this.setStageOrder(order);
+        }
+    }
+
+    private disposeStageTargets(name: string) {
+        const targets = this._stageTargets.get(name);
+        if (targets) {
+            Object.values(targets).forEach(t => t.dispose());
+            this._stageTargets.delete(name);
+        }
+    }
+
+    private getStageTargets(stage: Stage, width: number, height: number) {
+        const descriptors = stage.renderTargets;
+        if (descriptors == null) {
+            return {};
+        }
+
+        let targets = this._stageTargets.get(stage.name);
+
+        const first = targets != null ? Object.values(targets)[0] : undefined;
+        if (targets == null || (first && (first.width !== width || first.height !== height))) {
+            this.disposeStageTargets(stage.name);
+
+            targets = {};
+            for (const [key, desc] of Object.entries(descriptors)) {
+                targets[key] = this.createRenderTarget(width, height, desc.depthBuffer);
+            }
+            this._stageTargets.set(stage.name, targets);
+        }
+
+        return targets;
     }
 
     updateRenderTargets(renderTarget: WebGLRenderTarget) {
@@ -357,13 +734,208 @@ class PointCloudRenderer {
         });
     }
 
+    private getSplatTarget(width: number, height: number) {
+        let target = this._splatTarget;
+
+        if (target != null && (target.width !== width || target.height !== height)) {
+            target.dispose();
+            target = null;
+        }
+
+        if (target == null) {
+            // The accumulated colors and weights exceed the [0, 1] range.
+            target = new WebGLRenderTarget(width, height, {
+                format: RGBAFormat,
+                type: HalfFloatType,
+                depthBuffer: true,
+                stencilBuffer: false,
+                generateMipmaps: false,
+                minFilter: NearestFilter,
+                magFilter: NearestFilter,
+                depthTexture: new DepthTexture(width, height, FloatType),
+            });
+            this._splatTarget = target;
+        }
+
+        return target;
+    }
+
+    private getNormalDepthTarget(width: number, height: number) {
+        let target = this._normalDepthTarget;
+
+        if (target != null && (target.width !== width || target.height !== height)) {
+            target.dispose();
+            target = null;
+        }
+
+        if (target == null) {
+            // Only the depth texture is used.
+            target = new WebGLRenderTarget(width, height, {
+                format: RGBAFormat,
+                depthBuffer: true,
+                stencilBuffer: false,
+                generateMipmaps: false,
+                minFilter: NearestFilter,
+                magFilter: NearestFilter,
+                depthTexture: new DepthTexture(width, height, FloatType),
+            });
+            this._normalDepthTarget = target;
+        }
+
+        return target;
+    }
+
+    /**
+     * Renders the depth of the point clouds, then provides it to the lit materials so that they
+     * can reconstruct their normals.
+     */
+    private renderNormalDepth(
+        scene: Object3D,
+        camera: Camera,
+        output: WebGLRenderTarget | null,
+        width: number,
+        height: number,
+    ) {
+        const r = this.renderer;
+        const pointClouds = tmpPointCloudMaterials;
+        const others = tmpOtherMaterials;
+
+        others.forEach(m => (m.visible = false));
+        pointClouds.forEach(m => {
+            m.visible = true;
+            m.setSplatPass('depth');
+        });
+
+        const target = this.getNormalDepthTarget(width, height);
+        r.setRenderTarget(target);
+        r.clear();
+        r.setViewport(0, 0, width, height);
+        r.render(scene, camera);
+
+        pointClouds.forEach(m => m.setSplatPass(null));
+        others.forEach(m => (m.visible = true));
+
+        r.setRenderTarget(output);
+        r.setViewport(0, 0, width, height);
+
+        tmpLitMaterials.forEach(m => m.setNormalDepthTexture(target.depthTexture));
+    }
+
+    /**
+     * Renders the point clouds of the classic stage into the current render target, including
+     * the point clouds that use weighted splats.
+     */
+    private renderClassic(
+        scene: Object3D,
+        camera: Camera,
+        output: WebGLRenderTarget | null,
+        width: number,
+        height: number,
+    ) {
+        const splats = tmpSplatMaterials;
+        const others = tmpOtherMaterials;
+        const pointClouds = tmpPointCloudMaterials;
+        const lit = tmpLitMaterials;
+
+        splats.length = 0;
+        others.length = 0;
+        collectMaterials(scene, splats, others);
+
+        // The depth pre-pass renders all point clouds, including splats, and nothing else.
+        pointClouds.length = 0;
+        lit.length = 0;
+        for (let i = others.length - 1; i >= 0; i--) {
+            const m = others[i];
+            if (PointCloudMaterial.isPointCloudMaterial(m)) {
+                pointClouds.push(m);
+                others.splice(i, 1);
+            }
+        }
+        const nonSplats = pointClouds.length;
+        pointClouds.push(...splats);
+        pointClouds.forEach(m => {
+            if (m.lighting && !m.hasNormals) {
+                lit.push(m);
+            }
+            m.setDeferredFog(this._deferFog);
+        });
+
+        if (lit.length > 0) {
+            this.renderNormalDepth(scene, camera, output, width, height);
+        }
+
+        for (let i = 0; i < nonSplats; i++) {
+            others.push(pointClouds[i]);
+        }
+        this.renderPoints(scene, camera, output, width, height);
+
+        lit.forEach(m => m.setNormalDepthTexture(null));
+        pointClouds.forEach(m => m.setDeferredFog(false));
+
+        splats.length = 0;
+        others.length = 0;
+        pointClouds.length = 0;
+        lit.length = 0;
+    }
+
+    /**
+     * Renders the collected materials, using weighted splats if required.
+     */
+    private renderPoints(
+        scene: Object3D,
+        camera: Camera,
+        output: WebGLRenderTarget | null,
+        width: number,
+        height: number,
+    ) {
+        const r = this.renderer;
+        const splats = tmpSplatMaterials;
+        const others = tmpOtherMaterials;
+
+        if (splats.length === 0) {
+            r.render(scene, camera);
+            return;
+        }
+
+        // Regular points first
+        splats.forEach(m => (m.visible = false));
+        r.render(scene, camera);
+
+        // Then splats only, in a separate target
+        others.forEach(m => (m.visible = false));
+        splats.forEach(m => (m.visible = true));
+
+        const splatTarget = this.getSplatTarget(width, height);
+        r.setRenderTarget(splatTarget);
+        r.clear();
+        r.setViewport(0, 0, width, height);
+
+        splats.forEach(m => m.setSplatPass('depth'));
+        r.render(scene, camera);
+
+        splats.forEach(m => m.setSplatPass('accumulate'));
+        r.render(scene, camera);
+
+        splats.forEach(m => m.setSplatPass(null));
+        others.forEach(m => (m.visible = true));
+
+        // Finally, compose the normalized splats with the regular points, using the depth test
+        // so that splats and regular points occlude each other.
+        const resolve = this._splatResolve;
+        resolve.uniforms.colorTexture.value = splatTarget.texture;
+        resolve.uniforms.depthTexture.value = splatTarget.depthTexture;
+
+        r.setRenderTarget(output);
+        r.setViewport(0, 0, width, height);
+        this.mesh.material = resolve;
+        r.render(this.scene, this.camera);
+    }
+
     createRenderTargets(width: number, height: number) {
         const renderTargets = [];
 
         renderTargets.push(this.createRenderTarget(width, height, true));
         renderTargets.push(this.createRenderTarget(width, height, true));
-        renderTargets.push(this.createRenderTarget(width, height, false));
-        renderTargets.push(this.createRenderTarget(width, height, true));
 
         return renderTargets;
     }
@@ -381,20 +953,22 @@ class PointCloudRenderer {
 
         stages.push(this.classic);
 
-        // EDL requires far & near properties on Camera, which may not exist
-        const cameraHasFarNear = 'far' in camera && 'near' in camera;
-
-        if (this.occlusion.enabled && cameraHasFarNear) {
-            stages.push(this.occlusion);
-        }
-        if (this.inpainting.enabled && cameraHasFarNear) {
-            const fill_steps = this.inpainting.parameters.fill_steps as number;
-            for (let i = 0; i < fill_steps; i++) {
-                stages.push(this.inpainting);
+        for (const stage of this._stages) {
+            if (stage.enabled) {
+                const iterations = stage.getIterations?.() ?? 1;
+                for (let i = 0; i < iterations; i++) {
+                    stages.push(stage);
+                }
             }
         }
-        if (this.edl.enabled && cameraHasFarNear) {
-            stages.push(this.edl);
+
+        // Without post-processing, the point cloud materials apply the fog themselves.
+        const fog = (scene as Scene).fog ?? null;
+        this.fog.parameters.fog = fog;
+        this.fog.enabled = fog != null && stages.length > 1;
+        this._deferFog = this.fog.enabled;
+        if (this.fog.enabled) {
+            stages.push(this.fog);
         }
 
         const oldClearAlpha = r.getClearAlpha();
@@ -410,10 +984,15 @@ class PointCloudRenderer {
                 // prepare stage
                 // eslint-disable-next-line prefer-const
                 let { material, output } = stage.setup({
-                    targets,
+                    targets: this.getStageTargets(
+                        stage,
+                        targets[previousStageOutput].width,
+                        targets[previousStageOutput].height,
+                    ),
                     input: targets[previousStageOutput],
                     passIdx: j,
                     camera,
+                    logarithmicDepth: r.capabilities.logarithmicDepthBuffer,
                 });
 
                 // if last stage -> override output (draw to screen)
@@ -446,7 +1025,13 @@ class PointCloudRenderer {
                     this.mesh.material = material;
                     r.render(this.scene, this.camera);
                 } else {
-                    r.render(scene, camera);
+                    this.renderClassic(
+                        scene,
+                        camera,
+                        output,
+                        targets[previousStageOutput].width,
+                        targets[previousStageOutput].height,
+                    );
                 }
             }
             previousStageOutput = stageOutput;
@@ -460,6 +1045,14 @@ class PointCloudRenderer {
             this.renderTargets.forEach(t => t.dispose());
             this.renderTargets.length = 0;
         }
+        for (const name of [...this._stageTargets.keys()]) {
+            this.disposeStageTargets(name);
+        }
+        this._splatTarget?.dispose();
+        this._splatTarget = null;
+        this._normalDepthTarget?.dispose();
+        this._normalDepthTarget = null;
+        this._splatResolve.dispose();
     }
 }
 
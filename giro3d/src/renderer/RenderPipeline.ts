@@ -1,21 +1,39 @@
-import {BlendFunction, EffectComposer, EffectPass, OutlineEffect, ShaderPass} from 'postprocessing';
 import {
+    BlendFunction,
+    EffectComposer,
+    EffectPass,
+    OutlineEffect,
+    ShaderPass,
+} from 'postprocessing';
+import {
+    AlwaysDepth,
     Camera,
     Color,
     DepthTexture,
     FloatType,
     Material,
+    Matrix4,
     NearestFilter,
-    Object3D, Raycaster,
+    Object3D,
+    OrthographicCamera,
+    PerspectiveCamera,
     Scene,
-    ShaderMaterial, Vector2,
+    ShaderMaterial,
+    Vector4,
     WebGLRenderer,
-    WebGLRenderTarget
+    WebGLRenderTarget,
 } from 'three';
 
 import type PointCloud from '../core/PointCloud';
+import type Selection from '../core/Selection';
+import type Entity3D from '../entities/Entity3D';
+import { isOrthographicCamera } from '../utils/predicates';
 import PointCloudRenderer from './PointCloudRenderer';
 import type RenderingOptions from './RenderingOptions';
+// @ts-ignore
+import BasicVS from './shader/BasicVS.glsl';
+// @ts-ignore
+import HeightFogFS from './shader/HeightFogFS.glsl';
 
 const BUCKETS = {
     OPAQUE: 0,
@@ -32,6 +50,49 @@ type Object3DWithMaterial = Object3D & {
 
 const currentClearColor = new Color();
 const tmpColor = new Color();
+const tmpVec4 = new Vector4();
+
+/** The object layers used by the outline effects. */
+const SELECTED_LAYER = 10;
+const HOVERED_LAYER = 11;
+
+function createOutlineEffect(
+    scene: Scene,
+    camera: Camera,
+    renderer: WebGLRenderer,
+    layer: number,
+): OutlineEffect {
+    const effect = new OutlineEffect(scene, camera, {
+        blendFunction: BlendFunction.ADD,
+        multisampling: Math.min(4, renderer.capabilities.maxSamples),
+        edgeStrength: 10,
+        pulseSpeed: 0.0,
+        visibleEdgeColor: 0xffffff,
+        hiddenEdgeColor: 0x22090a,
+        height: 480,
+        blur: false,
+        xRay: true,
+    });
+
+    effect.selection.layer = layer;
+
+    return effect;
+}
+
+function updateOutlineEffect(
+    effect: OutlineEffect,
+    objects: Object3D[],
+    visibleEdgeColor: Color,
+    selection: Selection,
+) {
+    effect.selection.set(objects);
+    effect.visibleEdgeColor.copy(visibleEdgeColor);
+    effect.hiddenEdgeColor.copy(selection.hiddenEdgeColor);
+    effect.edgeStrength = selection.edgeStrength;
+    if (effect.xRay !== selection.xRay) {
+        effect.xRay = selection.xRay;
+    }
+}
 
 /**
  * @param meshes - The meshes to update.
@@ -43,6 +104,74 @@ function setVisibility(meshes: Object3DWithMaterial[], visible: boolean) {
     }
 }
 
+function createHeightFogMaterial() {
+    return new ShaderMaterial({
+        uniforms: {
+            inputBuffer: { value: null },
+            depthTexture: { value: null },
+            inverseProjectionMatrix: { value: new Matrix4() },
+            cameraWorldMatrix: { value: new Matrix4() },
+            orthographic: { value: false },
+            logarithmicDepth: { value: false },
+            cameraFar: { value: 100 },
+            fogColor: { value: new Color() },
+            fogDensity: { value: 0 },
+            fogFalloff: { value: 0 },
+            fogBaseHeight: { value: 0 },
+        },
+        vertexShader: BasicVS,
+        fragmentShader: HeightFogFS,
+    });
+}
+
+/**
+ * The final pass when rendering into a render target instead of the canvas.
+ * It copies the final image, as well as the depth of the scene.
+ */
+class OutputPass extends ShaderPass {
+    /** The render target to render into. */
+    target: WebGLRenderTarget | null = null;
+
+    constructor() {
+        super(
+            new ShaderMaterial({
+                uniforms: {
+                    inputBuffer: { value: null },
+                    depthTexture: { value: null },
+                },
+                depthTest: true,
+                depthWrite: true,
+                depthFunc: AlwaysDepth,
+                vertexShader: BasicVS,
+                fragmentShader: `
+                uniform sampler2D inputBuffer;
+                uniform sampler2D depthTexture;
+                varying vec2 vUv;
+                void main() {
+                    gl_FragColor = texture2D(inputBuffer, vUv);
+                    gl_FragDepth = texture2D(depthTexture, vUv).x;
+                }
+            `,
+            }),
+        );
+        this.needsSwap = false;
+    }
+
+    set depthTexture(texture: DepthTexture | null) {
+        (this.fullscreenMaterial as ShaderMaterial).uniforms.depthTexture.value = texture;
+    }
+
+    render(
+        renderer: WebGLRenderer,
+        inputBuffer: WebGLRenderTarget | null,
+        outputBuffer: WebGLRenderTarget | null,
+        deltaTime?: number,
+        stencilTest?: boolean,
+    ) {
+        super.render(renderer, inputBuffer, this.target ?? outputBuffer, deltaTime, stencilTest);
+    }
+}
+
 function clear(renderer: WebGLRenderer) {
     // Since our render target is in linear color space, we need to convert
     // the current clear color (that is expected to be in sRGB).
@@ -66,18 +195,21 @@ export default class RenderPipeline {
     buckets: Object3DWithMaterial[][];
     sceneRenderTarget: WebGLRenderTarget | null;
     effectComposer!: EffectComposer;
-    outlineEffect?: OutlineEffect;
+    /** The outline of the selected objects. */
+    selectedOutline?: OutlineEffect;
+    /** The outline of the hovered object. */
+    hoveredOutline?: OutlineEffect;
     pointCloudRenderer?: PointCloudRenderer;
     scene: Scene;
     camera: Camera;
-    private selectedObjects: any[];
-    private raycaster: Raycaster;
-    private readonly mouse: Vector2;
+    private _outlinePass?: EffectPass;
+    private _heightFogPass?: ShaderPass;
+    private _outputPass?: OutputPass;
 
     /**
      * @param renderer - The WebGL renderer.
-     * @param scene
-     * @param camera
+     * @param scene - The scene.
+     * @param camera - The camera.
      */
     constructor(renderer: WebGLRenderer, scene: Scene, camera: Camera) {
         this.renderer = renderer;
@@ -86,23 +218,6 @@ export default class RenderPipeline {
         this.buckets = [[], [], []];
 
         this.sceneRenderTarget = null;
-
-        this.selectedObjects = [];
-        this.raycaster = new Raycaster();
-        this.mouse = new Vector2();
-
-        this.renderer.domElement.style.touchAction = "none";
-        this.renderer.domElement.addEventListener("pointerdown", (event) => {
-            if (!event.isPrimary) {
-                return;
-            }
-
-            this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-            this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-
-            this.checkIntersection();
-        });
-
     }
 
     prepareRenderTargets(width: number, height: number, samples: number) {
@@ -128,17 +243,18 @@ export default class RenderPipeline {
 
             this.effectComposer = new EffectComposer(this.renderer);
 
-            this.outlineEffect = new OutlineEffect(this.scene, this.camera, {
-                blendFunction: BlendFunction.ADD,
-                multisampling: Math.min(4, this.renderer.capabilities.maxSamples),
-                edgeStrength: 10,
-                pulseSpeed: 0.0,
-                visibleEdgeColor: 0xffffff,
-                hiddenEdgeColor: 0x22090a,
-                height: 480,
-                blur: false,
-                xRay: true
-            });
+            this.selectedOutline = createOutlineEffect(
+                this.scene,
+                this.camera,
+                this.renderer,
+                SELECTED_LAYER,
+            );
+            this.hoveredOutline = createOutlineEffect(
+                this.scene,
+                this.camera,
+                this.renderer,
+                HOVERED_LAYER,
+            );
 
             // After the buckets have been rendered into the render target,
             // the effect composer will render this render target to the canvas.
@@ -162,10 +278,26 @@ export default class RenderPipeline {
             `
             })));
 
-            // Final pass to output to the canvas (including colorspace transformation).
-            const outlinePass = new EffectPass(this.camera, this.outlineEffect);
-            this.effectComposer.addPass(outlinePass);
+            // The height fog applies to the whole scene, from the depth buffer.
+            const heightFog = createHeightFogMaterial();
+            heightFog.uniforms.depthTexture.value = this.sceneRenderTarget.depthTexture;
+            this._heightFogPass = new ShaderPass(heightFog);
+            this.effectComposer.addPass(this._heightFogPass);
 
+            // Final pass to output to the canvas (including colorspace transformation).
+            this._outlinePass = new EffectPass(
+                this.camera,
+                this.selectedOutline,
+                this.hoveredOutline,
+            );
+            this.effectComposer.addPass(this._outlinePass);
+
+            // Only enabled when rendering into a render target.
+            this._outputPass = new OutputPass();
+            this._outputPass.depthTexture = this.sceneRenderTarget.depthTexture;
+            this._outputPass.enabled = false;
+            this.effectComposer.addPass(this._outputPass);
+            this._outputPass.renderToScreen = false;
         }
 
         return {
@@ -180,6 +312,9 @@ export default class RenderPipeline {
      * @param width - The width in pixels of the render target.
      * @param height - The height in pixels of the render target.
      * @param options - The options.
+     * @param selection - The optional selection to highlight.
+     * @param output - The optional render target to render into, instead of the canvas.
+     * It receives the depth of the scene if it has a depth buffer.
      */
     render(
         scene: Object3D,
@@ -187,6 +322,8 @@ export default class RenderPipeline {
         width: number,
         height: number,
         options: RenderingOptions,
+        selection?: Selection,
+        output?: WebGLRenderTarget,
     ) {
         const renderer = this.renderer;
 
@@ -198,6 +335,8 @@ export default class RenderPipeline {
 
         renderer.setRenderTarget(this.sceneRenderTarget);
 
+        const shadowMapsUpdated = this.updateShadowMaps(scene, camera);
+
         this.collectRenderBuckets(scene);
 
         // Ensure that any background (texture or skybox) is properly handled
@@ -215,10 +354,139 @@ export default class RenderPipeline {
 
         this.renderMeshes(scene, camera, this.buckets[BUCKETS.TRANSPARENT]);
 
-        // Finally, render to the canvas via the EffectComposer.
+        // The outline effects need the materials to be visible to render their masks.
+        this.onAfterRender();
+
+        this.updateOutlines(camera, selection);
+
+        this.updateHeightFog(camera, options);
+
+        this.updateOutput(output);
+
+        // Finally, render to the canvas (or the output) via the EffectComposer.
         composer.render();
 
-        this.onAfterRender();
+        if (shadowMapsUpdated) {
+            renderer.shadowMap.autoUpdate = true;
+        }
+    }
+
+    /**
+     * Updates the shadow maps with all objects visible. Since the buckets are rendered
+     * separately, the automatic update of shadow maps is disabled until the end of the frame,
+     * otherwise only the objects of the last bucket would cast shadows.
+     *
+     * @param scene - The scene to render.
+     * @param camera - The camera.
+     * @returns `true` if the shadow maps were updated.
+     */
+    private updateShadowMaps(scene: Object3D, camera: Camera): boolean {
+        const shadowMap = this.renderer.shadowMap;
+        const target = this.sceneRenderTarget;
+
+        if (!shadowMap.enabled || !shadowMap.autoUpdate || target == null) {
+            return false;
+        }
+
+        // Only the shadow maps are rendered: the empty scissor discards the scene itself.
+        const scissor = tmpVec4.copy(target.scissor);
+        const scissorTest = target.scissorTest;
+        target.scissor.set(0, 0, 0, 0);
+        target.scissorTest = true;
+
+        this.renderer.render(scene, camera);
+
+        target.scissor.copy(scissor);
+        target.scissorTest = scissorTest;
+
+        // The shadow map rendering restores the render target, which applies the empty scissor
+        // to the WebGL state. Restoring the fields of the target does not update this state.
+        this.renderer.setRenderTarget(target);
+
+        shadowMap.autoUpdate = false;
+
+        return true;
+    }
+
+    /**
+     * Updates the height fog pass from the rendering options.
+     *
+     * @param camera - The camera.
+     * @param options - The rendering options.
+     */
+    private updateHeightFog(camera: Camera, options: RenderingOptions) {
+        const pass = this._heightFogPass;
+
+        if (!pass) {
+            return;
+        }
+
+        pass.enabled = options.enableHeightFog;
+
+        if (!pass.enabled) {
+            return;
+        }
+
+        const uniforms = (pass.fullscreenMaterial as ShaderMaterial).uniforms;
+
+        uniforms.inverseProjectionMatrix.value.copy(camera.projectionMatrixInverse);
+        uniforms.cameraWorldMatrix.value.copy(camera.matrixWorld);
+        uniforms.orthographic.value = isOrthographicCamera(camera);
+        uniforms.logarithmicDepth.value = this.renderer.capabilities.logarithmicDepthBuffer;
+        uniforms.cameraFar.value = (camera as PerspectiveCamera | OrthographicCamera).far;
+        uniforms.fogColor.value.copy(options.heightFogColor);
+        uniforms.fogDensity.value = options.heightFogDensity;
+        uniforms.fogFalloff.value = options.heightFogFalloff;
+        uniforms.fogBaseHeight.value = options.heightFogBaseHeight;
+    }
+
+    /**
+     * Redirects the final image to the output render target, if any.
+     *
+     * @param output - The output render target.
+     */
+    private updateOutput(output?: WebGLRenderTarget) {
+        if (!this._outlinePass || !this._outputPass) {
+            return;
+        }
+
+        this._outlinePass.renderToScreen = output == null;
+        this._outputPass.enabled = output != null;
+        this._outputPass.target = output ?? null;
+    }
+
+    /**
+     * Updates the outline effects from the selection.
+     *
+     * @param camera - The camera.
+     * @param selection - The selection.
+     */
+    private updateOutlines(camera: Camera, selection?: Selection) {
+        const selected = this.selectedOutline;
+        const hovered = this.hoveredOutline;
+
+        if (!selected || !hovered || !this._outlinePass) {
+            return;
+        }
+
+        if (this.camera !== camera) {
+            this.camera = camera;
+            this._outlinePass.mainCamera = camera;
+        }
+
+        if (!selection) {
+            selected.selection.clear();
+            hovered.selection.clear();
+            return;
+        }
+
+        // The hovered object is not outlined twice if it is also selected.
+        const hoveredObject = selection.hovered;
+        const hoveredObjects =
+            hoveredObject != null && !selection.has(hoveredObject) ? [hoveredObject] : [];
+
+        updateOutlineEffect(selected, selection.selected, selection.selectedEdgeColor, selection);
+        updateOutlineEffect(hovered, hoveredObjects, selection.hoveredEdgeColor, selection);
     }
 
     /**
@@ -248,10 +516,15 @@ export default class RenderPipeline {
         pcr.edl.enabled = opts.enableEDL;
         pcr.edl.parameters.radius = opts.EDLRadius;
         pcr.edl.parameters.strength = opts.EDLStrength;
+        pcr.edl.parameters.directions = opts.EDLDirections;
+        pcr.edl.parameters.n = opts.EDLRingCount;
+        pcr.edl.parameters.opacity = opts.EDLOpacity;
+        pcr.edl.parameters.color.copy(opts.EDLColor);
         pcr.inpainting.enabled = opts.enableInpainting;
         pcr.inpainting.parameters.fill_steps = opts.inpaintingSteps;
         pcr.inpainting.parameters.depth_contrib = opts.inpaintingDepthContribution;
         pcr.occlusion.enabled = opts.enablePointCloudOcclusion;
+        pcr.updateCustomStages(opts.pointCloudStages, opts.pointCloudStageOrder);
 
         setVisibility(meshes, true);
         pcr.render(scene, camera, target);
@@ -264,17 +537,14 @@ export default class RenderPipeline {
      * @param camera - The camera.
      * @param meshes - The meshes to render.
      */
-    // @ts-ignore
     renderMeshes(scene: Object3D, camera: Camera, meshes: Object3DWithMaterial[]) {
         if (meshes.length === 0) {
             return;
         }
 
-        // const renderer = this.renderer;
-
         setVisibility(meshes, true);
-        this.effectComposer.render();
-        // setVisibility(meshes, false);
+        this.renderer.render(scene, camera);
+        setVisibility(meshes, false);
     }
 
     onAfterRender() {
@@ -304,7 +574,9 @@ export default class RenderPipeline {
             if (mesh.visible && material != null && material.visible) {
                 material.visible = false;
 
-                if ((mesh as PointCloud).isPointCloud) {
+                const entity = mesh.userData.parentEntity as Entity3D | undefined;
+
+                if ((mesh as PointCloud).isPointCloud || entity?.includeInEDL === true) {
                     // The point cloud bucket will receive special effects
                     renderBuckets[BUCKETS.POINT_CLOUD].push(mesh);
                 } else if (mesh.material.transparent) {
@@ -315,26 +587,4 @@ export default class RenderPipeline {
             }
         });
     }
-
-    addSelectedObject = (object: Object3D) => {
-        this.selectedObjects = [];
-        this.selectedObjects.push(object);
-        if (this.outlineEffect) {
-            this.outlineEffect['selection'].set(this.selectedObjects);
-            console.log(this.outlineEffect['selection']);
-        }
-    };
-
-    checkIntersection = () => {
-        this.raycaster.setFromCamera(this.mouse, this.camera);
-        const myCube = this.scene.getObjectByName("myCube");
-        if (!myCube) return;
-            const intersects = this.raycaster.intersectObject(myCube, true);
-            if (intersects.length > 0) {
-                const selectedObject = intersects[0].object;
-                if(selectedObject !== undefined) {
-                    this.addSelectedObject(selectedObject);
-                }
-            }
-        }
 }
@@ -1,3 +1,6 @@
+import { Color } from 'three';
+import type { PointCloudRenderStage } from './PointCloudRenderer';
+
 /**
  * Exposes rendering options for the current Giro3D instance.
  *
@@ -6,6 +9,8 @@ class RenderingOptions {
     /**
      * Enables EDL (Eye Dome Lighting) effect for point clouds.
      *
+     * Note: other entities can opt-in to receive EDL with {@link entities.Entity3D.includeInEDL}.
+     *
      * @defaultValue false
      */
     enableEDL: boolean;
@@ -23,6 +28,35 @@ class RenderingOptions {
      */
     // eslint-disable-next-line @typescript-eslint/naming-convention
     EDLRadius = 1.5;
+    /**
+     * The number of directions sampled around each pixel by the EDL effect (from 1 to 16).
+     *
+     * @defaultValue 8
+     */
+    // eslint-disable-next-line @typescript-eslint/naming-convention
+    EDLDirections: number;
+    /**
+     * The number of neighbour rings sampled in each direction by the EDL effect (from 1 to 4).
+     * Each ring is located at a multiple of {@link EDLRadius} from the pixel.
+     *
+     * @defaultValue 1
+     */
+    // eslint-disable-next-line @typescript-eslint/naming-convention
+    EDLRingCount: number;
+    /**
+     * The opacity of the EDL shading, from 0 (no shading) to 1 (full shading).
+     *
+     * @defaultValue 1
+     */
+    // eslint-disable-next-line @typescript-eslint/naming-convention
+    EDLOpacity: number;
+    /**
+     * The color towards which shaded pixels are tinted by the EDL effect.
+     *
+     * @defaultValue black
+     */
+    // eslint-disable-next-line @typescript-eslint/naming-convention
+    EDLColor: Color;
     /**
      * Enables inpainting (hole filling) effect for point clouds.
      *
@@ -47,21 +81,89 @@ class RenderingOptions {
      * @defaultValue false
      */
     enablePointCloudOcclusion: boolean;
+    /**
+     * Enables the exponential height fog, whose density decreases with the altitude (the Z
+     * coordinate). This is well suited to large terrain and point cloud scenes, where the
+     * valleys are more fogged than the summits.
+     *
+     * The height fog applies to all objects of the scene, from the depth buffer, in addition to
+     * the regular fog of the scene (`scene.fog`), if any. Note that transparent objects that do
+     * not write depth receive the fog of the objects behind them.
+     *
+     * @defaultValue false
+     */
+    enableHeightFog: boolean;
+    /**
+     * The color of the height fog.
+     *
+     * @defaultValue white
+     */
+    heightFogColor: Color;
+    /**
+     * The density of the height fog at the {@link heightFogBaseHeight | base height}, per scene
+     * unit.
+     *
+     * @defaultValue 0.001
+     */
+    heightFogDensity: number;
+    /**
+     * How fast the density of the height fog decreases with the altitude. Higher values make the
+     * fog thinner above the base height.
+     *
+     * @defaultValue 0.01
+     */
+    heightFogFalloff: number;
+    /**
+     * The altitude where the height fog has the density {@link heightFogDensity}.
+     *
+     * @defaultValue 0
+     */
+    heightFogBaseHeight: number;
     /**
      * Enables Multisampling Antialiasing (MSAA) on post-processing.
      * @defaultValue true
      */
     enableMSAA: boolean;
+    /**
+     * Custom post-processing stages for point clouds. Stages can be added, removed and
+     * enabled at runtime. Unless specified otherwise with {@link pointCloudStageOrder},
+     * custom stages are applied after the built-in stages, in the order of this list.
+     *
+     * Note: stage names must be unique, and must not collide with built-in stages
+     * (`'occlusion'`, `'inpainting'` and `'edl'`).
+     *
+     * @defaultValue []
+     */
+    pointCloudStages: PointCloudRenderStage[];
+    /**
+     * The order of point cloud post-processing stages, by name. This may contain both
+     * built-in and custom stages. Stages that are not present in this list are applied after
+     * the listed stages. A value of `null` keeps the current order.
+     *
+     * @defaultValue null
+     */
+    pointCloudStageOrder: string[] | null;
 
     constructor() {
         this.enableEDL = false;
         this.EDLStrength = 0.7;
         this.EDLRadius = 1.5;
+        this.EDLDirections = 8;
+        this.EDLRingCount = 1;
+        this.EDLOpacity = 1;
+        this.EDLColor = new Color(0, 0, 0);
         this.enableInpainting = false;
         this.inpaintingSteps = 2;
         this.inpaintingDepthContribution = 0.5;
         this.enablePointCloudOcclusion = false;
+        this.enableHeightFog = false;
+        this.heightFogColor = new Color(1, 1, 1);
+        this.heightFogDensity = 0.001;
+        this.heightFogFalloff = 0.01;
+        this.heightFogBaseHeight = 0;
         this.enableMSAA = true;
+        this.pointCloudStages = [];
+        this.pointCloudStageOrder = null;
     }
 }
 
@@ -0,0 +1,168 @@
+import type { PerspectiveCamera, Scene, Vector4, WebGLRenderer } from 'three';
+import {
+    HalfFloatType,
+    LinearFilter,
+    Mesh,
+    MeshBasicMaterial,
+    OrthographicCamera,
+    PlaneGeometry,
+    Scene as ThreeScene,
+    WebGLRenderTarget,
+} from 'three';
+import type Selection from '../core/Selection';
+import type C3DEngine from './c3DEngine';
+
+/**
+ * The internal API that the XR implementation of three.js uses to render into the framebuffer
+ * of a XR device.
+ */
+type RendererWithFramebuffers = WebGLRenderer & {
+    setRenderTargetFramebuffer(
+        target: WebGLRenderTarget,
+        framebuffer: WebGLFramebuffer | null,
+    ): void;
+};
+
+/**
+ * A view to render, e.g the view of one eye.
+ */
+export interface StereoView {
+    /** The camera of the view. Its projection matrix is used as is. */
+    camera: PerspectiveCamera;
+    /** The area of the output where the view is displayed, in pixels, from the bottom-left. */
+    viewport: Vector4;
+}
+
+/**
+ * The framebuffer to render the views into.
+ */
+export interface StereoOutput {
+    /** The WebGL framebuffer. If `null`, the canvas is used. */
+    framebuffer: WebGLFramebuffer | null;
+    /** The width of the framebuffer, in pixels. */
+    width: number;
+    /** The height of the framebuffer, in pixels. */
+    height: number;
+}
+
+/**
+ * Renders several views of the scene into the same framebuffer, e.g the views of both eyes of
+ * a XR device.
+ *
+ * Each view is rendered separately by the engine (including post-processing effects, such as
+ * EDL), into an offscreen render target, then copied into its viewport of the framebuffer.
+ * Screen space effects are thus computed per view, and do not bleed into the other views.
+ *
+ * @internal
+ */
+export default class StereoRenderer {
+    private readonly _viewTarget: WebGLRenderTarget;
+    private readonly _quad: Mesh<PlaneGeometry, MeshBasicMaterial>;
+    private readonly _quadScene: ThreeScene;
+    private readonly _quadCamera: OrthographicCamera;
+    private _output: WebGLRenderTarget | null = null;
+
+    constructor() {
+        // The views are rendered in linear color space, the conversion to the color space of
+        // the output happens when they are copied.
+        this._viewTarget = new WebGLRenderTarget(1, 1, {
+            type: HalfFloatType,
+            minFilter: LinearFilter,
+            magFilter: LinearFilter,
+            generateMipmaps: false,
+            depthBuffer: true,
+        });
+
+        this._quad = new Mesh(
+            new PlaneGeometry(2, 2),
+            new MeshBasicMaterial({
+                map: this._viewTarget.texture,
+                depthTest: false,
+                depthWrite: false,
+                toneMapped: false,
+            }),
+        );
+        this._quad.frustumCulled = false;
+        this._quadScene = new ThreeScene();
+        this._quadScene.add(this._quad);
+        this._quadScene.updateMatrixWorld(true);
+        this._quadCamera = new OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    }
+
+    private getOutputTarget(engine: C3DEngine, output: StereoOutput): WebGLRenderTarget {
+        const renderer = engine.renderer;
+
+        if (
+            this._output == null ||
+            this._output.width !== output.width ||
+            this._output.height !== output.height
+        ) {
+            this._output?.dispose();
+            const target = new WebGLRenderTarget(output.width, output.height, {
+                colorSpace: renderer.outputColorSpace,
+                depthBuffer: false,
+            });
+            // Tells three.js to convert the colors to the color space of the target,
+            // as it does for the framebuffers of its own XR implementation.
+            (target as WebGLRenderTarget & { isXRRenderTarget: boolean }).isXRRenderTarget = true;
+            this._output = target;
+        }
+
+        (renderer as RendererWithFramebuffers).setRenderTargetFramebuffer(
+            this._output,
+            output.framebuffer,
+        );
+
+        return this._output;
+    }
+
+    /**
+     * Renders the views.
+     *
+     * @param engine - The engine.
+     * @param scene - The scene to render.
+     * @param views - The views to render.
+     * @param output - The framebuffer to render into.
+     * @param selection - The optional selection to highlight.
+     */
+    render(
+        engine: C3DEngine,
+        scene: Scene,
+        views: StereoView[],
+        output: StereoOutput,
+        selection?: Selection,
+    ) {
+        const renderer = engine.renderer;
+        const target = this.getOutputTarget(engine, output);
+
+        target.viewport.set(0, 0, output.width, output.height);
+        renderer.setRenderTarget(target);
+        renderer.setClearColor(engine.clearColor, engine.clearAlpha);
+        renderer.clear();
+
+        for (const view of views) {
+            const { viewport, camera } = view;
+
+            if (viewport.z <= 0 || viewport.w <= 0) {
+                continue;
+            }
+
+            this._viewTarget.setSize(viewport.z, viewport.w);
+            engine.render(scene, camera, selection, this._viewTarget);
+
+            // Note: the viewport of the target is applied by setRenderTarget()
+            target.viewport.copy(viewport);
+            renderer.setRenderTarget(target);
+            renderer.render(this._quadScene, this._quadCamera);
+        }
+
+        renderer.setRenderTarget(null);
+    }
+
+    dispose() {
+        this._viewTarget.dispose();
+        this._output?.dispose();
+        this._quad.geometry.dispose();
+        this._quad.material.dispose();
+    }
+}
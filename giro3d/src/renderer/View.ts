@@ -4,9 +4,10 @@ import {
     Frustum,
     MathUtils,
     Matrix4,
+    OrthographicCamera,
     PerspectiveCamera,
     Vector3,
-    type OrthographicCamera,
+    type Camera,
     type Sphere,
 } from 'three';
 import type Disposable from '../core/Disposable';
@@ -17,6 +18,8 @@ const tmp = {
     frustum: new Frustum(),
     matrix: new Matrix4(),
     box3: new Box3(),
+    direction: new Vector3(),
+    offset: new Vector3(),
 };
 
 const points = [
@@ -41,6 +44,35 @@ export interface ExternalControls extends EventDispatcher<{ change: unknown }> {
     update(): void;
 }
 
+/**
+ * The projection of a camera.
+ */
+export type CameraProjection = 'perspective' | 'orthographic';
+
+/**
+ * Options for {@link View.setProjection}.
+ */
+export interface SetProjectionOptions {
+    /**
+     * The point whose framing is preserved. Objects located at the same distance from the camera
+     * as this point keep the same size on screen.
+     *
+     * If unspecified, the `target` of the controls is used (e.g `MapControls.target`).
+     */
+    target?: Vector3;
+}
+
+/**
+ * Copies the placement of the source camera into the destination camera.
+ */
+function copyPlacement(source: Camera, destination: PerspectiveCamera | OrthographicCamera) {
+    destination.position.copy(source.position);
+    destination.quaternion.copy(source.quaternion);
+    destination.up.copy(source.up);
+    destination.layers.mask = source.layers.mask;
+    destination.name = source.name;
+}
+
 export const DEFAULT_MIN_NEAR_PLANE = 2;
 export const DEFAULT_MAX_NEAR_PLANE = 2000000000;
 
@@ -63,6 +95,8 @@ class View extends EventDispatcher<ViewEvents> implements Disposable {
     private _controls: ExternalControls | null = null;
     private _onControlsUpdated = () => this.dispatchEvent({ type: 'change' });
     private _frustum: Frustum = new Frustum();
+    /** The field of view to restore when switching back to a perspective projection. */
+    private _perspectiveFov = 30;
 
     /**
      * The width, in pixels, of this view.
@@ -213,6 +247,92 @@ class View extends EventDispatcher<ViewEvents> implements Disposable {
         this._controls = controls;
     }
 
+    /**
+     * Gets the projection of the current camera.
+     */
+    get projection(): CameraProjection {
+        return isOrthographicCamera(this.camera) ? 'orthographic' : 'perspective';
+    }
+
+    /**
+     * Replaces the current camera by a camera with the specified projection, while keeping the
+     * current framing: the new camera has the same orientation, and the objects located at the
+     * distance of the target keep the same size on screen. When switching to a perspective
+     * projection, the camera moves backward or forward along its view direction to preserve the
+     * framing.
+     *
+     * Controls that reference the camera with an `object` property (e.g `MapControls`) are
+     * updated to use the new camera. Other controls must be updated manually.
+     *
+     * ```js
+     * // Switch to a plan view
+     * instance.view.setProjection('orthographic');
+     * instance.notifyChange(instance.view.camera);
+     * ```
+     *
+     * @param projection - The new projection.
+     * @param options - The options.
+     * @returns The new camera, or the current camera if it already has the specified projection.
+     */
+    setProjection(
+        projection: CameraProjection,
+        options: SetProjectionOptions = {},
+    ): PerspectiveCamera | OrthographicCamera {
+        const current = this.camera;
+
+        if (this.projection === projection) {
+            return current;
+        }
+
+        const controls = this._controls as { target?: Vector3; object?: Camera } | null;
+        const target = options.target ?? controls?.target;
+        if (target == null) {
+            throw new Error('a target is required to preserve the framing of the camera');
+        }
+
+        current.updateMatrixWorld();
+        const direction = current.getWorldDirection(tmp.direction);
+        const distance = tmp.offset.subVectors(target, current.position).dot(direction);
+        const aspect = this._height > 0 ? this._width / this._height : 1;
+
+        let result: PerspectiveCamera | OrthographicCamera;
+
+        if (isPerspectiveCamera(current)) {
+            this._perspectiveFov = current.fov;
+
+            const halfHeight =
+                (Math.abs(distance) * Math.tan(MathUtils.degToRad(current.fov / 2))) /
+                current.zoom;
+            const halfWidth = halfHeight * aspect;
+            result = new OrthographicCamera(-halfWidth, halfWidth, halfHeight, -halfHeight);
+            copyPlacement(current, result);
+        } else {
+            const orthographic = current as OrthographicCamera;
+            const halfHeight = (orthographic.top - orthographic.bottom) / 2 / orthographic.zoom;
+            const fov = this._perspectiveFov;
+            const newDistance = halfHeight / Math.tan(MathUtils.degToRad(fov / 2));
+
+            result = new PerspectiveCamera(fov, aspect);
+            copyPlacement(current, result);
+            result.position.addScaledVector(direction, distance - newDistance);
+        }
+
+        result.near = current.near;
+        result.far = current.far;
+        result.updateProjectionMatrix();
+        result.updateMatrixWorld();
+
+        this.camera = result;
+
+        if (controls?.object === current) {
+            controls.object = result;
+        }
+
+        this.dispatchEvent({ type: 'change' });
+
+        return result;
+    }
+
     /**
      * Resets the near and far planes to their default value.
      */
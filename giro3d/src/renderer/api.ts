@@ -1,3 +1,23 @@
+import CameraAnimation, {
+    Easing,
+    type CameraAnimationEvents,
+    type CameraAnimationFrame,
+    type CameraAnimationOptions,
+    type CameraAnimationState,
+    type CameraKeyframe,
+    type CameraPathInterpolation,
+    type EasingFunction,
+    type RenderFramesOptions,
+    type TurntableOptions,
+} from './CameraAnimation';
+import {
+    ClippingBox,
+    ClippingPlane,
+    ClippingPolygon,
+    isBoxClipped,
+    type ClippingMode,
+    type ClippingVolume,
+} from './ClippingVolume';
 import ConstantSizeSphere from './ConstantSizeSphere';
 import type * as SimpleGeometry from './geometries/api';
 import MemoryTracker from './MemoryTracker';
@@ -6,23 +26,61 @@ import {
     ASPRS_CLASSIFICATIONS,
     type Classification,
     type PointCloudMaterialOptions,
+    type PointShape,
+    type PointSizeMode,
 } from './PointCloudMaterial';
+import type PointCloudRenderer from './PointCloudRenderer';
+import {
+    BUILTIN_STAGES,
+    type PointCloudRenderStage,
+    type StageRenderTargetDescriptor,
+} from './PointCloudRenderer';
 import type RenderingContextHandler from './RenderingContextHandler';
 import type RenderingOptions from './RenderingOptions';
 import type View from './View';
-import type { CameraOptions, ExternalControls } from './View';
+import type {
+    CameraOptions,
+    CameraProjection,
+    ExternalControls,
+    SetProjectionOptions,
+} from './View';
 
 export {
     ASPRS_CLASSIFICATIONS,
+    BUILTIN_STAGES,
+    CameraAnimation,
+    CameraAnimationEvents,
+    CameraAnimationFrame,
+    CameraAnimationOptions,
+    CameraAnimationState,
+    CameraKeyframe,
     CameraOptions,
+    CameraPathInterpolation,
+    CameraProjection,
     Classification,
+    ClippingBox,
+    ClippingMode,
+    ClippingPlane,
+    ClippingPolygon,
+    ClippingVolume,
     ConstantSizeSphere,
+    Easing,
+    EasingFunction,
     ExternalControls,
+    isBoxClipped,
     MemoryTracker,
     PointCloudMaterial,
     PointCloudMaterialOptions,
+    PointCloudRenderer,
+    PointCloudRenderStage,
+    PointShape,
+    PointSizeMode,
+    RenderFramesOptions,
     RenderingContextHandler,
     RenderingOptions,
+    SetProjectionOptions,
     SimpleGeometry,
+    StageRenderTargetDescriptor,
+    TurntableOptions,
     View,
 };
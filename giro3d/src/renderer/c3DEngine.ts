@@ -18,6 +18,7 @@ import {
     WebGLRenderTarget,
 } from 'three';
 import { CSS2DRenderer } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
+import type Selection from '../core/Selection';
 import Capabilities from '../core/system/Capabilities';
 import RenderingOptions from './RenderingOptions';
 import RenderPipeline from './RenderPipeline';
@@ -55,7 +56,13 @@ function createRenderTarget(
  * @returns True if the options requires a custom pipeline.
  */
 function requiresCustomPipeline(options: RenderingOptions) {
-    return options.enableEDL || options.enableInpainting || options.enablePointCloudOcclusion;
+    return (
+        options.enableEDL ||
+        options.enableInpainting ||
+        options.enablePointCloudOcclusion ||
+        options.enableHeightFog ||
+        options.pointCloudStages.some(stage => stage.enabled)
+    );
 }
 
 function createErrorMessage() {
@@ -259,6 +266,23 @@ class C3DEngine {
         this.labelRenderer.setSize(this.width, this.height);
     }
 
+    /**
+     * Resizes the rendering buffers, without changing the size of the canvas in the page,
+     * e.g to render at the resolution of a XR device.
+     *
+     * @param w - The width, in pixels.
+     * @param h - The height, in pixels.
+     * @internal
+     */
+    setRenderingSize(w: number, h: number) {
+        this.width = w;
+        this.height = h;
+        for (const rt of this._renderTargets.values()) {
+            rt.setSize(this.width, this.height);
+        }
+        this.renderer.setSize(this.width, this.height, false);
+    }
+
     /**
      * Gets the viewport size, in pixels.
      *
@@ -274,10 +298,16 @@ class C3DEngine {
      *
      * @param scene - The scene to render.
      * @param camera - The camera.
+     * @param selection - The optional selection to highlight.
+     * @param target - The optional render target to render into, instead of the canvas.
+     * Labels are not rendered in this case.
      */
-    render(scene: Scene, camera: Camera) {
-        this.renderer.setRenderTarget(null);
-        const size = this.renderer.getDrawingBufferSize(tmpVec2);
+    render(scene: Scene, camera: Camera, selection?: Selection, target?: WebGLRenderTarget) {
+        this.renderer.setRenderTarget(target ?? null);
+        const size =
+            target != null
+                ? tmpVec2.set(target.width, target.height)
+                : this.renderer.getDrawingBufferSize(tmpVec2);
 
         // Rendering into a zero-sized buffer is useless and will lead to WebGL warnings.
         if (size.width === 0 || size.height === 0) {
@@ -288,13 +318,18 @@ class C3DEngine {
 
         this.renderer.clear();
 
-        if (requiresCustomPipeline(this.renderingOptions)) {
-            this.renderUsingCustomPipeline(scene, camera);
+        // Highlighting the selection requires post-processing
+        if (requiresCustomPipeline(this.renderingOptions) || selection?.isEmpty === false) {
+            this.renderUsingCustomPipeline(scene, camera, selection, target);
         } else {
             this.renderer.render(scene, camera);
         }
 
-        this.labelRenderer.render(scene, camera);
+        if (target != null) {
+            this.renderer.setRenderTarget(null);
+        } else {
+            this.labelRenderer.render(scene, camera);
+        }
     }
 
     /**
@@ -302,13 +337,28 @@ class C3DEngine {
      *
      * @param scene - The scene to render.
      * @param camera - The camera.
+     * @param selection - The optional selection to highlight.
+     * @param target - The optional render target to render into, instead of the canvas.
      */
-    renderUsingCustomPipeline(scene: Object3D, camera: Camera) {
+    renderUsingCustomPipeline(
+        scene: Object3D,
+        camera: Camera,
+        selection?: Selection,
+        target?: WebGLRenderTarget,
+    ) {
         if (!this._renderPipeline) {
             this._renderPipeline = new RenderPipeline(this.renderer, scene as Scene, camera);
         }
 
-        this._renderPipeline.render(scene, camera, this.width, this.height, this.renderingOptions);
+        this._renderPipeline.render(
+            scene,
+            camera,
+            target?.width ?? this.width,
+            target?.height ?? this.height,
+            this.renderingOptions,
+            selection,
+            target,
+        );
     }
 
     private acquireRenderTarget(datatype: TextureDataType) {
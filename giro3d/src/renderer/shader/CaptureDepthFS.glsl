@@ -0,0 +1,25 @@
+#include <packing>
+#include <giro3d_depth_pars_fragment>
+
+uniform sampler2D depthTexture;
+uniform float cameraNear;
+uniform float cameraFar;
+uniform bool orthographic;
+uniform bool logarithmicDepth;
+
+varying vec2 vUv;
+
+// Writes the distance to the camera plane in the red channel.
+// Empty pixels are transparent.
+void main() {
+    float depth = texture2D(depthTexture, vUv).x;
+
+    if (depth == 1.0) {
+        gl_FragColor = vec4(0.0);
+        return;
+    }
+
+    float viewZ = depthToViewZ(depth, cameraNear, cameraFar, orthographic, logarithmicDepth);
+
+    gl_FragColor = vec4(-viewZ, 0.0, 0.0, 1.0);
+}
@@ -0,0 +1,55 @@
+#include <packing>
+#include <giro3d_depth_pars_fragment>
+
+uniform sampler2D inputBuffer;
+uniform sampler2D depthTexture;
+
+varying vec2 vUv;
+
+uniform mat4 inverseProjectionMatrix;
+uniform mat4 cameraWorldMatrix;
+uniform bool orthographic;
+uniform bool logarithmicDepth;
+uniform float cameraFar;
+
+uniform vec3 fogColor;
+uniform float fogDensity;
+uniform float fogFalloff;
+uniform float fogBaseHeight;
+
+// Exponential height fog: the density of the fog decreases exponentially with the altitude (Z).
+// The amount of fog is the integral of the density along the ray from the camera to the pixel.
+// Reference: https://iquilezles.org/articles/fog/
+void main() {
+    vec4 color = texture2D(inputBuffer, vUv);
+    float depth = texture2D(depthTexture, vUv).x;
+
+    // The background is not fogged.
+    if (depth == 1.0) {
+        gl_FragColor = color;
+        return;
+    }
+
+    vec4 viewPosition = vec4(depthToViewPosition(
+        vUv, depth, inverseProjectionMatrix, cameraFar, orthographic, logarithmicDepth), 1.0);
+
+    vec3 origin = (cameraWorldMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+    vec3 position = (cameraWorldMatrix * viewPosition).xyz;
+    // For orthographic cameras, the rays are parallel to the view direction.
+    if (orthographic) {
+        origin = (cameraWorldMatrix * vec4(viewPosition.xy, 0.0, 1.0)).xyz;
+    }
+
+    float distance = length(position - origin);
+    float heightDelta = fogFalloff * (position.z - origin.z);
+
+    // The density along the ray, relative to the density at the origin of the ray.
+    float relativeDensity = abs(heightDelta) > 1e-4
+        ? (1.0 - exp(-heightDelta)) / heightDelta
+        : 1.0;
+    float originDensity = fogDensity * exp(-fogFalloff * (origin.z - fogBaseHeight));
+
+    float fogFactor = 1.0 - exp(-originDensity * distance * relativeDensity);
+
+    gl_FragColor = vec4(mix(color.rgb, fogColor, clamp(fogFactor, 0.0, 1.0)), color.a);
+}
@@ -7,16 +7,226 @@
 #include <clipping_planes_pars_fragment>
 #include <fog_pars_fragment>
 
+#if defined(LIT) || defined(SHADOW_DEPTH)
+#include <packing>
+#endif
+
+#if defined(LIT)
+#include <lights_pars_begin>
+#include <shadowmap_pars_fragment>
+#endif
+
+// The depth of points in shadow maps is the depth of their center
+#if (POINT_SHAPE == POINT_SHAPE_PARABOLOID || defined(WEIGHTED_SPLATS)) && !defined(SHADOW_DEPTH)
+#define WRITE_POINT_DEPTH
+#endif
+
 varying vec4 vColor;
+varying vec3 vPointViewPosition;
+varying float vPointRadius;
+
 uniform vec3 brightnessContrastSaturation;
+uniform mat4 projectionMatrix;
+
+#if defined(USE_FOG)
+uniform bool deferredFog;
+#endif
+
+#if defined(WEIGHTED_SPLATS)
+uniform int splatPass;
+#endif
+
+#if defined(SHADOW_DEPTH)
+varying vec2 vHighPrecisionZW;
+#endif
+
+#if defined(LIT)
+uniform uint pickingId;
+
+#if defined(NORMAL)
+varying vec3 vNormal;
+#else
+uniform sampler2D normalDepthTexture;
+uniform bool hasNormalDepthTexture;
+uniform mat4 inverseProjectionMatrix;
+
+// Returns the view space position of the point stored in the pixel of the depth texture.
+vec3 getViewPosition(ivec2 pixel) {
+    ivec2 size = textureSize(normalDepthTexture, 0);
+    pixel = clamp(pixel, ivec2(0), size - 1);
+
+    float depth = texelFetch(normalDepthTexture, pixel, 0).r;
+    vec2 ndc = (vec2(pixel) + 0.5) / vec2(size) * 2.0 - 1.0;
+
+#if defined(USE_LOGDEPTHBUF)
+    if (vIsPerspective != 0.0) {
+        // The inverse of <logdepthbuf_fragment>, where the depth is log2(1 + w) * logDepthBufFC / 2
+        float viewZ = 1.0 - exp2(depth / (logDepthBufFC * 0.5));
+        vec4 ray = inverseProjectionMatrix * vec4(ndc, 1.0, 1.0);
+        return ray.xyz * (viewZ / ray.z);
+    }
+#endif
+
+    vec4 position = inverseProjectionMatrix * vec4(ndc, depth * 2.0 - 1.0, 1.0);
+    return position.xyz / position.w;
+}
+
+// Reconstructs the normal of the surface from the depth of the neighbouring pixels.
+// The closest neighbours in depth are used, to avoid artifacts at the silhouettes.
+vec3 computeScreenSpaceNormal() {
+    ivec2 pixel = ivec2(gl_FragCoord.xy);
+
+    vec3 center = getViewPosition(pixel);
+    vec3 left = getViewPosition(pixel - ivec2(1, 0));
+    vec3 right = getViewPosition(pixel + ivec2(1, 0));
+    vec3 bottom = getViewPosition(pixel - ivec2(0, 1));
+    vec3 top = getViewPosition(pixel + ivec2(0, 1));
+
+    vec3 dx = abs(center.z - left.z) < abs(right.z - center.z) ? center - left : right - center;
+    vec3 dy = abs(center.z - bottom.z) < abs(top.z - center.z) ? center - bottom : top - center;
+
+    return normalize(cross(dx, dy));
+}
+#endif
+
+// Returns the normal of the point in view space, oriented towards the camera.
+vec3 getNormal() {
+#if defined(NORMAL)
+    vec3 normal = normalize(vNormal);
+#else
+    vec3 normal = hasNormalDepthTexture ? computeScreenSpaceNormal() : vec3(0.0, 0.0, 1.0);
+#endif
+
+    // The orientation of normals is not consistent in scans, so points are lit on both sides.
+    vec3 viewDir = isOrthographic ? vec3(0.0, 0.0, 1.0) : normalize(-vPointViewPosition);
+    return dot(normal, viewDir) < 0.0 ? -normal : normal;
+}
+
+// Returns the light received by the point, using a Lambertian model.
+// See <lights_fragment_begin> for the reference implementation.
+vec3 computeIrradiance(vec3 normal) {
+    vec3 geometryPosition = vPointViewPosition;
+    vec3 irradiance = getAmbientLightIrradiance(ambientLightColor);
+
+#if defined(USE_LIGHT_PROBES)
+    irradiance += getLightProbeIrradiance(lightProbe, normal);
+#endif
+
+#if NUM_HEMI_LIGHTS > 0
+    #pragma unroll_loop_start
+    for (int i = 0; i < NUM_HEMI_LIGHTS; i++) {
+        irradiance += getHemisphereLightIrradiance(hemisphereLights[i], normal);
+    }
+    #pragma unroll_loop_end
+#endif
+
+    IncidentLight directLight;
+
+#if NUM_POINT_LIGHTS > 0
+    PointLight pointLight;
+#if defined(USE_SHADOWMAP) && NUM_POINT_LIGHT_SHADOWS > 0
+    PointLightShadow pointLightShadow;
+#endif
+
+    #pragma unroll_loop_start
+    for (int i = 0; i < NUM_POINT_LIGHTS; i++) {
+        pointLight = pointLights[i];
+        getPointLightInfo(pointLight, geometryPosition, directLight);
+        #if defined(USE_SHADOWMAP) && (UNROLLED_LOOP_INDEX < NUM_POINT_LIGHT_SHADOWS)
+        pointLightShadow = pointLightShadows[i];
+        directLight.color *= (directLight.visible && receiveShadow)
+            ? getPointShadow(
+                pointShadowMap[i],
+                pointLightShadow.shadowMapSize,
+                pointLightShadow.shadowIntensity,
+                pointLightShadow.shadowBias,
+                pointLightShadow.shadowRadius,
+                vPointShadowCoord[i],
+                pointLightShadow.shadowCameraNear,
+                pointLightShadow.shadowCameraFar)
+            : 1.0;
+        #endif
+        irradiance += saturate(dot(normal, directLight.direction)) * directLight.color;
+    }
+    #pragma unroll_loop_end
+#endif
+
+#if NUM_SPOT_LIGHTS > 0
+    SpotLight spotLight;
+#if defined(USE_SHADOWMAP) && NUM_SPOT_LIGHT_SHADOWS > 0
+    SpotLightShadow spotLightShadow;
+#endif
+
+    #pragma unroll_loop_start
+    for (int i = 0; i < NUM_SPOT_LIGHTS; i++) {
+        spotLight = spotLights[i];
+        getSpotLightInfo(spotLight, geometryPosition, directLight);
+        #if defined(USE_SHADOWMAP) && (UNROLLED_LOOP_INDEX < NUM_SPOT_LIGHT_SHADOWS)
+        spotLightShadow = spotLightShadows[i];
+        directLight.color *= (directLight.visible && receiveShadow)
+            ? getShadow(
+                spotShadowMap[i],
+                spotLightShadow.shadowMapSize,
+                spotLightShadow.shadowIntensity,
+                spotLightShadow.shadowBias,
+                spotLightShadow.shadowRadius,
+                vSpotLightCoord[i])
+            : 1.0;
+        #endif
+        irradiance += saturate(dot(normal, directLight.direction)) * directLight.color;
+    }
+    #pragma unroll_loop_end
+#endif
+
+#if NUM_DIR_LIGHTS > 0
+    DirectionalLight directionalLight;
+#if defined(USE_SHADOWMAP) && NUM_DIR_LIGHT_SHADOWS > 0
+    DirectionalLightShadow directionalLightShadow;
+#endif
+
+    #pragma unroll_loop_start
+    for (int i = 0; i < NUM_DIR_LIGHTS; i++) {
+        directionalLight = directionalLights[i];
+        getDirectionalLightInfo(directionalLight, directLight);
+        #if defined(USE_SHADOWMAP) && (UNROLLED_LOOP_INDEX < NUM_DIR_LIGHT_SHADOWS)
+        directionalLightShadow = directionalLightShadows[i];
+        directLight.color *= (directLight.visible && receiveShadow)
+            ? getShadow(
+                directionalShadowMap[i],
+                directionalLightShadow.shadowMapSize,
+                directionalLightShadow.shadowIntensity,
+                directionalLightShadow.shadowBias,
+                directionalLightShadow.shadowRadius,
+                vDirectionalShadowCoord[i])
+            : 1.0;
+        #endif
+        irradiance += saturate(dot(normal, directLight.direction)) * directLight.color;
+    }
+    #pragma unroll_loop_end
+#endif
+
+    return irradiance;
+}
+#endif
 
-const float HALF_LENGTH = 0.5;
-const vec2 POINT_CENTER = vec2(HALF_LENGTH, HALF_LENGTH);
-const float HALF_LENGTH_SQUARED = HALF_LENGTH * HALF_LENGTH;
+#if defined(WRITE_POINT_DEPTH)
+// Returns the depth of the fragment, pushed away from the camera by the specified
+// offset, in view space units.
+float computeFragmentDepth(float offset) {
+    vec4 viewPosition = vec4(vPointViewPosition, 1.0);
+    viewPosition.z -= offset;
 
-float sqLength(in vec2 v) {
-    return v.x * v.x + v.y * v.y;
+#if defined(USE_LOGDEPTHBUF)
+    if (vIsPerspective != 0.0) {
+        // Same as <logdepthbuf_fragment>, where vFragDepth is 1 + w, and w is -z.
+        return log2(1.0 - viewPosition.z) * logDepthBufFC * 0.5;
+    }
+#endif
+
+    vec4 clipPosition = projectionMatrix * viewPosition;
+    return 0.5 * (clipPosition.z / clipPosition.w) + 0.5;
 }
+#endif
 
 void main() {
     if (vColor.a < 0.001) {
@@ -24,17 +234,67 @@ void main() {
         return;
     }
 
+    // The squared distance to the point center, from 0 (center) to 1 (edge of the circle)
+    vec2 coord = 2.0 * gl_PointCoord - 1.0;
+    float r2 = dot(coord, coord);
+
+#if POINT_SHAPE != POINT_SHAPE_SQUARE || defined(WEIGHTED_SPLATS)
     // circular point rendering
-    if (sqLength(gl_PointCoord - POINT_CENTER) > HALF_LENGTH_SQUARED){
+    if (r2 > 1.0) {
         discard;
         return;
     }
+#endif
 
     #include <clipping_planes_fragment>
 
+#if defined(SHADOW_DEPTH)
+    // Same as MeshDepthMaterial, with RGBA depth packing
+    #include <logdepthbuf_fragment>
+    gl_FragColor = packDepthToRGBA(0.5 * vHighPrecisionZW[0] / vHighPrecisionZW[1] + 0.5);
+    return;
+#endif
+
     gl_FragColor = vec4(adjustBrightnessContrastSaturation(vColor.rgb, brightnessContrastSaturation), vColor.a);
 
+#if defined(LIT)
+    // Picking ids must not be altered
+    if (pickingId == uint(0)) {
+        gl_FragColor.rgb *= computeIrradiance(getNormal()) * RECIPROCAL_PI;
+    }
+#endif
+
     #include <colorspace_fragment>
-    #include <fog_fragment>
+#if defined(USE_FOG)
+    // The fog may be applied later by the post-processing stages of the PointCloudRenderer
+    if (!deferredFog) {
+        #include <fog_fragment>
+    }
+#endif
     #include <logdepthbuf_fragment>
+
+#if defined(WRITE_POINT_DEPTH)
+    float depthOffset = 0.0;
+
+#if POINT_SHAPE == POINT_SHAPE_PARABOLOID
+    // The point is shaped as a paraboloid facing the camera, so that overlapping
+    // points intersect each other instead of being sorted by their center depth.
+    depthOffset = r2 * vPointRadius;
+#endif
+
+#if defined(WEIGHTED_SPLATS)
+    if (splatPass == SPLAT_PASS_DEPTH) {
+        // The depth pre-pass is pushed back, so that all splats within this range
+        // of the closest surface are blended together during the accumulation pass.
+        depthOffset += vPointRadius;
+    } else if (splatPass == SPLAT_PASS_ACCUMULATE) {
+        // Splats are accumulated with additive blending, then normalized by the
+        // sum of weights, stored in the alpha channel.
+        float weight = max(1.0 - r2, 0.001);
+        gl_FragColor = vec4(gl_FragColor.rgb * weight, weight);
+    }
+#endif
+
+    gl_FragDepth = computeFragmentDepth(depthOffset);
+#endif
 }
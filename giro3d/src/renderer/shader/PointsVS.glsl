@@ -6,9 +6,21 @@
 #include <clipping_planes_pars_vertex>
 #include <fog_pars_vertex>
 
+#if defined(LIT)
+#include <shadowmap_pars_vertex>
+#endif
+
 #define EPSILON 1e-6
 
 uniform float size;
+uniform int pointSizeMode;
+uniform float minPointSize;
+uniform float maxPointSize;
+uniform float octreeSpacing;
+uniform float nodeSpacing;
+uniform float viewportHeight;
+uniform vec3 nodeCenter;
+uniform float octantSpacings[8];
 
 uniform uint pickingId;
 uniform int mode;
@@ -53,6 +65,16 @@ uniform vec2 extentBottomLeft;
 uniform vec2 extentSize;
 
 varying vec4 vColor;
+varying vec3 vPointViewPosition;
+varying float vPointRadius;
+
+#if defined(LIT) && defined(NORMAL)
+varying vec3 vNormal;
+#endif
+
+#if defined(SHADOW_DEPTH)
+varying vec2 vHighPrecisionZW;
+#endif
 
 // see https://web.archive.org/web/20150303053317/http://lgdv.cs.fau.de/get/1602
 // and implementation in PotreeConverter (BINPointReader.cpp) and potree (BinaryDecoderWorker.js)
@@ -84,6 +106,201 @@ vec3 decodeSphereMappedNormal(vec2 encodedNormal) {
 }
 #endif
 
+#if defined(CLIPPING_VOLUMES)
+uniform vec3 clippingHighlightColor;
+
+#if NUM_CLIPPING_BOXES > 0
+struct ClippingBox {
+    mat4 inverseMatrix;
+    int mode;
+};
+
+uniform ClippingBox clippingBoxes[NUM_CLIPPING_BOXES];
+#endif
+
+#if NUM_CLIPPING_PLANES > 0
+struct ClippingPlane {
+    vec4 plane;
+    int mode;
+};
+
+uniform ClippingPlane clippingPlanes[NUM_CLIPPING_PLANES];
+#endif
+
+#if NUM_CLIPPING_POLYGONS > 0
+struct ClippingPolygon {
+    int start;
+    int count;
+    vec2 elevationRange;
+    int mode;
+};
+
+uniform ClippingPolygon clippingPolygons[NUM_CLIPPING_POLYGONS];
+uniform sampler2D clippingPolygonVertices;
+uniform vec2 clippingPolygonOffset;
+
+vec2 getPolygonVertex(int index) {
+    int width = textureSize(clippingPolygonVertices, 0).x;
+    vec2 vertex = texelFetch(clippingPolygonVertices, ivec2(index % width, index / width), 0).xy;
+    return vertex + clippingPolygonOffset;
+}
+
+bool isInsidePolygon(ClippingPolygon polygon, vec3 p) {
+    if (p.z < polygon.elevationRange.x || p.z > polygon.elevationRange.y) {
+        return false;
+    }
+
+    bool inside = false;
+    vec2 b = getPolygonVertex(polygon.start + polygon.count - 1);
+    for (int i = 0; i < polygon.count; i++) {
+        vec2 a = getPolygonVertex(polygon.start + i);
+        if ((a.y > p.y) != (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+        b = a;
+    }
+    return inside;
+}
+#endif
+
+struct ClippingState {
+    bool hasInsideVolume;
+    bool insideAnyInsideVolume;
+    bool clipped;
+    bool highlighted;
+};
+
+void applyClippingVolume(int volumeMode, bool contained, inout ClippingState state) {
+    if (volumeMode == CLIPPING_MODE_INSIDE) {
+        state.hasInsideVolume = true;
+        state.insideAnyInsideVolume = state.insideAnyInsideVolume || contained;
+    } else if (volumeMode == CLIPPING_MODE_OUTSIDE) {
+        state.clipped = state.clipped || contained;
+    } else if (volumeMode == CLIPPING_MODE_HIGHLIGHT) {
+        state.highlighted = state.highlighted || contained;
+    }
+}
+
+// The position is relative to the origin of the model, like the clipping volumes
+ClippingState computeClipping(vec3 position) {
+    ClippingState state = ClippingState(false, false, false, false);
+
+#if NUM_CLIPPING_BOXES > 0
+    for (int i = 0; i < NUM_CLIPPING_BOXES; i++) {
+        vec3 local = (clippingBoxes[i].inverseMatrix * vec4(position, 1.0)).xyz;
+        bool contained = all(lessThanEqual(abs(local), vec3(0.5)));
+        applyClippingVolume(clippingBoxes[i].mode, contained, state);
+    }
+#endif
+
+#if NUM_CLIPPING_PLANES > 0
+    for (int i = 0; i < NUM_CLIPPING_PLANES; i++) {
+        vec4 plane = clippingPlanes[i].plane;
+        bool contained = dot(plane.xyz, position) + plane.w >= 0.0;
+        applyClippingVolume(clippingPlanes[i].mode, contained, state);
+    }
+#endif
+
+#if NUM_CLIPPING_POLYGONS > 0
+    for (int i = 0; i < NUM_CLIPPING_POLYGONS; i++) {
+        bool contained = isInsidePolygon(clippingPolygons[i], position);
+        applyClippingVolume(clippingPolygons[i].mode, contained, state);
+    }
+#endif
+
+    state.clipped = state.clipped || (state.hasInsideVolume && !state.insideAnyInsideVolume);
+
+    return state;
+}
+#endif
+
+#if defined(ATTRIBUTE_FILTERS)
+uniform vec2 attributeFilterRanges[4]; // MAX_ATTRIBUTE_FILTERS
+uniform bool attributeFilterUnion;
+
+#if defined(ATTRIBUTE_FILTER_0_TYPE)
+attribute ATTRIBUTE_FILTER_0_TYPE filterAttribute0;
+#endif
+#if defined(ATTRIBUTE_FILTER_1_TYPE)
+attribute ATTRIBUTE_FILTER_1_TYPE filterAttribute1;
+#endif
+#if defined(ATTRIBUTE_FILTER_2_TYPE)
+attribute ATTRIBUTE_FILTER_2_TYPE filterAttribute2;
+#endif
+#if defined(ATTRIBUTE_FILTER_3_TYPE)
+attribute ATTRIBUTE_FILTER_3_TYPE filterAttribute3;
+#endif
+
+#define TEST_ATTRIBUTE_FILTER(value, range) { \
+    bool inRange = float(value) >= range.x && float(value) <= range.y; \
+    hasFilter = true; \
+    passAll = passAll && inRange; \
+    passAny = passAny || inRange; \
+}
+
+// Returns true if the point passes the filters. Filters whose attribute is not yet
+// loaded (i.e not defined) are ignored.
+bool testAttributeFilters() {
+    bool hasFilter = false;
+    bool passAll = true;
+    bool passAny = false;
+
+#if defined(ATTRIBUTE_FILTER_0_TYPE)
+    TEST_ATTRIBUTE_FILTER(filterAttribute0, attributeFilterRanges[0]);
+#endif
+#if defined(ATTRIBUTE_FILTER_1_TYPE)
+    TEST_ATTRIBUTE_FILTER(filterAttribute1, attributeFilterRanges[1]);
+#endif
+#if defined(ATTRIBUTE_FILTER_2_TYPE)
+    TEST_ATTRIBUTE_FILTER(filterAttribute2, attributeFilterRanges[2]);
+#endif
+#if defined(ATTRIBUTE_FILTER_3_TYPE)
+    TEST_ATTRIBUTE_FILTER(filterAttribute3, attributeFilterRanges[3]);
+#endif
+
+    if (!hasFilter) {
+        return true;
+    }
+
+    return attributeFilterUnion ? passAny : passAll;
+}
+#endif
+
+// Returns the point spacing of the deepest displayed node that contains the point,
+// approximated by the child octant of this node that contains the point.
+float getAdaptiveSpacing() {
+    int octant = (position.x > nodeCenter.x ? 1 : 0)
+        + (position.y > nodeCenter.y ? 2 : 0)
+        + (position.z > nodeCenter.z ? 4 : 0);
+
+    return octantSpacings[octant];
+}
+
+// Returns the size of the point, in pixels.
+float computePointSize(float pixelsPerUnit) {
+#if defined(SHADOW_DEPTH)
+    // Shadow maps are rendered from the point of view of the lights, where the point size
+    // is meaningless: the points must cover their spacing so that the surface is closed.
+    float shadowSpacing = pointSizeMode == POINT_SIZE_MODE_ADAPTIVE
+        ? getAdaptiveSpacing()
+        : nodeSpacing;
+
+    return max(shadowSpacing * pixelsPerUnit, 1.0);
+#else
+    if (pointSizeMode == POINT_SIZE_MODE_FIXED) {
+        return size > 0. ? size : clamp(-size / gl_Position.w, 3.0, 10.0);
+    }
+
+    // In attenuated and adaptive modes, the size is a factor of the point spacing.
+    float factor = size > 0. ? size : 1.0;
+    float spacing = pointSizeMode == POINT_SIZE_MODE_ADAPTIVE
+        ? getAdaptiveSpacing()
+        : octreeSpacing;
+
+    return clamp(factor * spacing * pixelsPerUnit, minPointSize, maxPointSize);
+#endif
+}
+
 #ifdef DEFORMATION_SUPPORT
 uniform int enableDeformations;
 struct Deformation {
@@ -106,6 +323,27 @@ void main() {
         return;
     }
 
+#if defined(CLIPPING_VOLUMES)
+    // The translation of the model matrix is left out: large world coordinates cannot be
+    // represented by 32-bit floats without losing precision.
+    ClippingState clipping = computeClipping(mat3(modelMatrix) * position);
+    if (clipping.clipped) {
+        // Same as decimation: clipped points are neither rendered nor pickable.
+        gl_PointSize = 0.0;
+        gl_Position = vec4(-9999.0, -9999.0, -9999.0, 0.0);
+        return;
+    }
+#endif
+
+#if defined(ATTRIBUTE_FILTERS)
+    if (!testAttributeFilters()) {
+        // Same as decimation: filtered points are neither rendered nor pickable.
+        gl_PointSize = 0.0;
+        gl_Position = vec4(-9999.0, -9999.0, -9999.0, 0.0);
+        return;
+    }
+#endif
+
 #if defined(NORMAL_OCT16)
     vec3  normal = decodeOct16Normal(oct16Normal);
 #elif defined(NORMAL_SPHEREMAPPED)
@@ -158,6 +396,12 @@ void main() {
         vColor = vec4(mix(linear.rgb, overlayColor.rgb, overlayColor.a), opacity);
     }
 
+#if defined(CLIPPING_VOLUMES)
+    if (clipping.highlighted && pickingId == uint(0)) {
+        vColor.rgb = clippingHighlightColor;
+    }
+#endif
+
     mat4 mvMatrix = modelViewMatrix;
 
     #ifdef DEFORMATION_SUPPORT
@@ -207,11 +451,31 @@ void main() {
     #include <begin_vertex>
     #include <project_vertex>
 
-    if (size > 0.) {
-        gl_PointSize = size;
-    } else {
-        gl_PointSize = clamp(-size / gl_Position.w, 3.0, 10.0);
-    }
+    // The number of pixels per world unit at the depth of the point. Note that for
+    // orthographic cameras, w is 1 and this is constant.
+    float pixelsPerUnit = projectionMatrix[1][1] * 0.5 * viewportHeight / gl_Position.w;
+
+    gl_PointSize = computePointSize(pixelsPerUnit);
+
+    vPointViewPosition = mvPosition.xyz;
+    vPointRadius = 0.5 * gl_PointSize / pixelsPerUnit;
+
+#if defined(LIT)
+    // The normal in view space. Without normals, the points face the camera.
+#if defined(NORMAL)
+    vec3 transformedNormal = normalize(normalMatrix * normal);
+    vNormal = transformedNormal;
+#else
+    vec3 transformedNormal = vec3(0.0, 0.0, 1.0);
+#endif
+
+    #include <worldpos_vertex>
+    #include <shadowmap_vertex>
+#endif
+
+#if defined(SHADOW_DEPTH)
+    vHighPrecisionZW = gl_Position.zw;
+#endif
 
     #include <fog_vertex>
     #include <logdepthbuf_vertex>
@@ -0,0 +1,48 @@
+// Decoding of depth buffer values, for any projection, with or without logarithmic depth buffer.
+// Requires <packing>.
+
+// Returns the view Z of a value written by <logdepthbuf_fragment>, i.e log2(1 + w) * FC / 2,
+// where FC = 2 / log2(far + 1) and w = -viewZ.
+// Note: orthographic cameras do not write logarithmic depth, even if enabled.
+float logarithmicDepthToViewZ(const in float depth, const in float far) {
+    return 1.0 - exp2(depth * log2(far + 1.0));
+}
+
+// Returns the view Z of a value of the depth buffer.
+float depthToViewZ(
+    const in float depth,
+    const in float near,
+    const in float far,
+    const in bool orthographic,
+    const in bool logarithmic
+) {
+    if (orthographic) {
+        return orthographicDepthToViewZ(depth, near, far);
+    }
+    if (logarithmic) {
+        return logarithmicDepthToViewZ(depth, far);
+    }
+    return perspectiveDepthToViewZ(depth, near, far);
+}
+
+// Returns the view space position of a value of the depth buffer.
+// The screen coordinates are in the [0, 1] range.
+vec3 depthToViewPosition(
+    const in vec2 uv,
+    const in float depth,
+    const in mat4 inverseProjectionMatrix,
+    const in float far,
+    const in bool orthographic,
+    const in bool logarithmic
+) {
+    vec2 ndc = uv * 2.0 - 1.0;
+
+    if (logarithmic && !orthographic) {
+        // The depth is not linear in NDC, so we scale the ray that goes through the pixel
+        vec4 ray = inverseProjectionMatrix * vec4(ndc, 1.0, 1.0);
+        return ray.xyz * (logarithmicDepthToViewZ(depth, far) / ray.z);
+    }
+
+    vec4 position = inverseProjectionMatrix * vec4(ndc, depth * 2.0 - 1.0, 1.0);
+    return position.xyz / position.w;
+}
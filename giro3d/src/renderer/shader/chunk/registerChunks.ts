@@ -6,6 +6,7 @@ import giro3d_common from './giro3d_common.glsl';
 import giro3d_compose_layers_pars_fragment from './giro3d_compose_layers_pars_fragment.glsl';
 import giro3d_contour_line_fragment from './giro3d_contour_line_fragment.glsl';
 import giro3d_contour_line_pars_fragment from './giro3d_contour_line_pars_fragment.glsl';
+import giro3d_depth_pars_fragment from './giro3d_depth_pars_fragment.glsl';
 import giro3d_fragment_shader_header from './giro3d_fragment_shader_header.glsl';
 import giro3d_graticule_fragment from './giro3d_graticule_fragment.glsl';
 import giro3d_graticule_pars_fragment from './giro3d_graticule_pars_fragment.glsl';
@@ -22,6 +23,7 @@ type Giro3DShaderChunk = typeof ShaderChunk & {
     giro3d_colormap_pars_fragment: string;
     giro3d_contour_line_pars_fragment: string;
     giro3d_contour_line_fragment: string;
+    giro3d_depth_pars_fragment: string;
     giro3d_fragment_shader_header: string;
     giro3d_graticule_fragment: string;
     giro3d_graticule_pars_fragment: string;
@@ -37,6 +39,7 @@ export default function registerChunks() {
     Giro3dShaderChunk.giro3d_colormap_pars_fragment = giro3d_colormap_pars_fragment;
     Giro3dShaderChunk.giro3d_contour_line_pars_fragment = giro3d_contour_line_pars_fragment;
     Giro3dShaderChunk.giro3d_contour_line_fragment = giro3d_contour_line_fragment;
+    Giro3dShaderChunk.giro3d_depth_pars_fragment = giro3d_depth_pars_fragment;
     Giro3dShaderChunk.giro3d_fragment_shader_header = giro3d_fragment_shader_header;
     Giro3dShaderChunk.giro3d_graticule_fragment = giro3d_graticule_fragment;
     Giro3dShaderChunk.giro3d_graticule_pars_fragment = giro3d_graticule_pars_fragment;
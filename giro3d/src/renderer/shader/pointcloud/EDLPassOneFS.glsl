@@ -1,9 +1,12 @@
 #include <packing>
+#include <giro3d_depth_pars_fragment>
 uniform sampler2D depthTexture;
 uniform vec2 resolution;
 uniform float strength;
 uniform float cameraNear;
 uniform float cameraFar;
+uniform bool orthographic;
+uniform bool logarithmicDepth;
 
 uniform int n;
 uniform int directions;
@@ -12,7 +15,7 @@ uniform float radius;
 varying vec2 vUv;
 
 float readDepth (float fragCoordZ) {
-    float viewZ = perspectiveDepthToViewZ(fragCoordZ, cameraNear, cameraFar);
+    float viewZ = depthToViewZ(fragCoordZ, cameraNear, cameraFar, orthographic, logarithmicDepth);
     return log2(viewZToOrthographicDepth(viewZ, cameraNear, cameraFar));
 }
 
@@ -4,6 +4,7 @@ uniform sampler2D textureEDL;
 
 varying vec2 vUv;
 uniform float opacity;
+uniform vec3 edlColor;
 
 void main() {
     float edl = texture2D(textureEDL, vUv).r;
@@ -13,7 +14,10 @@ void main() {
     if (edl == 0.0) {
         gl_FragColor = vec4(source.rgb, source.a);
     } else {
-        gl_FragColor = vec4(source.rgb * edl, source.a);
+        // Shaded pixels fade towards the EDL color.
+        // With a black color, this is equivalent to source.rgb * edl
+        vec3 shaded = mix(edlColor, source.rgb, edl);
+        gl_FragColor = vec4(mix(source.rgb, shaded, opacity), source.a);
     }
     gl_FragDepth = texture2D(depthTexture, vUv).r;
 }
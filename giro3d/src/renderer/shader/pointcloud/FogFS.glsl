@@ -0,0 +1,44 @@
+#include <packing>
+#include <giro3d_depth_pars_fragment>
+
+uniform sampler2D depthTexture;
+uniform sampler2D colorTexture;
+
+varying vec2 vUv;
+
+uniform mat4 inverseProjectionMatrix;
+uniform float cameraFar;
+uniform bool orthographic;
+uniform bool logarithmicDepth;
+
+uniform vec3 fogColor;
+uniform bool fogExp2;
+uniform float fogNear;
+uniform float fogFar;
+uniform float fogDensity;
+
+// Same as <fog_fragment>, where the fog depth is the distance to the camera plane.
+void main() {
+    vec4 color = texture2D(colorTexture, vUv);
+    float depth = texture2D(depthTexture, vUv).x;
+    gl_FragDepth = depth;
+
+    // empty pixel
+    if (depth == 1.0) {
+        gl_FragColor = color;
+        return;
+    }
+
+    vec3 viewPosition = depthToViewPosition(
+        vUv, depth, inverseProjectionMatrix, cameraFar, orthographic, logarithmicDepth);
+    float fogDepth = -viewPosition.z;
+
+    float fogFactor;
+    if (fogExp2) {
+        fogFactor = 1.0 - exp(-fogDensity * fogDensity * fogDepth * fogDepth);
+    } else {
+        fogFactor = smoothstep(fogNear, fogFar, fogDepth);
+    }
+
+    gl_FragColor = vec4(mix(color.rgb, fogColor, fogFactor), color.a);
+}
@@ -1,10 +1,15 @@
+#include <packing>
+#include <giro3d_depth_pars_fragment>
+
 uniform sampler2D depthTexture;
 uniform sampler2D colorTexture;
 
 varying vec2 vUv;
 
-uniform float m43;
-uniform float m33;
+uniform mat4 invPersMatrix;
+uniform float cameraFar;
+uniform bool orthographic;
+uniform bool logarithmicDepth;
 uniform vec2 resolution;
 uniform float depth_contrib;
 uniform float opacity;
@@ -13,10 +18,10 @@ uniform bool enableZAttenuation;
 uniform float zAttMax;
 uniform float zAttMin;
 
+// Returns the view space Z of the pixel, for any projection.
 float zview(float depth) {
-    // http://www.derschmale.com/2014/01/26/reconstructing-positions-from-the-depth-buffer/
-    float zndc = 2.0 * depth - 1.0;
-    return - m43 / (zndc + m33);
+    return depthToViewPosition(
+        vec2(0.5), depth, invPersMatrix, cameraFar, orthographic, logarithmicDepth).z;
 }
 
 void main() {
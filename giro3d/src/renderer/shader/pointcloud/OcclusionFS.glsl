@@ -1,28 +1,25 @@
+#include <packing>
+#include <giro3d_depth_pars_fragment>
+
 uniform sampler2D depthTexture;
 uniform sampler2D colorTexture;
 
 varying vec2 vUv;
 
-uniform float m43;
-uniform float m33;
 uniform vec2 resolution;
 uniform mat4 invPersMatrix;
+uniform bool orthographic;
+uniform bool logarithmicDepth;
+uniform float cameraFar;
 
 uniform float threshold;
 uniform bool showRemoved;
 
-vec3 unproject (vec2 ptex, float d)
+// Returns the view space position of the pixel, for any projection.
+vec3 unproject (vec2 ptex, float depth)
 {
-    vec2 pndc = ptex * 2.0 - 1.0;
-    vec3 pray = (invPersMatrix * vec4(pndc, 1.0, 1.0)).xyz;
-    return d * pray;
-}
-
-
-float zView(float depth) {
-    // http://www.derschmale.com/2014/01/26/reconstructing-positions-from-the-depth-buffer/
-    float zndc = 2.0 * depth - 1.0;
-    return - m43 / (zndc + m33);
+    return depthToViewPosition(
+        ptex, depth, invPersMatrix, cameraFar, orthographic, logarithmicDepth);
 }
 
 void main() {
@@ -34,8 +31,9 @@ void main() {
             sectors[i] = -1.0;
         }
 
-        vec3 p0 = unproject(gl_FragCoord.xy / resolution, -zView(depth));
-        vec3 v = -normalize(p0);
+        vec3 p0 = unproject(gl_FragCoord.xy / resolution, depth);
+        // With orthographic cameras, the view direction is the same for all pixels.
+        vec3 v = orthographic ? vec3(0.0, 0.0, 1.0) : -normalize(p0);
 
         const int kernelSize = 7;
         for (int i=-kernelSize; i<=kernelSize; i++) {
@@ -52,7 +50,7 @@ void main() {
                 }
 
                 vec2 coord = (gl_FragCoord.xy + vec2(i, j)) / resolution;
-                vec3 pij = unproject(coord, - zView(d));
+                vec3 pij = unproject(coord, d);
                 vec3 c = normalize(pij - p0);
                 float test = dot(v, c);
 
@@ -0,0 +1,17 @@
+uniform sampler2D colorTexture;
+uniform sampler2D depthTexture;
+
+varying vec2 vUv;
+
+void main() {
+    // The color channels contain the sum of weighted colors,
+    // and the alpha channel contains the sum of weights.
+    vec4 accumulated = texture2D(colorTexture, vUv);
+    if (accumulated.a <= 0.0) {
+        discard;
+        return;
+    }
+
+    gl_FragColor = vec4(accumulated.rgb / accumulated.a, 1.0);
+    gl_FragDepth = texture2D(depthTexture, vUv).r;
+}
@@ -6,7 +6,6 @@ import * as octree from '../core/Octree';
 import OperationCounter from '../core/OperationCounter';
 import RequestQueue from '../core/RequestQueue';
 import Fetcher from '../utils/Fetcher';
-import ProjUtils from '../utils/ProjUtils';
 import { nonNull } from '../utils/tsutils';
 import WorkerPool from '../utils/WorkerPool';
 import { getLazPerf } from './las/config';
@@ -17,9 +16,10 @@ import { type DimensionFilter } from './las/filter';
 import { createBufferAttribute } from './las/readers';
 import type { MessageMap, MessageType, ReadViewResult } from './las/worker';
 import { readView, type Metadata } from './las/worker';
+import { readCrs, readCrsRecords } from './las/vlrs';
 import type {
     GetNodeDataOptions,
-    PointCloudCrs,
+    LASVariableLengthRecord,
     PointCloudMetadata,
     PointCloudNode,
     PointCloudNodeData,
@@ -68,20 +68,6 @@ function decodeLazChunkUsingWorker(chunk: Uint8Array, metadata: Metadata): Promi
         .then(res => new Uint8Array(res));
 }
 
-function readCrs(wkt?: string): PointCloudCrs | undefined {
-    if (wkt == null) {
-        return undefined;
-    }
-
-    const name = ProjUtils.getWKTCrsCode(wkt);
-
-    if (name == null) {
-        return undefined;
-    }
-
-    return { name, definition: wkt };
-}
-
 export type COPCSourceOptions = {
     /**
      * The URL to the remote COPC LAS file, or a copc.js `Getter` function to directly access the file.
@@ -120,6 +106,8 @@ type RemoteData = {
     volume: Box3;
     nodes: Map<string, Hierarchy.Node>;
     dimensions: Dimension.Map;
+    /** The coordinate system VLRs of the file. */
+    crsRecords: LASVariableLengthRecord[];
 };
 
 type NodeInternalData = PointCloudNode & {
@@ -253,6 +241,7 @@ export default class COPCSource extends PointCloudSourceBase {
     readonly type = 'COPCSource';
 
     private readonly _getter: Getter;
+    private readonly _url: string | undefined;
     private readonly _opCounter = new OperationCounter();
     private readonly _nodeMap: Map<string, octree.Octree<NodeInternalData>> = new Map();
     private readonly _filters: DimensionFilter[] = [];
@@ -273,6 +262,13 @@ export default class COPCSource extends PointCloudSourceBase {
         return this._opCounter.progress;
     }
 
+    /**
+     * The URL of the file, if the source was created from an URL.
+     */
+    get url(): string | undefined {
+        return this._url;
+    }
+
     /**
      * Gets or sets the dimension filters.
      * @defaultValue `[]`
@@ -308,6 +304,7 @@ export default class COPCSource extends PointCloudSourceBase {
             this._filters.push(...options.filters);
         }
 
+        this._url = typeof options.url === 'string' ? options.url : undefined;
         this._getter = typeof options.url === 'string' ? getter(options.url) : options.url;
     }
 
@@ -336,11 +333,14 @@ export default class COPCSource extends PointCloudSourceBase {
             counter.decrement(),
         );
 
+        const crsRecords = await readCrsRecords(this._getter, copc.vlrs);
+
         this._data = {
             copc,
             nodes,
             volume,
             dimensions: rootView.dimensions,
+            crsRecords,
         };
 
         return this;
@@ -358,7 +358,7 @@ export default class COPCSource extends PointCloudSourceBase {
                 remoteData.copc.info.gpsTimeRange,
             ),
             volume: remoteData.volume,
-            crs: readCrs(remoteData.copc.wkt),
+            crs: readCrs(remoteData.copc.wkt, remoteData.crsRecords),
         };
 
         return Promise.resolve(result);
@@ -1,23 +1,38 @@
-import type { Binary, View } from 'copc';
+import type { Binary, Getter as RangeGetter, View } from 'copc';
 import { Las } from 'copc';
 import { Header } from 'copc/lib/las';
 import type { BufferAttribute } from 'three';
 import { Box3, Float32BufferAttribute, Vector3 } from 'three';
+import { GlobalCache } from '../core/Cache';
 import type { GetMemoryUsageContext } from '../core/MemoryUsage';
+import * as octree from '../core/Octree';
 import OperationCounter from '../core/OperationCounter';
-import { defer } from '../core/RequestQueue';
+import RequestQueue, { defer } from '../core/RequestQueue';
 import Fetcher from '../utils/Fetcher';
 import { nonNull } from '../utils/tsutils';
 import WorkerPool from '../utils/WorkerPool';
+import type { PointChunk } from './las/chunkTable';
+import { createUncompressedChunks, isCompressed, readChunkTable } from './las/chunkTable';
 import { getLazPerf } from './las/config';
 import createWorker from './las/createWorker';
 import type { DimensionName } from './las/dimension';
 import { extractAttributes, getDimensionsToRead } from './las/dimension';
 import { getPerPointFilters, type DimensionFilter } from './las/filter';
 import { createBufferAttribute, readColor, readPosition, readScalarAttribute } from './las/readers';
-import type { MessageMap, MessageType } from './las/worker';
+import type { ChunkIndex, IndexCube, RecordSelection } from './las/spatialIndex';
+import {
+    computeIndexCube,
+    INDEX_DEPTH,
+    indexChunk,
+    isSelected,
+    mayContainSelection,
+    selectRecords,
+} from './las/spatialIndex';
+import { getWKT, readCrs, readCrsRecords } from './las/vlrs';
+import type { MessageMap, MessageType, Metadata } from './las/worker';
 import type {
     GetNodeDataOptions,
+    LASVariableLengthRecord,
     PointCloudMetadata,
     PointCloudNode,
     PointCloudNodeData,
@@ -39,28 +54,88 @@ const getter: (url: string) => Getter = url => {
     };
 };
 
+/**
+ * Inject Fetcher into copc.js to perform range requests (streaming mode only).
+ */
+const rangeGetter: (url: string) => RangeGetter = url => {
+    return async (begin, end) => {
+        const blob = await Fetcher.blob(url, {
+            headers: {
+                Range: `bytes=${begin}-${end - 1}`,
+            },
+        });
+
+        const arrayBuffer = await blob.arrayBuffer();
+
+        return new Uint8Array(arrayBuffer);
+    };
+};
+
+const blobRangeGetter: (blob: Blob) => RangeGetter = blob => {
+    return async (begin, end) => new Uint8Array(await blob.slice(begin, end).arrayBuffer());
+};
+
+/** The queue for chunk requests in streaming mode. */
+const chunkQueue = new RequestQueue({ maxConcurrentRequests: 4 });
+
 let pool: WorkerPool<MessageType, MessageMap> | null = null;
 
+function getPool(): WorkerPool<MessageType, MessageMap> {
+    if (pool == null) {
+        pool = new WorkerPool({ createWorker });
+    }
+
+    return pool;
+}
+
 async function decodeLazFileSync(data: Uint8Array): Promise<Uint8Array> {
     const lazPerf = await getLazPerf();
     return Las.PointData.decompressFile(data, lazPerf);
 }
 
 function decodeLazFileUsingWorker(data: Uint8Array): Promise<Uint8Array> {
-    if (pool == null) {
-        pool = new WorkerPool({ createWorker });
-    }
-
-    return pool
+    return getPool()
         .queue('DecodeLazFile', { buffer: data.buffer }, [data.buffer])
         .then(res => new Uint8Array(res));
 }
 
+/**
+ * Options of the streaming mode of the {@link LASSource}.
+ */
+export type LASStreamingOptions = {
+    /**
+     * The approximate maximum number of points in each node of the hierarchy.
+     * @defaultValue 100000
+     */
+    pointsPerNode?: number;
+    /**
+     * The approximate number of points to keep in memory after the indexing pass. Nodes whose
+     * points are entirely contained in this sample are served without any further request.
+     * @defaultValue 1000000
+     */
+    sampleSize?: number;
+    /**
+     * The number of points in each chunk of uncompressed LAS files. Ignored for LAZ files, whose
+     * chunks are defined by the file itself.
+     * @defaultValue 250000
+     */
+    chunkSize?: number;
+};
+
 export type LASSourceOptions = {
     /**
-     * The URL to the remote LAS file, or a function to retrieve the remote file.
+     * The URL to the remote LAS file, a function to retrieve the remote file, or a Blob
+     * (e.g a `File` selected by the user).
+     */
+    url: string | Getter | Blob;
+    /**
+     * Enables the streaming mode, for files that are too large to fit in memory. In this mode,
+     * the file is never loaded entirely: the source reads the chunks of the file (using HTTP range
+     * requests or `Blob` slices) to build a spatial index and exposes a multi-level hierarchy,
+     * like a COPC file. Requires that {@link url} is a URL or a Blob.
+     * @defaultValue false
      */
-    url: string | Getter;
+    streaming?: boolean | LASStreamingOptions;
     /**
      * If true, colors are compressed to 8-bit (instead of 16-bit).
      * @defaultValue true
@@ -89,6 +164,136 @@ type PerfOptions = {
     compressColorsToUint8: boolean;
 };
 
+const DEFAULT_STREAMING_OPTIONS: Required<LASStreamingOptions> = {
+    pointsPerNode: 100_000,
+    sampleSize: 1_000_000,
+    chunkSize: 250_000,
+};
+
+type StreamingNode = PointCloudNode &
+    RecordSelection & {
+        x: number;
+        y: number;
+        z: number;
+    };
+
+type IndexedChunk = PointChunk & Pick<ChunkIndex, 'codes' | 'minRanks' | 'maxRanks'>;
+
+/**
+ * The state of the streaming mode, available after the indexing pass.
+ */
+type StreamingData = {
+    compressed: boolean;
+    cube: IndexCube;
+    chunks: IndexedChunk[];
+    /** The fraction of points (by rank) stored in the sample. */
+    sampleFraction: number;
+    sample: Pick<ChunkIndex, 'sampleRecords' | 'sampleCodes' | 'sampleRanks'>;
+    root: octree.Octree<StreamingNode>;
+    nodes: Map<string, StreamingNode>;
+};
+
+function concat<T extends Uint8Array | Uint32Array | Float64Array>(
+    arrays: T[],
+    create: (length: number) => T,
+): T {
+    const result = create(arrays.reduce((sum, a) => sum + a.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+}
+
+/**
+ * Builds the hierarchy of the streaming mode from the number of points in each cell of the
+ * spatial index.
+ *
+ * Points of a cell are distributed among the levels of detail according to their rank: a node
+ * contains the points whose rank is in `[rankMin, rankMax)`, where `rankMin` is the `rankMax` of
+ * its parent. This way, each level refines its parent (like COPC files) without duplicating
+ * any point.
+ */
+function buildHierarchy(
+    sourceId: string,
+    cellCounts: Map<number, number>[],
+    cube: IndexCube,
+    pointsPerNode: number,
+): octree.Octree<StreamingNode> {
+    const rootSpacing = cube.size / Math.sqrt(pointsPerNode);
+
+    const createNode = (
+        depth: number,
+        x: number,
+        y: number,
+        z: number,
+        prefix: number,
+        rankMin: number,
+        parent?: octree.Octree<StreamingNode>,
+    ): octree.Octree<StreamingNode> | undefined => {
+        const count = cellCounts[depth].get(prefix) ?? 0;
+        if (count === 0) {
+            return undefined;
+        }
+
+        const remaining = count * (1 - rankMin);
+        const subdivide = remaining > pointsPerNode && depth < INDEX_DEPTH;
+        const rankMax = subdivide ? Math.min(1, rankMin + pointsPerNode / count) : 1;
+
+        const size = cube.size / 2 ** depth;
+        const min = new Vector3(
+            cube.min[0] + x * size,
+            cube.min[1] + y * size,
+            cube.min[2] + z * size,
+        );
+        const volume = new Box3(min, min.clone().addScalar(size));
+
+        return octree.create<StreamingNode>(
+            {
+                id: `${depth}-${x}-${y}-${z}`,
+                sourceId,
+                depth,
+                x,
+                y,
+                z,
+                prefix,
+                rankMin,
+                rankMax,
+                volume,
+                center: volume.getCenter(new Vector3()),
+                geometricError: rootSpacing / 2 ** depth,
+                pointCount: Math.round(count * (rankMax - rankMin)),
+                hasData: true,
+            },
+            volume,
+            parent,
+        );
+    };
+
+    const root = nonNull(createNode(0, 0, 0, 0, 0, 0));
+
+    return octree.populate(root, node => {
+        if (node.rankMax >= 1) {
+            return undefined;
+        }
+
+        const children = [] as unknown as octree.ChildrenList<octree.Octree<StreamingNode>>;
+        for (let octant = 0; octant < 8; octant++) {
+            children[octant] = createNode(
+                node.depth + 1,
+                node.x * 2 + (octant & 1),
+                node.y * 2 + ((octant >> 1) & 1),
+                node.z * 2 + ((octant >> 2) & 1),
+                node.prefix * 8 + octant,
+                node.rankMax,
+                node,
+            );
+        }
+        return children;
+    });
+}
+
 /**
  * A source that reads from a LAS or LAZ file.
  *
@@ -108,6 +313,32 @@ type PerfOptions = {
  *
  * This source supports LAS 1.2 and 1.4 only.
  *
+ * ### Streaming mode
+ *
+ * By default, the whole file is loaded in memory and exposed as a single node. For files that
+ * are too large for this, enable {@link LASSourceOptions.streaming}. In this mode, the source
+ * reads the header and VLRs with range requests (or `Blob` slices), then reads every chunk of
+ * the file once to build an in-memory spatial index (in workers, if enabled). This index is used
+ * to expose a multi-level hierarchy, where each level is a decimated subset of the file, so that
+ * plain LAS/LAZ files can be displayed progressively like COPC files. Only a sample of the points
+ * (see {@link LASStreamingOptions.sampleSize}) is kept in memory: other nodes read the chunks
+ * that contain their points when they are requested.
+ *
+ * Note: the cost of loading a node depends on the number of chunks that contain its points.
+ * In a file whose points are not spatially sorted, most chunks contain points of every region, so
+ * nodes that are not in the sample may read and decompress most of the file. For large files,
+ * prefer spatially sorted input (e.g with `lassort` or PDAL's `filters.mortonorder`), or increase
+ * the {@link LASStreamingOptions.sampleSize | sample size}.
+ *
+ * Note: the server must support HTTP range requests.
+ *
+ * ```ts
+ * const source = new LASSource({ url: 'https://example.com/huge.laz', streaming: true });
+ *
+ * // Or with a file selected by the user
+ * const source = new LASSource({ url: inputElement.files[0], streaming: true });
+ * ```
+ *
  * ### Decimation
  *
  * This source supports decimation. By passing the {@link LASSourceOptions.decimate} argument to
@@ -143,6 +374,10 @@ export default class LASSource extends PointCloudSourceBase {
     readonly type = 'LASSource' as const;
 
     private readonly _getter: Getter;
+    private readonly _url: string | undefined;
+    private readonly _rangeGetter: RangeGetter | null = null;
+    private readonly _fileSize: number | undefined;
+    private readonly _streamingOptions: Required<LASStreamingOptions> | null = null;
     private readonly _opCounter = new OperationCounter();
     private readonly _filters: DimensionFilter[] = [];
     private readonly _options: PerfOptions = {
@@ -156,6 +391,10 @@ export default class LASSource extends PointCloudSourceBase {
     private _volume: Box3 | null = null;
     /** The buffer that stores the entire LAS/LAZ file (in compressed form for LAZ files). */
     private _buffer: ArrayBuffer | null = null;
+    /** The coordinate system VLRs of the file. */
+    private _crsRecords: LASVariableLengthRecord[] = [];
+    /** The spatial index, in streaming mode. */
+    private _streaming: StreamingData | null = null;
 
     get loading(): boolean {
         return this._opCounter.loading;
@@ -165,6 +404,20 @@ export default class LASSource extends PointCloudSourceBase {
         return this._opCounter.progress;
     }
 
+    /**
+     * The URL of the file, if the source was created from an URL.
+     */
+    get url(): string | undefined {
+        return this._url;
+    }
+
+    /**
+     * Gets whether the file is streamed (see {@link LASSourceOptions.streaming}).
+     */
+    get streaming(): boolean {
+        return this._streamingOptions != null;
+    }
+
     /**
      * Gets or sets the dimension filters.
      * @defaultValue `[]`
@@ -198,15 +451,52 @@ export default class LASSource extends PointCloudSourceBase {
             this._filters.push(...options.filters);
         }
 
-        this._getter = typeof options.url === 'string' ? getter(options.url) : options.url;
+        const url = options.url;
+        this._url = typeof url === 'string' ? url : undefined;
+
+        if (typeof url === 'string') {
+            this._getter = getter(url);
+        } else if (url instanceof Blob) {
+            this._getter = async () => new Uint8Array(await url.arrayBuffer());
+            this._fileSize = url.size;
+        } else {
+            this._getter = url;
+        }
+
+        if (options.streaming != null && options.streaming !== false) {
+            if (typeof url === 'string') {
+                this._rangeGetter = rangeGetter(url);
+            } else if (url instanceof Blob) {
+                this._rangeGetter = blobRangeGetter(url);
+            } else {
+                throw new Error('streaming mode requires an URL or a Blob');
+            }
+
+            this._streamingOptions = {
+                ...DEFAULT_STREAMING_OPTIONS,
+                ...(options.streaming === true ? {} : options.streaming),
+            };
+        }
     }
 
     protected async initializeOnce(): Promise<this> {
+        if (this._rangeGetter != null) {
+            await this.initializeStreaming(this._rangeGetter, nonNull(this._streamingOptions));
+            return this;
+        }
+
         this._opCounter.increment();
 
         this._buffer = await this._getter().finally(() => this._opCounter.decrement());
 
-        this._header = Header.parse(new Uint8Array(this._buffer));
+        const bytes = new Uint8Array(this._buffer);
+
+        this._header = Header.parse(bytes);
+
+        const readRange = (begin: number, end: number) =>
+            Promise.resolve(bytes.subarray(begin, end));
+        const vlrs = await Las.Vlr.walk(readRange, this._header);
+        this._crsRecords = await readCrsRecords(readRange, vlrs);
 
         const { min, max } = this._header;
 
@@ -218,7 +508,293 @@ export default class LASSource extends PointCloudSourceBase {
         return this;
     }
 
-    private async getView(include?: DimensionName[]): Promise<View> {
+    private async initializeStreaming(
+        get: RangeGetter,
+        options: Required<LASStreamingOptions>,
+    ): Promise<void> {
+        // The header is at most 375 bytes long (LAS 1.4)
+        const rawHeader = await this._opCounter.wrap(get(0, 375));
+
+        const header = Header.parse(rawHeader);
+        this._header = header;
+
+        const vlrs = await this._opCounter.wrap(Las.Vlr.walk(get, header));
+        this._crsRecords = await readCrsRecords(get, vlrs);
+
+        const { min, max, pointCount } = header;
+
+        this._volume = new Box3().set(
+            new Vector3(min[0], min[1], min[2]),
+            new Vector3(max[0], max[1], max[2]),
+        );
+
+        const compressed = isCompressed(rawHeader);
+
+        const chunks = compressed
+            ? await this._opCounter.wrap(readChunkTable(get, header, vlrs, this._fileSize))
+            : createUncompressedChunks(header, options.chunkSize);
+
+        const cube = computeIndexCube(header);
+        const sampleFraction = pointCount > 0 ? Math.min(1, options.sampleSize / pointCount) : 1;
+
+        // The number of points in each cell of the index, for each depth
+        const cellCounts: Map<number, number>[] = [];
+        for (let depth = 0; depth <= INDEX_DEPTH; depth++) {
+            cellCounts.push(new Map());
+        }
+
+        const indexedChunks: IndexedChunk[] = [];
+        const samples: Pick<ChunkIndex, 'sampleRecords' | 'sampleCodes' | 'sampleRanks'>[] = [];
+
+        // First pass: every chunk is read once to build the spatial index.
+        // Note that chunks are processed in parallel, so they are not indexed in order.
+        const indexing = chunks.map((chunk, i) =>
+            this._opCounter.wrap(
+                this.indexChunk(get, i, chunk, compressed, cube, sampleFraction).then(index => {
+                    indexedChunks[i] = {
+                        ...chunk,
+                        codes: index.codes,
+                        minRanks: index.minRanks,
+                        maxRanks: index.maxRanks,
+                    };
+                    samples[i] = index;
+
+                    for (let c = 0; c < index.codes.length; c++) {
+                        const code = index.codes[c];
+                        const count = index.counts[c];
+                        for (let depth = 0; depth <= INDEX_DEPTH; depth++) {
+                            const prefix = code >>> (3 * (INDEX_DEPTH - depth));
+                            const map = cellCounts[depth];
+                            map.set(prefix, (map.get(prefix) ?? 0) + count);
+                        }
+                    }
+                }),
+            ),
+        );
+
+        await Promise.all(indexing);
+
+        const root = buildHierarchy(this.id, cellCounts, cube, options.pointsPerNode);
+        const nodes = new Map<string, StreamingNode>();
+        octree.traverse(root, node => {
+            nodes.set(node.id, node);
+            return true;
+        });
+
+        this._streaming = {
+            compressed,
+            cube,
+            chunks: indexedChunks,
+            sampleFraction,
+            sample: {
+                sampleRecords: concat(
+                    samples.map(s => s.sampleRecords),
+                    n => new Uint8Array(n),
+                ),
+                sampleCodes: concat(
+                    samples.map(s => s.sampleCodes),
+                    n => new Uint32Array(n),
+                ),
+                sampleRanks: concat(
+                    samples.map(s => s.sampleRanks),
+                    n => new Float64Array(n),
+                ),
+            },
+            root,
+            nodes,
+        };
+    }
+
+    private getChunkMetadata(chunk: PointChunk): Metadata {
+        const header = nonNull(this._header);
+
+        return {
+            pointCount: chunk.pointCount,
+            pointDataRecordFormat: header.pointDataRecordFormat,
+            pointDataRecordLength: header.pointDataRecordLength,
+        };
+    }
+
+    /**
+     * Loads the raw (possibly compressed) bytes of a chunk.
+     */
+    private loadChunk(
+        get: RangeGetter,
+        index: number,
+        chunk: PointChunk,
+        priority?: number,
+        signal?: AbortSignal,
+    ): Promise<Uint8Array> {
+        const cacheKey = `${this.id}-chunk-${index}`;
+
+        const cached = GlobalCache.get(cacheKey);
+        if (cached != null) {
+            return Promise.resolve(cached as Uint8Array);
+        }
+
+        return chunkQueue.enqueue({
+            id: cacheKey,
+            priority,
+            request: async () => {
+                const data = await get(chunk.offset, chunk.offset + chunk.byteLength);
+                GlobalCache.set(cacheKey, data, { size: data.byteLength });
+                return data;
+            },
+            shouldExecute: () => !(signal?.aborted ?? false),
+        });
+    }
+
+    private async decompressChunk(
+        chunk: PointChunk,
+        data: Uint8Array,
+        compressed: boolean,
+    ): Promise<Uint8Array> {
+        if (!compressed) {
+            return data;
+        }
+        const lazPerf = await getLazPerf();
+        return Las.PointData.decompressChunk(data, this.getChunkMetadata(chunk), lazPerf);
+    }
+
+    private indexChunk(
+        get: RangeGetter,
+        index: number,
+        chunk: PointChunk,
+        compressed: boolean,
+        cube: IndexCube,
+        sampleFraction: number,
+    ): Promise<ChunkIndex> {
+        const header = nonNull(this._header);
+
+        // The whole task is queued, to limit the number of chunks in memory at the same time.
+        // The chunk is not cached, as it is unlikely to be read again soon.
+        return chunkQueue.enqueue({
+            id: `${this.id}-index-${index}`,
+            request: async () => {
+                const data = await get(chunk.offset, chunk.offset + chunk.byteLength);
+
+                if (this._options.enableWorkers) {
+                    return getPool().queue(
+                        'IndexChunk',
+                        {
+                            buffer: data.buffer,
+                            compressed,
+                            metadata: this.getChunkMetadata(chunk),
+                            header,
+                            cube,
+                            firstPoint: chunk.firstPoint,
+                            sampleFraction,
+                        },
+                        [data.buffer],
+                    );
+                }
+
+                const records = await this.decompressChunk(chunk, data, compressed);
+
+                return indexChunk(records, header, cube, chunk.firstPoint, sampleFraction);
+            },
+        });
+    }
+
+    /**
+     * Returns the uncompressed records of the specified node.
+     */
+    private async loadNodeRecords(node: StreamingNode, signal?: AbortSignal): Promise<Uint8Array> {
+        const { sample, sampleFraction, chunks, cube, compressed } = nonNull(this._streaming);
+        const header = nonNull(this._header);
+        const recordLength = header.pointDataRecordLength;
+
+        // The node is entirely contained in the in-memory sample
+        if (node.rankMax <= sampleFraction) {
+            return defer(() => {
+                const { sampleRecords, sampleCodes, sampleRanks } = sample;
+                const selected: number[] = [];
+                for (let i = 0; i < sampleCodes.length; i++) {
+                    if (isSelected(node, sampleCodes[i], sampleRanks[i])) {
+                        selected.push(i);
+                    }
+                }
+                const result = new Uint8Array(selected.length * recordLength);
+                for (let i = 0; i < selected.length; i++) {
+                    const begin = selected[i] * recordLength;
+                    const record = sampleRecords.subarray(begin, begin + recordLength);
+                    result.set(record, i * recordLength);
+                }
+                return result;
+            }, signal);
+        }
+
+        const get = nonNull(this._rangeGetter);
+        const priority = -node.depth;
+        const selection: RecordSelection = {
+            prefix: node.prefix,
+            depth: node.depth,
+            rankMin: node.rankMin,
+            rankMax: node.rankMax,
+        };
+
+        // Only the chunks that contain points of the node are read. In a file that is not
+        // spatially sorted, most chunks contain points of the shallow cells, so nodes of the
+        // first levels beyond the sample may have to read (and decompress) most of the file.
+        const parts = await Promise.all(
+            chunks
+                .map((chunk, index) => ({ chunk, index }))
+                .filter(({ chunk }) => mayContainSelection(chunk, selection))
+                .map(async ({ chunk, index }) => {
+                    const data = await this.loadChunk(get, index, chunk, priority, signal);
+
+                    signal?.throwIfAborted();
+
+                    if (this._options.enableWorkers) {
+                        // We have to clone the buffer to avoid poisoning the cache with
+                        // an unuseable detached buffer
+                        const buffer = data.slice().buffer;
+                        const result = await getPool().queue(
+                            'SelectRecords',
+                            {
+                                buffer,
+                                compressed,
+                                metadata: this.getChunkMetadata(chunk),
+                                header,
+                                cube,
+                                firstPoint: chunk.firstPoint,
+                                selection,
+                            },
+                            [buffer],
+                        );
+                        return new Uint8Array(result);
+                    }
+
+                    const records = await this.decompressChunk(chunk, data, compressed);
+                    return selectRecords(records, header, cube, chunk.firstPoint, selection);
+                }),
+        );
+
+        return concat(parts, n => new Uint8Array(n));
+    }
+
+    private async getView(
+        include?: DimensionName[],
+        node?: PointCloudNode,
+        signal?: AbortSignal,
+    ): Promise<View> {
+        if (this._streaming != null) {
+            const header = nonNull(this._header);
+
+            // Metadata only requires the dimensions, so an empty view is enough
+            const records =
+                node != null
+                    ? await this._opCounter.wrap(
+                          this.loadNodeRecords(
+                              nonNull(this._streaming.nodes.get(node.id), 'no such node'),
+                              signal,
+                          ),
+                      )
+                    : new Uint8Array(0);
+
+            return Las.View.create(records, header, undefined, include);
+        }
+
         this._opCounter.increment();
 
         const data = new Uint8Array(nonNull(this._buffer));
@@ -253,6 +829,7 @@ export default class LASSource extends PointCloudSourceBase {
                 this._options.compressColorsToUint8,
                 null,
             ),
+            crs: readCrs(getWKT(this._crsRecords), this._crsRecords),
         };
 
         return Promise.resolve(result);
@@ -261,6 +838,10 @@ export default class LASSource extends PointCloudSourceBase {
     async getHierarchy(): Promise<PointCloudNode> {
         const { min, max, pointCount } = nonNull(this._header, 'not initialized');
 
+        if (this._streaming != null) {
+            return this._streaming.root;
+        }
+
         const volume = new Box3().set(
             new Vector3(min[0], min[1], min[2]),
             new Vector3(max[0], max[1], max[2]),
@@ -283,15 +864,19 @@ export default class LASSource extends PointCloudSourceBase {
     async getNodeData(params: GetNodeDataOptions): Promise<PointCloudNodeData> {
         const dimensions = getDimensionsToRead(params.attribute, params.position, this._filters);
 
-        const view = await this.getView(dimensions);
+        const signal = params.signal;
 
-        const { min } = nonNull(this._volume);
+        const view = await this.getView(dimensions, params.node, signal);
 
-        const origin = min.clone();
+        signal?.throwIfAborted();
 
-        const stride = this._options.decimate ?? 1;
+        // In streaming mode, nodes are small enough to use their center as origin
+        const origin =
+            this._streaming != null
+                ? params.node.center.clone()
+                : nonNull(this._volume).min.clone();
 
-        const signal = params.signal;
+        const stride = this._options.decimate ?? 1;
 
         const filters = getPerPointFilters(this._filters, view);
 
@@ -343,6 +928,22 @@ export default class LASSource extends PointCloudSourceBase {
     }
 
     getMemoryUsage(context: GetMemoryUsageContext): void {
+        // In streaming mode, only the index and the sample are kept in memory.
+        if (this._streaming != null) {
+            const { sample, chunks } = this._streaming;
+            const cpuMemory =
+                sample.sampleRecords.byteLength +
+                sample.sampleCodes.byteLength +
+                sample.sampleRanks.byteLength +
+                chunks.reduce(
+                    (sum, c) =>
+                        sum + c.codes.byteLength + c.minRanks.byteLength + c.maxRanks.byteLength,
+                    0,
+                );
+            context.objects.set(this.id, { cpuMemory, gpuMemory: 0 });
+            return;
+        }
+
         // We have to store the whole file in memory, since there is no guarantee that the
         // remote server supports range requests (which is a requirement for COPC files for example)
         if (this._buffer != null) {
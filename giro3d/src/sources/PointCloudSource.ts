@@ -41,11 +41,33 @@ export type PointCloudAttribute = {
     max?: number;
 };
 
+/**
+ * A raw LAS variable length record (VLR), such as a coordinate system record.
+ */
+export type LASVariableLengthRecord = {
+    /** The user ID (up to 16 characters), e.g `LASF_Projection`. */
+    userId: string;
+    /** The record ID. */
+    recordId: number;
+    /** The optional description (up to 32 characters). */
+    description?: string;
+    /** The payload of the record. */
+    data: Uint8Array;
+};
+
 /**
  * A dataset CRS definition. Useful when loading datasets from unknown sources, where we don't
  * have this information beforehand.
  */
-export type PointCloudCrs = { name: string; definition?: string };
+export type PointCloudCrs = {
+    name: string;
+    definition?: string;
+    /**
+     * The original coordinate system records, for LAS-based sources. Used to preserve the
+     * coordinate system when exporting points to LAS.
+     */
+    vlrs?: LASVariableLengthRecord[];
+};
 
 /**
  * Contains lightweight metadata about the source, such as point count.
@@ -185,6 +207,11 @@ export type PointCloudNodeData = {
      * The optionally requested attribute buffer (color, classification, etc).
      */
     attribute?: BufferAttribute;
+    /**
+     * The normal buffer (3-component unit vectors), if the source provides normals.
+     * Might be undefined if position buffer was not required by the caller.
+     */
+    normal?: BufferAttribute;
 };
 
 /**
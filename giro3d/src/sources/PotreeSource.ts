@@ -36,14 +36,25 @@ import { PointCloudSourceBase } from './PointCloudSource';
 import type { LazPointCloudAttribute } from './potree/attributes';
 import {
     EXPOSED_ATTRIBUTES,
+    NORMAL_ATTRIBUTES,
     processAttributes,
     processLazAttributes,
     type PotreePointCloudAttribute,
 } from './potree/attributes';
+import {
+    processAttributesV2,
+    type PotreeV2PointCloudAttribute,
+} from './potree/attributesV2';
 import type { ParseResult } from './potree/bin';
 import { readBinFile } from './potree/bin';
-import { toBox3 } from './potree/BoundingBox';
+import { createChildAABB, toBox3 } from './potree/BoundingBox';
+import type { DecodeNodeInfo } from './potree/decoder';
+import { decodeNode } from './potree/decoder';
+import type { HierarchyNode } from './potree/hierarchy';
+import { HierarchyNodeType, parseHierarchyChunk } from './potree/hierarchy';
 import type { Metadata } from './potree/Metadata';
+import type { MetadataV2 } from './potree/MetadataV2';
+import { isMetadataV2 } from './potree/MetadataV2';
 import type * as potreeWorker from './potree/worker';
 
 type NodeInternalData = PointCloudNode & {
@@ -56,9 +67,32 @@ let lazPool: WorkerPool<lazWorker.MessageType, lazWorker.MessageMap> | null = nu
 
 type PotreeNode = octree.Octree<NodeInternalData>;
 
+/**
+ * Dataset information for legacy (PotreeConverter 1.x) datasets.
+ */
+type LegacyDatasetInfo = {
+    format: 'legacy';
+    pointByteSize: number;
+    metadata: Metadata;
+    attributes: (LazPointCloudAttribute | PotreePointCloudAttribute)[];
+    dataFilesExtension: 'bin' | 'laz';
+};
+
+/**
+ * Dataset information for Potree 2.0 (PotreeConverter 2.x) datasets.
+ */
+type DatasetInfoV2 = {
+    format: '2.0';
+    metadata: MetadataV2;
+    attributes: PotreeV2PointCloudAttribute[];
+    hierarchyUrl: string;
+    octreeUrl: string;
+};
+
 export type PotreeSourceOptions = {
     /**
-     * The URL to the dataset.
+     * The URL to the dataset. Either the `cloud.js` file of legacy datasets, or the
+     * `metadata.json` file of Potree 2.0 datasets.
      */
     url: string;
     /**
@@ -68,50 +102,6 @@ export type PotreeSourceOptions = {
     enableWorkers?: boolean;
 };
 
-// Create an A(xis)A(ligned)B(ounding)B(ox) for the child `childIndex` of one aabb.
-// (PotreeConverter protocol builds implicit octree hierarchy by applying the same
-// subdivision algo recursively)
-function createChildAABB(aabb: Box3, childIndex: number) {
-    // Code taken from potree
-    let { min } = aabb;
-    let { max } = aabb;
-    const dHalfLength = new Vector3().copy(max).sub(min).multiplyScalar(0.5);
-    const xHalfLength = new Vector3(dHalfLength.x, 0, 0);
-    const yHalfLength = new Vector3(0, dHalfLength.y, 0);
-    const zHalfLength = new Vector3(0, 0, dHalfLength.z);
-
-    const cmin = min;
-    const cmax = new Vector3().add(min).add(dHalfLength);
-
-    if (childIndex === 1) {
-        min = new Vector3().copy(cmin).add(zHalfLength);
-        max = new Vector3().copy(cmax).add(zHalfLength);
-    } else if (childIndex === 3) {
-        min = new Vector3().copy(cmin).add(zHalfLength).add(yHalfLength);
-        max = new Vector3().copy(cmax).add(zHalfLength).add(yHalfLength);
-    } else if (childIndex === 0) {
-        min = cmin;
-        max = cmax;
-    } else if (childIndex === 2) {
-        min = new Vector3().copy(cmin).add(yHalfLength);
-        max = new Vector3().copy(cmax).add(yHalfLength);
-    } else if (childIndex === 5) {
-        min = new Vector3().copy(cmin).add(zHalfLength).add(xHalfLength);
-        max = new Vector3().copy(cmax).add(zHalfLength).add(xHalfLength);
-    } else if (childIndex === 7) {
-        min = new Vector3().copy(cmin).add(dHalfLength);
-        max = new Vector3().copy(cmax).add(dHalfLength);
-    } else if (childIndex === 4) {
-        min = new Vector3().copy(cmin).add(xHalfLength);
-        max = new Vector3().copy(cmax).add(xHalfLength);
-    } else if (childIndex === 6) {
-        min = new Vector3().copy(cmin).add(xHalfLength).add(yHalfLength);
-        max = new Vector3().copy(cmax).add(xHalfLength).add(yHalfLength);
-    }
-
-    return new Box3(min, max);
-}
-
 function createBufferAttribute(buf: ArrayBuffer, attribute: PointCloudAttribute): BufferAttribute {
     if (attribute.interpretation === 'color') {
         return new Uint8ClampedBufferAttribute(new Uint8ClampedArray(buf), 3, true);
@@ -185,6 +175,36 @@ function createBufferAttribute(buf: ArrayBuffer, attribute: PointCloudAttribute)
     return result;
 }
 
+function toNodeData(
+    node: PointCloudNode,
+    result: ParseResult,
+    requestedAttribute?: PointCloudAttribute,
+    scale?: Vector3,
+): PointCloudNodeData {
+    const positionBuffer = new Float32BufferAttribute(result.positionBuffer.array, 3, false);
+    let attribute: BufferAttribute | undefined = undefined;
+    if (requestedAttribute != null && result.attributeBuffer != null) {
+        attribute = createBufferAttribute(result.attributeBuffer.array, requestedAttribute);
+    }
+
+    let normal: BufferAttribute | undefined = undefined;
+    if (result.normalBuffer != null) {
+        normal = new Float32BufferAttribute(result.normalBuffer.array, 3, false);
+    }
+
+    const localBoundingBox = new Box3().setFromBufferAttribute(positionBuffer);
+
+    return {
+        origin: node.volume.min,
+        scale,
+        localBoundingBox,
+        position: positionBuffer,
+        pointCount: positionBuffer.count,
+        attribute,
+        normal,
+    };
+}
+
 /**
  * Parse a .hrc file and returns the root node of the hierarchy.
  */
@@ -286,9 +306,19 @@ function createPotreeWorker(): Worker {
  *
  * ## Supported formats
  *
- * This source currently reads legacy Potree datasets (a `cloud.js` files and multiple `.hrc` and
+ * This source reads legacy Potree datasets (a `cloud.js` files and multiple `.hrc` and
  * data files). Data files may either be in the BIN format or LAZ files.
  *
+ * It also reads Potree 2.0 datasets, as produced by PotreeConverter 2.x (a `metadata.json` file,
+ * a `hierarchy.bin` file and an `octree.bin` file). Both the `DEFAULT` and `BROTLI` encodings are
+ * supported. The hierarchy and the node data are read using HTTP range requests, and the
+ * hierarchy is loaded in chunks, as nodes are displayed. Note that the remote server must support
+ * range requests.
+ *
+ * The normals of legacy BIN datasets (the `NORMAL`, `NORMAL_FLOATS`, `NORMAL_OCT16` and
+ * `NORMAL_SPHEREMAPPED` attributes) are decoded and provided along with the positions, so that
+ * point clouds can be lit by scene lights (see {@link entities.PointCloud.lighting}).
+ *
  * LAZ decompression is done in background threads using workers. If you wish to disable workers
  * (for a noticeable cost in performance), you can set {@link PotreeSourceOptions.enableWorkers} to
  * `false` in constructor options.
@@ -306,17 +336,19 @@ export default class PotreeSource extends PointCloudSourceBase {
     private readonly _options: Required<PotreeSourceOptions>;
 
     /**  Available after initialization. */
-    private _datasetInfo: {
-        pointByteSize: number;
-        metadata: Metadata;
-        attributes: (LazPointCloudAttribute | PotreePointCloudAttribute)[];
-        dataFilesExtension: 'bin' | 'laz';
-    } | null = null;
+    private _datasetInfo: LegacyDatasetInfo | DatasetInfoV2 | null = null;
 
     get progress() {
         return this._opCounter.progress;
     }
 
+    /**
+     * The URL to the dataset.
+     */
+    get url(): string {
+        return this._options.url;
+    }
+
     get loading() {
         return this._opCounter.loading;
     }
@@ -336,10 +368,14 @@ export default class PotreeSource extends PointCloudSourceBase {
     protected async initializeOnce(): Promise<this> {
         this._opCounter.increment();
 
-        const metadata = await Fetcher.json<Metadata>(this._options.url).finally(() =>
+        const metadata = await Fetcher.json<Metadata | MetadataV2>(this._options.url).finally(() =>
             this._opCounter.decrement(),
         );
 
+        if (isMetadataV2(metadata)) {
+            return this.initializeV2(metadata);
+        }
+
         const sanitizedMetadata = {
             version: defined(metadata, 'version'),
             octreeDir: defined(metadata, 'octreeDir'),
@@ -368,6 +404,7 @@ export default class PotreeSource extends PointCloudSourceBase {
         }
 
         this._datasetInfo = {
+            format: 'legacy',
             metadata: sanitizedMetadata,
             pointByteSize,
             attributes,
@@ -377,6 +414,37 @@ export default class PotreeSource extends PointCloudSourceBase {
         return this;
     }
 
+    private initializeV2(metadata: MetadataV2): this {
+        const sanitizedMetadata: MetadataV2 = {
+            version: defined(metadata, 'version'),
+            name: metadata.name,
+            description: metadata.description,
+            points: defined(metadata, 'points'),
+            projection: metadata.projection,
+            hierarchy: defined(metadata, 'hierarchy'),
+            offset: defined(metadata, 'offset'),
+            scale: defined(metadata, 'scale'),
+            spacing: defined(metadata, 'spacing'),
+            boundingBox: defined(metadata, 'boundingBox'),
+            encoding: metadata.encoding ?? 'DEFAULT',
+            attributes: defined(metadata, 'attributes'),
+        };
+
+        const { attributes } = processAttributesV2(sanitizedMetadata.attributes);
+
+        const base = this._options.url.replace('metadata.json', '');
+
+        this._datasetInfo = {
+            format: '2.0',
+            metadata: sanitizedMetadata,
+            attributes,
+            hierarchyUrl: `${base}hierarchy.bin`,
+            octreeUrl: `${base}octree.bin`,
+        };
+
+        return this;
+    }
+
     private async readLazFile(
         buffer: ArrayBuffer,
         node: PotreeNode,
@@ -438,8 +506,15 @@ export default class PotreeSource extends PointCloudSourceBase {
         pointByteSize: number,
         positionAttribute: PotreePointCloudAttribute,
         optionalAttribute?: PotreePointCloudAttribute,
+        normalAttribute?: PotreePointCloudAttribute,
     ) {
-        return readBinFile(buffer, pointByteSize, positionAttribute, optionalAttribute);
+        return readBinFile(
+            buffer,
+            pointByteSize,
+            positionAttribute,
+            optionalAttribute,
+            normalAttribute,
+        );
     }
 
     private async readBinFile(
@@ -447,6 +522,7 @@ export default class PotreeSource extends PointCloudSourceBase {
         pointByteSize: number,
         positionAttribute: PotreePointCloudAttribute,
         optionalAttribute?: PotreePointCloudAttribute,
+        normalAttribute?: PotreePointCloudAttribute,
     ): Promise<ParseResult> {
         if (this._options.enableWorkers === false) {
             return this.readBinFileSync(
@@ -454,6 +530,7 @@ export default class PotreeSource extends PointCloudSourceBase {
                 pointByteSize,
                 positionAttribute,
                 optionalAttribute,
+                normalAttribute,
             );
         } else {
             if (potreePool == null) {
@@ -469,6 +546,7 @@ export default class PotreeSource extends PointCloudSourceBase {
                             pointByteSize,
                             positionAttribute,
                             optionalAttribute,
+                            normalAttribute,
                         },
                     },
                     [buffer],
@@ -477,6 +555,7 @@ export default class PotreeSource extends PointCloudSourceBase {
                     const parseResult: ParseResult = {
                         positionBuffer: msg.position,
                         attributeBuffer: msg.attribute,
+                        normalBuffer: msg.normal,
                     };
 
                     return parseResult;
@@ -484,26 +563,147 @@ export default class PotreeSource extends PointCloudSourceBase {
         }
     }
 
-    private async fetchDataFile(url: string): Promise<ArrayBuffer> {
+    private async decodeNode(buffer: ArrayBuffer, info: DecodeNodeInfo): Promise<ParseResult> {
+        if (this._options.enableWorkers === false) {
+            return decodeNode(buffer, info);
+        } else {
+            if (potreePool == null) {
+                potreePool = new WorkerPool({ createWorker: createPotreeWorker });
+            }
+
+            return potreePool.queue('DecodeNode', { buffer, info }, [buffer]).then(msg => {
+                const parseResult: ParseResult = {
+                    positionBuffer: msg.position,
+                    attributeBuffer: msg.attribute,
+                };
+
+                return parseResult;
+            });
+        }
+    }
+
+    private async fetchDataFile(url: string, range?: { begin: number; end: number }) {
         let result: ArrayBuffer;
 
-        const cached = GlobalCache.get(url);
+        const key = range != null ? `${url}?bytes=${range.begin}-${range.end}` : url;
+
+        const cached = GlobalCache.get(key);
 
         if (cached != null) {
             result = cached as ArrayBuffer;
         } else {
-            result = await Fetcher.arrayBuffer(url);
-            GlobalCache.set(url, result, { size: result.byteLength });
+            result = await Fetcher.arrayBuffer(url, {
+                headers:
+                    range != null ? { Range: `bytes=${range.begin}-${range.end - 1}` } : undefined,
+            });
+            GlobalCache.set(key, result, { size: result.byteLength });
         }
 
         return result;
     }
 
+    /**
+     * Loads the hierarchy chunk of the proxy node, then populates its descendants.
+     */
+    private async loadHierarchyChunk(node: HierarchyNode, signal?: AbortSignal): Promise<void> {
+        const { hierarchyUrl, metadata } = this._datasetInfo as DatasetInfoV2;
+
+        const begin = node.hierarchyByteOffset;
+        const end = begin + node.hierarchyByteSize;
+
+        this._opCounter.increment();
+
+        const buffer = await DefaultQueue.enqueue({
+            id: `${hierarchyUrl}?bytes=${begin}-${end}`,
+            request: () =>
+                Fetcher.arrayBuffer(hierarchyUrl, {
+                    headers: { Range: `bytes=${begin}-${end - 1}` },
+                }),
+            priority: node.depth,
+            shouldExecute: () => (signal ? !signal.aborted : true),
+        }).finally(() => this._opCounter.decrement());
+
+        // The same chunk might have been requested by concurrent calls, in which case
+        // it has already been parsed.
+        if (node.nodeType === HierarchyNodeType.Proxy) {
+            parseHierarchyChunk(this.id, buffer, node, metadata.spacing);
+        }
+    }
+
+    private async getNodeDataV2(
+        params: GetNodeDataOptions,
+        info: DatasetInfoV2,
+    ): Promise<PointCloudNodeData> {
+        const { metadata, octreeUrl } = info;
+
+        const node = params.node as HierarchyNode;
+
+        const signal = params.signal;
+
+        // Proxy nodes do not know where their data is located until their chunk is loaded.
+        if (node.nodeType === HierarchyNodeType.Proxy) {
+            await this.loadHierarchyChunk(node, signal);
+        }
+
+        signal?.throwIfAborted();
+
+        const begin = node.byteOffset;
+        const end = begin + node.byteSize;
+
+        let buffer: ArrayBuffer;
+
+        if (node.byteSize > 0) {
+            this._opCounter.increment();
+
+            buffer = await DefaultQueue.enqueue({
+                id: `${octreeUrl}?bytes=${begin}-${end}`,
+                request: () => this.fetchDataFile(octreeUrl, { begin, end }),
+                priority: node.depth,
+                shouldExecute: () => (signal ? !signal.aborted : true),
+            }).finally(() => this._opCounter.decrement());
+        } else {
+            buffer = new ArrayBuffer(0);
+        }
+
+        if (this._options.enableWorkers) {
+            // See getNodeData() for why we need a copy.
+            buffer = buffer.slice(0);
+        }
+
+        signal?.throwIfAborted();
+
+        const { min } = node.volume;
+
+        const optionalAttribute =
+            params.attribute?.name != null
+                ? nonNull(info.attributes.find(a => a.name === params.attribute?.name))
+                : undefined;
+
+        this._opCounter.increment();
+
+        const result = await this.decodeNode(buffer, {
+            encoding: metadata.encoding,
+            descriptors: metadata.attributes,
+            pointCount: node.pointCount ?? 0,
+            scale: metadata.scale,
+            offset: metadata.offset,
+            origin: [min.x, min.y, min.z],
+            optionalAttribute,
+        }).finally(() => this._opCounter.decrement());
+
+        signal?.throwIfAborted();
+
+        return toNodeData(node, result, params.attribute);
+    }
+
     async getNodeData(params: GetNodeDataOptions): Promise<PointCloudNodeData> {
-        const { metadata, dataFilesExtension, pointByteSize, attributes } = nonNull(
-            this._datasetInfo,
-            'not initialized',
-        );
+        const info = nonNull(this._datasetInfo, 'not initialized');
+
+        if (info.format === '2.0') {
+            return this.getNodeDataV2(params, info);
+        }
+
+        const { metadata, dataFilesExtension, pointByteSize, attributes } = info;
 
         const node = params.node as PotreeNode;
 
@@ -551,6 +751,10 @@ export default class PotreeSource extends PointCloudSourceBase {
                         params.attribute?.name != null
                             ? nonNull(potreeAttrs.find(a => a.name === params.attribute?.name))
                             : undefined,
+                        // Normals are part of the geometry, so they are loaded with positions.
+                        params.position
+                            ? potreeAttrs.find(a => NORMAL_ATTRIBUTES.has(a.name))
+                            : undefined,
                     ).finally(() => this._opCounter.decrement());
                 }
                 break;
@@ -572,28 +776,47 @@ export default class PotreeSource extends PointCloudSourceBase {
 
         signal?.throwIfAborted();
 
-        const positionBuffer = new Float32BufferAttribute(result.positionBuffer.array, 3, false);
-        let attribute: BufferAttribute | undefined = undefined;
-        if (params.attribute != null && result.attributeBuffer != null) {
-            attribute = createBufferAttribute(result.attributeBuffer.array, params.attribute);
-        }
+        return toNodeData(node, result, params.attribute, scale);
+    }
 
-        const localBoundingBox = new Box3().setFromBufferAttribute(positionBuffer);
+    private async getHierarchyV2(info: DatasetInfoV2): Promise<PointCloudNode> {
+        const { metadata } = info;
 
-        return {
-            origin: node.volume.min,
-            scale,
-            localBoundingBox,
-            position: positionBuffer,
-            pointCount: positionBuffer.count,
-            attribute,
+        const volume = new Box3().setFromArray([
+            ...metadata.boundingBox.min,
+            ...metadata.boundingBox.max,
+        ]);
+
+        const root: HierarchyNode = {
+            id: 'r',
+            sourceId: this.id,
+            nodeType: HierarchyNodeType.Proxy,
+            byteOffset: 0,
+            byteSize: 0,
+            hierarchyByteOffset: 0,
+            hierarchyByteSize: metadata.hierarchy.firstChunkSize,
+            volume,
+            hasData: true,
+            depth: 0,
+            geometricError: metadata.spacing,
+            center: volume.getCenter(new Vector3()),
         };
+
+        await this.loadHierarchyChunk(root);
+
+        return root;
     }
 
     async getHierarchy(): Promise<PointCloudNode> {
+        const info = nonNull(this._datasetInfo, 'not initialized');
+
+        if (info.format === '2.0') {
+            return this.getHierarchyV2(info);
+        }
+
         this._opCounter.increment();
 
-        const metadata = nonNull(this._datasetInfo?.metadata, 'not initialized');
+        const metadata = info.metadata;
 
         const base = this._options.url.replace('cloud.js', '');
         const baseUrl = `${base}/${metadata.octreeDir}/r`;
@@ -623,7 +846,28 @@ export default class PotreeSource extends PointCloudSourceBase {
     }
 
     getMetadata(): Promise<PointCloudMetadata> {
-        const { metadata, attributes } = nonNull(this._datasetInfo, 'not initialized');
+        const info = nonNull(this._datasetInfo, 'not initialized');
+
+        if (info.format === '2.0') {
+            const { metadata, attributes } = info;
+            const { min, max } = metadata.boundingBox;
+            const proj = metadata.projection;
+
+            return Promise.resolve({
+                volume: new Box3().setFromArray([...min, ...max]),
+                attributes,
+                pointCount: metadata.points,
+                crs:
+                    proj != null && proj.length > 0
+                        ? {
+                              definition: proj,
+                              name: `potree:${this.id}`,
+                          }
+                        : undefined,
+            });
+        }
+
+        const { metadata, attributes } = info;
 
         const { lx, ly, lz, ux, uy, uz } = metadata.tightBoundingBox ?? metadata.boundingBox;
 
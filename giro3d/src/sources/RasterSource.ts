@@ -0,0 +1,99 @@
+import { FloatType, MathUtils, type Texture } from 'three';
+import type { Raster } from '../analysis/rasterizePoints';
+import type Extent from '../core/geographic/Extent';
+import TextureGenerator from '../utils/TextureGenerator';
+import type { GetImageOptions, ImageResponse } from './ImageSource';
+import ImageSource, { ImageResult } from './ImageSource';
+
+/**
+ * Options for the {@link RasterSource} constructor.
+ */
+export type RasterSourceOptions = {
+    /**
+     * The raster to display.
+     */
+    raster: Raster;
+};
+
+/**
+ * An {@link ImageSource} that displays an in-memory {@link analysis.Raster | Raster}, such as
+ * the elevation grids produced by {@link analysis.rasterizePoints | rasterizePoints()}.
+ *
+ * The source can be used both by elevation layers and color layers (with a color map). Empty
+ * cells are transparent.
+ *
+ * ```js
+ * const raster = await rasterizePoints({ source, extent, cellSize: 0.5 });
+ *
+ * const source = new RasterSource({ raster });
+ *
+ * map.addLayer(new ElevationLayer({ source }));
+ * ```
+ */
+export default class RasterSource extends ImageSource {
+    readonly isRasterSource = true as const;
+    readonly type = 'RasterSource' as const;
+
+    /** The displayed raster. */
+    readonly raster: Raster;
+
+    private readonly _id = MathUtils.generateUUID();
+    private _texture: Texture | null = null;
+
+    /**
+     * Create a {@link RasterSource}.
+     * @param options - The options.
+     */
+    constructor(options: RasterSourceOptions) {
+        // Rows are stored from north to south
+        super({ flipY: true, is8bit: false, synchronous: true });
+
+        if (options.raster == null) {
+            throw new Error('invalid raster');
+        }
+
+        this.raster = options.raster;
+    }
+
+    getExtent(): Extent {
+        return this.raster.extent;
+    }
+
+    getCrs(): string {
+        return this.raster.extent.crs;
+    }
+
+    private getTexture(): Texture {
+        if (this._texture == null) {
+            const { width, height, nodata, values } = this.raster;
+
+            // The buffer is transferred to the texture, so we have to make a copy.
+            const { texture } = TextureGenerator.createDataTexture(
+                { width, height, nodata },
+                FloatType,
+                values.slice(),
+            );
+
+            this._texture = texture;
+        }
+
+        return this._texture;
+    }
+
+    getImages(_options: GetImageOptions): Array<ImageResponse> {
+        const { min, max, extent } = this.raster;
+
+        const response: ImageResponse = {
+            id: this._id,
+            request: () =>
+                new ImageResult({ id: this._id, texture: this.getTexture(), extent, min, max }),
+        };
+
+        return [response];
+    }
+
+    dispose() {
+        this._texture?.dispose();
+        this._texture = null;
+    }
+}
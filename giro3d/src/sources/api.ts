@@ -16,9 +16,10 @@ import ImageSource, {
     type ImageSourceOptions,
 } from './ImageSource';
 import * as las from './las/api';
-import LASSource, { LASSourceOptions } from './LASSource';
+import LASSource, { LASSourceOptions, LASStreamingOptions } from './LASSource';
 import {
     GetNodeDataOptions,
+    LASVariableLengthRecord,
     PointCloudAttribute,
     PointCloudCrs,
     PointCloudMetadata,
@@ -29,6 +30,7 @@ import {
     PointCloudSourceEventMap,
 } from './PointCloudSource';
 import PotreeSource, { PotreeSourceOptions } from './PotreeSource';
+import RasterSource, { type RasterSourceOptions } from './RasterSource';
 import StaticImageSource, {
     type StaticImageSourceEvents,
     type StaticImageSourceOptions,
@@ -63,6 +65,8 @@ export {
     las,
     LASSource,
     LASSourceOptions,
+    LASStreamingOptions,
+    LASVariableLengthRecord,
     PointCloudAttribute,
     PointCloudCrs,
     PointCloudMetadata,
@@ -73,6 +77,8 @@ export {
     PointCloudSourceEventMap,
     PotreeSource,
     PotreeSourceOptions,
+    RasterSource,
+    RasterSourceOptions,
     StaticImageSource,
     StaticImageSourceEvents,
     StaticImageSourceOptions,
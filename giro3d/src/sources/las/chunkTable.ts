@@ -0,0 +1,476 @@
+import type { Getter } from 'copc';
+import { Las } from 'copc';
+
+/**
+ * A contiguous range of point records in a LAS or LAZ file.
+ *
+ * For LAZ files, this is a compressed chunk, that can be decompressed independently of the other
+ * chunks. For LAS files, this is an arbitrary range of uncompressed records.
+ */
+export type PointChunk = {
+    /** The offset of the chunk, in bytes, from the start of the file. */
+    offset: number;
+    /** The size of the chunk, in bytes. */
+    byteLength: number;
+    /** The number of points in the chunk. */
+    pointCount: number;
+    /** The index of the first point of the chunk, in the file. */
+    firstPoint: number;
+};
+
+/** The user ID of the LASzip VLR. */
+const LASZIP_USER_ID = 'laszip encoded';
+/** The record ID of the LASzip VLR. */
+const LASZIP_RECORD_ID = 22204;
+/** The chunk size that indicates chunks of variable point count. */
+const VARIABLE_CHUNK_SIZE = 0xffffffff;
+
+// Constants of the LASzip arithmetic coder.
+const AC_MIN_LENGTH = 0x01000000;
+const AC_MAX_LENGTH = 0xffffffff;
+const BM_LENGTH_SHIFT = 13;
+const BM_MAX_COUNT = 1 << BM_LENGTH_SHIFT;
+const DM_LENGTH_SHIFT = 15;
+const DM_MAX_COUNT = 1 << DM_LENGTH_SHIFT;
+
+/**
+ * An adaptive binary model of the LASzip arithmetic coder.
+ */
+class BitModel {
+    bit0Count = 1;
+    bitCount = 2;
+    bit0Prob = 1 << (BM_LENGTH_SHIFT - 1);
+    updateCycle = 4;
+    bitsUntilUpdate = 4;
+
+    update() {
+        if ((this.bitCount += this.updateCycle) > BM_MAX_COUNT) {
+            this.bitCount = (this.bitCount + 1) >>> 1;
+            this.bit0Count = (this.bit0Count + 1) >>> 1;
+            if (this.bit0Count === this.bitCount) {
+                ++this.bitCount;
+            }
+        }
+
+        const scale = Math.floor(0x80000000 / this.bitCount);
+        this.bit0Prob = Math.floor((this.bit0Count * scale) / 2 ** (31 - BM_LENGTH_SHIFT));
+
+        this.updateCycle = Math.min((5 * this.updateCycle) >>> 2, 64);
+        this.bitsUntilUpdate = this.updateCycle;
+    }
+}
+
+/**
+ * An adaptive multi-symbol model of the LASzip arithmetic coder.
+ */
+class SymbolModel {
+    readonly symbols: number;
+    readonly lastSymbol: number;
+    readonly distribution: Uint32Array;
+    readonly symbolCount: Uint32Array;
+    readonly decoderTable: Uint32Array | null = null;
+    readonly tableSize: number = 0;
+    readonly tableShift: number = 0;
+    totalCount = 0;
+    updateCycle: number;
+    symbolsUntilUpdate: number;
+
+    constructor(symbols: number) {
+        this.symbols = symbols;
+        this.lastSymbol = symbols - 1;
+        this.distribution = new Uint32Array(symbols);
+        this.symbolCount = new Uint32Array(symbols).fill(1);
+
+        if (symbols > 16) {
+            let tableBits = 3;
+            while (symbols > 1 << (tableBits + 2)) {
+                ++tableBits;
+            }
+            this.tableSize = 1 << tableBits;
+            this.tableShift = DM_LENGTH_SHIFT - tableBits;
+            this.decoderTable = new Uint32Array(this.tableSize + 2);
+        }
+
+        this.updateCycle = symbols;
+        this.update();
+        this.symbolsUntilUpdate = this.updateCycle = (symbols + 6) >>> 1;
+    }
+
+    update() {
+        if ((this.totalCount += this.updateCycle) > DM_MAX_COUNT) {
+            this.totalCount = 0;
+            for (let n = 0; n < this.symbols; n++) {
+                this.symbolCount[n] = (this.symbolCount[n] + 1) >>> 1;
+                this.totalCount += this.symbolCount[n];
+            }
+        }
+
+        const scale = Math.floor(0x80000000 / this.totalCount);
+        const table = this.decoderTable;
+
+        let sum = 0;
+        let s = 0;
+        for (let k = 0; k < this.symbols; k++) {
+            this.distribution[k] = Math.floor((scale * sum) / 2 ** (31 - DM_LENGTH_SHIFT));
+            sum += this.symbolCount[k];
+            if (table) {
+                const w = this.distribution[k] >>> this.tableShift;
+                while (s < w) {
+                    table[++s] = k - 1;
+                }
+            }
+        }
+
+        if (table) {
+            table[0] = 0;
+            while (s <= this.tableSize) {
+                table[++s] = this.symbols - 1;
+            }
+        }
+
+        this.updateCycle = Math.min((5 * this.updateCycle) >>> 2, (this.symbols + 6) << 3);
+        this.symbolsUntilUpdate = this.updateCycle;
+    }
+}
+
+/**
+ * A port of the LASzip arithmetic decoder, limited to what is required to read chunk tables.
+ */
+class ArithmeticDecoder {
+    private readonly _data: Uint8Array;
+    private _position: number;
+    private _value = 0;
+    private _length = AC_MAX_LENGTH;
+
+    constructor(data: Uint8Array) {
+        this._data = data;
+        this._position = 0;
+
+        for (let i = 0; i < 4; i++) {
+            this._value = this._value * 256 + this.getByte();
+        }
+    }
+
+    private getByte(): number {
+        // Reading past the end of the buffer can happen during the last renormalizations.
+        return this._position < this._data.length ? this._data[this._position++] : 0;
+    }
+
+    private renormalize() {
+        do {
+            this._value = ((this._value << 8) | this.getByte()) >>> 0;
+            this._length = (this._length << 8) >>> 0;
+        } while (this._length < AC_MIN_LENGTH);
+    }
+
+    decodeBit(m: BitModel): number {
+        const x = m.bit0Prob * (this._length >>> BM_LENGTH_SHIFT);
+        const sym = this._value >= x ? 1 : 0;
+
+        if (sym === 0) {
+            this._length = x;
+            ++m.bit0Count;
+        } else {
+            this._value -= x;
+            this._length -= x;
+        }
+
+        if (this._length < AC_MIN_LENGTH) {
+            this.renormalize();
+        }
+        if (--m.bitsUntilUpdate === 0) {
+            m.update();
+        }
+
+        return sym;
+    }
+
+    decodeSymbol(m: SymbolModel): number {
+        let sym = 0;
+        let n: number;
+        let x = 0;
+        let y = this._length;
+
+        this._length = this._length >>> DM_LENGTH_SHIFT;
+
+        if (m.decoderTable) {
+            const dv = Math.floor(this._value / this._length);
+            const t = dv >>> m.tableShift;
+
+            sym = m.decoderTable[t];
+            n = m.decoderTable[t + 1] + 1;
+
+            while (n > sym + 1) {
+                const k = (sym + n) >>> 1;
+                if (m.distribution[k] > dv) {
+                    n = k;
+                } else {
+                    sym = k;
+                }
+            }
+
+            x = m.distribution[sym] * this._length;
+            if (sym !== m.lastSymbol) {
+                y = m.distribution[sym + 1] * this._length;
+            }
+        } else {
+            n = m.symbols;
+            let k = n >>> 1;
+            do {
+                const z = this._length * m.distribution[k];
+                if (z > this._value) {
+                    n = k;
+                    y = z;
+                } else {
+                    sym = k;
+                    x = z;
+                }
+            } while ((k = (sym + n) >>> 1) !== sym);
+        }
+
+        this._value -= x;
+        this._length = y - x;
+
+        if (this._length < AC_MIN_LENGTH) {
+            this.renormalize();
+        }
+
+        ++m.symbolCount[sym];
+        if (--m.symbolsUntilUpdate === 0) {
+            m.update();
+        }
+
+        return sym;
+    }
+
+    readBits(bits: number): number {
+        if (bits > 19) {
+            const low = this.readShort();
+            const high = this.readBits(bits - 16);
+            return high * 65536 + low;
+        }
+
+        this._length = this._length >>> bits;
+        const sym = Math.floor(this._value / this._length);
+        this._value -= this._length * sym;
+
+        if (this._length < AC_MIN_LENGTH) {
+            this.renormalize();
+        }
+
+        return sym;
+    }
+
+    private readShort(): number {
+        return this.readBits(16);
+    }
+}
+
+/**
+ * A port of the LASzip integer decompressor, with 32-bit corrections.
+ */
+class IntegerDecompressor {
+    private readonly _decoder: ArithmeticDecoder;
+    private readonly _bits: SymbolModel[] = [];
+    private readonly _bitCorrector = new BitModel();
+    private readonly _correctors: SymbolModel[] = [];
+
+    private static readonly CORR_BITS = 32;
+    private static readonly BITS_HIGH = 8;
+
+    constructor(decoder: ArithmeticDecoder, contexts: number) {
+        this._decoder = decoder;
+
+        const { CORR_BITS, BITS_HIGH } = IntegerDecompressor;
+
+        for (let i = 0; i < contexts; i++) {
+            this._bits.push(new SymbolModel(CORR_BITS + 1));
+        }
+
+        for (let i = 1; i < CORR_BITS; i++) {
+            this._correctors[i] = new SymbolModel(1 << Math.min(i, BITS_HIGH));
+        }
+    }
+
+    decompress(pred: number, context: number): number {
+        // With 32-bit corrections, the value wraps around like a 32-bit integer.
+        return (pred + this.readCorrector(this._bits[context])) | 0;
+    }
+
+    private readCorrector(model: SymbolModel): number {
+        const dec = this._decoder;
+        const { CORR_BITS, BITS_HIGH } = IntegerDecompressor;
+
+        const k = dec.decodeSymbol(model);
+
+        if (k === 0) {
+            return dec.decodeBit(this._bitCorrector);
+        }
+
+        if (k >= CORR_BITS) {
+            // The minimum 32-bit integer
+            return -0x80000000;
+        }
+
+        let c: number;
+        if (k <= BITS_HIGH) {
+            c = dec.decodeSymbol(this._correctors[k]);
+        } else {
+            const k1 = k - BITS_HIGH;
+            c = dec.decodeSymbol(this._correctors[k]);
+            c = c * 2 ** k1 + dec.readBits(k1);
+        }
+
+        // Translate c back into its correct interval
+        if (c >= 2 ** (k - 1)) {
+            return c + 1;
+        }
+
+        return c - (2 ** k - 1);
+    }
+}
+
+/**
+ * Decodes the compressed part of a LASzip chunk table.
+ *
+ * @param data - The arithmetic-coded table, i.e the bytes following the table header.
+ * @param chunkCount - The number of chunks.
+ * @param variable - Whether the point count of each chunk is stored in the table.
+ * @returns The byte size of each chunk, and the point count of each chunk if `variable` is true.
+ */
+export function decodeChunkTable(
+    data: Uint8Array,
+    chunkCount: number,
+    variable: boolean,
+): { byteLengths: number[]; pointCounts?: number[] } {
+    const decoder = new ArithmeticDecoder(data);
+    const ic = new IntegerDecompressor(decoder, 2);
+
+    const byteLengths: number[] = [];
+    const pointCounts: number[] = [];
+
+    // Each entry is predicted from the entry of the previous chunk.
+    for (let i = 0; i < chunkCount; i++) {
+        if (variable) {
+            pointCounts.push(ic.decompress(i > 0 ? pointCounts[i - 1] : 0, 0) >>> 0);
+        }
+        byteLengths.push(ic.decompress(i > 0 ? byteLengths[i - 1] : 0, 1) >>> 0);
+    }
+
+    return { byteLengths, pointCounts: variable ? pointCounts : undefined };
+}
+
+/**
+ * Splits the point records of an uncompressed LAS file into chunks of the specified size.
+ *
+ * @param header - The LAS header.
+ * @param pointsPerChunk - The number of points in each chunk.
+ */
+export function createUncompressedChunks(
+    header: Pick<Las.Header, 'pointCount' | 'pointDataOffset' | 'pointDataRecordLength'>,
+    pointsPerChunk: number,
+): PointChunk[] {
+    const { pointCount, pointDataOffset, pointDataRecordLength } = header;
+    const result: PointChunk[] = [];
+
+    for (let firstPoint = 0; firstPoint < pointCount; firstPoint += pointsPerChunk) {
+        const count = Math.min(pointsPerChunk, pointCount - firstPoint);
+        result.push({
+            offset: pointDataOffset + firstPoint * pointDataRecordLength,
+            byteLength: count * pointDataRecordLength,
+            pointCount: count,
+            firstPoint,
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Returns `true` if the point records of the file are compressed with LASzip, according to
+ * the raw point data record format (byte 104 of the header).
+ *
+ * @param rawHeader - The first bytes of the file, including the whole LAS header.
+ */
+export function isCompressed(rawHeader: Uint8Array): boolean {
+    // Bits 6 and 7 of the point data record format indicate compression
+    return (rawHeader[104] & 0b11000000) !== 0;
+}
+
+/**
+ * Reads the chunk table of a LAZ file.
+ *
+ * @param get - The range getter to the file.
+ * @param header - The LAS header.
+ * @param vlrs - The VLRs of the file, that must contain the LASzip VLR.
+ * @param fileSize - The size of the file, in bytes, if known. Required for files whose chunk
+ * table position is not written in the point data (e.g files written to a non-seekable stream).
+ * @returns The chunks of the file.
+ */
+export async function readChunkTable(
+    get: Getter,
+    header: Las.Header,
+    vlrs: Las.Vlr[],
+    fileSize?: number,
+): Promise<PointChunk[]> {
+    const laszip = Las.Vlr.find(vlrs, LASZIP_USER_ID, LASZIP_RECORD_ID);
+    if (laszip == null) {
+        throw new Error('invalid LAZ file: no LASzip VLR');
+    }
+
+    const laszipData = await Las.Vlr.fetch(get, laszip);
+    const laszipView = new DataView(
+        laszipData.buffer,
+        laszipData.byteOffset,
+        laszipData.byteLength,
+    );
+    const chunkSize = laszipView.getUint32(12, true);
+    const variable = chunkSize === VARIABLE_CHUNK_SIZE;
+
+    const pointer = await get(header.pointDataOffset, header.pointDataOffset + 8);
+    let tableOffset = Number(new DataView(pointer.buffer, pointer.byteOffset).getBigInt64(0, true));
+
+    if (tableOffset === -1) {
+        // The position of the table is written in the last 8 bytes of the file.
+        if (fileSize == null) {
+            throw new Error('the chunk table position of this LAZ file requires the file size');
+        }
+        const tail = await get(fileSize - 8, fileSize);
+        tableOffset = Number(new DataView(tail.buffer, tail.byteOffset).getBigInt64(0, true));
+    }
+
+    const tableHeader = await get(tableOffset, tableOffset + 8);
+    const tableHeaderView = new DataView(tableHeader.buffer, tableHeader.byteOffset, 8);
+    const version = tableHeaderView.getUint32(0, true);
+    if (version !== 0) {
+        throw new Error(`unsupported LAZ chunk table version: ${version}`);
+    }
+    const chunkCount = tableHeaderView.getUint32(4, true);
+
+    // The actual size of the compressed table is unknown, but cannot exceed ~10 bytes per entry.
+    let tableEnd = tableOffset + 8 + chunkCount * 16 + 64;
+    if (fileSize != null) {
+        tableEnd = Math.min(tableEnd, fileSize);
+    }
+    const tableData = chunkCount > 0 ? await get(tableOffset + 8, tableEnd) : new Uint8Array(0);
+
+    const { byteLengths, pointCounts } = decodeChunkTable(tableData, chunkCount, variable);
+
+    const result: PointChunk[] = [];
+
+    let offset = header.pointDataOffset + 8;
+    let firstPoint = 0;
+
+    for (let i = 0; i < chunkCount; i++) {
+        const pointCount = pointCounts
+            ? pointCounts[i]
+            : Math.min(chunkSize, header.pointCount - firstPoint);
+
+        result.push({ offset, byteLength: byteLengths[i], pointCount, firstPoint });
+
+        offset += byteLengths[i];
+        firstPoint += pointCount;
+    }
+
+    return result;
+}
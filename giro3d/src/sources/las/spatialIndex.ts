@@ -0,0 +1,288 @@
+import { Las } from 'copc';
+
+/**
+ * The depth of the leaf cells of the spatial index. Leaf codes are 3 * `INDEX_DEPTH` bits long.
+ */
+export const INDEX_DEPTH = 8;
+
+/**
+ * The cubic volume indexed by the spatial index.
+ */
+export type IndexCube = {
+    min: [number, number, number];
+    size: number;
+};
+
+/**
+ * The result of indexing a chunk of point records.
+ */
+export type ChunkIndex = {
+    /** The sorted, unique leaf codes of the points in the chunk. */
+    codes: Uint32Array;
+    /** The number of points in each leaf of {@link codes}. */
+    counts: Uint32Array;
+    /** The quantized minimum rank of the points in each leaf of {@link codes}. */
+    minRanks: Uint16Array;
+    /** The quantized maximum rank of the points in each leaf of {@link codes}. */
+    maxRanks: Uint16Array;
+    /** The raw records of the sampled points. */
+    sampleRecords: Uint8Array;
+    /** The leaf codes of the sampled points. */
+    sampleCodes: Uint32Array;
+    /** The ranks of the sampled points. */
+    sampleRanks: Float64Array;
+};
+
+const LEAF_CELLS = 2 ** INDEX_DEPTH;
+/** The number of quantization levels of the ranks stored in the index. */
+const RANK_LEVELS = 0x10000;
+const POSITION_DIMENSIONS = ['X', 'Y', 'Z'];
+
+/**
+ * Returns the cube that encloses the specified header bounds.
+ */
+export function computeIndexCube(header: Pick<Las.Header, 'min' | 'max'>): IndexCube {
+    const { min, max } = header;
+    const size = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+
+    return { min: [min[0], min[1], min[2]], size: size > 0 ? size : 1 };
+}
+
+function toCell(value: number, min: number, size: number): number {
+    const cell = Math.floor(((value - min) / size) * LEAF_CELLS);
+    return Math.min(Math.max(cell, 0), LEAF_CELLS - 1);
+}
+
+/**
+ * Computes the leaf code of the specified position. The code interleaves the octants of each
+ * level of the index, from the root (most significant bits) to the leaves.
+ */
+export function computeLeafCode(x: number, y: number, z: number, cube: IndexCube): number {
+    const cx = toCell(x, cube.min[0], cube.size);
+    const cy = toCell(y, cube.min[1], cube.size);
+    const cz = toCell(z, cube.min[2], cube.size);
+
+    let code = 0;
+    for (let level = INDEX_DEPTH - 1; level >= 0; level--) {
+        const octant =
+            ((cx >> level) & 1) | (((cy >> level) & 1) << 1) | (((cz >> level) & 1) << 2);
+        code = ((code << 3) | octant) >>> 0;
+    }
+
+    return code;
+}
+
+/**
+ * Returns the code of the ancestor of the leaf code at the specified depth.
+ */
+export function getCodePrefix(leafCode: number, depth: number): number {
+    return leafCode >>> (3 * (INDEX_DEPTH - depth));
+}
+
+/**
+ * Returns a deterministic, pseudo-random rank in the [0, 1) range for the specified point.
+ * Ranks are used to distribute the points of a cell among the levels of detail of the hierarchy.
+ *
+ * @param index - The index of the point in the file.
+ */
+export function computeRank(index: number): number {
+    // A 32-bit integer hash (lowbias32), so that ranks are uniformly distributed.
+    let h = (index ^ Math.floor(index / 0x100000000)) >>> 0;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x7feb352d);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x846ca68b);
+    h ^= h >>> 16;
+
+    return (h >>> 0) / 0x100000000;
+}
+
+function quantizeRank(rank: number): number {
+    return Math.min(Math.floor(rank * RANK_LEVELS), RANK_LEVELS - 1);
+}
+
+/**
+ * Returns `true` if the indexed chunk may contain points of the selection, i.e if one of its
+ * leaves in the cell of the selection contains points whose ranks overlap the rank range of the
+ * selection. Since ranks are quantized, this test is conservative.
+ *
+ * @param index - The index of the chunk.
+ * @param selection - The selection.
+ */
+export function mayContainSelection(
+    index: Pick<ChunkIndex, 'codes' | 'minRanks' | 'maxRanks'>,
+    selection: RecordSelection,
+): boolean {
+    const { codes, minRanks, maxRanks } = index;
+    const shift = 3 * (INDEX_DEPTH - selection.depth);
+    const start = selection.prefix * 2 ** shift;
+    const end = (selection.prefix + 1) * 2 ** shift;
+
+    // Lower bound of the first code in [start, end)
+    let lo = 0;
+    let hi = codes.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (codes[mid] < start) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+
+    for (let i = lo; i < codes.length && codes[i] < end; i++) {
+        // The ranks of the points of the leaf are in [min, max)
+        const min = minRanks[i] / RANK_LEVELS;
+        const max = (maxRanks[i] + 1) / RANK_LEVELS;
+        if (min < selection.rankMax && max > selection.rankMin) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+function forEachPoint(
+    records: Uint8Array,
+    header: Las.Extractor.PartialHeader,
+    cube: IndexCube,
+    firstPoint: number,
+    callback: (index: number, code: number, rank: number) => void,
+) {
+    const view = Las.View.create(records, header, undefined, POSITION_DIMENSIONS);
+    const [getX, getY, getZ] = POSITION_DIMENSIONS.map(view.getter);
+
+    for (let i = 0; i < view.pointCount; i++) {
+        const code = computeLeafCode(getX(i), getY(i), getZ(i), cube);
+        callback(i, code, computeRank(firstPoint + i));
+    }
+}
+
+/**
+ * Indexes a chunk of uncompressed point records: computes the number of points in each leaf cell,
+ * and extracts the sample of points whose rank is lower than `sampleFraction`.
+ *
+ * @param records - The uncompressed records.
+ * @param header - The header of the file.
+ * @param cube - The indexed volume.
+ * @param firstPoint - The index, in the file, of the first point of the chunk.
+ * @param sampleFraction - The fraction of points to sample.
+ */
+export function indexChunk(
+    records: Uint8Array,
+    header: Las.Extractor.PartialHeader,
+    cube: IndexCube,
+    firstPoint: number,
+    sampleFraction: number,
+): ChunkIndex {
+    const recordLength = header.pointDataRecordLength;
+    const leaves = new Map<number, { count: number; minRank: number; maxRank: number }>();
+
+    const sampled: number[] = [];
+    const sampleCodes: number[] = [];
+    const sampleRanks: number[] = [];
+
+    forEachPoint(records, header, cube, firstPoint, (index, code, rank) => {
+        const leaf = leaves.get(code);
+        if (leaf != null) {
+            leaf.count++;
+            leaf.minRank = Math.min(leaf.minRank, rank);
+            leaf.maxRank = Math.max(leaf.maxRank, rank);
+        } else {
+            leaves.set(code, { count: 1, minRank: rank, maxRank: rank });
+        }
+
+        if (rank < sampleFraction) {
+            sampled.push(index);
+            sampleCodes.push(code);
+            sampleRanks.push(rank);
+        }
+    });
+
+    const codes = new Uint32Array(leaves.keys()).sort();
+    const counts = new Uint32Array(codes.length);
+    const minRanks = new Uint16Array(codes.length);
+    const maxRanks = new Uint16Array(codes.length);
+    for (let i = 0; i < codes.length; i++) {
+        const leaf = leaves.get(codes[i]) as { count: number; minRank: number; maxRank: number };
+        counts[i] = leaf.count;
+        minRanks[i] = quantizeRank(leaf.minRank);
+        maxRanks[i] = quantizeRank(leaf.maxRank);
+    }
+
+    const sampleRecords = new Uint8Array(sampled.length * recordLength);
+    for (let i = 0; i < sampled.length; i++) {
+        const begin = sampled[i] * recordLength;
+        sampleRecords.set(records.subarray(begin, begin + recordLength), i * recordLength);
+    }
+
+    return {
+        codes,
+        counts,
+        minRanks,
+        maxRanks,
+        sampleRecords,
+        sampleCodes: new Uint32Array(sampleCodes),
+        sampleRanks: new Float64Array(sampleRanks),
+    };
+}
+
+/**
+ * The selection of points that belong to a node of the hierarchy.
+ */
+export type RecordSelection = {
+    /** The code of the cell of the node. */
+    prefix: number;
+    /** The depth of the node. */
+    depth: number;
+    /** The minimum rank (inclusive) of the points of the node. */
+    rankMin: number;
+    /** The maximum rank (exclusive) of the points of the node. */
+    rankMax: number;
+};
+
+/**
+ * Returns `true` if the point with the specified code and rank belongs to the selection.
+ */
+export function isSelected(selection: RecordSelection, code: number, rank: number): boolean {
+    return (
+        getCodePrefix(code, selection.depth) === selection.prefix &&
+        rank >= selection.rankMin &&
+        rank < selection.rankMax
+    );
+}
+
+/**
+ * Copies the uncompressed records that belong to the selection.
+ *
+ * @param records - The uncompressed records.
+ * @param header - The header of the file.
+ * @param cube - The indexed volume.
+ * @param firstPoint - The index, in the file, of the first point of the chunk.
+ * @param selection - The selection.
+ * @returns The selected records.
+ */
+export function selectRecords(
+    records: Uint8Array,
+    header: Las.Extractor.PartialHeader,
+    cube: IndexCube,
+    firstPoint: number,
+    selection: RecordSelection,
+): Uint8Array {
+    const recordLength = header.pointDataRecordLength;
+    const selected: number[] = [];
+
+    forEachPoint(records, header, cube, firstPoint, (index, code, rank) => {
+        if (isSelected(selection, code, rank)) {
+            selected.push(index);
+        }
+    });
+
+    const result = new Uint8Array(selected.length * recordLength);
+    for (let i = 0; i < selected.length; i++) {
+        const begin = selected[i] * recordLength;
+        result.set(records.subarray(begin, begin + recordLength), i * recordLength);
+    }
+
+    return result;
+}
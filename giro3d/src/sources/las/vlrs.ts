@@ -0,0 +1,111 @@
+import type { Getter } from 'copc';
+import { Las } from 'copc';
+import ProjUtils from '../../utils/ProjUtils';
+import type { LASVariableLengthRecord, PointCloudCrs } from '../PointCloudSource';
+
+/** The user ID of the VLRs that describe the coordinate system. */
+export const PROJECTION_USER_ID = 'LASF_Projection';
+
+/** The record ID of the OGC WKT coordinate system VLR. */
+export const WKT_RECORD_ID = 2112;
+
+/** The record ID of the GeoTIFF GeoKeyDirectoryTag VLR. */
+const GEO_KEY_DIRECTORY_RECORD_ID = 34735;
+
+const GEOGRAPHIC_TYPE_GEO_KEY = 2048;
+const PROJECTED_CS_TYPE_GEO_KEY = 3072;
+
+/**
+ * Fetches the content of the coordinate system VLRs (GeoTIFF keys and WKT).
+ *
+ * @param get - The getter to the LAS file.
+ * @param vlrs - The VLR headers of the file.
+ */
+export async function readCrsRecords(
+    get: Getter,
+    vlrs: Las.Vlr[],
+): Promise<LASVariableLengthRecord[]> {
+    const crsVlrs = vlrs.filter(v => v.userId === PROJECTION_USER_ID && !v.isExtended);
+
+    return Promise.all(
+        crsVlrs.map(async vlr => ({
+            userId: vlr.userId,
+            recordId: vlr.recordId,
+            description: vlr.description,
+            data: await Las.Vlr.fetch(get, vlr),
+        })),
+    );
+}
+
+/**
+ * Returns the WKT string contained in the WKT VLR, if any.
+ */
+export function getWKT(records: LASVariableLengthRecord[]): string | undefined {
+    const record = records.find(r => r.recordId === WKT_RECORD_ID);
+    if (record == null) {
+        return undefined;
+    }
+
+    // The WKT string is null-terminated
+    return new TextDecoder().decode(record.data).replace(/\0+$/, '');
+}
+
+/**
+ * Returns the EPSG code stored in the GeoTIFF keys VLR, if any.
+ */
+function getGeoKeysCrsCode(records: LASVariableLengthRecord[]): string | undefined {
+    const record = records.find(r => r.recordId === GEO_KEY_DIRECTORY_RECORD_ID);
+    if (record == null) {
+        return undefined;
+    }
+
+    const view = new DataView(record.data.buffer, record.data.byteOffset, record.data.byteLength);
+    const keyCount = view.getUint16(6, true);
+
+    let geographic: number | undefined = undefined;
+
+    for (let i = 0; i < keyCount; i++) {
+        const offset = 8 + i * 8;
+        if (offset + 8 > view.byteLength) {
+            break;
+        }
+
+        const keyId = view.getUint16(offset + 0, true);
+        const location = view.getUint16(offset + 2, true);
+        const value = view.getUint16(offset + 6, true);
+
+        // A location of zero means that the value is stored in the key itself
+        if (location !== 0) {
+            continue;
+        }
+
+        if (keyId === PROJECTED_CS_TYPE_GEO_KEY) {
+            return `EPSG:${value}`;
+        }
+        if (keyId === GEOGRAPHIC_TYPE_GEO_KEY) {
+            geographic = value;
+        }
+    }
+
+    return geographic != null ? `EPSG:${geographic}` : undefined;
+}
+
+/**
+ * Returns the CRS described by the WKT string or the GeoTIFF keys. The original coordinate
+ * system VLRs are kept in the result so that they can be written back in exported files.
+ *
+ * @param wkt - The WKT string, if any.
+ * @param vlrs - The coordinate system VLRs, if any.
+ */
+export function readCrs(
+    wkt?: string,
+    vlrs: LASVariableLengthRecord[] = [],
+): PointCloudCrs | undefined {
+    const name = wkt != null ? ProjUtils.getWKTCrsCode(wkt) : getGeoKeysCrsCode(vlrs);
+
+    if (name == null) {
+        return undefined;
+    }
+
+    return { name, definition: wkt, vlrs: vlrs.length > 0 ? vlrs : undefined };
+}
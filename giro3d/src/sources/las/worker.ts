@@ -6,6 +6,8 @@ import { getLazPerf, setLazPerfPath } from './config';
 import type { DimensionFilter } from './filter';
 import { getPerPointFilters } from './filter';
 import { readColor, readPosition, readScalarAttribute } from './readers';
+import type { ChunkIndex, IndexCube, RecordSelection } from './spatialIndex';
+import { indexChunk, selectRecords } from './spatialIndex';
 
 export type Metadata = {
     pointCount: number;
@@ -25,7 +27,12 @@ async function decompressFile(chunk: ArrayBuffer) {
 
 export type BoundingBox = [number, number, number, number, number, number];
 
-export type MessageType = 'DecodeLazChunk' | 'DecodeLazFile' | 'ReadView';
+export type MessageType =
+    | 'DecodeLazChunk'
+    | 'DecodeLazFile'
+    | 'ReadView'
+    | 'IndexChunk'
+    | 'SelectRecords';
 
 type TypedMessage<K extends MessageType, T> = Message<T> & { type: K };
 
@@ -57,13 +64,38 @@ type ReadViewMessage = TypedMessage<
     }
 >;
 type DecodeLazFileMessage = TypedMessage<'DecodeLazFile', { buffer: ArrayBuffer }>;
+/**
+ * The common payload of messages that process a chunk of point records.
+ */
+type ChunkPayload = {
+    buffer: ArrayBuffer;
+    /** If true, the buffer is a LAZ chunk that must be decompressed first. */
+    compressed: boolean;
+    metadata: Metadata;
+    header: copc.Las.Extractor.PartialHeader;
+    cube: IndexCube;
+    firstPoint: number;
+};
+type IndexChunkMessage = TypedMessage<'IndexChunk', ChunkPayload & { sampleFraction: number }>;
+type SelectRecordsMessage = TypedMessage<
+    'SelectRecords',
+    ChunkPayload & { selection: RecordSelection }
+>;
 type DecodeLazChunkResponse = SuccessResponse<ArrayBuffer>;
 type DecodeLazFileResponse = SuccessResponse<ArrayBuffer>;
 type ReadViewResponse = SuccessResponse<ReadViewResult>;
+type IndexChunkResponse = SuccessResponse<ChunkIndex>;
+type SelectRecordsResponse = SuccessResponse<ArrayBuffer>;
 
 export type SetWasmPathMessage = { type: 'SetWasmPath'; path: string };
 
-type Messages = DecodeLazFileMessage | DecodeLazChunkMessage | SetWasmPathMessage | ReadViewMessage;
+type Messages =
+    | DecodeLazFileMessage
+    | DecodeLazChunkMessage
+    | SetWasmPathMessage
+    | ReadViewMessage
+    | IndexChunkMessage
+    | SelectRecordsMessage;
 
 export interface MessageMap extends BaseMessageMap<MessageType> {
     DecodeLazChunk: {
@@ -78,6 +110,14 @@ export interface MessageMap extends BaseMessageMap<MessageType> {
         payload: ReadViewMessage['payload'];
         response: ReadViewResponse['payload'];
     };
+    IndexChunk: {
+        payload: IndexChunkMessage['payload'];
+        response: IndexChunkResponse['payload'];
+    };
+    SelectRecords: {
+        payload: SelectRecordsMessage['payload'];
+        response: SelectRecordsResponse['payload'];
+    };
 }
 
 export interface LazWorker extends Worker {
@@ -194,6 +234,63 @@ function processReadViewMessage(msg: ReadViewMessage) {
         });
 }
 
+async function getRecords(payload: ChunkPayload): Promise<Uint8Array> {
+    if (payload.compressed) {
+        return await decompressChunk(payload.buffer, payload.metadata);
+    }
+    return new Uint8Array(payload.buffer);
+}
+
+function processIndexChunkMessage(msg: IndexChunkMessage) {
+    const { header, cube, firstPoint, sampleFraction } = msg.payload;
+
+    getRecords(msg.payload)
+        .then(records => {
+            const payload = indexChunk(records, header, cube, firstPoint, sampleFraction);
+
+            const response: IndexChunkResponse = {
+                requestId: msg.id,
+                payload,
+            };
+
+            postMessage(response, {
+                transfer: [
+                    payload.codes.buffer,
+                    payload.counts.buffer,
+                    payload.minRanks.buffer,
+                    payload.maxRanks.buffer,
+                    payload.sampleRecords.buffer,
+                    payload.sampleCodes.buffer,
+                    payload.sampleRanks.buffer,
+                ],
+            });
+        })
+        .catch(err => {
+            console.error(err);
+            postMessage(createErrorResponse(msg.id, err));
+        });
+}
+
+function processSelectRecordsMessage(msg: SelectRecordsMessage) {
+    const { header, cube, firstPoint, selection } = msg.payload;
+
+    getRecords(msg.payload)
+        .then(records => {
+            const selected = selectRecords(records, header, cube, firstPoint, selection);
+
+            const response: SelectRecordsResponse = {
+                requestId: msg.id,
+                payload: selected.buffer,
+            };
+
+            postMessage(response, { transfer: [selected.buffer] });
+        })
+        .catch(err => {
+            console.error(err);
+            postMessage(createErrorResponse(msg.id, err));
+        });
+}
+
 onmessage = (event: MessageEvent<Messages>) => {
     const message = event.data;
 
@@ -207,6 +304,12 @@ onmessage = (event: MessageEvent<Messages>) => {
         case 'ReadView':
             processReadViewMessage(message);
             break;
+        case 'IndexChunk':
+            processIndexChunkMessage(message);
+            break;
+        case 'SelectRecords':
+            processSelectRecordsMessage(message);
+            break;
         case 'SetWasmPath':
             setLazPerfPath(message.path);
             break;
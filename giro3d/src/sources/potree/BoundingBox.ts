@@ -19,4 +19,48 @@ export function toBox3(input: BoundingBox): Box3 {
     return box;
 }
 
+// Create an A(xis)A(ligned)B(ounding)B(ox) for the child `childIndex` of one aabb.
+// (PotreeConverter protocol builds implicit octree hierarchy by applying the same
+// subdivision algo recursively)
+export function createChildAABB(aabb: Box3, childIndex: number) {
+    // Code taken from potree
+    let { min } = aabb;
+    let { max } = aabb;
+    const dHalfLength = new Vector3().copy(max).sub(min).multiplyScalar(0.5);
+    const xHalfLength = new Vector3(dHalfLength.x, 0, 0);
+    const yHalfLength = new Vector3(0, dHalfLength.y, 0);
+    const zHalfLength = new Vector3(0, 0, dHalfLength.z);
+
+    const cmin = min;
+    const cmax = new Vector3().add(min).add(dHalfLength);
+
+    if (childIndex === 1) {
+        min = new Vector3().copy(cmin).add(zHalfLength);
+        max = new Vector3().copy(cmax).add(zHalfLength);
+    } else if (childIndex === 3) {
+        min = new Vector3().copy(cmin).add(zHalfLength).add(yHalfLength);
+        max = new Vector3().copy(cmax).add(zHalfLength).add(yHalfLength);
+    } else if (childIndex === 0) {
+        min = cmin;
+        max = cmax;
+    } else if (childIndex === 2) {
+        min = new Vector3().copy(cmin).add(yHalfLength);
+        max = new Vector3().copy(cmax).add(yHalfLength);
+    } else if (childIndex === 5) {
+        min = new Vector3().copy(cmin).add(zHalfLength).add(xHalfLength);
+        max = new Vector3().copy(cmax).add(zHalfLength).add(xHalfLength);
+    } else if (childIndex === 7) {
+        min = new Vector3().copy(cmin).add(dHalfLength);
+        max = new Vector3().copy(cmax).add(dHalfLength);
+    } else if (childIndex === 4) {
+        min = new Vector3().copy(cmin).add(xHalfLength);
+        max = new Vector3().copy(cmax).add(xHalfLength);
+    } else if (childIndex === 6) {
+        min = new Vector3().copy(cmin).add(xHalfLength).add(yHalfLength);
+        max = new Vector3().copy(cmax).add(xHalfLength).add(yHalfLength);
+    }
+
+    return new Box3(min, max);
+}
+
 export default BoundingBox;
@@ -0,0 +1,71 @@
+/**
+ * The data type of an attribute element, as written by PotreeConverter 2.x.
+ */
+export type ElementType =
+    | 'int8'
+    | 'int16'
+    | 'int32'
+    | 'int64'
+    | 'uint8'
+    | 'uint16'
+    | 'uint32'
+    | 'uint64'
+    | 'float'
+    | 'double';
+
+/**
+ * An attribute descriptor in the `attributes` array of a Potree 2.0 `metadata.json` file.
+ */
+export type AttributeDescriptor = {
+    name: string;
+    description?: string;
+    /** The total size, in bytes, of the attribute for a single point. */
+    size: number;
+    /** The number of components (e.g 3 for positions and colors). */
+    numElements: number;
+    /** The size, in bytes, of each component. */
+    elementSize: number;
+    type: ElementType;
+    min?: number[];
+    max?: number[];
+};
+
+/**
+ * The encoding of the `octree.bin` file.
+ * - `DEFAULT`: uncompressed, interleaved attributes.
+ * - `BROTLI`: brotli-compressed, per-attribute blocks, with Morton-encoded positions and colors.
+ */
+export type Encoding = 'DEFAULT' | 'BROTLI';
+
+/**
+ * The content of a Potree 2.0 `metadata.json` file.
+ */
+export type MetadataV2 = {
+    version: string;
+    name?: string;
+    description?: string;
+    points: number;
+    projection?: string;
+    hierarchy: {
+        /** The size, in bytes, of the first chunk of the `hierarchy.bin` file. */
+        firstChunkSize: number;
+        stepSize: number;
+        depth: number;
+    };
+    offset: [number, number, number];
+    scale: [number, number, number];
+    spacing: number;
+    boundingBox: {
+        min: [number, number, number];
+        max: [number, number, number];
+    };
+    encoding: Encoding;
+    attributes: AttributeDescriptor[];
+};
+
+/**
+ * Returns `true` if the metadata object comes from a Potree 2.0 dataset (i.e a `metadata.json` file).
+ */
+export function isMetadataV2(metadata: { version: string }): metadata is MetadataV2 {
+    return metadata.version.startsWith('2.');
+}
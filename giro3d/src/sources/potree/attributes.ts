@@ -111,7 +111,7 @@ const POTREE_ATTRIBUTES: Record<AttributeName, PotreeAttribute> = {
     RGBA_PACKED: attribute(PotreeDataType.Uint8, 4, true, 'color'),
     RGB_PACKED: attribute(PotreeDataType.Uint8, 3, true, 'color'),
 
-    // Normal attributes (unsupported)
+    // Normal attributes. They are not exposed, but decoded to 3-component float vectors.
     NORMAL_FLOATS: attribute(PotreeDataType.Float, 3),
     NORMAL: attribute(PotreeDataType.Float, 3),
     NORMAL_SPHEREMAPPED: attribute(PotreeDataType.Uint8, 2),
@@ -156,7 +156,8 @@ export const EXPOSED_ATTRIBUTES: Set<AttributeName | DimensionName | 'Color'> =
     'Z',
 ]);
 
-const UNSUPPORTED_ATTRIBUTES: Set<AttributeName> = new Set([
+/** The list of normal attributes, in any encoding. */
+export const NORMAL_ATTRIBUTES: Set<AttributeName> = new Set([
     'NORMAL',
     'NORMAL_FLOATS',
     'NORMAL_OCT16',
@@ -210,7 +211,8 @@ function mapDimension(input: PotreeAttribute['dimension']): PointCloudAttribute[
             // so we have to ignore the 4th component.
             return 3;
         case 2:
-            // This should not happen since Vec2 attributes such as NORMAL_OCT16 are not exposed.
+            // This should not happen since Vec2 attributes such as NORMAL_OCT16 are decoded
+            // to 3-component vectors.
             throw new Error('not supported.');
         default:
             return input;
@@ -290,12 +292,83 @@ const readColor: ReaderGen = (_attribute, attributeOffset, pointByteSize) => {
     };
 };
 
+// see https://web.archive.org/web/20150303053317/http://lgdv.cs.fau.de/get/1602
+// and implementation in PotreeConverter (BINPointReader.cpp) and potree (BinaryDecoderWorker.js)
+function decodeOct16Normal(bx: number, by: number, target: TypedArray, index: number) {
+    const u = (bx / 255) * 2 - 1;
+    const v = (by / 255) * 2 - 1;
+
+    let x = u;
+    let y = v;
+    const z = 1 - Math.abs(u) - Math.abs(v);
+
+    if (z < 0) {
+        x = (1 - Math.abs(v)) * (u >= 0 ? 1 : -1);
+        y = (1 - Math.abs(u)) * (v >= 0 ? 1 : -1);
+    }
+
+    const length = Math.sqrt(x * x + y * y + z * z);
+
+    target[index + 0] = x / length;
+    target[index + 1] = y / length;
+    target[index + 2] = z / length;
+}
+
+// see http://aras-p.info/texts/CompactNormalStorage.html method #4
+// or see potree's implementation in BINPointReader.cpp
+function decodeSphereMappedNormal(bx: number, by: number, target: TypedArray, index: number) {
+    const fx = (bx / 255) * 2 - 1;
+    const fy = (by / 255) * 2 - 1;
+    const f = fx * fx + fy * fy;
+    const g = 2 * Math.sqrt(Math.max(1 - f, 0));
+
+    target[index + 0] = fx * g;
+    target[index + 1] = fy * g;
+    target[index + 2] = 1 - 2 * f;
+}
+
+const readNormalFloats: ReaderGen = (_attribute, attributeOffset, pointByteSize) => {
+    return (view, pointIndex, target) => {
+        const offset = pointIndex * pointByteSize + attributeOffset;
+
+        target[pointIndex * 3 + 0] = view.getFloat32(offset + 0, true);
+        target[pointIndex * 3 + 1] = view.getFloat32(offset + 4, true);
+        target[pointIndex * 3 + 2] = view.getFloat32(offset + 8, true);
+    };
+};
+
+function readEncodedNormal(
+    decode: typeof decodeOct16Normal,
+    attributeOffset: number,
+    pointByteSize: number,
+): Reader {
+    return (view, pointIndex, target) => {
+        const offset = pointIndex * pointByteSize + attributeOffset;
+
+        const bx = view.getUint8(offset + 0);
+        const by = view.getUint8(offset + 1);
+
+        decode(bx, by, target, pointIndex * 3);
+    };
+}
+
 export function createReader(attribute: PotreePointCloudAttribute, pointByteSize: number): Reader {
     const { name, offset, potreeAttribute } = attribute;
     if (name === 'POSITION_CARTESIAN') {
         return readPositionCartesian(potreeAttribute, offset, pointByteSize);
     }
 
+    // Normals are decoded to 3-component vectors
+    switch (name) {
+        case 'NORMAL':
+        case 'NORMAL_FLOATS':
+            return readNormalFloats(potreeAttribute, offset, pointByteSize);
+        case 'NORMAL_OCT16':
+            return readEncodedNormal(decodeOct16Normal, offset, pointByteSize);
+        case 'NORMAL_SPHEREMAPPED':
+            return readEncodedNormal(decodeSphereMappedNormal, offset, pointByteSize);
+    }
+
     // Some special readers
     switch (attribute.interpretation) {
         case 'color':
@@ -372,22 +445,21 @@ export function processAttributes(names: Readonly<AttributeName[]>): {
     }
 
     for (const name of names) {
-        if (UNSUPPORTED_ATTRIBUTES.has(name)) {
-            continue;
-        }
-
         const potreeAttribute = defined(POTREE_ATTRIBUTES, name);
         const sizeBytes = potreeAttribute.dimension * getSize(potreeAttribute.type);
 
         const minmax = getMinMax(name);
 
+        // Normals are decoded to 3-component float vectors, whatever their encoding.
+        const isNormal = NORMAL_ATTRIBUTES.has(name);
+
         const sourceAttribute: PotreePointCloudAttribute = {
             name,
             normalized: potreeAttribute.normalized,
             interpretation: potreeAttribute.interpretation,
-            dimension: mapDimension(potreeAttribute.dimension),
-            size: mapSize(potreeAttribute.type),
-            type: mapType(potreeAttribute.type),
+            dimension: isNormal ? 3 : mapDimension(potreeAttribute.dimension),
+            size: isNormal ? 4 : mapSize(potreeAttribute.type),
+            type: isNormal ? 'float' : mapType(potreeAttribute.type),
             potreeAttribute,
             offset,
             min: minmax?.min,
@@ -0,0 +1,150 @@
+import type { PointCloudAttribute } from '../PointCloudSource';
+import type { AttributeDescriptor, ElementType } from './MetadataV2';
+
+/**
+ * Point cloud attribute for Potree 2.0 datasets (the ones with a `metadata.json` file).
+ */
+export type PotreeV2PointCloudAttribute = PointCloudAttribute & {
+    // Whether this attribute should be normalized on the 0-1 floating point range.
+    normalized: boolean;
+
+    // The original attribute descriptor from the metadata file.
+    potreeAttribute: AttributeDescriptor;
+};
+
+/**
+ * A function that reads a single element at the given byte offset.
+ */
+export type ElementReader = (view: DataView, offset: number) => number;
+
+const POSITION_NAMES = new Set(['position', 'POSITION_CARTESIAN']);
+const COLOR_NAMES = new Set(['rgb', 'rgba', 'RGBA']);
+
+export function isPosition(descriptor: AttributeDescriptor): boolean {
+    return POSITION_NAMES.has(descriptor.name);
+}
+
+export function isColor(descriptor: AttributeDescriptor): boolean {
+    return COLOR_NAMES.has(descriptor.name);
+}
+
+export function getElementReader(type: ElementType): ElementReader {
+    switch (type) {
+        case 'int8':
+            return (view, offset) => view.getInt8(offset);
+        case 'int16':
+            return (view, offset) => view.getInt16(offset, true);
+        case 'int32':
+            return (view, offset) => view.getInt32(offset, true);
+        case 'int64':
+            return (view, offset) => Number(view.getBigInt64(offset, true));
+        case 'uint8':
+            return (view, offset) => view.getUint8(offset);
+        case 'uint16':
+            return (view, offset) => view.getUint16(offset, true);
+        case 'uint32':
+            return (view, offset) => view.getUint32(offset, true);
+        case 'uint64':
+            return (view, offset) => Number(view.getBigUint64(offset, true));
+        case 'float':
+            return (view, offset) => view.getFloat32(offset, true);
+        case 'double':
+            return (view, offset) => view.getFloat64(offset, true);
+    }
+}
+
+function mapType(type: ElementType): PointCloudAttribute['type'] {
+    switch (type) {
+        case 'int8':
+        case 'int16':
+        case 'int32':
+            return 'signed';
+        case 'uint8':
+        case 'uint16':
+        case 'uint32':
+            return 'unsigned';
+        case 'int64':
+        case 'uint64':
+        case 'float':
+        case 'double':
+            // 64-bit integers cannot be represented in GPU buffers,
+            // so they are downcast to 32-bit floats, like doubles.
+            return 'float';
+    }
+}
+
+function mapSize(type: ElementType): PointCloudAttribute['size'] {
+    switch (type) {
+        case 'int8':
+        case 'uint8':
+            return 1;
+        case 'int16':
+        case 'uint16':
+            return 2;
+        default:
+            // We have to downcast 64-bit numbers to 32-bit.
+            return 4;
+    }
+}
+
+function mapAttribute(descriptor: AttributeDescriptor): PotreeV2PointCloudAttribute | null {
+    if (isColor(descriptor)) {
+        return {
+            name: descriptor.name,
+            dimension: 3,
+            size: 1,
+            type: 'unsigned',
+            interpretation: 'color',
+            normalized: true,
+            min: 0,
+            max: 255,
+            potreeAttribute: descriptor,
+        };
+    }
+
+    // The point cloud source does not support 2 and 4-component vectors,
+    // and 3-component vectors other than colors (e.g normals) have no meaningful
+    // interpretation yet.
+    if (descriptor.numElements !== 1) {
+        return null;
+    }
+
+    return {
+        name: descriptor.name,
+        dimension: 1,
+        size: mapSize(descriptor.type),
+        type: mapType(descriptor.type),
+        interpretation: descriptor.name === 'classification' ? 'classification' : 'unknown',
+        normalized: false,
+        min: descriptor.min?.[0],
+        max: descriptor.max?.[0],
+        potreeAttribute: descriptor,
+    };
+}
+
+/**
+ * Given the attribute descriptors of a `metadata.json` file, returns the list of attributes
+ * exposed to the API (i.e all attributes except positions and unsupported vectors).
+ */
+export function processAttributesV2(descriptors: Readonly<AttributeDescriptor[]>): {
+    attributes: PotreeV2PointCloudAttribute[];
+    pointByteSize: number;
+} {
+    const attributes: PotreeV2PointCloudAttribute[] = [];
+    let pointByteSize = 0;
+
+    for (const descriptor of descriptors) {
+        pointByteSize += descriptor.size;
+
+        if (isPosition(descriptor)) {
+            continue;
+        }
+
+        const attribute = mapAttribute(descriptor);
+        if (attribute != null) {
+            attributes.push(attribute);
+        }
+    }
+
+    return { attributes, pointByteSize };
+}
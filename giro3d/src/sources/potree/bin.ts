@@ -31,6 +31,7 @@ function readAttribute(
 export type ParseResult = {
     positionBuffer: BufferAttributeDescriptor;
     attributeBuffer?: BufferAttributeDescriptor;
+    normalBuffer?: BufferAttributeDescriptor;
     localBoundingBox?: Box3;
 };
 
@@ -39,6 +40,7 @@ export function readBinFile(
     pointByteSize: number,
     positionAttribute: PotreePointCloudAttribute,
     optionalAttribute?: PotreePointCloudAttribute,
+    normalAttribute?: PotreePointCloudAttribute,
 ): ParseResult {
     const view = new DataView(buffer);
 
@@ -52,8 +54,14 @@ export function readBinFile(
         attributeBuffer = readAttribute(optionalAttribute, view, pointByteSize, pointCount);
     }
 
+    let normalBuffer: BufferAttributeDescriptor | undefined = undefined;
+    if (normalAttribute != null) {
+        normalBuffer = readAttribute(normalAttribute, view, pointByteSize, pointCount);
+    }
+
     return {
         positionBuffer,
         attributeBuffer,
+        normalBuffer,
     };
 }
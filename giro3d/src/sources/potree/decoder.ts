@@ -0,0 +1,240 @@
+import decompress from 'brotli/decompress';
+import { getTypedArray } from './attributes';
+import type { PotreeV2PointCloudAttribute } from './attributesV2';
+import { getElementReader, isColor, isPosition } from './attributesV2';
+import type { BufferAttributeDescriptor, ParseResult } from './bin';
+import type { AttributeDescriptor, Encoding } from './MetadataV2';
+
+type Vec3 = [number, number, number];
+
+/**
+ * The information required to decode a node of the `octree.bin` file.
+ */
+export type DecodeNodeInfo = {
+    encoding: Encoding;
+    /** All the attribute descriptors of the dataset, in file order. */
+    descriptors: AttributeDescriptor[];
+    pointCount: number;
+    scale: Vec3;
+    offset: Vec3;
+    /** The origin of the output position buffer (i.e the minimum corner of the node volume). */
+    origin: Vec3;
+    optionalAttribute?: PotreeV2PointCloudAttribute;
+};
+
+/**
+ * Removes the interleaving of a 24-bit Morton code, keeping every third bit.
+ * See https://stackoverflow.com/questions/45694690/how-i-can-remove-all-odds-bits-in-c
+ */
+function dealign24b(mortoncode: number): number {
+    let x = mortoncode;
+    x = ((x & 0b001000001000001000001000) >> 2) | ((x & 0b000001000001000001000001) >> 0);
+    x = ((x & 0b000011000000000011000000) >> 4) | ((x & 0b000000000011000000000011) >> 0);
+    x = ((x & 0b000000001111000000000000) >> 8) | ((x & 0b000000000000000000001111) >> 0);
+
+    return x;
+}
+
+/**
+ * Decodes the three components interleaved in a 64-bit Morton code made of two 32-bit words.
+ */
+function decodeMorton(low: number, high: number, component: 0 | 1 | 2): number {
+    return (
+        dealign24b((low & 0x00ffffff) >>> component) |
+        (dealign24b(((low >>> 24) | (high << 8)) >>> component) << 8)
+    );
+}
+
+/**
+ * The size, in bytes, of an attribute for a single point in the brotli encoding. Positions and
+ * colors are stored as Morton codes, which are larger than their interleaved counterparts.
+ */
+function getEncodedSize(descriptor: AttributeDescriptor, encoding: Encoding): number {
+    if (encoding === 'BROTLI') {
+        if (isPosition(descriptor)) {
+            return 16;
+        }
+        if (isColor(descriptor)) {
+            return 8;
+        }
+    }
+
+    return descriptor.size;
+}
+
+/**
+ * Returns the byte offset of the attribute. For the default encoding, this is the offset inside
+ * a single point record. For the brotli encoding, this is the offset of the attribute block.
+ */
+function getByteOffset(info: DecodeNodeInfo, name: string): number {
+    let offset = 0;
+
+    for (const descriptor of info.descriptors) {
+        if (descriptor.name === name) {
+            return offset;
+        }
+
+        const size = getEncodedSize(descriptor, info.encoding);
+        offset += info.encoding === 'BROTLI' ? size * info.pointCount : size;
+    }
+
+    throw new Error(`attribute '${name}' not found`);
+}
+
+function readPosition(view: DataView, info: DecodeNodeInfo, pointByteSize: number): Float32Array {
+    const { pointCount, encoding, scale, offset, origin } = info;
+    const descriptor = info.descriptors.find(isPosition);
+    if (descriptor == null) {
+        throw new Error('no position attribute in dataset');
+    }
+    const byteOffset = getByteOffset(info, descriptor.name);
+    const result = new Float32Array(pointCount * 3);
+    const read = getElementReader(descriptor.type);
+
+    const x0 = offset[0] - origin[0];
+    const y0 = offset[1] - origin[1];
+    const z0 = offset[2] - origin[2];
+
+    for (let i = 0; i < pointCount; i++) {
+        let X: number;
+        let Y: number;
+        let Z: number;
+
+        if (encoding === 'BROTLI') {
+            const o = byteOffset + i * 16;
+            const mc0 = view.getUint32(o + 4, true);
+            const mc1 = view.getUint32(o + 0, true);
+            const mc2 = view.getUint32(o + 12, true);
+            const mc3 = view.getUint32(o + 8, true);
+
+            X = decodeMorton(mc3, mc2, 0);
+            Y = decodeMorton(mc3, mc2, 1);
+            Z = decodeMorton(mc3, mc2, 2);
+
+            if (mc1 !== 0 || mc2 !== 0) {
+                X = X | (decodeMorton(mc1, mc0, 0) << 16);
+                Y = Y | (decodeMorton(mc1, mc0, 1) << 16);
+                Z = Z | (decodeMorton(mc1, mc0, 2) << 16);
+            }
+        } else {
+            const o = i * pointByteSize + byteOffset;
+            X = read(view, o + 0 * descriptor.elementSize);
+            Y = read(view, o + 1 * descriptor.elementSize);
+            Z = read(view, o + 2 * descriptor.elementSize);
+        }
+
+        result[i * 3 + 0] = X * scale[0] + x0;
+        result[i * 3 + 1] = Y * scale[1] + y0;
+        result[i * 3 + 2] = Z * scale[2] + z0;
+    }
+
+    return result;
+}
+
+function readColor(
+    view: DataView,
+    info: DecodeNodeInfo,
+    attribute: PotreeV2PointCloudAttribute,
+    pointByteSize: number,
+): Uint8Array {
+    const { pointCount, encoding } = info;
+    const descriptor = attribute.potreeAttribute;
+    const byteOffset = getByteOffset(info, descriptor.name);
+    const result = new Uint8Array(pointCount * 3);
+    const read = getElementReader(descriptor.type);
+
+    for (let i = 0; i < pointCount; i++) {
+        let r: number;
+        let g: number;
+        let b: number;
+
+        if (encoding === 'BROTLI') {
+            const o = byteOffset + i * 8;
+            const mc0 = view.getUint32(o + 4, true);
+            const mc1 = view.getUint32(o + 0, true);
+
+            r = decodeMorton(mc1, mc0, 0);
+            g = decodeMorton(mc1, mc0, 1);
+            b = decodeMorton(mc1, mc0, 2);
+        } else {
+            const o = i * pointByteSize + byteOffset;
+            r = read(view, o + 0 * descriptor.elementSize);
+            g = read(view, o + 1 * descriptor.elementSize);
+            b = read(view, o + 2 * descriptor.elementSize);
+        }
+
+        // Colors may be either 8-bit or 16-bit
+        result[i * 3 + 0] = r > 255 ? r / 256 : r;
+        result[i * 3 + 1] = g > 255 ? g / 256 : g;
+        result[i * 3 + 2] = b > 255 ? b / 256 : b;
+    }
+
+    return result;
+}
+
+function readScalar(
+    view: DataView,
+    info: DecodeNodeInfo,
+    attribute: PotreeV2PointCloudAttribute,
+    pointByteSize: number,
+) {
+    const { pointCount, encoding } = info;
+    const descriptor = attribute.potreeAttribute;
+    const byteOffset = getByteOffset(info, descriptor.name);
+    const result = getTypedArray(attribute.type, attribute.size, 1, pointCount);
+    const read = getElementReader(descriptor.type);
+
+    // Brotli-encoded attributes are stored in contiguous blocks,
+    // whereas default-encoded attributes are interleaved.
+    const stride = encoding === 'BROTLI' ? descriptor.size : pointByteSize;
+
+    for (let i = 0; i < pointCount; i++) {
+        result[i] = read(view, byteOffset + i * stride);
+    }
+
+    return result;
+}
+
+/**
+ * Decodes the content of a single node of a Potree 2.0 `octree.bin` file.
+ *
+ * Note: the position buffer is expressed relative to {@link DecodeNodeInfo.origin}.
+ */
+export function decodeNode(buffer: ArrayBuffer, info: DecodeNodeInfo): ParseResult {
+    let bytes = new Uint8Array(buffer);
+
+    if (info.encoding === 'BROTLI' && bytes.byteLength > 0) {
+        bytes = decompress(bytes as unknown as Buffer);
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    let pointByteSize = 0;
+    for (const descriptor of info.descriptors) {
+        pointByteSize += descriptor.size;
+    }
+
+    const positionBuffer: BufferAttributeDescriptor = {
+        array: readPosition(view, info, pointByteSize).buffer,
+        dimension: 3,
+        normalized: false,
+    };
+
+    let attributeBuffer: BufferAttributeDescriptor | undefined = undefined;
+
+    const attribute = info.optionalAttribute;
+    if (attribute != null) {
+        const array =
+            attribute.interpretation === 'color'
+                ? readColor(view, info, attribute, pointByteSize)
+                : readScalar(view, info, attribute, pointByteSize);
+
+        attributeBuffer = {
+            array: array.buffer as ArrayBuffer,
+            dimension: attribute.dimension,
+            normalized: attribute.normalized,
+        };
+    }
+
+    return { positionBuffer, attributeBuffer };
+}
@@ -0,0 +1,127 @@
+import { Vector3 } from 'three';
+import type * as octree from '../../core/Octree';
+import type { PointCloudNode } from '../PointCloudSource';
+import { createChildAABB } from './BoundingBox';
+
+/**
+ * The type of a node in the `hierarchy.bin` file.
+ */
+export enum HierarchyNodeType {
+    /** A node with children. */
+    Normal = 0,
+    /** A node without children. */
+    Leaf = 1,
+    /** A node whose own hierarchy (and data location) is stored in another chunk. */
+    Proxy = 2,
+}
+
+export type HierarchyNodeData = PointCloudNode & {
+    nodeType: HierarchyNodeType;
+    /** The location of the node data in the `octree.bin` file. */
+    byteOffset: number;
+    byteSize: number;
+    /** The location of the node's hierarchy chunk in the `hierarchy.bin` file (proxy nodes only). */
+    hierarchyByteOffset: number;
+    hierarchyByteSize: number;
+};
+
+export type HierarchyNode = octree.Octree<HierarchyNodeData>;
+
+const BYTES_PER_NODE = 22;
+
+/**
+ * Parses a chunk of the `hierarchy.bin` file, whose first entry describes the given proxy node.
+ * The node is updated in place and its descendants found in the chunk are created. Descendants
+ * located in other chunks are created as proxy nodes that must be loaded later.
+ *
+ * @param sourceId - The ID of the source.
+ * @param buffer - The chunk buffer.
+ * @param node - The proxy node that is the root of the chunk.
+ * @param spacing - The point spacing of the root node of the dataset.
+ */
+export function parseHierarchyChunk(
+    sourceId: string,
+    buffer: ArrayBuffer,
+    node: HierarchyNode,
+    spacing: number,
+): HierarchyNode {
+    const view = new DataView(buffer);
+    const nodeCount = buffer.byteLength / BYTES_PER_NODE;
+
+    // Nodes are stored in breadth-first order, so the children of a node
+    // are always stored after their parent in the chunk.
+    const nodes: HierarchyNode[] = [node];
+
+    for (let i = 0; i < nodeCount; i++) {
+        const current = nodes[i];
+        const offset = i * BYTES_PER_NODE;
+
+        const type: HierarchyNodeType = view.getUint8(offset + 0);
+        const childMask = view.getUint8(offset + 1);
+        const pointCount = view.getUint32(offset + 2, true);
+        const byteOffset = Number(view.getBigInt64(offset + 6, true));
+        const byteSize = Number(view.getBigInt64(offset + 14, true));
+
+        current.pointCount = pointCount;
+
+        // The first entry of the chunk always describes the actual data of the proxy node,
+        // whereas descendant proxy entries point to another chunk of the hierarchy.
+        if (i > 0 && type === HierarchyNodeType.Proxy) {
+            current.hierarchyByteOffset = byteOffset;
+            current.hierarchyByteSize = byteSize;
+        } else {
+            current.byteOffset = byteOffset;
+            current.byteSize = byteSize;
+            current.hasData = byteSize > 0;
+        }
+
+        current.nodeType = type;
+
+        if (type === HierarchyNodeType.Proxy) {
+            continue;
+        }
+
+        for (let childIndex = 0; childIndex < 8; childIndex++) {
+            if ((childMask & (1 << childIndex)) === 0) {
+                continue;
+            }
+
+            const volume = createChildAABB(current.volume, childIndex);
+            const depth = current.depth + 1;
+
+            const child: HierarchyNode = {
+                id: current.id + childIndex,
+                sourceId,
+                nodeType: HierarchyNodeType.Proxy,
+                byteOffset: 0,
+                byteSize: 0,
+                hierarchyByteOffset: 0,
+                hierarchyByteSize: 0,
+                volume,
+                depth,
+                geometricError: spacing / 2 ** depth,
+                hasData: true,
+                center: volume.getCenter(new Vector3()),
+                parent: current,
+            };
+
+            if (current.children == null) {
+                current.children = [
+                    undefined,
+                    undefined,
+                    undefined,
+                    undefined,
+                    undefined,
+                    undefined,
+                    undefined,
+                    undefined,
+                ];
+            }
+
+            current.children[childIndex] = child;
+            nodes.push(child);
+        }
+    }
+
+    return node;
+}
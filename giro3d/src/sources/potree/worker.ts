@@ -3,8 +3,10 @@ import { createErrorResponse } from '../../utils/WorkerPool';
 import type { PotreePointCloudAttribute } from './attributes';
 import type { BufferAttributeDescriptor } from './bin';
 import { readBinFile } from './bin';
+import type { DecodeNodeInfo } from './decoder';
+import { decodeNode } from './decoder';
 
-export type MessageType = 'ReadBinFile';
+export type MessageType = 'ReadBinFile' | 'DecodeNode';
 export type TypedMessage<K extends MessageType, T> = Message<T> & { type: K };
 
 type ReadBinFileMessage = TypedMessage<
@@ -14,6 +16,7 @@ type ReadBinFileMessage = TypedMessage<
         info: {
             positionAttribute: PotreePointCloudAttribute;
             optionalAttribute?: PotreePointCloudAttribute;
+            normalAttribute?: PotreePointCloudAttribute;
             pointByteSize: number;
         };
     }
@@ -22,15 +25,33 @@ type ReadBinFileMessage = TypedMessage<
 type ReadBinFileResponse = SuccessResponse<{
     position: BufferAttributeDescriptor;
     attribute?: BufferAttributeDescriptor;
+    normal?: BufferAttributeDescriptor;
 }>;
 
-type Messages = ReadBinFileMessage;
+type DecodeNodeMessage = TypedMessage<
+    'DecodeNode',
+    {
+        buffer: ArrayBuffer;
+        info: DecodeNodeInfo;
+    }
+>;
+
+type DecodeNodeResponse = SuccessResponse<{
+    position: BufferAttributeDescriptor;
+    attribute?: BufferAttributeDescriptor;
+}>;
+
+type Messages = ReadBinFileMessage | DecodeNodeMessage;
 
 export interface MessageMap extends BaseMessageMap<MessageType> {
     ReadBinFile: {
         payload: ReadBinFileMessage['payload'];
         response: ReadBinFileResponse['payload'];
     };
+    DecodeNode: {
+        payload: DecodeNodeMessage['payload'];
+        response: DecodeNodeResponse['payload'];
+    };
 }
 
 function processReadBinMessage(msg: ReadBinFileMessage) {
@@ -41,9 +62,41 @@ function processReadBinMessage(msg: ReadBinFileMessage) {
             info.pointByteSize,
             info.positionAttribute,
             info.optionalAttribute,
+            info.normalAttribute,
         );
 
         const response: ReadBinFileResponse = {
+            requestId: msg.id,
+            payload: {
+                position: result.positionBuffer,
+                attribute: result.attributeBuffer,
+                normal: result.normalBuffer,
+            },
+        };
+
+        const position = result.positionBuffer.array;
+        const attribute = result.attributeBuffer?.array;
+        const normal = result.normalBuffer?.array;
+
+        const transfer = [position];
+        if (attribute) {
+            transfer.push(attribute);
+        }
+        if (normal) {
+            transfer.push(normal);
+        }
+        postMessage(response, { transfer });
+    } catch (err) {
+        postMessage(createErrorResponse(msg.id, err));
+    }
+}
+
+function processDecodeNodeMessage(msg: DecodeNodeMessage) {
+    try {
+        const { buffer, info } = msg.payload;
+        const result = decodeNode(buffer, info);
+
+        const response: DecodeNodeResponse = {
             requestId: msg.id,
             payload: {
                 position: result.positionBuffer,
@@ -71,5 +124,8 @@ onmessage = (e: MessageEvent<Messages>) => {
         case 'ReadBinFile':
             processReadBinMessage(message);
             break;
+        case 'DecodeNode':
+            processDecodeNodeMessage(message);
+            break;
     }
 };
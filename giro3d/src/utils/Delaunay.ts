@@ -0,0 +1,420 @@
+// A 2D Delaunay triangulation, based on the sweep-hull algorithm of Delaunator
+// (https://github.com/mapbox/delaunator, ISC license).
+
+const EPSILON = Math.pow(2, -52);
+const EDGE_STACK = new Uint32Array(512);
+
+/**
+ * Returns `true` if the points are in counter-clockwise order (in a Y-down frame).
+ */
+function orient(px: number, py: number, qx: number, qy: number, rx: number, ry: number) {
+    return (qy - py) * (rx - qx) - (qx - px) * (ry - qy) < 0;
+}
+
+function inCircle(
+    ax: number,
+    ay: number,
+    bx: number,
+    by: number,
+    cx: number,
+    cy: number,
+    px: number,
+    py: number,
+) {
+    const dx = ax - px;
+    const dy = ay - py;
+    const ex = bx - px;
+    const ey = by - py;
+    const fx = cx - px;
+    const fy = cy - py;
+
+    const ap = dx * dx + dy * dy;
+    const bp = ex * ex + ey * ey;
+    const cp = fx * fx + fy * fy;
+
+    return dx * (ey * cp - bp * fy) - dy * (ex * cp - bp * fx) + ap * (ex * fy - ey * fx) < 0;
+}
+
+/**
+ * Returns the squared circumradius of the triangle, or `Infinity` if it is degenerate.
+ */
+function circumradius(ax: number, ay: number, bx: number, by: number, cx: number, cy: number) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const ex = cx - ax;
+    const ey = cy - ay;
+
+    const bl = dx * dx + dy * dy;
+    const cl = ex * ex + ey * ey;
+    const d = 0.5 / (dx * ey - dy * ex);
+
+    const x = (ey * bl - dy * cl) * d;
+    const y = (dx * cl - ex * bl) * d;
+
+    const r = x * x + y * y;
+
+    return Number.isFinite(r) ? r : Infinity;
+}
+
+function circumcenter(ax: number, ay: number, bx: number, by: number, cx: number, cy: number) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const ex = cx - ax;
+    const ey = cy - ay;
+
+    const bl = dx * dx + dy * dy;
+    const cl = ex * ex + ey * ey;
+    const d = 0.5 / (dx * ey - dy * ex);
+
+    return {
+        x: ax + (ey * bl - dy * cl) * d,
+        y: ay + (dx * cl - ex * bl) * d,
+    };
+}
+
+/**
+ * A monotonic function of the angle of the vector, in the [0, 1] range.
+ */
+function pseudoAngle(dx: number, dy: number) {
+    const p = dx / (Math.abs(dx) + Math.abs(dy));
+    return (dy > 0 ? 3 - p : 1 + p) / 4;
+}
+
+/**
+ * Computes the Delaunay triangulation of a set of 2D points.
+ *
+ * Duplicate points are ignored. If all points are collinear, there is no triangle.
+ *
+ * @param coords - The coordinates of the points, as `[x0, y0, x1, y1, ...]`.
+ * @returns The indices of the vertices of each triangle, as `[a0, b0, c0, a1, b1, c1, ...]`.
+ * @internal
+ */
+export default function triangulate(coords: ArrayLike<number>): Uint32Array {
+    const n = coords.length >> 1;
+
+    if (n < 3) {
+        return new Uint32Array(0);
+    }
+
+    const maxTriangles = Math.max(2 * n - 5, 0);
+    const triangles = new Uint32Array(maxTriangles * 3);
+    const halfedges = new Int32Array(maxTriangles * 3);
+
+    const hashSize = Math.ceil(Math.sqrt(n));
+    const hullPrev = new Uint32Array(n);
+    const hullNext = new Uint32Array(n);
+    const hullTri = new Uint32Array(n);
+    const hullHash = new Int32Array(hashSize).fill(-1);
+
+    const ids = new Uint32Array(n);
+    const dists = new Float64Array(n);
+
+    let trianglesLen = 0;
+    let hullStart = 0;
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    for (let i = 0; i < n; i++) {
+        const x = coords[2 * i];
+        const y = coords[2 * i + 1];
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+        ids[i] = i;
+    }
+
+    const x = (minX + maxX) / 2;
+    const y = (minY + maxY) / 2;
+
+    const distance = (i: number, px: number, py: number) => {
+        const dx = coords[2 * i] - px;
+        const dy = coords[2 * i + 1] - py;
+        return dx * dx + dy * dy;
+    };
+
+    // The seed triangle: the point closest to the center, its closest neighbour, and the
+    // point that forms the smallest circumcircle with them.
+    let i0 = 0;
+    let i1 = 0;
+    let i2 = 0;
+
+    let minDist = Infinity;
+    for (let i = 0; i < n; i++) {
+        const d = distance(i, x, y);
+        if (d < minDist) {
+            i0 = i;
+            minDist = d;
+        }
+    }
+    const i0x = coords[2 * i0];
+    const i0y = coords[2 * i0 + 1];
+
+    minDist = Infinity;
+    for (let i = 0; i < n; i++) {
+        if (i === i0) {
+            continue;
+        }
+        const d = distance(i, i0x, i0y);
+        if (d < minDist && d > 0) {
+            i1 = i;
+            minDist = d;
+        }
+    }
+    let i1x = coords[2 * i1];
+    let i1y = coords[2 * i1 + 1];
+
+    let minRadius = Infinity;
+    for (let i = 0; i < n; i++) {
+        if (i === i0 || i === i1) {
+            continue;
+        }
+        const r = circumradius(i0x, i0y, i1x, i1y, coords[2 * i], coords[2 * i + 1]);
+        if (r < minRadius) {
+            i2 = i;
+            minRadius = r;
+        }
+    }
+    let i2x = coords[2 * i2];
+    let i2y = coords[2 * i2 + 1];
+
+    if (minRadius === Infinity) {
+        // All points are collinear
+        return new Uint32Array(0);
+    }
+
+    if (orient(i0x, i0y, i1x, i1y, i2x, i2y)) {
+        const i = i1;
+        i1 = i2;
+        i2 = i;
+        [i1x, i1y, i2x, i2y] = [i2x, i2y, i1x, i1y];
+    }
+
+    const center = circumcenter(i0x, i0y, i1x, i1y, i2x, i2y);
+
+    for (let i = 0; i < n; i++) {
+        dists[i] = distance(i, center.x, center.y);
+    }
+
+    // The points are added by increasing distance to the center of the seed triangle
+    ids.sort((a, b) => dists[a] - dists[b]);
+
+    const hashKey = (px: number, py: number) =>
+        Math.floor(pseudoAngle(px - center.x, py - center.y) * hashSize) % hashSize;
+
+    const link = (a: number, b: number) => {
+        halfedges[a] = b;
+        if (b !== -1) {
+            halfedges[b] = a;
+        }
+    };
+
+    const addTriangle = (a: number, b: number, c: number, ha: number, hb: number, hc: number) => {
+        const t = trianglesLen;
+
+        triangles[t] = a;
+        triangles[t + 1] = b;
+        triangles[t + 2] = c;
+
+        link(t, ha);
+        link(t + 1, hb);
+        link(t + 2, hc);
+
+        trianglesLen += 3;
+
+        return t;
+    };
+
+    // Flips the edges that do not satisfy the Delaunay condition, recursively.
+    const legalize = (edge: number) => {
+        let a = edge;
+        let i = 0;
+        let ar = 0;
+
+        for (;;) {
+            const b = halfedges[a];
+            const a0 = a - (a % 3);
+            ar = a0 + ((a + 2) % 3);
+
+            if (b === -1) {
+                // Convex hull edge
+                if (i === 0) {
+                    break;
+                }
+                a = EDGE_STACK[--i];
+                continue;
+            }
+
+            const b0 = b - (b % 3);
+            const al = a0 + ((a + 1) % 3);
+            const bl = b0 + ((b + 2) % 3);
+
+            const p0 = triangles[ar];
+            const pr = triangles[a];
+            const pl = triangles[al];
+            const p1 = triangles[bl];
+
+            const illegal = inCircle(
+                coords[2 * p0],
+                coords[2 * p0 + 1],
+                coords[2 * pr],
+                coords[2 * pr + 1],
+                coords[2 * pl],
+                coords[2 * pl + 1],
+                coords[2 * p1],
+                coords[2 * p1 + 1],
+            );
+
+            if (illegal) {
+                triangles[a] = p1;
+                triangles[b] = p0;
+
+                const hbl = halfedges[bl];
+
+                // The flipped edge is on the hull: update the hull triangle reference
+                if (hbl === -1) {
+                    let e = hullStart;
+                    do {
+                        if (hullTri[e] === bl) {
+                            hullTri[e] = a;
+                            break;
+                        }
+                        e = hullPrev[e];
+                    } while (e !== hullStart);
+                }
+
+                link(a, hbl);
+                link(b, halfedges[ar]);
+                link(ar, bl);
+
+                const br = b0 + ((b + 1) % 3);
+
+                // The stack can only overflow with extremely degenerate inputs
+                if (i < EDGE_STACK.length) {
+                    EDGE_STACK[i++] = br;
+                }
+            } else {
+                if (i === 0) {
+                    break;
+                }
+                a = EDGE_STACK[--i];
+            }
+        }
+
+        return ar;
+    };
+
+    hullStart = i0;
+
+    hullNext[i0] = hullPrev[i2] = i1;
+    hullNext[i1] = hullPrev[i0] = i2;
+    hullNext[i2] = hullPrev[i1] = i0;
+
+    hullTri[i0] = 0;
+    hullTri[i1] = 1;
+    hullTri[i2] = 2;
+
+    hullHash[hashKey(i0x, i0y)] = i0;
+    hullHash[hashKey(i1x, i1y)] = i1;
+    hullHash[hashKey(i2x, i2y)] = i2;
+
+    addTriangle(i0, i1, i2, -1, -1, -1);
+
+    let xp = 0;
+    let yp = 0;
+
+    for (let k = 0; k < n; k++) {
+        const i = ids[k];
+        const px = coords[2 * i];
+        const py = coords[2 * i + 1];
+
+        // Skip duplicate points
+        if (k > 0 && Math.abs(px - xp) <= EPSILON && Math.abs(py - yp) <= EPSILON) {
+            continue;
+        }
+        xp = px;
+        yp = py;
+
+        if (i === i0 || i === i1 || i === i2) {
+            continue;
+        }
+
+        // Find a visible edge of the hull, using the hash to start near the point
+        let start = 0;
+        const key = hashKey(px, py);
+        for (let j = 0; j < hashSize; j++) {
+            start = hullHash[(key + j) % hashSize];
+            if (start !== -1 && start !== hullNext[start]) {
+                break;
+            }
+        }
+
+        start = hullPrev[start];
+        let e = start;
+        let q = hullNext[e];
+
+        while (
+            !orient(px, py, coords[2 * e], coords[2 * e + 1], coords[2 * q], coords[2 * q + 1])
+        ) {
+            e = q;
+            if (e === start) {
+                e = -1;
+                break;
+            }
+            q = hullNext[e];
+        }
+
+        if (e === -1) {
+            // Likely a near-duplicate point
+            continue;
+        }
+
+        // Add the first triangle from the point
+        let t = addTriangle(e, i, hullNext[e], -1, -1, hullTri[e]);
+
+        hullTri[i] = legalize(t + 2);
+        hullTri[e] = t;
+
+        // Walk forward through the hull, adding more triangles and flipping recursively
+        let next = hullNext[e];
+        q = hullNext[next];
+        while (
+            orient(px, py, coords[2 * next], coords[2 * next + 1], coords[2 * q], coords[2 * q + 1])
+        ) {
+            t = addTriangle(next, i, q, hullTri[i], -1, hullTri[next]);
+            hullTri[i] = legalize(t + 2);
+            // Marks the point as removed from the hull
+            hullNext[next] = next;
+            next = q;
+            q = hullNext[next];
+        }
+
+        // Walk backward from the other side
+        if (e === start) {
+            q = hullPrev[e];
+            while (
+                orient(px, py, coords[2 * q], coords[2 * q + 1], coords[2 * e], coords[2 * e + 1])
+            ) {
+                t = addTriangle(q, i, e, -1, hullTri[e], hullTri[q]);
+                legalize(t + 2);
+                hullTri[q] = t;
+                hullNext[e] = e;
+                e = q;
+                q = hullPrev[e];
+            }
+        }
+
+        // Update the hull indices
+        hullStart = hullPrev[i] = e;
+        hullNext[e] = hullPrev[next] = i;
+        hullNext[i] = next;
+
+        hullHash[hashKey(px, py)] = i;
+        hullHash[hashKey(coords[2 * e], coords[2 * e + 1])] = e;
+    }
+
+    return triangles.slice(0, trianglesLen);
+}
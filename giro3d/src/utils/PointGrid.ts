@@ -0,0 +1,136 @@
+import { nonNull } from './tsutils';
+
+/**
+ * A uniform 3D grid that indexes points, for fixed-radius neighbourhood queries.
+ *
+ * @internal
+ */
+export default class PointGrid {
+    /** The indexed positions, as XYZ triplets. */
+    readonly positions: Float64Array;
+    /** The number of indexed points. */
+    readonly count: number;
+
+    private readonly _cellSize: number;
+    private readonly _min: [number, number, number] = [Infinity, Infinity, Infinity];
+    private readonly _size: [number, number, number] = [1, 1, 1];
+    /** The range of each non-empty cell in {@link _indices}, by cell key. */
+    private readonly _cells = new Map<number, { start: number; end: number }>();
+    /** The indices of the points, grouped by cell. */
+    private readonly _indices: Uint32Array;
+
+    /**
+     * @param positions - The positions, as XYZ triplets.
+     * @param cellSize - The size of the cells, ideally close to the radius of the queries.
+     */
+    constructor(positions: Float64Array, cellSize: number) {
+        this.positions = positions;
+        this.count = Math.floor(positions.length / 3);
+        this._cellSize = cellSize;
+
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < this.count; i++) {
+            for (let axis = 0; axis < 3; axis++) {
+                this._min[axis] = Math.min(this._min[axis], positions[i * 3 + axis]);
+                max[axis] = Math.max(max[axis], positions[i * 3 + axis]);
+            }
+        }
+        for (let axis = 0; axis < 3; axis++) {
+            if (this.count > 0) {
+                this._size[axis] = Math.floor((max[axis] - this._min[axis]) / cellSize) + 1;
+            }
+        }
+
+        // Counting sort of the points by cell
+        const keys = new Float64Array(this.count);
+        const counts = new Map<number, number>();
+        for (let i = 0; i < this.count; i++) {
+            const key = this.getKey(
+                this.toCell(positions[i * 3 + 0], 0),
+                this.toCell(positions[i * 3 + 1], 1),
+                this.toCell(positions[i * 3 + 2], 2),
+            );
+            keys[i] = key;
+            counts.set(key, (counts.get(key) ?? 0) + 1);
+        }
+
+        let offset = 0;
+        for (const [key, count] of counts) {
+            this._cells.set(key, { start: offset, end: offset });
+            offset += count;
+        }
+
+        this._indices = new Uint32Array(this.count);
+        for (let i = 0; i < this.count; i++) {
+            const cell = nonNull(this._cells.get(keys[i]));
+            this._indices[cell.end++] = i;
+        }
+    }
+
+    private toCell(value: number, axis: number): number {
+        return Math.floor((value - this._min[axis]) / this._cellSize);
+    }
+
+    private getKey(i: number, j: number, k: number): number {
+        return i + this._size[0] * (j + this._size[1] * k);
+    }
+
+    /**
+     * Calls the callback for each point within the radius of the specified position.
+     *
+     * @param callback - Called with the index of the point, and its squared distance to the
+     * position.
+     */
+    forEachInRadius(
+        x: number,
+        y: number,
+        z: number,
+        radius: number,
+        callback: (index: number, distanceSquared: number) => void,
+    ): void {
+        const positions = this.positions;
+        const radiusSquared = radius * radius;
+
+        const minI = Math.max(this.toCell(x - radius, 0), 0);
+        const maxI = Math.min(this.toCell(x + radius, 0), this._size[0] - 1);
+        const minJ = Math.max(this.toCell(y - radius, 1), 0);
+        const maxJ = Math.min(this.toCell(y + radius, 1), this._size[1] - 1);
+        const minK = Math.max(this.toCell(z - radius, 2), 0);
+        const maxK = Math.min(this.toCell(z + radius, 2), this._size[2] - 1);
+
+        for (let k = minK; k <= maxK; k++) {
+            for (let j = minJ; j <= maxJ; j++) {
+                for (let i = minI; i <= maxI; i++) {
+                    const cell = this._cells.get(this.getKey(i, j, k));
+                    if (cell == null) {
+                        continue;
+                    }
+                    for (let c = cell.start; c < cell.end; c++) {
+                        const index = this._indices[c];
+                        const dx = positions[index * 3 + 0] - x;
+                        const dy = positions[index * 3 + 1] - y;
+                        const dz = positions[index * 3 + 2] - z;
+                        const distanceSquared = dx * dx + dy * dy + dz * dz;
+                        if (distanceSquared <= radiusSquared) {
+                            callback(index, distanceSquared);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the distance to the closest point within the radius of the specified position,
+     * or `NaN` if there is none.
+     */
+    getNearestDistance(x: number, y: number, z: number, radius: number): number {
+        let min = Infinity;
+
+        this.forEachInRadius(x, y, z, radius, (_, distanceSquared) => {
+            min = Math.min(min, distanceSquared);
+        });
+
+        return Number.isFinite(min) ? Math.sqrt(min) : NaN;
+    }
+}
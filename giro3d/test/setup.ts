@@ -0,0 +1,3 @@
+// Worker modules assign the global message handler when they are imported, which is not
+// declared outside of workers and browsers.
+globalThis.onmessage = null;
@@ -0,0 +1,250 @@
+import { Vector3 } from 'three';
+import { describe, expect, it } from 'vitest';
+import computeVolume, {
+    fitPlane,
+    getPolygonMask,
+    type Grid,
+} from '../../../src/analysis/computeVolume';
+import type { Raster } from '../../../src/analysis/rasterizePoints';
+import Extent from '../../../src/core/geographic/Extent';
+
+/** A square polygon, closed. */
+function square(min: number, max: number): Vector3[] {
+    return [
+        new Vector3(min, min, 0),
+        new Vector3(max, min, 0),
+        new Vector3(max, max, 0),
+        new Vector3(min, max, 0),
+        new Vector3(min, min, 0),
+    ];
+}
+
+/** A raster of cells of size 1 whose origin is (0, 0), with the specified rows. */
+function createRaster(rows: number[][], nodata: number): Raster {
+    const height = rows.length;
+    const width = rows[0].length;
+    const values = new Float32Array(rows.flat());
+
+    return {
+        extent: new Extent('EPSG:3857', 0, width, 0, height),
+        width,
+        height,
+        cellSize: 1,
+        values,
+        nodata,
+        min: Math.min(...values),
+        max: Math.max(...values),
+    };
+}
+
+/** A grid of cells of size 1 whose origin is (0, 0). */
+function createGrid(width: number, height: number): Grid {
+    return { extent: new Extent('EPSG:3857', 0, width, 0, height), width, height, cellSize: 1 };
+}
+
+/** Formats the mask as rows of 0 and 1, from the top. */
+function maskToRows(mask: Uint8Array, width: number): string[] {
+    const rows: string[] = [];
+    for (let j = 0; j < mask.length / width; j++) {
+        rows.push([...mask.subarray(j * width, (j + 1) * width)].join(''));
+    }
+    return rows;
+}
+
+describe('getPolygonMask', () => {
+    it('should select the cells whose center is inside the polygon', () => {
+        const mask = getPolygonMask(
+            [new Vector3(0, 0, 0), new Vector3(4.2, 0, 0), new Vector3(0, 4.2, 0)],
+            createGrid(4, 4),
+        );
+
+        expect(maskToRows(mask, 4)).toEqual(['1000', '1100', '1110', '1111']);
+    });
+
+    it('should apply the even-odd rule to concave polygons', () => {
+        // A U shape, open to the north
+        const mask = getPolygonMask(
+            [
+                new Vector3(0, 0, 0),
+                new Vector3(3, 0, 0),
+                new Vector3(3, 3, 0),
+                new Vector3(2, 3, 0),
+                new Vector3(2, 1, 0),
+                new Vector3(1, 1, 0),
+                new Vector3(1, 3, 0),
+                new Vector3(0, 3, 0),
+            ],
+            createGrid(3, 3),
+        );
+
+        expect(maskToRows(mask, 3)).toEqual(['101', '101', '111']);
+    });
+
+    it('should ignore the parts of the polygon outside the grid', () => {
+        const mask = getPolygonMask(
+            [new Vector3(-10, -10, 0), new Vector3(1, -10, 0), new Vector3(1, 10, 0)],
+            createGrid(2, 2),
+        );
+
+        expect(maskToRows(mask, 2)).toEqual(['10', '10']);
+    });
+});
+
+describe('fitPlane', () => {
+    it('should return the plane that contains the vertices', () => {
+        // z = 2x - y + 100, far from the origin
+        const vertices = [
+            new Vector3(651000, 6861000, 0),
+            new Vector3(651010, 6861000, 0),
+            new Vector3(651010, 6861010, 0),
+            new Vector3(651000, 6861010, 0),
+        ];
+        vertices.forEach(v => (v.z = 2 * (v.x - 651000) - (v.y - 6861000) + 100));
+
+        const plane = fitPlane(vertices);
+
+        expect(plane(651000, 6861000)).toBeCloseTo(100);
+        expect(plane(651005, 6861002)).toBeCloseTo(108);
+    });
+
+    it('should fit the plane in the least squares sense', () => {
+        // The vertices are alternately 1 above and below the plane z = 10
+        const plane = fitPlane([
+            new Vector3(0, 0, 11),
+            new Vector3(1, 0, 9),
+            new Vector3(1, 1, 11),
+            new Vector3(0, 1, 9),
+        ]);
+
+        expect(plane(0.5, 0.5)).toBeCloseTo(10);
+        expect(plane(-3, 7)).toBeCloseTo(10);
+    });
+
+    it('should throw if the vertices are collinear', () => {
+        expect(() =>
+            fitPlane([new Vector3(0, 0, 0), new Vector3(1, 1, 1), new Vector3(2, 2, 5)]),
+        ).toThrow('the polygon vertices are collinear');
+    });
+});
+
+describe('computeVolume', () => {
+    it('should sum the cut and fill volumes of the cells', async () => {
+        const surface = createRaster(
+            [
+                [3, 2, 1],
+                [2, 1, 0],
+                [1, 0, -1],
+            ],
+            -9999,
+        );
+        const result = await computeVolume({
+            surface,
+            polygon: square(0, 3),
+            base: { type: 'elevation', elevation: 1 },
+            cellSize: 1,
+        });
+
+        expect(result.cut).toBeCloseTo(2 + 1 + 1);
+        expect(result.fill).toBeCloseTo(1 + 1 + 2);
+        expect(result.net).toBeCloseTo(0);
+        expect(result.area).toBe(9);
+        expect(result.coverage).toBe(1);
+        expect(result.differences.min).toBe(-2);
+        expect(result.differences.max).toBe(2);
+    });
+
+    it('should compute the volumes relative to the plane that fits the polygon', async () => {
+        // The surface is the plane z = x, 1 below the plane of the polygon
+        const surface = createRaster(
+            [
+                [0.5, 1.5, 2.5],
+                [0.5, 1.5, 2.5],
+                [0.5, 1.5, 2.5],
+            ],
+            -9999,
+        );
+        const polygon = square(0, 3).map(v => v.setZ(v.x + 1));
+
+        const result = await computeVolume({
+            surface,
+            polygon,
+            base: { type: 'plane' },
+            cellSize: 1,
+        });
+
+        expect(result.cut).toBeCloseTo(0);
+        expect(result.fill).toBeCloseTo(9);
+        expect(result.net).toBeCloseTo(-9);
+    });
+
+    it('should only count the cells inside the polygon', async () => {
+        const surface = createRaster(
+            [
+                [1, 5],
+                [1, 1],
+            ],
+            -9999,
+        );
+
+        // An L shape, without the top-right cell
+        const result = await computeVolume({
+            surface,
+            polygon: [
+                new Vector3(0, 0, 0),
+                new Vector3(2, 0, 0),
+                new Vector3(2, 1, 0),
+                new Vector3(1, 1, 0),
+                new Vector3(1, 2, 0),
+                new Vector3(0, 2, 0),
+            ],
+            base: { type: 'elevation', elevation: 0 },
+            cellSize: 1,
+        });
+
+        expect(result.cut).toBeCloseTo(3);
+        expect(result.area).toBe(3);
+    });
+
+    it('should ignore the nodata cells of a raster with a 64-bit nodata value', async () => {
+        const surface = createRaster(
+            [
+                [1, 1],
+                [0.1, 1],
+            ],
+            0.1,
+        );
+
+        const result = await computeVolume({
+            surface,
+            polygon: square(0, 2),
+            base: { type: 'elevation', elevation: 0 },
+            cellSize: 1,
+        });
+
+        expect(result.cut).toBeCloseTo(3);
+        expect(result.coverage).toBeCloseTo(0.75);
+    });
+
+    it('should round the nodata value of the differences to a 32-bit float', async () => {
+        const surface = createRaster(
+            [
+                [1, 1],
+                [NaN, 1],
+            ],
+            NaN,
+        );
+
+        const result = await computeVolume({
+            surface,
+            polygon: square(0, 2),
+            base: { type: 'elevation', elevation: 0 },
+            cellSize: 1,
+            nodata: 0.1,
+        });
+
+        const { differences } = result;
+        expect(differences.nodata).toBe(Math.fround(0.1));
+        expect([...differences.values].filter(v => v === differences.nodata)).toHaveLength(1);
+        expect(differences.min).toBe(1);
+    });
+});
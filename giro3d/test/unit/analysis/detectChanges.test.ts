@@ -0,0 +1,193 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+    ChangeClass,
+    ChangeDetection,
+    type ChangeDetectionMethod,
+    computeNormal,
+} from '../../../src/analysis/detectChanges';
+import type PointCloud from '../../../src/entities/PointCloud';
+import type { PointCloudNode, PointCloudSource } from '../../../src/sources/PointCloudSource';
+import PointGrid from '../../../src/utils/PointGrid';
+
+/**
+ * A regular grid of points with a spacing of 1 on the plane that contains the origin and whose
+ * elevation is `z = sx * x + sy * y + offset`.
+ */
+function createPlane(size: number, sx = 0, sy = 0, offset = 0): Float64Array {
+    const positions = new Float64Array(size * size * 3);
+    for (let j = 0; j < size; j++) {
+        for (let i = 0; i < size; i++) {
+            const x = i - size / 2;
+            const y = j - size / 2;
+            positions.set([x, y, sx * x + sy * y + offset], (j * size + i) * 3);
+        }
+    }
+    return positions;
+}
+
+function createDetection(
+    method: ChangeDetectionMethod,
+    reference: Float64Array,
+    compared: Float64Array,
+): ChangeDetection {
+    return new ChangeDetection({
+        method,
+        threshold: 0.1,
+        maxDistance: 2,
+        normalRadius: 2,
+        projectionRadius: 1.5,
+        sources: {
+            reference: {} as PointCloudSource,
+            compared: {} as PointCloudSource,
+        },
+        grids: {
+            reference: new PointGrid(reference, 2),
+            compared: new PointGrid(compared, 2),
+        },
+    });
+}
+
+describe('computeNormal', () => {
+    it('should return the normal of a horizontal plane', () => {
+        const grid = new PointGrid(createPlane(10), 2);
+
+        const normal = computeNormal(grid, 0, 0, 0, 2, new Float64Array(3));
+
+        expect(normal[0]).toBeCloseTo(0);
+        expect(normal[1]).toBeCloseTo(0);
+        expect(normal[2]).toBeCloseTo(1);
+    });
+
+    it('should return the upward normal of a tilted plane', () => {
+        const grid = new PointGrid(createPlane(10, 0.5, -0.25), 2);
+
+        const normal = computeNormal(grid, 0, 0, 0, 2.5, new Float64Array(3));
+
+        const length = Math.sqrt(0.5 * 0.5 + 0.25 * 0.25 + 1);
+        expect(normal[0]).toBeCloseTo(-0.5 / length);
+        expect(normal[1]).toBeCloseTo(0.25 / length);
+        expect(normal[2]).toBeCloseTo(1 / length);
+    });
+
+    it('should return the vertical direction without enough neighbours', () => {
+        const grid = new PointGrid(new Float64Array([0, 0, 0, 1, 0, 1]), 2);
+
+        const normal = computeNormal(grid, 0, 0, 0, 2, new Float64Array([1, 2, 3]));
+
+        expect([...normal]).toEqual([0, 0, 1]);
+    });
+});
+
+describe('ChangeDetection', () => {
+    describe('getDistance', () => {
+        it('should return the distance to the nearest point with c2c', () => {
+            const detection = createDetection('c2c', createPlane(10), createPlane(10, 0, 0, 0.5));
+
+            expect(detection.getDistance(0, 0, 0, 'reference')).toBeCloseTo(0.5);
+            expect(detection.getDistance(0, 0, 0.5, 'compared')).toBeCloseTo(0.5);
+            expect(detection.getDistance(50, 50, 0, 'reference')).toBeNaN();
+        });
+
+        it('should return the signed distance along the normal with m3c2', () => {
+            const detection = createDetection('m3c2', createPlane(10), createPlane(10, 0, 0, 0.5));
+
+            // The compared epoch is above the reference epoch
+            expect(detection.getDistance(0, 0, 0, 'reference')).toBeCloseTo(0.5);
+            expect(detection.getDistance(0, 0, 0.5, 'compared')).toBeCloseTo(0.5);
+        });
+    });
+
+    describe('classify', () => {
+        it('should classify the points without counterpart as absent from the other epoch', () => {
+            for (const method of ['c2c', 'm3c2'] as const) {
+                const detection = createDetection(method, createPlane(2), createPlane(2));
+
+                expect(detection.classify(NaN, 'reference')).toBe(ChangeClass.Disappeared);
+                expect(detection.classify(NaN, 'compared')).toBe(ChangeClass.Appeared);
+            }
+        });
+
+        it('should compare the unsigned c2c distances to the threshold', () => {
+            const detection = createDetection('c2c', createPlane(2), createPlane(2));
+
+            expect(detection.classify(0.05, 'reference')).toBe(ChangeClass.Unchanged);
+            expect(detection.classify(0.1, 'compared')).toBe(ChangeClass.Unchanged);
+            expect(detection.classify(0.2, 'reference')).toBe(ChangeClass.Disappeared);
+            expect(detection.classify(0.2, 'compared')).toBe(ChangeClass.Appeared);
+        });
+
+        it('should classify the signed m3c2 distances by direction', () => {
+            const detection = createDetection('m3c2', createPlane(2), createPlane(2));
+
+            for (const epoch of ['reference', 'compared'] as const) {
+                expect(detection.classify(0.05, epoch)).toBe(ChangeClass.Unchanged);
+                expect(detection.classify(-0.05, epoch)).toBe(ChangeClass.Unchanged);
+                expect(detection.classify(0.2, epoch)).toBe(ChangeClass.Appeared);
+                expect(detection.classify(-0.2, epoch)).toBe(ChangeClass.Disappeared);
+            }
+        });
+    });
+
+    describe('computeStatistics', () => {
+        it('should compute the statistics of both epochs', async () => {
+            const reference = createPlane(10);
+            // The compared epoch has moved up, and has an additional point
+            const compared = new Float64Array([...createPlane(10, 0, 0, 0.5), 50, 50, 0]);
+            const detection = createDetection('c2c', reference, compared);
+
+            const progress: number[] = [];
+            await detection.computeStatistics(4, undefined, p => progress.push(p));
+
+            expect(progress.at(-1)).toBe(1);
+
+            expect(detection.reference.count).toBe(100);
+            expect(detection.reference.matched).toBe(100);
+            expect(detection.reference.mean).toBeCloseTo(0.5);
+            expect(detection.reference.disappeared).toBe(100);
+            expect(detection.reference.histogram.counts).toHaveLength(4);
+
+            expect(detection.compared.count).toBe(101);
+            expect(detection.compared.matched).toBe(100);
+            expect(detection.compared.appeared).toBe(101);
+            expect(detection.compared.unchanged).toBe(0);
+        });
+
+        it('should stop when the signal is aborted', async () => {
+            const detection = createDetection('c2c', createPlane(10), createPlane(10));
+            const controller = new AbortController();
+            controller.abort();
+
+            await expect(
+                detection.computeStatistics(4, controller.signal, () => {}),
+            ).rejects.toThrow();
+            expect(() => detection.reference).toThrow('statistics are not computed');
+        });
+    });
+
+    describe('addAttributes', () => {
+        it('should compute the attributes of the nodes asynchronously', async () => {
+            const reference = createPlane(10);
+            const detection = createDetection('c2c', reference, createPlane(10, 0, 0, 0.5));
+            await detection.computeStatistics(4, undefined, () => {});
+
+            const addComputedAttribute = vi.fn();
+            const pointCloud = { source: {}, addComputedAttribute } as unknown as PointCloud;
+            detection.addAttributes(pointCloud, { epoch: 'reference' });
+
+            expect(addComputedAttribute).toHaveBeenCalledTimes(2);
+            const [[distanceAttribute, computeDistances], [classAttribute, computeClasses]] =
+                addComputedAttribute.mock.calls;
+            expect(distanceAttribute.name).toBe('Change distance');
+            expect(classAttribute.name).toBe('Change class');
+
+            const node = { id: 'r' } as PointCloudNode;
+            const params = { node, count: 100, positions: reference };
+            const distances = computeDistances(params);
+            expect(distances).toBeInstanceOf(Promise);
+            expect([...(await distances)].every(d => Math.abs(d - 0.5) < 1e-6)).toBe(true);
+
+            const classes = await computeClasses(params);
+            expect([...classes].every(c => c === ChangeClass.Disappeared)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+import { Box3, Float32BufferAttribute, Vector3 } from 'three';
+import { describe, expect, it } from 'vitest';
+import rasterizePoints from '../../../src/analysis/rasterizePoints';
+import Extent from '../../../src/core/geographic/Extent';
+import type {
+    PointCloudNode,
+    PointCloudNodeData,
+    PointCloudSource,
+} from '../../../src/sources/PointCloudSource';
+
+/** A source with a single node that contains the specified points, as XYZ triplets. */
+function createSource(points: number[]): PointCloudSource {
+    const root = {
+        id: 'r',
+        depth: 0,
+        hasData: true,
+        geometricError: 1,
+        volume: new Box3(new Vector3(-100, -100, -100), new Vector3(100, 100, 100)),
+    } as PointCloudNode;
+
+    return {
+        initialize: async () => {},
+        getMetadata: async () => ({ attributes: [] }),
+        getHierarchy: async () => root,
+        getNodeData: async (): Promise<PointCloudNodeData> => ({
+            origin: new Vector3(),
+            pointCount: points.length / 3,
+            position: new Float32BufferAttribute(points, 3),
+        }),
+    } as unknown as PointCloudSource;
+}
+
+/** A row of 3 cells of size 1, whose middle cell is empty. */
+function rasterizeRow(nodata: number, fillHoles: number) {
+    return rasterizePoints({
+        source: createSource([0.5, 0.5, 1, 2.5, 0.5, 3]),
+        extent: new Extent('EPSG:3857', 0, 3, 0, 1),
+        cellSize: 1,
+        nodata,
+        fillHoles,
+        maxDepth: 0,
+    });
+}
+
+describe('rasterizePoints', () => {
+    it('should set the empty cells to the nodata value', async () => {
+        const raster = await rasterizeRow(-9999, 0);
+
+        expect([...raster.values]).toEqual([1, -9999, 3]);
+        expect(raster.min).toBe(1);
+        expect(raster.max).toBe(3);
+    });
+
+    it('should round the nodata value to a 32-bit float', async () => {
+        const raster = await rasterizeRow(0.1, 0);
+
+        expect(raster.nodata).toBe(Math.fround(0.1));
+        expect(raster.values[1]).toBe(raster.nodata);
+        expect(raster.min).toBe(1);
+    });
+
+    it('should fill the holes with a nodata value that is not a 32-bit float', async () => {
+        const raster = await rasterizeRow(0.1, 1);
+
+        expect([...raster.values]).toEqual([1, 2, 3]);
+    });
+
+    it('should support a NaN nodata value', async () => {
+        const empty = await rasterizeRow(NaN, 0);
+        expect(empty.values[1]).toBeNaN();
+        expect(empty.min).toBe(1);
+        expect(empty.max).toBe(3);
+
+        const filled = await rasterizeRow(NaN, 1);
+        expect([...filled.values]).toEqual([1, 2, 3]);
+    });
+});
@@ -0,0 +1,215 @@
+import { Box3, Group, type PerspectiveCamera, Vector3 } from 'three';
+import { describe, expect, it, vi } from 'vitest';
+import type Context from '../../../src/core/Context';
+import { resetPointBudget, updatePointBudget } from '../../../src/core/PointBudget';
+import type Entity from '../../../src/entities/Entity';
+import View from '../../../src/renderer/View';
+import type { PointCloudNode } from '../../../src/sources/PointCloudSource';
+import { nonNull } from '../../../src/utils/tsutils';
+
+const POINTS_PER_NODE = 100;
+
+function createNode(id: string, center: Vector3, size: number, depth: number): PointCloudNode {
+    const half = new Vector3(size / 2, size / 2, size / 2);
+
+    return {
+        id,
+        sourceId: 'source',
+        depth,
+        hasData: true,
+        geometricError: size / 10,
+        volume: new Box3(center.clone().sub(half), center.clone().add(half)),
+        center: center.clone(),
+        pointCount: POINTS_PER_NODE,
+    } as PointCloudNode;
+}
+
+/**
+ * A root node, whose children are on a row along the X axis. The first child is at the center
+ * of the screen, so that the children have decreasing priorities.
+ */
+function createHierarchy(childCount: number): PointCloudNode {
+    const root = createNode('r', new Vector3(0, 0, 0), 400, 0);
+
+    root.children = [];
+    for (let i = 0; i < childCount; i++) {
+        root.children.push(createNode(`r${i}`, new Vector3(i * 20, 0, 0), 10, 1));
+    }
+
+    return root;
+}
+
+/**
+ * The subset of a point cloud used by the point budget. All nodes are required by the view.
+ */
+class MockPointCloud {
+    readonly isPointCloud = true;
+    readonly id: string;
+    readonly ready = true;
+    readonly visible = true;
+    readonly frozen = false;
+    readonly object3d = new Group();
+    readonly rootNode: PointCloudNode;
+    readonly loaded = new Set<PointCloudNode>();
+    readonly failed = new Set<PointCloudNode>();
+    readonly hidden = new Set<PointCloudNode>();
+    readonly unloadNode = vi.fn((node: PointCloudNode) => {
+        this.hidden.delete(node);
+        this.loaded.delete(node);
+    });
+    nodeSelection: Set<PointCloudNode> | null = null;
+
+    constructor(id: string, root: PointCloudNode) {
+        this.id = id;
+        this.rootNode = root;
+    }
+
+    isNodeRequired() {
+        return true;
+    }
+
+    isNodeLoaded(node: PointCloudNode) {
+        return this.loaded.has(node);
+    }
+
+    hasNodeFailed(node: PointCloudNode) {
+        return this.failed.has(node);
+    }
+
+    getNodePointCount(node: PointCloudNode) {
+        return node.pointCount ?? 0;
+    }
+
+    getHiddenNodes() {
+        return [...this.hidden];
+    }
+
+    get selectedIds() {
+        return [...(this.nodeSelection ?? [])].map(n => n.id).sort();
+    }
+}
+
+function createContext(pointBudgetScale = 1): Context {
+    const view = new View('EPSG:3857', 800, 600);
+    const camera = view.camera as PerspectiveCamera;
+    camera.position.set(0, 0, 1000);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld(true);
+
+    return { view, pointBudgetScale } as Context;
+}
+
+function update(context: Context, budget: number, pointClouds: MockPointCloud[]) {
+    const sources = new Set<unknown>();
+    updatePointBudget(context, budget, pointClouds as unknown as Entity[], sources);
+    return sources;
+}
+
+describe('updatePointBudget', () => {
+    it('should select the nodes by priority until the budget is reached', () => {
+        const root = createHierarchy(4);
+        const pointCloud = new MockPointCloud('pc', root);
+        pointCloud.loaded.add(root);
+        root.children?.forEach(c => pointCloud.loaded.add(nonNull(c)));
+
+        const sources = update(createContext(), POINTS_PER_NODE * 3, [pointCloud]);
+
+        // The root, then the children closest to the center of the screen
+        expect(pointCloud.selectedIds).toEqual(['r', 'r0', 'r1']);
+        expect(sources.has(pointCloud)).toBe(true);
+    });
+
+    it('should apply the point budget scale of the context', () => {
+        const root = createHierarchy(4);
+        const pointCloud = new MockPointCloud('pc', root);
+        pointCloud.loaded.add(root);
+        root.children?.forEach(c => pointCloud.loaded.add(nonNull(c)));
+
+        update(createContext(0.5), POINTS_PER_NODE * 4, [pointCloud]);
+
+        expect(pointCloud.selectedIds).toEqual(['r', 'r0']);
+    });
+
+    it('should share the budget between point clouds', () => {
+        const first = new MockPointCloud('a', createHierarchy(0));
+        const second = new MockPointCloud('b', createHierarchy(0));
+        first.loaded.add(first.rootNode);
+        second.loaded.add(second.rootNode);
+
+        update(createContext(), POINTS_PER_NODE, [first, second]);
+
+        expect(first.selectedIds.length + second.selectedIds.length).toBe(1);
+    });
+
+    it('should not select the children of nodes that are not loaded', () => {
+        const root = createHierarchy(4);
+        const pointCloud = new MockPointCloud('pc', root);
+
+        update(createContext(), POINTS_PER_NODE * 10, [pointCloud]);
+
+        expect(pointCloud.selectedIds).toEqual(['r']);
+    });
+
+    it('should limit the number of nodes that are loading', () => {
+        const root = createHierarchy(12);
+        const pointCloud = new MockPointCloud('pc', root);
+        pointCloud.loaded.add(root);
+
+        update(createContext(), POINTS_PER_NODE * 100, [pointCloud]);
+
+        // The root, and the 8 children of highest priority
+        expect(pointCloud.selectedIds).toEqual(
+            ['r', 'r0', 'r1', 'r2', 'r3', 'r4', 'r5', 'r6', 'r7'].sort(),
+        );
+    });
+
+    it('should skip the nodes that failed to load', () => {
+        const root = createHierarchy(12);
+        const pointCloud = new MockPointCloud('pc', root);
+        pointCloud.loaded.add(root);
+        // The nodes of highest priority cannot be loaded
+        root.children?.slice(0, 8).forEach(c => pointCloud.failed.add(nonNull(c)));
+
+        update(createContext(), POINTS_PER_NODE * 100, [pointCloud]);
+
+        expect(pointCloud.selectedIds).toEqual(['r', 'r10', 'r11', 'r8', 'r9']);
+    });
+
+    it('should not update point clouds whose selection did not change', () => {
+        const root = createHierarchy(2);
+        const pointCloud = new MockPointCloud('pc', root);
+        pointCloud.loaded.add(root);
+
+        const context = createContext();
+        expect(update(context, POINTS_PER_NODE * 10, [pointCloud]).size).toBe(1);
+        expect(update(context, POINTS_PER_NODE * 10, [pointCloud]).size).toBe(0);
+    });
+
+    it('should unload the hidden nodes of lowest priority beyond the cache size', () => {
+        const root = createHierarchy(6);
+        const pointCloud = new MockPointCloud('pc', root);
+        pointCloud.loaded.add(root);
+        root.children?.forEach(c => {
+            pointCloud.loaded.add(nonNull(c));
+            pointCloud.hidden.add(nonNull(c));
+        });
+
+        // The root is selected, the children are hidden
+        update(createContext(), POINTS_PER_NODE, [pointCloud]);
+
+        // The cache holds twice the budget: the root and the hidden node of highest priority
+        const unloaded = pointCloud.unloadNode.mock.calls.map(([n]) => n.id).sort();
+        expect(unloaded).toEqual(['r1', 'r2', 'r3', 'r4', 'r5']);
+    });
+});
+
+describe('resetPointBudget', () => {
+    it('should restore the default selection of the point clouds', () => {
+        const pointCloud = new MockPointCloud('pc', createHierarchy(0));
+        pointCloud.nodeSelection = new Set();
+
+        resetPointBudget([pointCloud as unknown as Entity]);
+
+        expect(pointCloud.nodeSelection).toBeNull();
+    });
+});
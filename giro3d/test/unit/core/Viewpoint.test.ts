@@ -0,0 +1,131 @@
+import { EventDispatcher, type PerspectiveCamera, Quaternion, Vector3 } from 'three';
+import { describe, expect, it, vi } from 'vitest';
+import type Instance from '../../../src/core/Instance';
+import { restoreViewpoint, VIEWPOINT_VERSION, type Viewpoint } from '../../../src/core/Viewpoint';
+import RenderingOptions from '../../../src/renderer/RenderingOptions';
+import View from '../../../src/renderer/View';
+
+/** The duration of a frame of the main loop, in milliseconds. */
+const FRAME_DURATION = 100;
+
+/**
+ * The subset of the instance used by viewpoints and camera animations. The frames of the main
+ * loop are run by the test.
+ */
+class MockInstance extends EventDispatcher<{
+    'before-camera-update': { dt: number; updateLoopRestarted: boolean };
+}> {
+    readonly view = new View('EPSG:3857', 800, 600);
+    readonly renderingOptions = new RenderingOptions();
+    readonly notifyChange = vi.fn();
+
+    getEntities() {
+        return [];
+    }
+
+    runFrame() {
+        this.dispatchEvent({
+            type: 'before-camera-update',
+            dt: FRAME_DURATION,
+            updateLoopRestarted: false,
+        });
+    }
+}
+
+function createInstance() {
+    const instance = new MockInstance();
+    const camera = instance.view.camera as PerspectiveCamera;
+    camera.position.set(0, 0, 100);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld(true);
+    return instance;
+}
+
+function createViewpoint(): Viewpoint {
+    // Looking north with a narrow field of view. The target of the controls is not in front of
+    // the camera, so the orientation of the camera cannot be deduced from the target.
+    const quaternion = new Quaternion().setFromAxisAngle(new Vector3(1, 0, 0), Math.PI / 2);
+
+    return {
+        version: VIEWPOINT_VERSION,
+        camera: {
+            projection: 'perspective',
+            position: [10, -50, 20],
+            quaternion: quaternion.toArray() as Viewpoint['camera']['quaternion'],
+            fov: 20,
+        },
+        target: [0, 0, 0],
+    };
+}
+
+/** Runs frames until the promise settles. */
+async function runUntilSettled(instance: MockInstance, promise: Promise<void>) {
+    let settled = false;
+    promise.then(() => (settled = true));
+
+    for (let i = 0; i < 1000 && !settled; i++) {
+        instance.runFrame();
+        await Promise.resolve();
+    }
+
+    await promise;
+}
+
+describe('restoreViewpoint', () => {
+    it('should move the camera instantly without duration', async () => {
+        const instance = createInstance();
+        const viewpoint = createViewpoint();
+
+        await restoreViewpoint(instance as unknown as Instance, viewpoint);
+
+        const camera = instance.view.camera as PerspectiveCamera;
+        expect(camera.position.toArray()).toEqual([10, -50, 20]);
+        expect(camera.fov).toBe(20);
+    });
+
+    it('should apply the camera of the viewpoint at the end of the transition', async () => {
+        const instance = createInstance();
+        const viewpoint = createViewpoint();
+
+        const promise = restoreViewpoint(instance as unknown as Instance, viewpoint, {
+            duration: 1,
+        });
+
+        await runUntilSettled(instance, promise);
+
+        const camera = instance.view.camera as PerspectiveCamera;
+        expect(camera.position.toArray()).toEqual([10, -50, 20]);
+        expect(camera.fov).toBe(20);
+
+        const expected = new Quaternion().fromArray(viewpoint.camera.quaternion);
+        expect(camera.quaternion.angleTo(expected)).toBeCloseTo(0, 6);
+    });
+
+    it('should not apply the camera of a cancelled transition', async () => {
+        const instance = createInstance();
+        const first = createViewpoint();
+        const second: Viewpoint = {
+            ...createViewpoint(),
+            camera: { ...createViewpoint().camera, position: [-10, -50, 20], fov: 40 },
+        };
+
+        const cancelled = restoreViewpoint(instance as unknown as Instance, first, {
+            duration: 1,
+        });
+        instance.runFrame();
+
+        const promise = restoreViewpoint(instance as unknown as Instance, second, {
+            duration: 1,
+        });
+
+        // The cancelled transition resolves without moving the camera
+        await cancelled;
+        expect(instance.view.camera.position.toArray()).not.toEqual([10, -50, 20]);
+
+        await runUntilSettled(instance, promise);
+
+        const camera = instance.view.camera as PerspectiveCamera;
+        expect(camera.position.toArray()).toEqual([-10, -50, 20]);
+        expect(camera.fov).toBe(40);
+    });
+});
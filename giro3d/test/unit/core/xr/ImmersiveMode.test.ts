@@ -0,0 +1,504 @@
+import {
+    EventDispatcher,
+    Group,
+    Matrix4,
+    PerspectiveCamera,
+    Quaternion,
+    Ray,
+    Scene,
+    Vector2,
+    Vector3,
+    type Camera,
+} from 'three';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import type Context from '../../../../src/core/Context';
+import type Instance from '../../../../src/core/Instance';
+import MainLoop from '../../../../src/core/MainLoop';
+import type {
+    XRFrameLike,
+    XRInputSourceLike,
+    XRSessionLike,
+    XRSpaceLike,
+    XRViewLike,
+    XRWebGLLayerLike,
+} from '../../../../src/core/xr/WebXR';
+import ImmersiveMode from '../../../../src/core/xr/ImmersiveMode';
+import View from '../../../../src/renderer/View';
+
+const HEAD_HEIGHT = 1.6;
+const EYE_OFFSET = 0.032;
+const VIEWPORT_SIZE = 1000;
+
+function translation(x: number, y: number, z: number): Float32Array {
+    return new Float32Array(new Matrix4().makeTranslation(x, y, z).elements);
+}
+
+const projectionMatrix = new Float32Array(
+    new PerspectiveCamera(90, 1, 0.1, 100).projectionMatrix.elements,
+);
+
+class MockLayer implements XRWebGLLayerLike {
+    readonly framebuffer = {} as WebGLFramebuffer;
+    readonly framebufferWidth = VIEWPORT_SIZE * 2;
+    readonly framebufferHeight = VIEWPORT_SIZE;
+
+    getViewport(view: XRViewLike) {
+        const x = view.eye === 'left' ? 0 : VIEWPORT_SIZE;
+        return { x, y: 0, width: VIEWPORT_SIZE, height: VIEWPORT_SIZE };
+    }
+}
+
+class MockController implements XRInputSourceLike {
+    readonly handedness = 'right';
+    readonly targetRayMode = 'tracked-pointer';
+    readonly targetRaySpace: XRSpaceLike = { name: 'controller' };
+}
+
+/**
+ * A session that is driven by the test, one frame at a time. The viewer stands still and
+ * looks towards the -Z axis of the reference space (Y-up).
+ */
+class MockSession implements XRSessionLike {
+    readonly renderState: { baseLayer?: XRWebGLLayerLike | null } = {};
+    readonly inputSources: XRInputSourceLike[] = [];
+    readonly referenceSpace: XRSpaceLike = { name: 'local' };
+    readonly supportedSpaces = ['local'];
+    readonly requestedSpaces: string[] = [];
+    readonly cancelAnimationFrame = vi.fn();
+    private readonly _listeners = new Map<string, Set<(event: unknown) => void>>();
+    private _callbacks = new Map<number, (time: number, frame: XRFrameLike) => void>();
+    private _nextHandle = 1;
+    ended = false;
+
+    readonly frame: XRFrameLike = {
+        getViewerPose: space => {
+            if (space !== this.referenceSpace) {
+                return null;
+            }
+            return {
+                transform: { matrix: translation(0, HEAD_HEIGHT, 0) },
+                views: [
+                    {
+                        eye: 'left',
+                        projectionMatrix,
+                        transform: { matrix: translation(-EYE_OFFSET, HEAD_HEIGHT, 0) },
+                    },
+                    {
+                        eye: 'right',
+                        projectionMatrix,
+                        transform: { matrix: translation(EYE_OFFSET, HEAD_HEIGHT, 0) },
+                    },
+                ],
+            };
+        },
+        getPose: (space, baseSpace) => {
+            if (baseSpace !== this.referenceSpace || !(space as { name?: string }).name) {
+                return null;
+            }
+            // The controller is held in front of the viewer, pointing forward
+            return { transform: { matrix: translation(0.2, 1.2, -0.3) } };
+        },
+    };
+
+    async requestReferenceSpace(type: string): Promise<XRSpaceLike> {
+        this.requestedSpaces.push(type);
+        if (!this.supportedSpaces.includes(type)) {
+            throw new Error(`unsupported reference space: ${type}`);
+        }
+        return this.referenceSpace;
+    }
+
+    requestAnimationFrame(callback: (time: number, frame: XRFrameLike) => void): number {
+        const handle = this._nextHandle++;
+        this._callbacks.set(handle, callback);
+        return handle;
+    }
+
+    updateRenderState(state: { baseLayer?: XRWebGLLayerLike }): void {
+        this.renderState.baseLayer = state.baseLayer;
+    }
+
+    addEventListener(type: string, listener: (event: unknown) => void): void {
+        let set = this._listeners.get(type);
+        if (set == null) {
+            set = new Set();
+            this._listeners.set(type, set);
+        }
+        set.add(listener);
+    }
+
+    removeEventListener(type: string, listener: (event: unknown) => void): void {
+        this._listeners.get(type)?.delete(listener);
+    }
+
+    dispatch(type: string, event: unknown = {}) {
+        for (const listener of [...(this._listeners.get(type) ?? [])]) {
+            listener(event);
+        }
+    }
+
+    listenerCount(type: string): number {
+        return this._listeners.get(type)?.size ?? 0;
+    }
+
+    /** Runs the pending animation frame callbacks, like the device does. */
+    runFrame(time = 0) {
+        const callbacks = this._callbacks;
+        this._callbacks = new Map();
+        for (const [handle, callback] of callbacks) {
+            if (!this.cancelAnimationFrame.mock.calls.some(([h]) => h === handle)) {
+                callback(time, this.frame);
+            }
+        }
+    }
+
+    async end(): Promise<void> {
+        this.ended = true;
+        this.dispatch('end');
+    }
+}
+
+/**
+ * The subset of the engine used during immersive sessions. Rendering calls are recorded
+ * instead of being executed, since there is no WebGL context.
+ */
+function createEngine() {
+    const gl = { makeXRCompatible: vi.fn(async () => {}) };
+
+    const renderer = {
+        outputColorSpace: 'srgb',
+        getContext: () => gl,
+        setRenderTargetFramebuffer: vi.fn(),
+        setRenderTarget: vi.fn(),
+        setClearColor: vi.fn(),
+        clear: vi.fn(),
+        render: vi.fn(),
+    };
+
+    const engine = {
+        width: 800,
+        height: 600,
+        clearColor: 0,
+        clearAlpha: 0,
+        renderer,
+        gl,
+        getWindowSize: () => new Vector2(engine.width, engine.height),
+        setRenderingSize: vi.fn((width: number, height: number) => {
+            engine.width = width;
+            engine.height = height;
+        }),
+        onWindowResize: vi.fn((width: number, height: number) => {
+            engine.width = width;
+            engine.height = height;
+        }),
+        render: vi.fn((_scene: Scene, _camera: Camera) => {}),
+    };
+
+    return engine;
+}
+
+/**
+ * An entity that records the contexts of its updates.
+ */
+function createEntity() {
+    return {
+        contexts: [] as Context[],
+        shouldCheckForUpdate: () => true,
+        filterChangeSources: (sources: Set<unknown>) => sources,
+        preUpdate(context: Context) {
+            this.contexts.push(context);
+            return null;
+        },
+        postUpdate: () => {},
+    };
+}
+
+/**
+ * The subset of the instance used by the immersive mode and the main loop, with the same
+ * rendering logic as {@link Instance.render}, and the same resizing at the end of sessions.
+ */
+class MockInstance extends EventDispatcher<Record<string, unknown>> {
+    readonly view = new View('EPSG:3857', 800, 600);
+    readonly scene = new Scene();
+    readonly threeObjects = new Group();
+    readonly mainLoop = new MainLoop();
+    readonly engine = createEngine();
+    readonly entity = createEntity();
+    readonly pickObjectsAt = vi.fn((_ray: Ray, _options: unknown) => [
+        { point: new Vector3(110, 250, 20), distance: 50 },
+    ]);
+    readonly xr: ImmersiveMode;
+    readonly pointBudget = null;
+    readonly selection = undefined;
+
+    constructor() {
+        super();
+        this.xr = new ImmersiveMode(this as unknown as Instance);
+        this.xr.addEventListener('session-end', () => {
+            this.engine.onWindowResize(800, 600);
+            this.notifyChange(this.view.camera);
+        });
+    }
+
+    get renderer() {
+        return this.engine.renderer;
+    }
+
+    getEntities() {
+        return [this.entity];
+    }
+
+    notifyChange(source?: unknown) {
+        this.mainLoop.scheduleUpdate(this as unknown as Instance, source);
+    }
+
+    render() {
+        if (this.xr.isPresenting) {
+            this.xr.render();
+            return;
+        }
+        this.engine.render(this.scene, this.view.camera);
+    }
+}
+
+describe('ImmersiveMode', () => {
+    let instance: MockInstance;
+    let session: MockSession;
+    let windowFrames: FrameRequestCallback[];
+    const controls = Object.assign(new EventDispatcher<{ change: unknown }>(), {
+        update: vi.fn(),
+    });
+
+    const initialPosition = new Vector3(100, 200, 50);
+    let initialQuaternion: Quaternion;
+    let warn: ReturnType<typeof vi.spyOn>;
+
+    beforeEach(() => {
+        warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        windowFrames = [];
+        vi.stubGlobal('requestAnimationFrame', (callback: FrameRequestCallback) => {
+            windowFrames.push(callback);
+            return windowFrames.length;
+        });
+
+        session = new MockSession();
+
+        vi.stubGlobal('navigator', {
+            xr: {
+                isSessionSupported: vi.fn(async (mode: string) => mode === 'immersive-vr'),
+                requestSession: vi.fn(async () => session),
+            },
+        });
+        vi.stubGlobal(
+            'XRWebGLLayer',
+            vi.fn(() => new MockLayer()),
+        );
+
+        instance = new MockInstance();
+
+        // The camera looks horizontally towards +Y
+        const camera = instance.view.camera as PerspectiveCamera;
+        camera.position.copy(initialPosition);
+        camera.up.set(0, 0, 1);
+        camera.lookAt(100, 300, 50);
+        camera.updateMatrixWorld(true);
+        initialQuaternion = camera.quaternion.clone();
+
+        instance.view.setControls(controls);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    async function enter() {
+        await instance.xr.enter();
+        session.inputSources.push(new MockController());
+    }
+
+    it('should report whether immersive sessions are supported', async () => {
+        expect(await ImmersiveMode.isSupported()).toBe(true);
+
+        vi.stubGlobal('navigator', {});
+        expect(await ImmersiveMode.isSupported()).toBe(false);
+    });
+
+    it('should throw if WebXR is not supported', async () => {
+        vi.stubGlobal('navigator', {});
+
+        await expect(instance.xr.enter()).rejects.toThrow('WebXR is not supported');
+        expect(instance.xr.isPresenting).toBe(false);
+    });
+
+    it('should start the session with a layer and a fallback reference space', async () => {
+        const onStart = vi.fn();
+        instance.xr.addEventListener('session-start', onStart);
+
+        await enter();
+
+        const xr = (navigator as unknown as { xr: { requestSession: ReturnType<typeof vi.fn> } })
+            .xr;
+        expect(xr.requestSession).toHaveBeenCalledWith('immersive-vr', expect.anything());
+        expect(instance.engine.gl.makeXRCompatible).toHaveBeenCalled();
+        expect(session.renderState.baseLayer).toBeInstanceOf(MockLayer);
+        expect(session.requestedSpaces).toEqual(['local-floor', 'local']);
+        expect(warn).toHaveBeenCalledOnce();
+
+        expect(instance.xr.isPresenting).toBe(true);
+        expect(instance.xr.session).toBe(session);
+        expect(instance.view.controls).toBeNull();
+        expect(session.listenerCount('select')).toBe(1);
+        expect(session.listenerCount('end')).toBe(1);
+        expect(onStart).toHaveBeenCalledOnce();
+
+        await expect(instance.xr.start(session)).rejects.toThrow('already running');
+    });
+
+    it('should render each eye on the frames of the session', async () => {
+        await enter();
+
+        session.runFrame();
+
+        // The head of the viewer starts at the position of the camera
+        const camera = instance.view.camera as PerspectiveCamera;
+        expect(camera.position.distanceTo(initialPosition)).toBeCloseTo(0, 5);
+        expect(camera.fov).toBeCloseTo(90, 5);
+
+        // The rendering size follows the resolution of the device
+        expect(instance.engine.setRenderingSize).toHaveBeenCalledWith(
+            VIEWPORT_SIZE,
+            VIEWPORT_SIZE,
+        );
+
+        // The scene is rendered once per eye, into the framebuffer of the layer
+        const cameras = instance.engine.render.mock.calls.map(([, c]) => c as PerspectiveCamera);
+        expect(cameras.map(c => c.name)).toEqual(['xr-eye-0', 'xr-eye-1']);
+        const interpupillaryDistance = cameras[0].position.distanceTo(cameras[1].position);
+        expect(interpupillaryDistance).toBeCloseTo(EYE_OFFSET * 2, 5);
+
+        const renderer = instance.engine.renderer;
+        expect(renderer.setRenderTargetFramebuffer).toHaveBeenCalledWith(
+            expect.anything(),
+            session.renderState.baseLayer?.framebuffer,
+        );
+        expect(renderer.setRenderTarget).toHaveBeenLastCalledWith(null);
+
+        // The level of detail is lowered for the doubled rendering cost
+        const context = instance.entity.contexts[instance.entity.contexts.length - 1];
+        expect(context.sseScale).toBe(0.5);
+        expect(context.pointBudgetScale).toBe(0.5);
+
+        // The next frame is rendered as well
+        instance.engine.render.mockClear();
+        session.runFrame();
+        expect(instance.engine.render).toHaveBeenCalledTimes(2);
+    });
+
+    it('should display controller rays and teleport on select', async () => {
+        await enter();
+        session.runFrame();
+
+        const pointers = instance.scene.getObjectByName('xr-pointers');
+        expect(pointers?.children).toHaveLength(1);
+        expect(pointers?.children[0].visible).toBe(true);
+
+        const onSelect = vi.fn();
+        const onTeleport = vi.fn();
+        instance.xr.addEventListener('select', onSelect);
+        instance.xr.addEventListener('teleport', onTeleport);
+
+        session.dispatch('select', { frame: session.frame, inputSource: session.inputSources[0] });
+
+        // The controller points forward, i.e towards +Y in the scene
+        const ray = instance.pickObjectsAt.mock.calls[0][0];
+        expect(ray.direction.x).toBeCloseTo(0, 5);
+        expect(ray.direction.y).toBeCloseTo(1, 5);
+        expect(ray.direction.z).toBeCloseTo(0, 5);
+        expect(ray.origin.z).toBeCloseTo(initialPosition.z - HEAD_HEIGHT + 1.2, 5);
+        expect(onSelect).toHaveBeenCalledOnce();
+
+        const destination = new Vector3(110, 250, 20);
+        expect(onTeleport.mock.calls[0][0].position).toEqual(destination);
+
+        // The viewer now stands on the picked point
+        session.runFrame();
+        const camera = instance.view.camera;
+        expect(camera.position.x).toBeCloseTo(destination.x, 5);
+        expect(camera.position.y).toBeCloseTo(destination.y, 5);
+        expect(camera.position.z).toBeCloseTo(destination.z + HEAD_HEIGHT, 5);
+    });
+
+    it('should not teleport if teleport is disabled', async () => {
+        await instance.xr.enter({ teleport: false });
+        session.inputSources.push(new MockController());
+        session.runFrame();
+
+        const onTeleport = vi.fn();
+        instance.xr.addEventListener('teleport', onTeleport);
+
+        session.dispatch('select', { frame: session.frame, inputSource: session.inputSources[0] });
+
+        expect(instance.pickObjectsAt).toHaveBeenCalledOnce();
+        expect(onTeleport).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        ['the application', () => instance.xr.end()],
+        ['the device', async () => session.dispatch('end')],
+    ])('should restore the instance when the session is ended by %s', async (_, end) => {
+        await enter();
+        session.runFrame();
+
+        const onEnd = vi.fn();
+        instance.xr.addEventListener('session-end', onEnd);
+
+        await end();
+
+        expect(instance.xr.isPresenting).toBe(false);
+        expect(onEnd).toHaveBeenCalledOnce();
+        expect(session.listenerCount('select')).toBe(0);
+        expect(session.listenerCount('end')).toBe(0);
+
+        // The camera and the controls are restored
+        const camera = instance.view.camera as PerspectiveCamera;
+        expect(camera.position).toEqual(initialPosition);
+        expect(camera.quaternion.angleTo(initialQuaternion)).toBeCloseTo(0, 5);
+        expect(camera.fov).toBe(30);
+        expect(instance.view.controls).toBe(controls);
+        expect(instance.scene.getObjectByName('xr-pointers')).toBeUndefined();
+
+        // The renderer is resized to the canvas, and no longer renders to the XR framebuffer
+        expect(instance.engine.getWindowSize()).toEqual(new Vector2(800, 600));
+        expect(instance.engine.renderer.setRenderTarget).toHaveBeenLastCalledWith(null);
+
+        // The frames of the session are ignored, and the loop resumes on the window frames
+        expect(session.cancelAnimationFrame).toHaveBeenCalled();
+        instance.engine.render.mockClear();
+        session.runFrame();
+        expect(instance.engine.render).not.toHaveBeenCalled();
+
+        expect(windowFrames.length).toBeGreaterThan(0);
+        windowFrames.forEach(callback => callback(0));
+        expect(instance.engine.render).toHaveBeenCalledWith(instance.scene, camera);
+
+        const context = instance.entity.contexts[instance.entity.contexts.length - 1];
+        expect(context.sseScale).toBe(1);
+        expect(context.pointBudgetScale).toBe(1);
+    });
+
+    it('should compute controller rays from the pose of the input source', async () => {
+        await enter();
+        session.runFrame();
+
+        const ray = instance.xr.getControllerRay(session.inputSources[0], session.frame, new Ray());
+        expect(ray).not.toBeNull();
+
+        const untracked: XRInputSourceLike = {
+            targetRayMode: 'gaze',
+            targetRaySpace: {},
+        };
+        expect(instance.xr.getControllerRay(untracked, session.frame, new Ray())).toBeNull();
+    });
+});
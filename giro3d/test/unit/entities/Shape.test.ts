@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import type Shape from '../../../src/entities/Shape';
+import { volumeFormatter } from '../../../src/entities/Shape';
+
+const format = (value: number) => new Intl.NumberFormat(undefined).format(value);
+
+function formatSurface(formatter: ReturnType<typeof volumeFormatter>, area: string | null) {
+    return formatter({ area: 100, defaultFormatter: () => area, shape: {} as Shape });
+}
+
+describe('volumeFormatter', () => {
+    it('should display the area, followed by the volumes in cubic meters', () => {
+        const formatter = volumeFormatter({ cut: 1200, fill: 200, net: 1000 });
+
+        expect(formatSurface(formatter, '100 m²')?.split('\n')).toEqual([
+            '100 m²',
+            `Cut: ${format(1200)} m³`,
+            'Fill: 200 m³',
+            `Net: ${format(1000)} m³`,
+        ]);
+    });
+
+    it('should omit the area if it is not displayed', () => {
+        const formatter = volumeFormatter({ cut: 0, fill: 10, net: -10 });
+
+        expect(formatSurface(formatter, null)).toEqual(
+            ['Cut: 0 m³', 'Fill: 10 m³', `Net: ${format(-10)} m³`].join('\n'),
+        );
+    });
+
+    it('should display large volumes in cubic kilometers', () => {
+        const formatter = volumeFormatter({ cut: 25e9, fill: 5e9, net: -20e9 });
+
+        expect(formatSurface(formatter, null)).toEqual(
+            ['Cut: 25 km³', `Fill: ${format(5e9)} m³`, `Net: ${format(-20)} km³`].join('\n'),
+        );
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import type { PointSet } from '../../../src/analysis/PointSet';
+import { LASEncoder } from '../../../src/formats/LASWriter';
+import type { PointCloudAttribute } from '../../../src/sources/PointCloudSource';
+
+const HEADER_SIZE = 375;
+const RECORD_LENGTH = 30;
+
+function createAttribute(name: string): PointCloudAttribute {
+    return { name, dimension: 1, interpretation: 'unknown', type: 'unsigned', size: 1 };
+}
+
+function createPoints(count: number, attributes: Record<string, number[]> = {}): PointSet {
+    return {
+        count,
+        positions: new Float64Array(count * 3).map((_, i) => i),
+        attributes: Object.entries(attributes).map(([name, values]) => ({
+            attribute: createAttribute(name),
+            values: new Float32Array(values),
+        })),
+    };
+}
+
+/** Encodes the points, and returns the header and the point records. */
+function encode(points: PointSet) {
+    const encoder = new LASEncoder(points.attributes.map(a => a.attribute));
+    encoder.add(points);
+    const [header, ...chunks] = encoder.finish();
+
+    const headerView = new DataView(header);
+    const pointsByReturn = Array.from({ length: 15 }, (_, k) =>
+        Number(headerView.getBigUint64(255 + k * 8, true)),
+    );
+
+    const records = new DataView(chunks[0]);
+    const returns = Array.from({ length: points.count }, (_, i) => {
+        const byte = records.getUint8(i * RECORD_LENGTH + 14);
+        return [byte & 0x0f, byte >> 4];
+    });
+
+    return { header, pointsByReturn, returns };
+}
+
+describe('LASEncoder', () => {
+    it('should write a header of the LAS 1.4 size', () => {
+        const { header } = encode(createPoints(2));
+
+        expect(header.byteLength).toBe(HEADER_SIZE);
+    });
+
+    it('should write single returns without return attributes', () => {
+        const { pointsByReturn, returns } = encode(createPoints(3));
+
+        expect(returns).toEqual([
+            [1, 1],
+            [1, 1],
+            [1, 1],
+        ]);
+        expect(pointsByReturn[0]).toBe(3);
+        expect(pointsByReturn.slice(1).every(n => n === 0)).toBe(true);
+    });
+
+    it('should write the return attributes', () => {
+        const { pointsByReturn, returns } = encode(
+            createPoints(3, { ReturnNumber: [1, 2, 2], NumberOfReturns: [2, 2, 3] }),
+        );
+
+        expect(returns).toEqual([
+            [1, 2],
+            [2, 2],
+            [2, 3],
+        ]);
+        expect(pointsByReturn.slice(0, 3)).toEqual([1, 2, 0]);
+    });
+
+    it('should not write fewer returns than the return number', () => {
+        const { returns } = encode(createPoints(2, { return_number: [1, 3] }));
+
+        expect(returns).toEqual([
+            [1, 1],
+            [3, 3],
+        ]);
+    });
+
+    it('should default the return number without a return number attribute', () => {
+        const { pointsByReturn, returns } = encode(createPoints(2, { NumberOfReturns: [1, 4] }));
+
+        expect(returns).toEqual([
+            [1, 1],
+            [1, 4],
+        ]);
+        expect(pointsByReturn[0]).toBe(2);
+    });
+});
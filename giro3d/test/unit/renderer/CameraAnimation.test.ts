@@ -0,0 +1,271 @@
+import { EventDispatcher, type PerspectiveCamera, Vector3 } from 'three';
+import { describe, expect, it, vi } from 'vitest';
+import type Instance from '../../../src/core/Instance';
+import CameraAnimation, {
+    type CameraAnimationOptions,
+    type CameraKeyframe,
+} from '../../../src/renderer/CameraAnimation';
+import View from '../../../src/renderer/View';
+
+/** The duration of a frame of the main loop, in milliseconds. */
+const FRAME_DURATION = 250;
+
+/**
+ * The subset of the instance used by camera animations. The frames of the main loop are run by
+ * the test.
+ */
+class MockInstance extends EventDispatcher<{
+    'before-camera-update': { dt: number; updateLoopRestarted: boolean };
+}> {
+    readonly view = new View('EPSG:3857', 800, 600);
+    readonly notifyChange = vi.fn();
+
+    runFrame() {
+        this.dispatchEvent({
+            type: 'before-camera-update',
+            dt: FRAME_DURATION,
+            updateLoopRestarted: false,
+        });
+    }
+}
+
+function keyframe(time: number, x: number, fov?: number): CameraKeyframe {
+    return { time, position: new Vector3(x, 0, 100), target: new Vector3(x, 10, 0), fov };
+}
+
+function createAnimation(options: CameraAnimationOptions = {}) {
+    const instance = new MockInstance();
+    const animation = new CameraAnimation(instance as unknown as Instance, options);
+    return { instance, animation };
+}
+
+describe('CameraAnimation', () => {
+    describe('addKeyframe', () => {
+        it('should sort the keyframes by time, and replace keyframes at the same time', () => {
+            const { animation } = createAnimation({
+                keyframes: [keyframe(2, 20), keyframe(0, 0), keyframe(1, 10)],
+            });
+            animation.addKeyframe(keyframe(1, 15));
+
+            expect(animation.keyframes.map(k => k.position.x)).toEqual([0, 15, 20]);
+            expect(animation.duration).toBe(2);
+        });
+
+        it('should reject invalid times', () => {
+            const { animation } = createAnimation();
+
+            expect(() => animation.addKeyframe(keyframe(-1, 0))).toThrow('invalid keyframe time');
+            expect(() => animation.addKeyframe(keyframe(NaN, 0))).toThrow('invalid keyframe time');
+        });
+    });
+
+    describe('evaluate', () => {
+        it('should throw without keyframes', () => {
+            const { animation } = createAnimation();
+
+            expect(() => animation.evaluate(0)).toThrow('the animation has no keyframe');
+        });
+
+        it('should interpolate linearly between keyframes', () => {
+            const { animation } = createAnimation({
+                interpolation: 'linear',
+                keyframes: [keyframe(0, 0), keyframe(2, 10), keyframe(4, 30)],
+            });
+
+            expect(animation.evaluate(1).position.x).toBeCloseTo(5);
+            expect(animation.evaluate(3).position.x).toBeCloseTo(20);
+            expect(animation.evaluate(3).target.x).toBeCloseTo(20);
+        });
+
+        it('should clamp the time to the duration', () => {
+            const { animation } = createAnimation({
+                keyframes: [keyframe(0, 0), keyframe(2, 10)],
+            });
+
+            expect(animation.evaluate(-1).position.x).toBeCloseTo(0);
+            expect(animation.evaluate(5).position.x).toBeCloseTo(10);
+        });
+
+        it('should pass through the keyframes with all interpolations', () => {
+            for (const interpolation of ['linear', 'catmullrom', 'bezier'] as const) {
+                const { animation } = createAnimation({
+                    interpolation,
+                    keyframes: [keyframe(0, 0), keyframe(1, 10), keyframe(3, 5), keyframe(4, 0)],
+                });
+
+                for (const k of animation.keyframes) {
+                    expect(animation.evaluate(k.time).position.x).toBeCloseTo(k.position.x);
+                }
+            }
+        });
+
+        it('should make the same path with catmullrom and automatic bezier handles', () => {
+            const keyframes = [keyframe(0, 0), keyframe(1, 10), keyframe(3, 5), keyframe(4, 0)];
+            const catmullRom = createAnimation({ interpolation: 'catmullrom', keyframes });
+            const bezier = createAnimation({ interpolation: 'bezier', keyframes });
+
+            for (const time of [0.3, 1.5, 2.2, 3.7]) {
+                expect(bezier.animation.evaluate(time).position.x).toBeCloseTo(
+                    catmullRom.animation.evaluate(time).position.x,
+                );
+            }
+        });
+
+        it('should follow the handles of the bezier keyframes', () => {
+            const start = keyframe(0, 0);
+            const end = keyframe(1, 10);
+            start.handleOut = new Vector3(0, 30, 100);
+            end.handleIn = new Vector3(10, 30, 100);
+
+            const { animation } = createAnimation({
+                interpolation: 'bezier',
+                keyframes: [start, end],
+            });
+
+            // The middle of the curve is at 3/4 of the height of the handles
+            const middle = animation.evaluate(0.5).position;
+            expect(middle.x).toBeCloseTo(5);
+            expect(middle.y).toBeCloseTo(22.5);
+        });
+
+        it('should apply the easing to the whole animation', () => {
+            const { animation } = createAnimation({
+                interpolation: 'linear',
+                easing: t => t * t,
+                keyframes: [keyframe(0, 0), keyframe(2, 10), keyframe(4, 20)],
+            });
+
+            expect(animation.evaluate(2).position.x).toBeCloseTo(5);
+            expect(animation.evaluate(4).position.x).toBeCloseTo(20);
+        });
+
+        it('should make closed paths smooth at the junction', () => {
+            const { animation } = createAnimation({
+                interpolation: 'catmullrom',
+                keyframes: [keyframe(0, 0), keyframe(1, 10), keyframe(2, -10), keyframe(3, 0)],
+            });
+
+            // The tangent at the junction goes from the last keyframe to the second one
+            const start = animation.evaluate(0.01).position.x;
+            const end = animation.evaluate(2.99).position.x;
+            expect(start).toBeGreaterThan(0);
+            expect(end).toBeLessThan(0);
+            expect(start).toBeCloseTo(-end, 3);
+        });
+
+        it('should interpolate the field of view', () => {
+            const { animation } = createAnimation({
+                interpolation: 'linear',
+                keyframes: [keyframe(0, 0, 30), keyframe(2, 10, 60)],
+            });
+
+            expect(animation.evaluate(0).fov).toBeCloseTo(30);
+            expect(animation.evaluate(1).fov).toBeCloseTo(45);
+            expect(animation.evaluate(2).fov).toBeCloseTo(60);
+        });
+
+        it('should keep the field of view of the previous keyframe', () => {
+            const { animation } = createAnimation({
+                interpolation: 'linear',
+                keyframes: [keyframe(0, 0, 30), keyframe(1, 10), keyframe(2, 20, 60)],
+            });
+
+            expect(animation.evaluate(0.5).fov).toBeCloseTo(30);
+            expect(animation.evaluate(1).fov).toBeCloseTo(30);
+            expect(animation.evaluate(1.5).fov).toBeCloseTo(45);
+            expect(animation.evaluate(2).fov).toBeCloseTo(60);
+        });
+
+        it('should not make the field of view jump at keyframes without one', () => {
+            const { animation } = createAnimation({
+                interpolation: 'catmullrom',
+                keyframes: [keyframe(0, 0, 30), keyframe(1, 10), keyframe(2, 20, 60)],
+            });
+
+            const before = animation.evaluate(0.999).fov as number;
+            const after = animation.evaluate(1.001).fov as number;
+            expect(animation.evaluate(1).fov).toBeCloseTo(30);
+            expect(Math.abs(after - before)).toBeLessThan(0.1);
+        });
+
+        it('should use the first field of view before the first keyframe that has one', () => {
+            const { animation } = createAnimation({
+                interpolation: 'linear',
+                keyframes: [keyframe(0, 0), keyframe(1, 10, 40), keyframe(2, 20)],
+            });
+
+            expect(animation.evaluate(0).fov).toBe(40);
+            expect(animation.evaluate(1.5).fov).toBe(40);
+        });
+
+        it('should not animate the field of view if no keyframe has one', () => {
+            const { animation } = createAnimation({
+                keyframes: [keyframe(0, 0), keyframe(1, 10)],
+            });
+
+            expect(animation.evaluate(0.5).fov).toBeUndefined();
+        });
+    });
+
+    describe('playback', () => {
+        it('should move the camera on each frame until the end', () => {
+            const { instance, animation } = createAnimation({
+                interpolation: 'linear',
+                keyframes: [keyframe(0, 0, 30), keyframe(1, 10, 50)],
+            });
+            const ended = vi.fn();
+            animation.addEventListener('ended', ended);
+
+            animation.play();
+            expect(animation.playing).toBe(true);
+
+            instance.runFrame();
+            const camera = instance.view.camera as PerspectiveCamera;
+            expect(camera.position.x).toBeCloseTo(2.5);
+            expect(camera.fov).toBeCloseTo(35);
+
+            for (let i = 0; i < 3; i++) {
+                instance.runFrame();
+            }
+
+            expect(camera.position.x).toBeCloseTo(10);
+            expect(camera.fov).toBeCloseTo(50);
+            expect(animation.playing).toBe(false);
+            expect(ended).toHaveBeenCalledOnce();
+
+            // The animation no longer listens to the frames
+            instance.runFrame();
+            expect(ended).toHaveBeenCalledOnce();
+        });
+
+        it('should restart from the beginning when looping', () => {
+            const { instance, animation } = createAnimation({
+                interpolation: 'linear',
+                loop: true,
+                keyframes: [keyframe(0, 0), keyframe(1, 10)],
+            });
+
+            animation.play();
+            for (let i = 0; i < 5; i++) {
+                instance.runFrame();
+            }
+
+            expect(animation.playing).toBe(true);
+            expect(animation.currentTime).toBeCloseTo(0.25);
+            expect(instance.view.camera.position.x).toBeCloseTo(2.5);
+        });
+
+        it('should move the camera to the time of a seek', () => {
+            const { instance, animation } = createAnimation({
+                interpolation: 'linear',
+                keyframes: [keyframe(0, 0), keyframe(2, 10)],
+            });
+
+            animation.seek(1);
+            expect(instance.view.camera.position.x).toBeCloseTo(5);
+
+            animation.seek(10);
+            expect(animation.currentTime).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+import { Matrix4, Plane, Vector2, Vector3, type Vector4 } from 'three';
+import { describe, expect, it } from 'vitest';
+import {
+    ClippingBox,
+    ClippingPlane,
+    ClippingPolygon,
+    createClippingUniformData,
+    createLocalClippingUniforms,
+    type ClippingVolume,
+    type LocalClippingUniforms,
+} from '../../../src/renderer/ClippingVolume';
+import PointCloudMaterial from '../../../src/renderer/PointCloudMaterial';
+
+const f = Math.fround;
+
+/** The world space origin of the model, far from the world origin. */
+const ORIGIN = new Vector3(651230, 6861230, 140);
+
+/** A box of size 10 around a point that is not representable by 32-bit floats. */
+const BOX_CENTER = new Vector3(651234.567, 6861234.123, 150);
+
+function localUniforms(volume: ClippingVolume): LocalClippingUniforms {
+    return createLocalClippingUniforms(createClippingUniformData([volume]), ORIGIN);
+}
+
+/** Applies the matrix to the position like the vertex shader, with 32-bit floats. */
+function transform(matrix: Matrix4, p: Vector3): Vector3 {
+    const e = matrix.elements.map(f);
+    const [x, y, z] = [f(p.x), f(p.y), f(p.z)];
+    return new Vector3(
+        f(f(f(f(e[0] * x) + f(e[4] * y)) + f(e[8] * z)) + e[12]),
+        f(f(f(f(e[1] * x) + f(e[5] * y)) + f(e[9] * z)) + e[13]),
+        f(f(f(f(e[2] * x) + f(e[6] * y)) + f(e[10] * z)) + e[14]),
+    );
+}
+
+function isInsideBox(uniforms: LocalClippingUniforms, p: Vector3): boolean {
+    const local = transform(uniforms.boxes[0].inverseMatrix, p);
+    return Math.abs(local.x) <= 0.5 && Math.abs(local.y) <= 0.5 && Math.abs(local.z) <= 0.5;
+}
+
+function isInsidePlane(uniforms: LocalClippingUniforms, p: Vector3): boolean {
+    const plane: Vector4 = uniforms.planes[0].plane;
+    const dot = f(f(f(plane.x) * f(p.x)) + f(f(plane.y) * f(p.y))) + f(f(plane.z) * f(p.z));
+    return f(dot + f(plane.w)) >= 0;
+}
+
+describe('createLocalClippingUniforms', () => {
+    it('should express the boxes relative to the origin', () => {
+        const uniforms = localUniforms(
+            new ClippingBox({ center: BOX_CENTER, size: new Vector3(10, 10, 10) }),
+        );
+
+        // The face of the box is at X = 651239.567, i.e 9.567 relative to the origin
+        expect(isInsideBox(uniforms, new Vector3(9.566, 4, 10))).toBe(true);
+        expect(isInsideBox(uniforms, new Vector3(9.568, 4, 10))).toBe(false);
+        expect(isInsideBox(uniforms, new Vector3(-0.432, 4, 10))).toBe(true);
+        expect(isInsideBox(uniforms, new Vector3(-0.434, 4, 10))).toBe(false);
+    });
+
+    it('should express the planes relative to the origin', () => {
+        const normal = new Vector3(1, 1, 0).normalize();
+        const uniforms = localUniforms(
+            new ClippingPlane(new Plane().setFromNormalAndCoplanarPoint(normal, BOX_CENTER)),
+        );
+
+        // The plane contains the center of the box, i.e (4.567, 4.123) relative to the origin
+        const onPlane = new Vector3(4.567, 4.123, 0);
+        const offset = normal.clone().multiplyScalar(0.001);
+        expect(isInsidePlane(uniforms, onPlane.clone().add(offset))).toBe(true);
+        expect(isInsidePlane(uniforms, onPlane.clone().sub(offset))).toBe(false);
+    });
+
+    it('should express the polygons relative to the origin', () => {
+        const data = createClippingUniformData([
+            new ClippingPolygon({
+                points: [
+                    new Vector2(651231.5, 6861231.5),
+                    new Vector2(651238.5, 6861231.5),
+                    new Vector2(651238.5, 6861238.5),
+                ],
+                minZ: 145,
+            }),
+        ]);
+        const uniforms = createLocalClippingUniforms(data, ORIGIN);
+
+        // The vertices are stored relative to the first vertex
+        const vertices = data.polygonVertices?.image.data as unknown as Float32Array;
+        expect([...vertices]).toEqual([0, 0, 7, 0, 7, 7]);
+        expect(uniforms.polygonOffset).toEqual(new Vector2(1.5, 1.5));
+
+        expect(uniforms.polygons[0].elevationRange.x).toBe(5);
+        // Infinite values are clamped
+        expect(uniforms.polygons[0].elevationRange.y).toBeLessThan(Infinity);
+    });
+
+    it('should not modify the world space data', () => {
+        const data = createClippingUniformData([
+            new ClippingBox({ center: BOX_CENTER }),
+            new ClippingPlane(new Plane(new Vector3(0, 0, 1), -150)),
+        ]);
+        const inverseMatrix = data.boxes[0].inverseMatrix.clone();
+
+        const uniforms = createLocalClippingUniforms(data, ORIGIN);
+
+        expect(data.boxes[0].inverseMatrix).toEqual(inverseMatrix);
+        expect(data.planes[0].plane.w).toBe(-150);
+        expect(uniforms.planes[0].plane.w).toBe(-10);
+    });
+});
+
+describe('PointCloudMaterial', () => {
+    it('should set the clipping volumes relative to the origin of the model', () => {
+        const material = new PointCloudMaterial();
+        const data = createClippingUniformData([new ClippingBox({ center: BOX_CENTER })]);
+        material.clippingVolumes = data;
+
+        expect(material.uniforms.clippingBoxes.value[0].inverseMatrix).toEqual(
+            data.boxes[0].inverseMatrix,
+        );
+
+        material.setClippingOrigin(new Matrix4().makeTranslation(ORIGIN.x, ORIGIN.y, ORIGIN.z));
+
+        const expected = createLocalClippingUniforms(data, ORIGIN);
+        expect(material.uniforms.clippingBoxes.value).toEqual(expected.boxes);
+
+        // Replacing the volumes keeps the origin
+        material.clippingVolumes = createClippingUniformData([
+            new ClippingBox({ center: BOX_CENTER }),
+        ]);
+        expect(material.uniforms.clippingBoxes.value).toEqual(expected.boxes);
+
+        material.dispose();
+    });
+});
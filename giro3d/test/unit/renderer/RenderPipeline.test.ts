@@ -0,0 +1,130 @@
+import {
+    BoxGeometry,
+    Color,
+    Mesh,
+    MeshStandardMaterial,
+    PerspectiveCamera,
+    Scene,
+    Vector4,
+    WebGLRenderTarget,
+    type Object3D,
+    type WebGLRenderer,
+} from 'three';
+import { describe, expect, it, vi } from 'vitest';
+import RenderPipeline from '../../../src/renderer/RenderPipeline';
+import RenderingOptions from '../../../src/renderer/RenderingOptions';
+
+const WIDTH = 800;
+const HEIGHT = 600;
+
+/**
+ * A renderer that records the meshes drawn by each call to `render()`. Like the WebGL renderer,
+ * the scissor of a render target is applied to the WebGL state when the target is set, and the
+ * shadow map rendering sets the current render target again.
+ */
+function createRenderer() {
+    const scissor = new Vector4();
+    let scissorTest = false;
+    let current: WebGLRenderTarget | null = null;
+
+    const drawn: Object3D[][] = [];
+    const shadowCasters: Object3D[][] = [];
+
+    const visibleMeshes = (scene: Object3D) => {
+        const result: Object3D[] = [];
+        scene.traverse(obj => {
+            const mesh = obj as Mesh<BoxGeometry, MeshStandardMaterial>;
+            if (mesh.isMesh && mesh.material.visible) {
+                result.push(mesh);
+            }
+        });
+        return result;
+    };
+
+    const renderer = {
+        capabilities: { maxSamples: 4, logarithmicDepthBuffer: false },
+        shadowMap: { enabled: false, autoUpdate: true },
+        setRenderTarget: vi.fn((target: WebGLRenderTarget | null) => {
+            current = target;
+            scissor.copy(target?.scissor ?? new Vector4(0, 0, WIDTH, HEIGHT));
+            scissorTest = target?.scissorTest ?? false;
+        }),
+        getRenderTarget: () => current,
+        render: vi.fn((scene: Object3D) => {
+            if (renderer.shadowMap.enabled && renderer.shadowMap.autoUpdate) {
+                shadowCasters.push(visibleMeshes(scene));
+                renderer.setRenderTarget(current);
+            }
+            const scissoredAway = scissorTest && (scissor.z === 0 || scissor.w === 0);
+            drawn.push(scissoredAway ? [] : visibleMeshes(scene));
+        }),
+        getClearColor: (target: Color) => target.set(0, 0, 0),
+        getClearAlpha: () => 1,
+        setClearColor: vi.fn(),
+        setClearAlpha: vi.fn(),
+        clear: vi.fn(),
+    };
+
+    return { renderer, drawn, shadowCasters };
+}
+
+function createOptions(): RenderingOptions {
+    const options = new RenderingOptions();
+    // The render target is created without multisampling
+    options.enableMSAA = false;
+    return options;
+}
+
+function createPipeline(renderer: ReturnType<typeof createRenderer>['renderer']) {
+    const scene = new Scene();
+    const camera = new PerspectiveCamera();
+    const pipeline = new RenderPipeline(renderer as unknown as WebGLRenderer, scene, camera);
+
+    // The render targets and the composer require a WebGL context, they are created beforehand
+    pipeline.sceneRenderTarget = new WebGLRenderTarget(WIDTH, HEIGHT, { samples: 0 });
+    pipeline.effectComposer = { render: vi.fn(), dispose: vi.fn() } as never;
+
+    const opaque = new Mesh(new BoxGeometry(), new MeshStandardMaterial());
+    const transparent = new Mesh(
+        new BoxGeometry(),
+        new MeshStandardMaterial({ transparent: true, opacity: 0.5 }),
+    );
+    scene.add(opaque, transparent);
+
+    return { pipeline, scene, camera, opaque, transparent };
+}
+
+describe('RenderPipeline', () => {
+    describe('render', () => {
+        it('should render the opaque and transparent buckets', () => {
+            const { renderer, drawn } = createRenderer();
+            const { pipeline, scene, camera, opaque, transparent } = createPipeline(renderer);
+
+            pipeline.render(scene, camera, WIDTH, HEIGHT, createOptions());
+
+            expect(drawn.flat()).toContain(opaque);
+            expect(drawn.flat()).toContain(transparent);
+        });
+
+        it('should render the opaque bucket when shadows are enabled', () => {
+            const { renderer, drawn, shadowCasters } = createRenderer();
+            const { pipeline, scene, camera, opaque, transparent } = createPipeline(renderer);
+            renderer.shadowMap.enabled = true;
+
+            pipeline.render(scene, camera, WIDTH, HEIGHT, createOptions());
+
+            // The shadow maps are rendered once, with all objects
+            expect(shadowCasters).toHaveLength(1);
+            expect(shadowCasters[0]).toEqual(expect.arrayContaining([opaque, transparent]));
+
+            // The scene itself is rendered with the scissor of the target
+            expect(drawn.flat()).toContain(opaque);
+            expect(drawn.flat()).toContain(transparent);
+
+            const target = pipeline.sceneRenderTarget as WebGLRenderTarget;
+            expect(target.scissorTest).toBe(false);
+            expect(target.scissor).toEqual(new Vector4(0, 0, WIDTH, HEIGHT));
+            expect(renderer.shadowMap.autoUpdate).toBe(true);
+        });
+    });
+});
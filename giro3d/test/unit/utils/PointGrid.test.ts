@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import PointGrid from '../../../src/utils/PointGrid';
+
+/** A regular grid of points on the plane Z = 0, with a spacing of 1. */
+function createPlane(size: number): Float64Array {
+    const positions = new Float64Array(size * size * 3);
+    for (let j = 0; j < size; j++) {
+        for (let i = 0; i < size; i++) {
+            positions.set([i, j, 0], (j * size + i) * 3);
+        }
+    }
+    return positions;
+}
+
+function bruteForce(positions: Float64Array, x: number, y: number, z: number, radius: number) {
+    const result: number[] = [];
+    for (let i = 0; i < positions.length / 3; i++) {
+        const dx = positions[i * 3 + 0] - x;
+        const dy = positions[i * 3 + 1] - y;
+        const dz = positions[i * 3 + 2] - z;
+        if (dx * dx + dy * dy + dz * dz <= radius * radius) {
+            result.push(i);
+        }
+    }
+    return result;
+}
+
+describe('PointGrid', () => {
+    it('should index all the points', () => {
+        const grid = new PointGrid(createPlane(10), 2);
+
+        expect(grid.count).toBe(100);
+
+        const found: number[] = [];
+        grid.forEachInRadius(4.5, 4.5, 0, 100, index => found.push(index));
+        expect(found.sort((a, b) => a - b)).toEqual([...Array(100).keys()]);
+    });
+
+    it('should return the points within the radius', () => {
+        const positions = createPlane(10);
+        const grid = new PointGrid(positions, 1.5);
+
+        for (const [x, y, z, radius] of [
+            [0, 0, 0, 1],
+            [4.2, 5.7, 0.3, 2.5],
+            [9, 9, 1, 1.2],
+            [-3, 4, 0, 3],
+        ]) {
+            const found: number[] = [];
+            grid.forEachInRadius(x, y, z, radius, (index, distanceSquared) => {
+                found.push(index);
+                const dx = positions[index * 3 + 0] - x;
+                const dy = positions[index * 3 + 1] - y;
+                const dz = positions[index * 3 + 2] - z;
+                expect(distanceSquared).toBeCloseTo(dx * dx + dy * dy + dz * dz);
+            });
+
+            expect(found.sort((a, b) => a - b)).toEqual(bruteForce(positions, x, y, z, radius));
+        }
+    });
+
+    it('should return the distance to the nearest point', () => {
+        const grid = new PointGrid(createPlane(10), 1);
+
+        expect(grid.getNearestDistance(3, 3, 0, 1)).toBe(0);
+        expect(grid.getNearestDistance(3.5, 3, 0, 1)).toBeCloseTo(0.5);
+        expect(grid.getNearestDistance(3, 3, 2, 5)).toBeCloseTo(2);
+    });
+
+    it('should return NaN if no point is within the radius', () => {
+        const grid = new PointGrid(createPlane(10), 1);
+
+        expect(grid.getNearestDistance(3, 3, 2, 1)).toBeNaN();
+        expect(grid.getNearestDistance(50, 50, 0, 10)).toBeNaN();
+    });
+
+    it('should support empty sets of points', () => {
+        const grid = new PointGrid(new Float64Array(0), 1);
+
+        expect(grid.count).toBe(0);
+        expect(grid.getNearestDistance(0, 0, 0, 10)).toBeNaN();
+    });
+});
@@ -0,0 +1,198 @@
+// This scene checks that Eye Dome Lighting gives the same result with and without a logarithmic
+// depth buffer. The same point cloud is displayed in two instances that only differ by their
+// depth buffer, then both views are captured with the same camera and compared pixel by pixel.
+import { Color, MathUtils, Vector3 } from 'three';
+// noinspection JSFileReferences
+import { MapControls } from 'three/examples/jsm/controls/MapControls.js';
+import Instance from '../giro3d/src/core/Instance';
+import PointCloud from '../giro3d/src/entities/PointCloud';
+import PotreeSource from "../giro3d/src/sources/PotreeSource";
+import { setLazPerfPath } from '../giro3d/src/sources/las/config';
+
+// See main.js
+setLazPerfPath("/assets/wasm");
+
+Instance.registerCRS(
+    "unknown",
+    "+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs +type=crs",
+);
+
+const defaultUrl =
+    "https://lemonroom.ru/pointclouds/lion_takanawa/cloud.js";
+
+const url = new URL(document.URL);
+const datasetUrl = url.searchParams.get("dataset") ?? defaultUrl;
+
+// The maximum difference of a color channel (in the [0, 255] range) between two pixels
+// that are considered identical. Small differences are expected, since the depth precision
+// of both buffers is not the same.
+const CHANNEL_TOLERANCE = 8;
+// The maximum ratio of different pixels for the comparison to pass.
+const MAX_DIFFERENT_PIXELS = 0.01;
+// The factor applied to the differences in the diff image, to make them visible.
+const DIFF_AMPLIFICATION = 8;
+
+const background = new Color(0xa0a0a0);
+
+function createInstance(target, logarithmicDepthBuffer, crs) {
+    const instance = new Instance({
+        target,
+        crs,
+        backgroundColor: background,
+        renderer: {
+            logarithmicDepthBuffer,
+        },
+    });
+
+    // Only EDL is enabled, so that differences can only come from this pass.
+    instance.renderingOptions.enableEDL = true;
+    instance.renderingOptions.EDLRadius = 0.6;
+    instance.renderingOptions.EDLStrength = 5;
+    instance.renderingOptions.enableInpainting = false;
+    instance.renderingOptions.enablePointCloudOcclusion = false;
+    instance.renderingOptions.enableMSAA = false;
+
+    return instance;
+}
+
+function placeCameraOnTop(volume, instance) {
+    const center = volume.getCenter(new Vector3());
+    const size = volume.getSize(new Vector3());
+
+    const camera = instance.view.camera;
+    const hFov = MathUtils.degToRad(camera.fov) / 2;
+    const altitude = (Math.max(size.x / camera.aspect, size.y) / Math.tan(hFov)) * 0.5;
+
+    camera.position.set(center.x, center.y - altitude * 0.5, altitude + volume.max.z);
+    camera.lookAt(center);
+
+    return center;
+}
+
+/**
+ * Compares the two images and draws the amplified differences in the canvas.
+ */
+function diffImages(a, b, canvas) {
+    canvas.width = a.width;
+    canvas.height = a.height;
+
+    const context = canvas.getContext("2d");
+    const diff = context.createImageData(a.width, a.height);
+
+    let differentPixels = 0;
+    let maxDifference = 0;
+
+    for (let i = 0; i < a.data.length; i += 4) {
+        let pixelDifference = 0;
+        for (let c = 0; c < 3; c++) {
+            pixelDifference = Math.max(pixelDifference, Math.abs(a.data[i + c] - b.data[i + c]));
+        }
+
+        maxDifference = Math.max(maxDifference, pixelDifference);
+        if (pixelDifference > CHANNEL_TOLERANCE) {
+            differentPixels++;
+        }
+
+        const value = Math.min(255, pixelDifference * DIFF_AMPLIFICATION);
+        diff.data[i + 0] = value;
+        diff.data[i + 1] = pixelDifference > CHANNEL_TOLERANCE ? 0 : value;
+        diff.data[i + 2] = pixelDifference > CHANNEL_TOLERANCE ? 0 : value;
+        diff.data[i + 3] = 255;
+    }
+
+    context.putImageData(diff, 0, 0);
+
+    const pixelCount = a.width * a.height;
+
+    return {
+        differentPixels,
+        differentRatio: differentPixels / pixelCount,
+        maxDifference,
+        passed: differentPixels / pixelCount <= MAX_DIFFERENT_PIXELS,
+    };
+}
+
+async function load() {
+    const resultElement = document.getElementById("result");
+    const compareButton = document.getElementById("compare");
+
+    const source = new PotreeSource({ url: datasetUrl });
+    await source.initialize();
+
+    const metadata = await source.getMetadata();
+
+    let crs = "unknown";
+    if (metadata.crs != null) {
+        crs = metadata.crs.name;
+        Instance.registerCRS(metadata.crs.name, metadata.crs.definition);
+    }
+
+    const standard = createInstance("view-standard", false, crs);
+    const logarithmic = createInstance("view-logarithmic", true, crs);
+
+    // Both entities share the same source, and only differ by the depth buffer of their instance.
+    const entities = [];
+    for (const instance of [standard, logarithmic]) {
+        const entity = new PointCloud({ source });
+        await instance.add(entity);
+        entity.setActiveAttribute(metadata.attributes[0].name);
+        entities.push(entity);
+    }
+
+    const center = placeCameraOnTop(entities[0].getBoundingBox(), standard);
+
+    // The camera of the standard view drives the camera of the logarithmic view.
+    const controls = new MapControls(standard.view.camera, standard.domElement);
+    controls.target.copy(center);
+    standard.view.setControls(controls);
+
+    const syncCameras = () => {
+        const source = standard.view.camera;
+        const target = logarithmic.view.camera;
+        target.position.copy(source.position);
+        target.quaternion.copy(source.quaternion);
+        target.updateMatrixWorld();
+        logarithmic.notifyChange(target);
+    };
+
+    standard.addEventListener("after-camera-update", syncCameras);
+    syncCameras();
+    standard.notifyChange(standard.view.camera);
+
+    const compare = async () => {
+        compareButton.disabled = true;
+        resultElement.innerText = "comparing...";
+
+        syncCameras();
+
+        const width = standard.domElement.clientWidth;
+        const height = standard.domElement.clientHeight;
+        const captureOptions = { format: "imagedata", width, height, background };
+
+        // Both captures wait until the point cloud is loaded at the resolution of the image.
+        const expected = await standard.captureImage(captureOptions);
+        const actual = await logarithmic.captureImage(captureOptions);
+
+        const result = diffImages(expected, actual, document.getElementById("diff"));
+
+        // Exposes the result for automated checks
+        window.edlComparison = result;
+
+        const percentage = (result.differentRatio * 100).toFixed(2);
+        resultElement.innerText =
+            `${result.passed ? "PASS" : "FAIL"}: ${percentage}% of pixels differ ` +
+            `(maximum channel difference: ${result.maxDifference})`;
+        resultElement.className = result.passed ? "text-success" : "text-danger";
+
+        compareButton.disabled = false;
+    };
+
+    compareButton.onclick = () => compare().catch(console.error);
+
+    await compare();
+}
+
+load().catch(err => {
+    console.error(err);
+    document.getElementById("result").innerText = `error: ${err.message}`;
+});
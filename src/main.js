@@ -6,6 +6,7 @@ import Instance from '../giro3d/src/core/Instance';
 import ColorMap from '../giro3d/src/core/ColorMap';
 import PointCloud from '../giro3d/src/entities/PointCloud';
 import Inspector from '../giro3d/src/gui/Inspector';
+import { viewpointFromURLString } from '../giro3d/src/core/Viewpoint';
 import PotreeSource from "../giro3d/src/sources/PotreeSource";
 
 
@@ -409,6 +410,12 @@ async function load(url) {
     instance.renderingOptions.enablePointCloudOcclusion = false;
     entity = new PointCloud({ source });
 
+    // Light the points, and let them cast and receive shadows like the cube
+    instance.renderer.shadowMap.enabled = true;
+    entity.lighting = true;
+    entity.castShadow = true;
+    entity.receiveShadow = true;
+
     // we can access the THREE.js scene directly
     instance.scene.background = new Color(0xa0a0a0);
     instance.scene.fog = new Fog(0xa0a0a0, 15, 80);
@@ -439,11 +446,15 @@ async function load(url) {
     const geometry = new BoxGeometry(5, 5, 5);
     const material = new MeshPhongMaterial({ color: 0x00ff00 });
     const cube = new Mesh(geometry, material);
-    cube.name = 'myCube';
+    cube.name = 'cube';
 
     cube.receiveShadow = true;
     cube.castShadow = true;
     instance.add(cube);
+
+    // Hover and click on objects to highlight them
+    instance.selection.interactive = true;
+
     // const mesh = new Mesh(
     //     new PlaneGeometry(20, 20),
     //     new MeshPhongMaterial({ color: 0xcccccc, depthWrite: true }),
@@ -529,6 +540,16 @@ async function load(url) {
 
     updateActiveAttribute();
 
+    // Restore the viewpoint shared with the "Copy link" button of the inspector, if any.
+    const viewpoint = url.searchParams.get("viewpoint");
+    if (viewpoint) {
+        try {
+            await instance.restoreViewpoint(viewpointFromURLString(viewpoint));
+        } catch (err) {
+            console.error(err);
+        }
+    }
+
     Inspector.attach("inspector", instance);
 }
 
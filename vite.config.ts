@@ -1,9 +1,20 @@
+/// <reference types="vitest/config" />
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import glsl from 'vite-plugin-glsl'
 
 export default defineConfig({
   resolve: {
   },
+  build: {
+    rollupOptions: {
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        // Checks that EDL renders the same with and without a logarithmic depth buffer
+        'edl-logdepth': fileURLToPath(new URL('./edl-logdepth.html', import.meta.url)),
+      },
+    },
+  },
   optimizeDeps: {
     exclude: ['potree'],
     esbuildOptions: {
@@ -15,4 +26,8 @@ export default defineConfig({
   plugins: [
     glsl(),
   ],
+  test: {
+    include: ['giro3d/test/**/*.test.ts'],
+    setupFiles: ['giro3d/test/setup.ts'],
+  },
 })